@@ -0,0 +1,18 @@
+-- Migration: 添加管理操作审计表
+-- 描述: 记录通过管理接口进行的 Provider 切换、模型路由修改、重新初始化等操作及操作人
+
+CREATE TABLE IF NOT EXISTS admin_audit_logs (
+  id BIGSERIAL PRIMARY KEY,
+  actor TEXT NOT NULL,              -- 操作人（ADMIN_API_TOKENS 中的名称）
+  action TEXT NOT NULL,             -- 操作类型，如 switch_provider / set_llm_route / reinitialize
+  target TEXT,                      -- 操作对象，如 llm / asr / tts / chat
+  details JSONB DEFAULT '{}'::jsonb, -- 修改前后的值、是否强制切换等
+  ip TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- 按时间倒序查看最近的操作
+CREATE INDEX IF NOT EXISTS idx_admin_audit_logs_created_at
+ON admin_audit_logs (created_at DESC);
+
+COMMENT ON TABLE admin_audit_logs IS '管理接口操作审计日志';
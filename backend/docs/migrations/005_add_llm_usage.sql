@@ -0,0 +1,56 @@
+-- Migration: 添加 LLM 用量统计表
+-- 描述: 按用户、日期、任务、Provider 和模型累计 token 用量与费用，用于每日配额和费用报表
+
+CREATE TABLE IF NOT EXISTS llm_usage_daily (
+  user_id TEXT NOT NULL,                      -- 用户ID（user_xxx），后台任务无法归属到用户时为 system
+  usage_date DATE NOT NULL,                   -- 日期（Asia/Shanghai）
+  task TEXT NOT NULL,                         -- 任务：chat / vision / suggestion / summary / greeting / extraction
+  provider TEXT NOT NULL,                     -- 实际提供服务的 Provider（故障转移后为备用 Provider）
+  model TEXT NOT NULL DEFAULT '',             -- 模型或部署名
+  request_count INTEGER NOT NULL DEFAULT 0,
+  prompt_tokens BIGINT NOT NULL DEFAULT 0,
+  completion_tokens BIGINT NOT NULL DEFAULT 0,
+  estimated_count INTEGER NOT NULL DEFAULT 0, -- 接口未返回 usage、按本地计数估算的请求数
+  cost NUMERIC(14, 6) NOT NULL DEFAULT 0,     -- 按 LLM_PRICES 计算的费用
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, usage_date, task, provider, model)
+);
+
+-- 按日期范围查询费用报表
+CREATE INDEX IF NOT EXISTS idx_llm_usage_daily_date
+ON llm_usage_daily (usage_date);
+
+-- 累加一次调用的用量（多实例并发写入时保证不丢失）
+CREATE OR REPLACE FUNCTION increment_llm_usage(
+  p_user_id TEXT,
+  p_usage_date DATE,
+  p_task TEXT,
+  p_provider TEXT,
+  p_model TEXT,
+  p_prompt_tokens BIGINT,
+  p_completion_tokens BIGINT,
+  p_estimated BOOLEAN,
+  p_cost NUMERIC
+)
+RETURNS VOID AS $$
+BEGIN
+  INSERT INTO llm_usage_daily AS u (
+    user_id, usage_date, task, provider, model,
+    request_count, prompt_tokens, completion_tokens, estimated_count, cost
+  )
+  VALUES (
+    p_user_id, p_usage_date, p_task, p_provider, COALESCE(p_model, ''),
+    1, p_prompt_tokens, p_completion_tokens, CASE WHEN p_estimated THEN 1 ELSE 0 END, p_cost
+  )
+  ON CONFLICT (user_id, usage_date, task, provider, model) DO UPDATE SET
+    request_count = u.request_count + 1,
+    prompt_tokens = u.prompt_tokens + EXCLUDED.prompt_tokens,
+    completion_tokens = u.completion_tokens + EXCLUDED.completion_tokens,
+    estimated_count = u.estimated_count + EXCLUDED.estimated_count,
+    cost = u.cost + EXCLUDED.cost,
+    updated_at = NOW();
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON TABLE llm_usage_daily IS 'LLM 每日用量统计（按用户、任务、Provider、模型）';
+COMMENT ON FUNCTION increment_llm_usage IS '累加一次 LLM 调用的 token 用量与费用';
@@ -0,0 +1,25 @@
+-- Migration: 添加回复安全干预记录表
+-- 描述: 记录回复安全审核对模型输出的每次干预（追加免责声明、改写、拦截）及命中的规则，用于审计
+
+CREATE TABLE IF NOT EXISTS safety_events (
+  id BIGSERIAL PRIMARY KEY,
+  request_id TEXT,                  -- 对话请求ID
+  user_id TEXT,                     -- 用户ID
+  rule_id TEXT NOT NULL,            -- 命中的规则（config/safetyRules.json 中的 id，分类模型为 classifier）
+  category TEXT,                    -- diagnosis / guarantee / prescription 等
+  action TEXT NOT NULL,             -- disclaimer / rewrite / block
+  source TEXT NOT NULL,             -- rule / classifier
+  excerpt TEXT,                     -- 被审核的原文片段
+  replacement TEXT,                 -- 改写或拦截后输出的文字
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- 按时间倒序查看最近的干预
+CREATE INDEX IF NOT EXISTS idx_safety_events_created_at
+ON safety_events (created_at DESC);
+
+-- 按用户查看
+CREATE INDEX IF NOT EXISTS idx_safety_events_user_id
+ON safety_events (user_id, created_at DESC);
+
+COMMENT ON TABLE safety_events IS '回复安全审核干预记录';
@@ -0,0 +1,17 @@
+-- Migration: 会话人工跟进标记
+-- 描述: 用户表达自伤、轻生念头时（危机支持），将当前会话标记为需要工作人员跟进，跟进完成后记录处理人和备注
+
+ALTER TABLE chat_sessions
+ADD COLUMN IF NOT EXISTS follow_up_status TEXT CHECK (follow_up_status IN ('pending', 'resolved')),
+ADD COLUMN IF NOT EXISTS follow_up_reason TEXT,
+ADD COLUMN IF NOT EXISTS flagged_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS follow_up_resolved_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS follow_up_resolved_by TEXT,
+ADD COLUMN IF NOT EXISTS follow_up_note TEXT;
+
+-- 查看待跟进的会话
+CREATE INDEX IF NOT EXISTS idx_chat_sessions_follow_up
+ON chat_sessions (follow_up_status, flagged_at DESC)
+WHERE follow_up_status IS NOT NULL;
+
+COMMENT ON COLUMN chat_sessions.follow_up_status IS '人工跟进状态：pending 待跟进 / resolved 已跟进，NULL 为无需跟进';
@@ -0,0 +1,44 @@
+/**
+ * 生成诊所知识库索引
+ * 读取 KNOWLEDGE_BASE_DIR（默认 knowledge/articles）下的 Markdown / JSON 文章，
+ * 切分段落并建立 BM25 索引，写入 KNOWLEDGE_INDEX_PATH（默认 data/knowledge-index.json）
+ *
+ * 使用方法：
+ * node scripts/buildKnowledgeIndex.js           # 生成索引
+ * node scripts/buildKnowledgeIndex.js --search 双眼皮恢复期多久   # 生成后用示例问题检索，检查效果
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const ConfigService = require('../src/services/ConfigService');
+const knowledgeBaseService = require('../src/services/knowledgeBaseService');
+
+const { articlesDir, indexPath } = ConfigService.getKnowledgeBaseConfig();
+const target = path.resolve(__dirname, '..', indexPath);
+
+const index = knowledgeBaseService.buildIndex();
+if (index.passages.length === 0) {
+  console.error(`❌ ${articlesDir} 下没有可用的文章`);
+  process.exit(1);
+}
+
+fs.mkdirSync(path.dirname(target), { recursive: true });
+fs.writeFileSync(target, JSON.stringify(index));
+
+const articleCount = new Set(index.passages.map(passage => passage.articleId)).size;
+console.log(`✅ 已索引 ${articleCount} 篇文章、${index.passages.length} 个段落 -> ${path.relative(process.cwd(), target)}`);
+
+const searchArgIndex = process.argv.indexOf('--search');
+if (searchArgIndex !== -1) {
+  const query = process.argv.slice(searchArgIndex + 1).join(' ');
+  const results = knowledgeBaseService.search(query);
+  console.log(`\n🔍 ${query}`);
+  if (results.length === 0) {
+    console.log('（没有达到 KNOWLEDGE_MIN_SCORE 的段落）');
+  }
+  for (const result of results) {
+    console.log(`  ${result.score}  ${result.title}${result.section ? ` · ${result.section}` : ''}  (${result.id})`);
+  }
+}
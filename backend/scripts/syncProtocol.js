@@ -0,0 +1,29 @@
+/**
+ * 同步 WebSocket 协议定义到小程序
+ * 小程序无法引用 backend 目录，由本脚本把 src/protocol/index.js 复制为 frontend/utils/protocol.js
+ *
+ * 使用方法：
+ * node scripts/syncProtocol.js          # 生成前端副本
+ * node scripts/syncProtocol.js --check  # 只检查是否一致（不一致时退出码为 1）
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE = path.join(__dirname, '../src/protocol/index.js');
+const TARGET = path.join(__dirname, '../../frontend/utils/protocol.js');
+const HEADER = '// 由 backend/scripts/syncProtocol.js 从 backend/src/protocol/index.js 生成，请勿直接修改\n';
+
+const expected = HEADER + fs.readFileSync(SOURCE, 'utf8');
+
+if (process.argv.includes('--check')) {
+  const current = fs.existsSync(TARGET) ? fs.readFileSync(TARGET, 'utf8') : '';
+  if (current !== expected) {
+    console.error('❌ frontend/utils/protocol.js 与后端协议定义不一致，请运行 npm run sync-protocol');
+    process.exit(1);
+  }
+  console.log('✅ 前端协议定义已是最新');
+} else {
+  fs.writeFileSync(TARGET, expected);
+  console.log(`✅ 已同步协议定义到 ${path.relative(process.cwd(), TARGET)}`);
+}
@@ -0,0 +1,192 @@
+const providerAdminService = require('../services/providerAdminService');
+const adminAuditService = require('../services/adminAuditService');
+const usageService = require('../services/usageService');
+const safetyGuardService = require('../services/safetyGuardService');
+const crisisSupportService = require('../services/crisisSupportService');
+const handoffService = require('../services/handoffService');
+const ErrorHandler = require('../middleware/errorHandler');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class AdminController {
+  /**
+   * 当前 Provider 配置概览
+   */
+  async getProviders(req, res) {
+    res.json({ success: true, ...providerAdminService.getOverview() });
+  }
+
+  /**
+   * Provider 健康状态
+   */
+  async getHealth(req, res) {
+    await this.respond(res, () => providerAdminService.getHealth());
+  }
+
+  /**
+   * 各任务使用的模型和可选模型
+   */
+  async getModels(req, res) {
+    await this.respond(res, () => providerAdminService.getModels());
+  }
+
+  /**
+   * 各 Provider 配置完整性
+   */
+  async getConfigStatus(req, res) {
+    await this.respond(res, () => providerAdminService.getConfigStatus());
+  }
+
+  /**
+   * 切换 LLM / ASR / TTS 的 Provider
+   * PUT /admin/providers/:kind  { provider: 'volcengine' | null, force?: boolean }
+   */
+  async switchProvider(req, res) {
+    const { provider = null, force = false } = req.body || {};
+    await this.respond(res, () =>
+      providerAdminService.switchProvider(req.params.kind, provider, req.admin, { force: force === true })
+    );
+  }
+
+  /**
+   * 修改 LLM 任务路由
+   * PUT /admin/providers/llm/routes/:task  { provider: 'volcengine' | null, model?: 'flash', force?: boolean }
+   */
+  async setLLMRoute(req, res) {
+    const { provider = null, model = null, force = false } = req.body || {};
+    await this.respond(res, () =>
+      providerAdminService.setLLMRoute(req.params.task, provider, model, req.admin, { force: force === true })
+    );
+  }
+
+  /**
+   * 修改 LLM 备用 Provider
+   * PUT /admin/providers/llm/fallbacks  { fallbacks: ['volcengine'] | null }
+   */
+  async setLLMFallbacks(req, res) {
+    const { fallbacks = null } = req.body || {};
+    await this.respond(res, () => providerAdminService.setLLMFallbacks(fallbacks, req.admin));
+  }
+
+  /**
+   * 重新初始化 Provider
+   * POST /admin/providers/reinitialize  { kind?: 'llm' | 'asr' | 'tts' }
+   */
+  async reinitialize(req, res) {
+    const { kind = null } = req.body || {};
+    await this.respond(res, () => providerAdminService.reinitialize(kind, req.admin));
+  }
+
+  /**
+   * 清除所有运行时覆盖
+   */
+  async resetOverrides(req, res) {
+    await this.respond(res, () => providerAdminService.resetOverrides(req.admin));
+  }
+
+  /**
+   * 最近的管理操作记录
+   */
+  async getAuditLogs(req, res) {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    await this.respond(res, async () => ({ logs: await adminAuditService.list(limit) }));
+  }
+
+  /**
+   * LLM 用量与费用，按用户、任务、Provider 汇总
+   * GET /admin/usage?from=2025-01-01&to=2025-01-31&userId=user_xxx（日期默认今天）
+   */
+  async getUsage(req, res) {
+    const { from = null, to = null, userId = null } = req.query;
+    await this.respond(res, () => {
+      for (const date of [from, to]) {
+        if (date !== null && !DATE_PATTERN.test(date)) {
+          throw ErrorHandler.createValidationError(`Invalid date: ${date}, expected YYYY-MM-DD`);
+        }
+      }
+      return usageService.getReport({ from, to, userId });
+    });
+  }
+
+  /**
+   * 最近的回复安全干预记录
+   * GET /admin/safety/events?limit=50
+   */
+  async getSafetyEvents(req, res) {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    await this.respond(res, async () => ({ events: await safetyGuardService.listEvents(limit) }));
+  }
+
+  /**
+   * 重新加载回复安全审核规则（修改 config/safetyRules.json 后调用）
+   */
+  async reloadSafetyRules(req, res) {
+    await this.respond(res, async () => {
+      const result = safetyGuardService.reload();
+      await adminAuditService.record(req.admin, 'reload_safety_rules', 'safety', result);
+      return result;
+    });
+  }
+
+  /**
+   * 需要人工跟进的危机支持会话
+   * GET /admin/follow-ups?status=pending&limit=50（status: pending | resolved）
+   */
+  async getFollowUps(req, res) {
+    const { status = 'pending' } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    await this.respond(res, async () => {
+      if (!['pending', 'resolved'].includes(status)) {
+        throw ErrorHandler.createValidationError(`Invalid status: ${status}, expected pending or resolved`);
+      }
+      return { followUps: await crisisSupportService.listFollowUps({ status, limit }) };
+    });
+  }
+
+  /**
+   * 标记危机支持会话已跟进
+   * PUT /admin/follow-ups/:sessionId/resolve  { note?: '已电话联系，用户情绪稳定' }
+   */
+  async resolveFollowUp(req, res) {
+    const { sessionId } = req.params;
+    const { note = null } = req.body || {};
+    await this.respond(res, async () => {
+      const resolved = await crisisSupportService.resolveFollowUp(sessionId, { resolvedBy: req.admin.name, note });
+      if (!resolved) {
+        throw ErrorHandler.createNotFoundError(`Follow-up not found: ${sessionId}`);
+      }
+      await adminAuditService.record(req.admin, 'resolve_follow_up', sessionId, { note });
+      return { sessionId, status: 'resolved' };
+    });
+  }
+
+  /**
+   * 当前的人工接管会话和在线工作人员人数
+   */
+  async getHandoffs(req, res) {
+    await this.respond(res, async () => ({
+      enabled: handoffService.isEnabled(),
+      staffOnline: handoffService.getOnlineStaffCount(),
+      sessions: await handoffService.listSessions()
+    }));
+  }
+
+  /**
+   * 执行操作并返回结果，参数错误返回 400，其余返回 500（管理接口直接返回错误原因）
+   * @private
+   */
+  async respond(res, action) {
+    try {
+      const result = await action();
+      res.json({ success: true, ...result });
+    } catch (error) {
+      console.error('[Admin] 操作失败:', error.message);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new AdminController();
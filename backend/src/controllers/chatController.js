@@ -6,13 +6,31 @@ const suggestionService = require('../services/suggestionService');
 const memoryService = require('../services/memoryService');
 const azureBlobService = require('../services/azureBlobService');
 const supabaseService = require('../services/supabaseService');
+const speechService = require('../services/speechService');
 const ErrorHandler = require('../middleware/errorHandler');
-const AzureClientFactory = require('../utils/AzureClientFactory');
+const SecurityMiddleware = require('../middleware/security');
 const StreamSmoother = require('../utils/StreamSmoother');
+const VoiceActivityDetector = require('../utils/VoiceActivityDetector');
+const ToolCallAssembler = require('../utils/ToolCallAssembler');
+const CitationTracker = require('../utils/CitationTracker');
+const toolRegistry = require('../tools');
+const { getConversationStore } = require('../stores');
+const contextWindowService = require('../services/contextWindowService');
+const conversationCompactionService = require('../services/conversationCompactionService');
+const responseBufferService = require('../services/responseBufferService');
+const ttsStreamService = require('../services/ttsStreamService');
+const protocol = require('../protocol');
+const { ServerFrame, SpeechMode } = protocol;
 
 // Provider支持
 const ConfigService = require('../services/ConfigService');
 const ProviderFactory = require('../services/ProviderFactory');
+const llmService = require('../services/llmService');
+const usageService = require('../services/usageService');
+const knowledgeBaseService = require('../services/knowledgeBaseService');
+const safetyGuardService = require('../services/safetyGuardService');
+const crisisSupportService = require('../services/crisisSupportService');
+const handoffService = require('../services/handoffService');
 
 // 性能计时工具
 class PerformanceTimer {
@@ -21,6 +39,11 @@ class PerformanceTimer {
     this.timings = {};
     this.startTime = Date.now();
     this.marks = [];
+    this.info = {}; // 附加在报告中的请求信息（如实际提供回答的 LLM Provider）
+  }
+
+  set(key, value) {
+    this.info[key] = value;
   }
 
   mark(label, metadata = {}) {
@@ -47,6 +70,7 @@ class PerformanceTimer {
     return {
       requestId: this.requestId,
       totalTime: Date.now() - this.startTime,
+      ...this.info,
       marks: this.marks
     };
   }
@@ -57,58 +81,23 @@ function getEnvVar(name) {
   return process.env[name] || process.env[`APPSETTING_${name}`] || null;
 }
 
-// 使用 userId 作为 key 来存储对话历史
-const chatHistories = new Map();
-
-// 内存管理配置
-const MAX_HISTORY_SIZE = 100;
-const CLEANUP_INTERVAL = 15 * 60 * 1000;
-const MAX_IDLE_TIME = 2 * 60 * 60 * 1000;
-const MAX_MESSAGES_PER_USER = 31;
-
-// 清理功能
-function cleanupChatHistories() {
-  const now = Date.now();
-  let cleanedCount = 0;
-
-  for (const [userId, history] of chatHistories.entries()) {
-    const lastAccess = history.lastAccess || 0;
-    if (now - lastAccess > MAX_IDLE_TIME) {
-      chatHistories.delete(userId);
-      cleanedCount++;
-      continue;
-    }
-
-    if (history.messages && history.messages.length > MAX_MESSAGES_PER_USER) {
-      history.messages.splice(0, history.messages.length - MAX_MESSAGES_PER_USER);
-    }
-  }
-
-  if (chatHistories.size > MAX_HISTORY_SIZE) {
-    const sortedEntries = [...chatHistories.entries()]
-      .sort((a, b) => (a[1].lastAccess || 0) - (b[1].lastAccess || 0));
-
-    const toRemove = sortedEntries.slice(0, chatHistories.size - MAX_HISTORY_SIZE);
-    toRemove.forEach(([userId]) => {
-      chatHistories.delete(userId);
-      cleanedCount++;
-    });
-  }
-
-  if (cleanedCount > 0) {
-    console.log(`Memory cleanup: removed ${cleanedCount} histories. Current size: ${chatHistories.size}`);
-  }
-}
-
-// 启动定期清理
-const cleanupTimer = setInterval(cleanupChatHistories, CLEANUP_INTERVAL);
+// 对话状态存储（按 userId 保存进行中的对话上下文，可配置为 Redis 以跨重启、跨实例共享）
+const conversationStore = getConversationStore();
 
 // 优雅关闭
 process.on('SIGTERM', () => {
-  clearInterval(cleanupTimer);
-  chatHistories.clear();
+  conversationStore.close().catch(err => {
+    console.warn('关闭对话状态存储失败:', err.message);
+  });
 });
 
+// 进行中的回复请求：requestId -> { ws, userId, abortController, finished }（用于停止生成）
+// finished 在回复保存完毕后 resolve
+const activeRequests = new Map();
+
+// 被用户停止的回复在历史中追加的标记
+const INTERRUPTED_REPLY_MARK = '\n\n[回答被用户中断]';
+
 // 获取用户ID
 const getUserId = (ws) => {
   if (!ws.userId) {
@@ -162,7 +151,122 @@ const buildUserMessage = (prompt, images = []) => {
 
 exports.buildUserMessage = buildUserMessage;
 
-exports.sendMessage = async (ws, prompt, images = []) => {
+/**
+ * 统计用户消息中的图片数（Vision 格式的 image_url 部分）
+ */
+const countImageParts = (message) => {
+  if (!Array.isArray(message?.content)) return 0;
+  return message.content.filter(part => part.type === 'image_url').length;
+};
+
+/**
+ * 危机支持回复：输出固定话术和求助热线，标记会话需要人工跟进并通知工作人员
+ * 之后一段时间内的对话由 crisisSupportService.buildFollowUpNote 提醒模型优先关注用户情绪
+ * @param {Object} context - sendMessage 中已准备好的请求上下文
+ */
+const respondWithCrisisSupport = async ({
+  requestId, timer, userId, prompt, history, historyData, crisis, smoother, ttsSession
+}) => {
+  timer.mark('危机支持回复', { matched: crisis.matched, region: crisis.region });
+
+  smoother.push(crisis.response);
+  await smoother.flush();
+  ttsSession?.finish();
+
+  history.push({
+    role: "assistant",
+    content: crisis.response,
+    crisis: true,
+    createdAt: new Date().toISOString()
+  });
+
+  historyData.crisisFlaggedAt = Date.now();
+  historyData.lastAccess = Date.now();
+  await conversationStore.set(userId, historyData);
+  userDataService.updateChatHistory(userId, history).catch(error => {
+    console.error('保存历史失败:', error);
+  });
+
+  // 通知工作人员不阻塞回复
+  crisisSupportService.escalate({
+    userId,
+    requestId,
+    message: prompt,
+    matched: crisis.matched,
+    region: crisis.region
+  }).catch(error => console.error(`[${requestId}] 危机支持跟进失败:`, error.message));
+
+  responseBufferService.finish(requestId, protocol.createFrame(ServerFrame.DONE, {
+    done: true,
+    suggestions: [],
+    crisisSupport: { region: crisis.region, hotlines: crisis.hotlines },
+    timing: timer.getReport()
+  }, requestId));
+
+  console.log(`[${requestId}] 🆘 已回复危机支持话术`);
+};
+
+/**
+ * 人工模式：用户消息转给工作人员控制台，不调用大模型
+ * 完成消息带 relayed 标记（没有回复内容），工作人员的回复由 deliverStaffReply 另行发送
+ * @param {Object} context - sendMessage 中已准备好的请求上下文
+ */
+const relayToStaff = async ({
+  requestId, timer, userId, prompt, imageCount, imageUrls, history, historyData, crisis
+}) => {
+  const session = handoffService.get(userId);
+  timer.mark('转给人工顾问', { status: session?.status, staff: session?.staffName || '' });
+
+  // 人工服务中同样标记危机支持跟进，并提醒工作人员
+  if (crisis) {
+    historyData.crisisFlaggedAt = Date.now();
+    crisisSupportService.escalate({
+      userId,
+      requestId,
+      message: prompt,
+      matched: crisis.matched,
+      region: crisis.region
+    }).catch(error => console.error(`[${requestId}] 危机支持跟进失败:`, error.message));
+  }
+
+  historyData.lastAccess = Date.now();
+  await conversationStore.set(userId, historyData);
+  userDataService.updateChatHistory(userId, history).catch(error => {
+    console.error('保存历史失败:', error);
+  });
+
+  handoffService.relayUserMessage(userId, {
+    text: prompt || `(发送了${imageCount}张图片)`,
+    images: imageUrls,
+    crisis: !!crisis,
+    createdAt: history[history.length - 1]?.createdAt || new Date().toISOString()
+  });
+
+  responseBufferService.finish(requestId, protocol.createFrame(ServerFrame.DONE, {
+    done: true,
+    relayed: true,
+    suggestions: [],
+    timing: timer.getReport()
+  }, requestId));
+
+  console.log(`[${requestId}] 🧑‍⚕️ 人工服务中，消息已转给工作人员`);
+};
+
+/**
+ * 发送消息并流式返回回复
+ * @param {WebSocket} ws - WebSocket连接
+ * @param {string} prompt - 用户输入
+ * @param {Array} images - base64 图片
+ * @param {Object} options
+ * @param {Object} options.replayMessage - 重新生成：历史中的最后一条用户消息，不追加新的用户消息，直接为它生成回复
+ * @param {boolean} options.speak - 无论客户端播报开关如何都合成语音（免提对话）
+ */
+exports.sendMessage = async (ws, prompt, images = [], options = {}) => {
+  const { replayMessage = null, speak = false } = options;
+  const replayLastUserMessage = !!replayMessage;
+  // 重新生成时 images 为空，图片数以历史中的用户消息为准（决定是否走 vision 路由）
+  const imageCount = replayMessage ? countImageParts(replayMessage) : images.length;
+
   // 创建请求ID和计时器
   const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   const timer = new PerformanceTimer(requestId);
@@ -171,13 +275,15 @@ exports.sendMessage = async (ws, prompt, images = []) => {
   console.log(`[${requestId}] 🚀 新请求开始`);
   console.log(`用户: ${ws.userId}`);
   console.log(`问题: ${prompt || '(仅图片)'}`);
-  console.log(`图片: ${images.length} 张`);
+  console.log(`图片: ${imageCount} 张`);
   console.log(`${'='.repeat(60)}`);
 
-  timer.mark('请求接收完成', { prompt: prompt.substring(0, 50), imageCount: images.length });
+  timer.mark('请求接收完成', { prompt: prompt.substring(0, 50), imageCount });
 
-  const useProvider = ConfigService.isProviderEnabled();
   let uploadedImageUrls = []; // 存储上传到 Azure Blob 的图片信息
+  let ttsSession = null;
+  let markFinished = null;
+  let compactConversation = null;
 
   try {
     // 🖼️ 上传图片到 Azure Blob Storage（如果有图片）
@@ -204,20 +310,38 @@ exports.sendMessage = async (ws, prompt, images = []) => {
         // 上传失败不影响对话继续，使用原 base64
       }
     }
-    // 1. 验证配置
+    // 1. 按任务路由选择模型：带图片的消息走 vision 路由（未配置时与主对话相同）
     timer.mark('开始验证配置');
-    if (useProvider) {
-      console.log(`使用 ${ConfigService.getProviderType()} Provider`);
-    } else {
-      AzureClientFactory.validateConfig();
-      console.log('Azure配置验证通过');
-    }
+    const llmTask = imageCount > 0 ? ConfigService.LLMTask.VISION : ConfigService.LLMTask.CHAT;
+    const llmRoute = ConfigService.getLLMRoute(llmTask);
+    console.log(`使用 ${llmRoute.type} Provider${llmRoute.model ? ` (${llmRoute.model})` : ''}`);
     timer.mark('配置验证完成');
 
     // 2. 获取用户ID
     const userId = getUserId(ws);
     timer.mark('用户ID获取完成', { userId });
 
+    // 🆘 危机支持：用户表达自伤、轻生念头时回复固定话术和求助热线，不调用大模型
+    const crisis = crisisSupportService.detect(prompt);
+
+    // 🧑‍⚕️ 人工模式：消息转给工作人员，不调用大模型
+    const inHandoff = handoffService.isActive(userId);
+
+    // 检查今日用量配额（未配置 USAGE_DAILY_*_LIMIT 时不限制；危机支持和人工服务不受限制）
+    const quota = crisis || inHandoff ? { allowed: true } : await usageService.checkQuota(userId);
+    if (!quota.allowed) {
+      console.warn(`[${requestId}] ⛔ 用户 ${userId} 今日用量已达上限: ${quota.tokens} tokens, 费用 ${quota.cost.toFixed(4)}`);
+      throw ErrorHandler.createQuotaExceededError(`Daily usage quota exceeded for ${userId}`);
+    }
+
+    // 登记为进行中的请求，客户端可通过 { type: 'cancel', requestId } 停止生成
+    const abortController = new AbortController();
+    const isCancelled = () => abortController.signal.aborted;
+    const finished = new Promise(resolve => { markFinished = resolve; });
+    activeRequests.set(requestId, { ws, userId, abortController, finished });
+    // 缓冲回复分片，断线重连后可通过 { type: 'resume', requestId, lastTokenIndex } 续传
+    responseBufferService.start(requestId, userId, ws);
+
     // 3. 异步获取用户数据
     timer.mark('开始获取用户数据');
     const userDataPromise = userDataService.getUserData(userId);
@@ -235,8 +359,9 @@ exports.sendMessage = async (ws, prompt, images = []) => {
     // 5. 初始化或获取对话历史
     timer.mark('开始初始化对话历史');
     let loadedFromSupabase = false;
+    let historyData = await conversationStore.get(userId);
 
-    if (!chatHistories.has(userId)) {
+    if (!historyData) {
       // 尝试从 userDataService 获取 (本地缓存)
       let savedHistory = [];
       try {
@@ -259,8 +384,8 @@ exports.sendMessage = async (ws, prompt, images = []) => {
         }
       }
 
-      // 初始化内存中的历史记录
-      chatHistories.set(userId, {
+      // 初始化对话状态
+      historyData = {
         messages: [
           {
             role: "system",
@@ -269,61 +394,68 @@ exports.sendMessage = async (ws, prompt, images = []) => {
           ...savedHistory // 恢复历史消息
         ],
         lastAccess: Date.now()
-      });
+      };
       timer.mark('创建新的对话历史', { source: loadedFromSupabase ? 'Supabase' : 'Local/Empty' });
     } else {
       // 更新现有历史中的系统提示词
-      const historyData = chatHistories.get(userId);
-      if (historyData?.messages?.[0]?.role === 'system') {
+      if (historyData.messages?.[0]?.role === 'system') {
         historyData.messages[0].content = enhancedSystemPrompt;
       }
+      historyData.lastAccess = Date.now();
     }
 
-    // 6. 获取当前内存中的历史记录
-    let historyData = chatHistories.get(userId);
-    timer.mark('获取对话历史完成', { messageCount: historyData?.messages?.length });
-
-    // 确保格式正确
-    if (Array.isArray(historyData)) {
-      chatHistories.set(userId, {
-        messages: historyData,
-        lastAccess: Date.now()
-      });
-      historyData = chatHistories.get(userId);
-    } else if (historyData && typeof historyData === 'object') {
-      historyData.lastAccess = Date.now();
-    } else {
-      historyData = {
-        messages: [
-          { role: "system", content: promptService.getSystemPrompt() }
-        ],
-        lastAccess: Date.now()
-      };
-      chatHistories.set(userId, historyData);
+    // 6. 写回对话状态存储
+    if (!Array.isArray(historyData.messages)) {
+      historyData.messages = [
+        { role: "system", content: promptService.getSystemPrompt() }
+      ];
     }
+    await conversationStore.set(userId, historyData);
+    timer.mark('获取对话历史完成', { messageCount: historyData.messages.length });
 
     let history = historyData.messages || [];
 
-    // 7. 添加用户消息（支持 Vision API）
-    const userMessage = buildUserMessage(prompt, images);
-    history.push(userMessage);
-    timer.mark('用户消息添加完成', { hasImages: images.length > 0 });
-
-    // 8. 缓冲用户消息到 Memobase（异步，不阻塞）
-    const textContent = prompt || (images.length > 0 ? `上传了${images.length}张图片咨询` : '');
-    memoryService.processUserMessage(userId, textContent).catch(err => {
-      console.warn('缓冲用户消息到Memobase失败:', err.message);
-    });
+    // 7. 添加用户消息（支持 Vision API）；重新生成时复用历史中的最后一条用户消息
+    if (replayLastUserMessage) {
+      if (history[history.length - 1]?.role !== 'user') {
+        throw new Error('No user message to regenerate');
+      }
+      timer.mark('复用最后一条用户消息');
+    } else {
+      const userMessage = buildUserMessage(prompt, images);
+      userMessage.createdAt = new Date().toISOString(); // 用于重新生成 / 编辑时定位要丢弃的记录
+      history.push(userMessage);
+      timer.mark('用户消息添加完成', { hasImages: images.length > 0 });
+
+      // 8. 缓冲用户消息到 Memobase（异步，不阻塞）
+      const textContent = prompt || (images.length > 0 ? `上传了${images.length}张图片咨询` : '');
+      memoryService.processUserMessage(userId, textContent).catch(err => {
+        console.warn('缓冲用户消息到Memobase失败:', err.message);
+      });
+    }
 
     // 7. 发送初始化消息
-    ws.send(JSON.stringify({
-      type: 'init',
+    ws.send(protocol.encodeFrame(ServerFrame.INIT, {
       userId: userId,
-      requestId: requestId,
       timing: timer.getReport()
-    }));
+    }, requestId));
     timer.mark('初始化消息发送完成');
 
+    if (inHandoff) {
+      await relayToStaff({
+        requestId,
+        timer,
+        userId,
+        prompt,
+        imageCount,
+        imageUrls: uploadedImageUrls.map(image => image.url),
+        history,
+        historyData,
+        crisis
+      });
+      return;
+    }
+
     // ==================================================================================
     // 🧠 主动回忆 (Active Recall) & 🌊 平滑流式输出 (Stream Smoothing)
     // ==================================================================================
@@ -331,52 +463,103 @@ exports.sendMessage = async (ws, prompt, images = []) => {
     // 初始化平滑器
     // 创建一个发送函数，用来封装 ws.send
     let tokenIndex = 0;
+    let sentResponse = ''; // 已实际发送给前端的内容（停止生成时按此保存）
     const sendToWs = (chunk) => {
       tokenIndex++;
-      ws.send(JSON.stringify({
+      sentResponse += chunk;
+      responseBufferService.send(requestId, protocol.createFrame(ServerFrame.CHUNK, {
         data: chunk,
         timing: {
           elapsed: Date.now() - timer.startTime,
           tokenIndex: tokenIndex
         }
-      }));
+      }, requestId));
     };
 
-    const smoother = new StreamSmoother(sendToWs, {
+    // 🔊 语音播报：客户端开启且服务端启用时，逐句合成已输出的文本
+    // 音频帧不进入续传缓冲，直接发往当前连接（断线期间的音频无需补播）
+    if (ws.ttsEnabled || speak) {
+      ttsSession = ttsStreamService.createSession({
+        requestId,
+        signal: abortController.signal,
+        send: (frame) => {
+          const target = responseBufferService.getConnection(requestId) || ws;
+          if (target.readyState === target.OPEN) {
+            target.send(JSON.stringify(frame));
+          }
+        }
+      });
+    }
+
+    const smoother = new StreamSmoother(ttsSession ? (chunk) => {
+      sendToWs(chunk);
+      ttsSession.push(chunk);
+    } : sendToWs, {
       minDelay: 15,
       maxDelay: 40
     });
 
-    // 辅助函数：定义如何清洗文本（去除 Markdown 干扰）
-    // 辅助函数：定义如何清洗文本（不再去除 Markdown，前端已支持）
-    const cleanText = (text) => text;
-
-    // 辅助函数：创建 LLM 流
-    const createStream = async (inputMessages) => {
-      let currentStream;
-      if (useProvider) {
-        const llmProvider = ProviderFactory.getLLMProvider();
-        await llmProvider.initialize();
-        currentStream = await llmProvider.createChatStream(inputMessages, { maxCompletionTokens: 1000 });
-      } else {
-        AzureClientFactory.validateConfig();
-        const client = AzureClientFactory.getClient();
-        currentStream = await client.chat.completions.create({
-          model: AzureClientFactory.getDeploymentName(),
-          messages: inputMessages,
-          stream: true,
-          max_completion_tokens: 2000,
-          stop: null
+    // 🛡️ 回复安全审核：模型输出按句审核后再进入平滑器（未开启时直接输出）
+    const safetyGuard = safetyGuardService.createSession({
+      requestId,
+      userId,
+      onOutput: (text) => smoother.push(text)
+    });
+    const pushOutput = (text) => (safetyGuard ? safetyGuard.push(text) : smoother.push(text));
+
+    if (crisis) {
+      await respondWithCrisisSupport({
+        requestId, timer, userId, prompt, history, historyData, crisis, smoother, ttsSession
+      });
+      return;
+    }
+
+    // 📎 本次回复可引用的资料（知识库段落、检索到的对话记录和记忆）统一编号
+    const citations = new CitationTracker();
+
+    // 🧰 本次请求的工具上下文（工具由 src/tools 注册，预算按请求计算）
+    const toolSession = toolRegistry.createSession({ userId, requestId, citations });
+
+    // 回复的最大 token 数（上下文构建时也据此预留空间）
+    const maxCompletionTokens = ConfigService.getLLMClientConfig().chatMaxTokens;
+
+    // 模型能力：不支持图片时只发送文字（故障转移只会切换到同样支持图片的 Provider）
+    const llmCapabilities = llmService.getCapabilities(llmTask);
+
+    // 故障转移记录（各轮调用中失败或跳过的 Provider）
+    const llmFailovers = [];
+
+    // 辅助函数：创建 LLM 流（带已注册的工具）
+    // 首个 token 前失败时 llmService 会重试并切换到备用 Provider
+    // 工具定义由实际提供回答的 Provider 按自身能力决定是否使用（故障转移后可能与主路由不同）
+    const createStream = async (inputMessages, toolChoice = 'auto') => {
+      const { stream, route, capabilities, failures } = await llmService.streamChat(inputMessages, {
+        task: llmTask,
+        userId,
+        maxTokens: maxCompletionTokens,
+        tools: toolSession.getDefinitions(),
+        toolChoice,
+        signal: abortController.signal
+      });
+
+      const servedBy = route.model ? `${route.type}:${route.model}` : route.type;
+      timer.set('llmProvider', servedBy);
+      if (failures.length > 0) {
+        llmFailovers.push(...failures);
+        timer.set('llmFailovers', llmFailovers);
+        timer.mark('LLM 故障转移', {
+          servedBy,
+          failed: failures.map(item => item.provider).join(','),
+          tools: capabilities.tools
         });
       }
-      return currentStream;
+      return stream;
     };
 
-    // 🕵️ 意图识别 & 主动回忆 (递归版)
-    // 允许 LLM 在一次回复中多次触发搜索 (目前限制为 3 次以防死循环)
+    // 🕵️ 工具调用 (原生函数调用)
+    // LLM 可在回答中途调用记忆检索、项目知识卡片等工具，一次回复中允许多轮调用 (限制为 3 轮以防死循环)
 
     let assistantResponse = '';
-    let searchBuffer = ''; // 用于检测 [SEARCH: ...] 的临时缓冲
 
     // ⏱️ 时间感知计算
     // 计算距离上次会话的时间，并注入到 Prompt 中
@@ -395,7 +578,7 @@ exports.sendMessage = async (ws, prompt, images = []) => {
     try {
       // 尝试从 userDataService 获取最后访问时间
       // 注意：此时 history 已经被更新了当前消息，所以要看更早的时间可能需要查 Supabase 或 user metadata
-      // 简化逻辑：如果在 history 初始化时发现是 loadedFromSupabase，或者 chatHistories 虽然有值但是 lastAccess 很久以前
+      // 简化逻辑：如果在 history 初始化时发现是 loadedFromSupabase，或者对话状态存储虽然有值但是 lastAccess 很久以前
 
       // 我们通过 userDataService 获取的原始 data 来判断
       const userData = await userDataPromise;
@@ -426,321 +609,197 @@ exports.sendMessage = async (ws, prompt, images = []) => {
 
     let messagesForLlm = [...history]; // 浅拷贝
 
+    // 📚 知识库检索：用最近两条用户消息（追问时带上前一句的话题）检索诊所审定的资料
+    const knowledgeQuery = history
+      .filter(m => m.role === 'user')
+      .slice(-2)
+      .map(getMessageText)
+      .join('\n');
+    const knowledgePassages = knowledgeBaseService.search(knowledgeQuery);
+    timer.mark('知识库检索完成', {
+      passages: knowledgePassages.map(passage => `${passage.id}(${passage.score})`).join(',')
+    });
+
     // 如果有时间感知提示，且 history[0] 是 system，则追加提示
     // 或者作为第二条 system 消息插入
     if (messagesForLlm.length > 0 && messagesForLlm[0].role === 'system') {
       // 更新第一条 System Message 的内容 (仅对本次请求生效，不修改 history 对象)
-      // 【修改】同时注入 current time 和 time awareness
+      // 【修改】同时注入 current time、time awareness、滚动压缩产生的前情摘要和知识库资料
       messagesForLlm[0] = {
         ...messagesForLlm[0],
-        content: messagesForLlm[0].content + timeContext + timeAwarenessPrompt
+        content: messagesForLlm[0].content + timeContext + timeAwarenessPrompt +
+          conversationCompactionService.buildSummaryBlock(historyData) +
+          knowledgeBaseService.buildContextBlock(knowledgePassages, citations) +
+          crisisSupportService.buildFollowUpNote(historyData)
       };
     }
 
     // 过滤掉不可接受的 role (防守性编程)
-    messagesForLlm = messagesForLlm.filter(m => m.role === 'system' || m.role === 'user' || m.role === 'assistant');
+    messagesForLlm = messagesForLlm
+      .filter(m => m.role === 'system' || m.role === 'user' || m.role === 'assistant')
+      .map(({ role, content }) => ({ role, content })); // 去掉 interrupted 等本地标记字段
+
+    // 按 token 预算裁剪上下文（预留回复空间，移除旧图片，丢弃最早的轮次）
+    const contextWindow = contextWindowService.buildMessages(messagesForLlm, {
+      model: llmService.getModelName(llmTask),
+      maxCompletionTokens,
+      vision: llmCapabilities.vision
+    });
+    messagesForLlm = contextWindow.messages;
+    timer.mark('上下文构建完成', contextWindow.stats);
 
     // 准备进入循环
     let currentInputMessages = messagesForLlm;
 
-    let searchAttemptCount = 0;
-    const MAX_SEARCH_ATTEMPTS = 3;
+    let toolRound = 0;
+    const MAX_TOOL_ROUNDS = 3;
     let firstTokenReceived = false;
     let tokenCount = 0;
-    let isSearchTriggered = false; // 用于后续判断
 
-    // ♻️ 主循环：处理流和搜索
-    const searchedQueries = new Set(); // 🛡️ 防止重复搜索的集合
+    // ♻️ 主循环：处理流和工具调用
 
-    while (searchAttemptCount < MAX_SEARCH_ATTEMPTS) {
+    while (toolRound < MAX_TOOL_ROUNDS && !isCancelled()) {
       // 记录日志
-      if (searchAttemptCount === 0) {
+      if (toolRound === 0) {
         timer.mark('开始第一次调用LLM');
       } else {
-        console.log(`[${requestId}] 🔄 开始第 ${searchAttemptCount + 1} 轮 LLM 调用 (搜索深度: ${searchAttemptCount})`);
-        timer.mark(`开始第${searchAttemptCount + 1}次调用LLM`);
-        // 确保平滑器恢复 (因为搜索时暂停了)
-        smoother.resume();
+        console.log(`[${requestId}] 🔄 开始第 ${toolRound + 1} 轮 LLM 调用 (工具调用轮次: ${toolRound})`);
+        timer.mark(`开始第${toolRound + 1}次调用LLM`);
       }
 
+      // 最后一轮不再允许调用工具，强制 LLM 直接回答
+      const toolChoice = toolRound === MAX_TOOL_ROUNDS - 1 ? 'none' : 'auto';
+
       // 1. 创建流
       let stream;
       try {
-        stream = await createStream(currentInputMessages);
+        stream = await createStream(currentInputMessages, toolChoice);
       } catch (err) {
+        if (isCancelled()) break;
         console.error(`[${requestId}] 创建LLM流失败:`, err);
-        // 如果是在递归步骤中失败，最好不要让整个请求挂掉，而是结束当前循环
-        if (searchAttemptCount > 0) {
-          smoother.push('\n(连接不稳定，请稍后再试)');
+        // 如果是在工具调用之后失败，最好不要让整个请求挂掉，而是结束当前循环
+        if (toolRound > 0) {
+          pushOutput('\n(连接不稳定，请稍后再试)');
+          assistantResponse += '\n(连接不稳定，请稍后再试)';
           break;
         }
         throw err; // 第一轮就失败则抛出
       }
 
-      // 2. 处理流
-      let foundSearchTagInThisLoop = false;
+      // 2. 处理流：文本直接输出，工具调用增量组装
+      const toolCalls = new ToolCallAssembler();
+      let roundContent = '';
+
+      try {
+        for await (const chunk of stream) {
+          // 停止生成，或安全审核已拦截后续输出
+          if (isCancelled() || safetyGuard?.isBlocked()) break;
 
-      // 每次新流开始，searchBuffer 应该是空的，因为上下文已经更新，LLM 是接着说的
-      // 但要注意：如果上一轮 searchBuffer 里残留了半个 tag (理论上不应该，因为我们只会 break on full tag)，
-      // 这里的逻辑是每次全新的生成。
-      searchBuffer = '';
+          const delta = chunk.choices?.[0]?.delta;
+          if (!delta) continue;
 
-      for await (const chunk of stream) {
-        const content = chunk.choices?.[0]?.delta?.content;
-        if (content === undefined || content === null) continue;
+          if (delta.tool_calls) {
+            toolCalls.push(delta.tool_calls);
+          }
 
-        if (!firstTokenReceived) {
-          firstTokenReceived = true;
-          timer.mark('🎯 首个Token接收 (TTFT)');
-        }
+          const content = delta.content;
+          if (content === undefined || content === null || content === '') continue;
 
-        tokenCount++;
-        assistantResponse += content;
+          if (!firstTokenReceived) {
+            firstTokenReceived = true;
+            timer.mark('🎯 首个Token接收 (TTFT)');
+          }
 
-        // 🕵️ 实时检测 [SEARCH: ...] 标记
-        searchBuffer += content;
+          tokenCount++;
+          roundContent += content;
+          assistantResponse += content;
+          pushOutput(content);
+        } // end for await loop
+      } catch (err) {
+        // 停止生成时 SDK 会抛出中止错误，属于正常结束
+        if (!isCancelled()) throw err;
+      }
 
-        const openBracketIndex = searchBuffer.indexOf('[');
+      // 用户已停止生成或回复已被拦截：丢弃未完成的工具调用
+      if (isCancelled() || safetyGuard?.isBlocked()) break;
 
-        if (openBracketIndex === -1) {
-          // 没有 '['，安全输出
-          // 额外检查：确保不会意外输出 SEARCH 标记
-          if (searchBuffer.toUpperCase().includes('SEARCH')) {
-            console.warn(`⚠️ 警告：尝试输出包含SEARCH的内容: "${searchBuffer}"`);
-          }
-          smoother.push(cleanText(searchBuffer));
-          searchBuffer = '';
-        } else {
-          // 有 '['，可能是 tag
-          // 先把 '[' 之前的内容安全输出
-          if (openBracketIndex > 0) {
-            const safePrefix = searchBuffer.substring(0, openBracketIndex);
-            smoother.push(cleanText(safePrefix));
-            searchBuffer = searchBuffer.substring(openBracketIndex);
-          }
+      // 流自然结束且没有工具调用，说明已经说完了
+      if (!toolCalls.hasCalls()) {
+        break;
+      }
 
-          // 现在 searchBuffer 以 '[' 开头
-          // 检查是否有闭合的 ']'
-          const closeBracketIndex = searchBuffer.indexOf(']');
-
-          if (closeBracketIndex !== -1) {
-            // ✅ 捕获到了完整 tag: [XXXX]
-            const fullTag = searchBuffer.substring(0, closeBracketIndex + 1);
-
-            // 检查是不是 SEARCH 指令
-            if (fullTag.toUpperCase().includes('SEARCH')) {
-              // 【修改】解析 JSON 或 String 参数
-              let queryOrParams = fullTag.replace(/\[SEARCH:?/, '').replace(']', '').trim();
-
-              // 尝试解析 JSON
-              try {
-                // 如果不以 { 开头，说明是旧文本格式，不做处理
-                if (queryOrParams.startsWith('{')) {
-                  queryOrParams = JSON.parse(queryOrParams);
-                  console.log(`🕵️ 捕获到高级搜索指令:`, queryOrParams);
-                } else {
-                  console.log(`🕵️ 捕获到文本搜索指令: "${queryOrParams}"`);
-                }
-              } catch (e) {
-                console.warn(`⚠️ SEARCH 参数不是有效的 JSON，回退为普通文本搜索: ${queryOrParams}`);
-              }
-
-              timer.mark('捕获到搜索指令', { query: JSON.stringify(queryOrParams), depth: searchAttemptCount });
-
-              // ⏸️ 暂停平滑器 (防止用户看到这部分停顿)
-              smoother.pause();
-
-              // 从 assistantResponse 中移除该指令
-              assistantResponse = assistantResponse.replace(fullTag, '');
-
-              // 清理 searchBuffer
-              searchBuffer = searchBuffer.substring(closeBracketIndex + 1);
-
-              // --- 执行异步搜索 ---
-              try {
-                let searchResults = [];
-                // 如果参数是空的，兜底用 prompt
-                const finalParams = queryOrParams || prompt;
-                const queryString = JSON.stringify(finalParams);
-
-                // 🛡️ 重复搜索检测
-                if (searchedQueries.has(queryString)) {
-                  console.warn(`🛑 拦截到重复搜索: ${queryString}, 跳过实际查询`);
-                  searchResults = []; // 既然重复，说明上次也没找到，或者找到了也已经包含了
-                  // 特殊标记，让 Context 反映这是重复操作
-                } else {
-                  searchedQueries.add(queryString);
-                  try {
-                    searchResults = await memoryService.searchEvents(userId, finalParams, 3);
-                  } catch (memobaseError) {
-                    console.error('Memobase/Supabase 搜索失败:', memobaseError.message);
-                    searchResults = [];
-                  }
-                }
-
-                let searchResultContext = '';
-                if (searchResults && searchResults.length > 0) {
-                  console.log(`🔍 搜索完成，找到 ${searchResults.length} 条记录`);
-                  console.log(`🔍 搜索结果详情:`, JSON.stringify(searchResults, null, 2));
-                  searchResultContext = searchResults.map(e => {
-                    const time = e.timestamp ? new Date(e.timestamp).toLocaleDateString() : '未知时间';
-                    return `- [${time}]: ${e.content || e}`;
-                  }).join('\n');
-                  console.log(`🔍 格式化后的搜索上下文:\n${searchResultContext}`);
-                } else {
-                  console.log('🔍 搜索完成，无记录');
-                  searchResultContext = '未找到相关历史记录。（注意：如果这是你刚刚搜索过的词，说明真的没有记录，请不要再次搜索相同的词，直接回答用户。）';
-                }
-
-                // 构建后续 Prompt
-                const alreadySpoken = assistantResponse.trim();
-                // const safeSearchQuery = typeof queryOrParams === 'object' ? JSON.stringify(queryOrParams) : queryOrParams;
-
-                // 🔍 打印第一轮LLM生成的内容，用于调试
-                console.log(`[${requestId}] 📝 第一轮LLM已生成内容: "${alreadySpoken}"`);
-
-                // 🔍 检测是否需要清空第一轮内容
-                let shouldClear = false;
-                let clearReason = '';
-
-                // 策略1: 检测负面判断词
-                const negativePatterns = ['没找到', '没有找到', '查不到', '没有记录', '找不到', '无法找到', '没有相关'];
-                const hasNegativeJudgment = negativePatterns.some(pattern => alreadySpoken.includes(pattern));
-
-                if (hasNegativeJudgment) {
-                  shouldClear = true;
-                  clearReason = '包含负面判断';
-                }
-
-                // 策略2: 当搜索成功找到记录时，如果第一轮是"过渡话"，则清空
-                // 这样可以避免"我来确认一下"这类话影响第二轮的判断
-                const hasSearchResults = searchResults && searchResults.length > 0;
-                const isTransitionalPhrase = alreadySpoken.includes('查') ||
-                  alreadySpoken.includes('确认') ||
-                  alreadySpoken.includes('稍等') ||
-                  alreadySpoken.includes('片刻');
-
-                if (hasSearchResults && isTransitionalPhrase) {
-                  shouldClear = true;
-                  clearReason = '搜索成功且第一轮为过渡话';
-                }
-
-                if (shouldClear) {
-                  console.log(`[${requestId}] ⚠️ 将清空第一轮内容 (原因: ${clearReason})`);
-                  assistantResponse = '';
-                }
-
-                const finalAlreadySpoken = assistantResponse.trim();
-                console.log(`[${requestId}] 📝 最终传给第二轮的内容: "${finalAlreadySpoken}" (已清空: ${shouldClear}, 原因: ${clearReason || '无'})`);
-
-                // 判断是否真的有搜索结果
-                const hasActualResults = !searchResultContext.includes('未找到相关历史记录');
-
-                const followUpSystemPrompt = `${promptService.getSystemPrompt()}
-
-【🔍 搜索结果插播】
-系统已搜索到以下信息：
-${searchResultContext}
-
-**🚨 强制执行指令 - 必须严格遵守！**：
-
-${hasActualResults ? `
-✅ **搜索状态：成功找到记录**
-
-1. **你必须这样回答**：
-   "记得的！昨天你跟我聊过，具体是：[然后逐条列出上面搜索到的对话内容]"
-
-2. **严格禁止**：
-   ❌ 不要说"没有相关记录"
-   ❌ 不要说"没有实质性对话"
-   ❌ 不要说"只是简单问候"
-   ❌ 不要判断对话是否"有意义"
-
-3. **为什么？**
-   - 用户问"昨天聊了什么"，是想知道**所有对话**，不管是问候、闲聊还是咨询
-   - 上面列出的每一条都是**真实发生的对话**，必须如实告知
-   - "还记得我是谁吗"也是对话内容，必须说出来
-
-4. **标准回答模板**：
-   "记得的！昨天咱们聊过。我看了一下记录，您当时[描述搜索到的对话内容]。"
-` : `
-❌ **搜索状态：未找到记录**
-
-回答：
-"抱歉，我查了一下昨天的记录，好像没有找到相关的对话。可能您记错了日期，或者是更早之前聊过的？"
-`}
-
-5. **如何回答**：${finalAlreadySpoken ? `请接着你刚才的话继续说，但要基于上面的搜索结果纠正或补充。` : '请直接基于搜索结果回答。'}
-
-🛑 **严禁再次发起 [SEARCH]！** 所有信息已经在上面了。`;
-
-                // 更新 Messages，准备下一轮递归
-                currentInputMessages = [
-                  { role: 'system', content: followUpSystemPrompt },
-                  ...history.filter(m => m.role !== 'system'),
-                  // 如果已清空alreadySpoken，则不添加assistant消息，让LLM重新开始
-                  ...(finalAlreadySpoken ? [{ role: 'assistant', content: finalAlreadySpoken }] : [])
-                ];
-
-                // 🔍 打印第二轮LLM收到的完整消息
-                console.log(`[${requestId}] 📋 第二轮LLM输入消息总数: ${currentInputMessages.length}`);
-                console.log(`[${requestId}] 📋 第二轮System Prompt (前500字符):\n${followUpSystemPrompt.substring(0, 500)}...`);
-                console.log(`[${requestId}] 📋 第二轮System Prompt包含搜索结果: ${followUpSystemPrompt.includes(searchResultContext)}`);
-                console.log(`[${requestId}] 📋 搜索结果内容长度: ${searchResultContext.length} 字符`);
-
-                foundSearchTagInThisLoop = true;
-                isSearchTriggered = true;
-                searchAttemptCount++;
-                break; // 🚨 跳出 for await (stream)，进入下一次 createStream
-
-              } catch (searchErr) {
-                console.error('❌ 搜索流程异常:', searchErr);
-                // 恢复并继续
-                smoother.resume();
-                searchAttemptCount = MAX_SEARCH_ATTEMPTS;
-                break;
-              }
-
-            } else {
-              // 是 [XXX] 但不是 SEARCH，当作普通文本输出
-              smoother.push(cleanText(fullTag));
-              searchBuffer = searchBuffer.substring(closeBracketIndex + 1);
-            }
-          } else {
-            // 有 '[' 但没有 ']'，继续缓冲
-            // 安全检查：如果缓冲太长，说明可能不是 tag，强制输出以防卡死
-            if (searchBuffer.length > 100) { // 稍微放宽一点，因为 JSON 可能比较长
-              smoother.push(cleanText(searchBuffer));
-              searchBuffer = '';
-            }
-          }
-        }
-      } // end for await loop
+      // 3. 执行工具调用，并把调用与结果回填到消息中
+      const calls = toolCalls.getCalls();
+      timer.mark('捕获到工具调用', {
+        tools: calls.map(call => call.function.name).join(','),
+        round: toolRound
+      });
+
+      const toolMessages = [];
+      for (const call of calls) {
+        const args = ToolCallAssembler.parseArguments(call);
+        console.log(`[${requestId}] 🕵️ 工具调用 ${call.function.name}:`, args);
+
+        const { content: toolContent } = await toolSession.execute(call.function.name, args);
 
-      // stream 结束了
-      if (!foundSearchTagInThisLoop) {
-        // 如果流自然结束且没有 triggers，说明已经说完了
-        break; // 退出 while loop
+        toolMessages.push({
+          role: 'tool',
+          tool_call_id: call.id,
+          content: toolContent
+        });
       }
+      timer.mark('工具调用完成', { count: toolMessages.length });
 
-      // 如果 foundSearchTagInThisLoop 为 true，while 循环会继续，使用新的 messages 再次请求 LLM
-    }
+      currentInputMessages = [
+        ...currentInputMessages,
+        { role: 'assistant', content: roundContent || null, tool_calls: calls },
+        ...toolMessages
+      ];
 
-    // 循环结束后，处理剩余的 searchBuffer
-    if (searchBuffer) {
-      smoother.push(cleanText(searchBuffer));
+      toolRound++;
     }
 
-    // 💡 确保所有内容都输出 (等待平滑器跑完)
-    await smoother.flush();
+
+    const cancelled = isCancelled();
+    if (cancelled) {
+      // 停止生成：丢弃尚未输出的缓冲，只保留用户已经看到的部分
+      safetyGuard?.clear();
+      smoother.clear();
+      assistantResponse = sentResponse;
+      timer.mark('用户停止生成', { sentLength: sentResponse.length });
+      console.log(`[${requestId}] ⏹️ 用户停止生成，已输出 ${sentResponse.length} 字`);
+    } else {
+      if (safetyGuard) {
+        // 回复以审核后实际输出的内容为准（改写、拦截、免责声明）
+        assistantResponse = await safetyGuard.finish();
+        if (safetyGuard.interventions.length > 0) {
+          timer.mark('回复安全审核干预', {
+            interventions: safetyGuard.interventions.map(event => `${event.ruleId}:${event.action}`).join(',')
+          });
+        }
+      }
+      await smoother.flush();
+      // 不等待播报完成，完成消息照常发送
+      ttsSession?.finish();
+    }
 
     timer.mark('流式响应处理完成', {
       totalTokens: tokenCount,
       responseLength: assistantResponse.length
     });
 
-    // 10. 保存助手响应
-    history.push({ role: "assistant", content: assistantResponse });
+    // 10. 保存助手响应（被中断的回复会标记出来，便于后续对话理解上下文）
+    const assistantCreatedAt = new Date().toISOString();
+    if (cancelled) {
+      history.push({
+        role: "assistant",
+        content: `${assistantResponse}${INTERRUPTED_REPLY_MARK}`,
+        interrupted: true,
+        createdAt: assistantCreatedAt
+      });
+    } else {
+      history.push({ role: "assistant", content: assistantResponse, createdAt: assistantCreatedAt });
+    }
 
     // 10.5 保存图片信息到 Supabase（如果有图片）
     if (uploadedImageUrls.length > 0 && supabaseService.isAvailable()) {
@@ -790,15 +849,9 @@ ${hasActualResults ? `
       });
     }
 
-    // 12. 限制历史长度
-    if (history.length > 31) {
-      const systemMessage = history.find(msg => msg.role === 'system');
-      const recentHistory = history.slice(-30);
-      history = systemMessage ? [systemMessage, ...recentHistory] : recentHistory;
-
-      historyData.messages = history;
-      timer.mark('历史记录裁剪完成');
-    }
+    // 12. 保存对话状态（供下一轮、其他实例和重启后使用）
+    historyData.lastAccess = Date.now();
+    await conversationStore.set(userId, historyData);
 
     // 12. 异步保存历史
     userDataService.updateChatHistory(userId, history)
@@ -808,20 +861,29 @@ ${hasActualResults ? `
         timer.mark('历史记录持久化失败', { error: error.message });
       });
 
-    // 13. 获取建议问题
-    timer.mark('开始获取建议问题');
-    const suggestions = await suggestionService.generateSuggestions(
-      history,
-      assistantResponse
-    );
-    timer.mark('建议问题获取完成', { suggestionCount: suggestions.length });
+    // 13. 获取建议问题（停止生成时跳过）
+    let suggestions = [];
+    if (!cancelled) {
+      timer.mark('开始获取建议问题');
+      suggestions = await suggestionService.generateSuggestions(
+        history,
+        assistantResponse,
+        userId
+      );
+      timer.mark('建议问题获取完成', { suggestionCount: suggestions.length });
+    }
 
-    // 14. 发送完成消息
-    ws.send(JSON.stringify({
+    // 回复中标注引用的资料，随完成消息返回（前端渲染脚注）
+    const cited = citations.getCited(assistantResponse);
+
+    // 14. 发送完成消息（同样缓冲，断线期间完成的回复重连后仍能收到）
+    responseBufferService.finish(requestId, protocol.createFrame(ServerFrame.DONE, {
       done: true,
+      ...(cancelled ? { cancelled: true } : {}),
       suggestions: suggestions,
+      ...(cited.length > 0 ? { citations: cited } : {}),
       timing: timer.getReport()
-    }));
+    }, requestId));
 
     // 最终报告
     const report = timer.getReport();
@@ -830,17 +892,302 @@ ${hasActualResults ? `
     console.log(`总耗时: ${report.totalTime}ms`);
     console.log(`TTFT: ${report.marks.find(m => m.label.includes('TTFT'))?.elapsed || 'N/A'}ms`);
     console.log(`Token数: ${tokenCount}`);
+    console.log(`LLM: ${report.llmProvider}${report.llmFailovers ? ` (故障转移: ${report.llmFailovers.map(item => item.provider).join(', ')})` : ''}`);
     console.log(`${'='.repeat(60)}\n`);
 
     // 记录用户活动（用于空闲检测兜底）
     memoryService.recordUserActivity(userId, history);
 
+    // 15. 滚动压缩：超出窗口的旧对话合并进前情摘要（请求结束后在后台执行，见 finally）
+    compactConversation = () => conversationCompactionService.compact(userId, historyData, {
+      minDropCount: contextWindow.stats.droppedMessages
+    });
+
   } catch (error) {
     timer.mark('错误发生', { error: error.message });
     console.error('处理消息时出错:', error);
+    ttsSession?.cancel();
+
+    // 续传后错误需要发到新连接
+    ErrorHandler.handleWebSocketError(responseBufferService.getConnection(requestId) || ws, error, 'Chat', requestId);
+    responseBufferService.discard(requestId);
+  } finally {
+    activeRequests.delete(requestId);
+    if (markFinished) markFinished();
+  }
+
+  // 生成摘要需要再调用一次大模型，不占用进行中的请求（打断、重新生成无需等待）
+  if (compactConversation) {
+    compactConversation().catch(error => {
+      console.error(`[${requestId}] ⚠️ 滚动压缩失败:`, error.message);
+    });
+  }
+};
+
+/**
+ * 停止生成
+ * 中止对应请求的 LLM 流，sendMessage 会保存已输出的部分并发送 { done, cancelled }
+ * @param {WebSocket} ws - WebSocket连接
+ * @param {Object} data - { requestId }（init 消息中返回的 requestId）
+ */
+exports.cancelMessage = (ws, data = {}) => {
+  const { requestId } = data;
+  const request = activeRequests.get(requestId);
+
+  if (!request || request.userId !== ws.userId) {
+    console.warn(`⚠️ 停止生成失败：请求 ${requestId} 不存在或已完成`);
+    return false;
+  }
+
+  if (!request.abortController.signal.aborted) {
+    console.log(`[${requestId}] ⏹️ 收到停止生成请求`);
+    request.abortController.abort();
+  }
+  return true;
+};
+
+/**
+ * 停止用户所有进行中的回复，并等待它们保存完毕
+ * 免提对话中用户插话时使用，保证被打断的回复先写入历史，再处理新的一句
+ * @param {string} userId - 用户ID
+ * @returns {Promise<void>}
+ */
+const interruptActiveReplies = async (userId) => {
+  const pending = [];
+  for (const [requestId, request] of activeRequests.entries()) {
+    if (request.userId !== userId) continue;
+    if (!request.abortController.signal.aborted) {
+      console.log(`[${requestId}] 🗣️ 用户插话，停止当前回复`);
+      request.abortController.abort();
+    }
+    pending.push(request.finished);
+  }
+  await Promise.all(pending);
+};
+
+/**
+ * 断线重连后续传回复
+ * 补发 lastTokenIndex 之后的分片，回复已结束时同时补发完成消息
+ * @param {WebSocket} ws - 重连后的连接
+ * @param {Object} data - { requestId, lastTokenIndex }
+ */
+exports.resumeMessage = (ws, data = {}) => {
+  const { requestId } = data;
+  const lastTokenIndex = Number(data.lastTokenIndex) || 0;
+  const result = responseBufferService.resume(ws, requestId, lastTokenIndex);
+
+  if (!result.resumed) {
+    console.warn(`⚠️ 续传失败：请求 ${requestId} ${result.reason}`);
+    ws.send(protocol.encodeFrame(ServerFrame.RESUME_FAILED, {
+      reason: result.reason
+    }, requestId));
+    return false;
+  }
+
+  console.log(`[${requestId}] 🔁 续传回复：补发 ${result.replayed} 个分片${result.finished ? '，回复已完成' : ''}`);
+  return true;
+};
+
+// ==================== 重新生成 / 编辑上一条 ====================
+
+/**
+ * 用户是否有进行中的回复
+ */
+const hasActiveRequest = (userId) => {
+  for (const request of activeRequests.values()) {
+    if (request.userId === userId) return true;
+  }
+  return false;
+};
+
+/**
+ * 提取消息中的文本（Vision 消息只取文字部分）
+ */
+const getMessageText = (message) => {
+  if (typeof message.content === 'string') return message.content;
+  if (Array.isArray(message.content)) {
+    return message.content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+  }
+  return '';
+};
+
+/**
+ * 读取可修改的对话状态，有进行中的回复或没有历史时返回 null 并通知前端
+ */
+const getEditableConversation = async (ws, userId, action) => {
+  if (handoffService.isActive(userId)) {
+    ws.send(protocol.encodeFrame(ServerFrame.ERROR, { error: `${action}失败`, details: '人工顾问服务中，请直接发送消息' }));
+    return null;
+  }
+  if (hasActiveRequest(userId)) {
+    ws.send(protocol.encodeFrame(ServerFrame.ERROR, { error: `${action}失败`, details: '请等待当前回复完成或先停止生成' }));
+    return null;
+  }
+
+  const conversation = await conversationStore.get(userId);
+  if (!conversation?.messages?.some(msg => msg.role === 'user')) {
+    ws.send(protocol.encodeFrame(ServerFrame.ERROR, { error: `${action}失败`, details: '没有可以修改的对话' }));
+    return null;
+  }
+  return conversation;
+};
+
+/**
+ * 重新生成最后一条回复
+ * 丢弃最后一条助手消息（对话状态、Supabase 记录、Memobase 缓冲），再为最后一条用户消息生成新回复
+ * @param {WebSocket} ws - WebSocket连接
+ */
+exports.regenerateLastReply = async (ws) => {
+  const userId = getUserId(ws);
+  const conversation = await getEditableConversation(ws, userId, '重新生成');
+  if (!conversation) return;
+
+  const { messages } = conversation;
+  const lastMessage = messages[messages.length - 1];
+
+  // 上一次回复失败时最后一条就是用户消息，直接重新生成即可
+  if (lastMessage.role === 'assistant') {
+    messages.pop();
+    await memoryService.discardRecentMessages(userId, {
+      since: lastMessage.createdAt || null,
+      messageCount: 1
+    });
+  }
+
+  const userMessage = messages[messages.length - 1];
+  if (userMessage?.role !== 'user') {
+    ws.send(protocol.encodeFrame(ServerFrame.ERROR, { error: '重新生成失败', details: '没有可以重新生成的回复' }));
+    return;
+  }
+
+  await conversationStore.set(userId, conversation);
+  console.log(`🔄 用户 ${userId} 重新生成最后一条回复`);
+
+  await exports.sendMessage(ws, getMessageText(userMessage), [], { replayMessage: userMessage });
+};
+
+/**
+ * 编辑最后一条用户消息并重新发送
+ * 丢弃最后一条用户消息及其回复，再以新内容正常发送
+ * @param {WebSocket} ws - WebSocket连接
+ * @param {string} prompt - 修改后的内容（已清理）
+ */
+exports.editLastMessage = async (ws, prompt) => {
+  const userId = getUserId(ws);
+  const conversation = await getEditableConversation(ws, userId, '编辑');
+  if (!conversation) return;
+
+  const { messages } = conversation;
+  let lastUserIndex = messages.length - 1;
+  while (lastUserIndex > 0 && messages[lastUserIndex].role !== 'user') {
+    lastUserIndex--;
+  }
+
+  const removed = messages.splice(lastUserIndex);
+  await memoryService.discardRecentMessages(userId, {
+    since: removed[0].createdAt || null,
+    messageCount: removed.length
+  });
+
+  await conversationStore.set(userId, conversation);
+  console.log(`✏️ 用户 ${userId} 编辑最后一条消息，丢弃 ${removed.length} 条旧消息`);
+
+  await exports.sendMessage(ws, prompt, []);
+};
+
+// ==================== 人工接管 ====================
+
+/**
+ * 用户请求转人工
+ * @param {WebSocket} ws - WebSocket连接
+ * @param {Object} data - { reason }
+ */
+exports.requestHandoff = async (ws, data = {}) => {
+  const userId = getUserId(ws);
+  try {
+    await handoffService.request(userId, { requestedBy: 'user', reason: data.reason || null });
+  } catch (error) {
+    console.warn(`⚠️ 用户 ${userId} 转人工失败:`, error.message);
+    ws.send(protocol.encodeFrame(ServerFrame.ERROR, { error: '转人工失败', details: '暂不支持人工服务' }));
+  }
+};
+
+/**
+ * 用户结束人工服务（等待中取消或已接入时结束），之后的消息由 AI 回复
+ * @param {WebSocket} ws - WebSocket连接
+ */
+exports.endHandoff = (ws) => {
+  const userId = getUserId(ws);
+  if (!handoffService.release(userId, { endedBy: 'user' })) {
+    console.warn(`⚠️ 用户 ${userId} 不在人工服务中`);
+  }
+};
+
+/**
+ * 人工顾问回复：按与模型回复相同的 init / chunk / done 帧流式发给用户，并写入对话历史
+ * 用户不在线时只保存（回复同样进入续传缓冲）
+ * @param {Object} reply - { userId, staffName, text }
+ * @returns {Promise<{requestId: string, delivered: boolean}>}
+ */
+exports.deliverStaffReply = async ({ userId, staffName, text }) => {
+  const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const timer = new PerformanceTimer(requestId);
+  const ws = handoffService.getUserConnection(userId);
 
-    ErrorHandler.handleWebSocketError(ws, error, 'Chat');
+  responseBufferService.start(requestId, userId, ws);
+  if (ws) {
+    ws.send(protocol.encodeFrame(ServerFrame.INIT, {
+      userId,
+      timing: timer.getReport()
+    }, requestId));
   }
+
+  let tokenIndex = 0;
+  const smoother = new StreamSmoother((chunk) => {
+    tokenIndex++;
+    responseBufferService.send(requestId, protocol.createFrame(ServerFrame.CHUNK, {
+      data: chunk,
+      timing: {
+        elapsed: Date.now() - timer.startTime,
+        tokenIndex
+      }
+    }, requestId));
+  }, {
+    minDelay: 15,
+    maxDelay: 40
+  });
+  smoother.push(text);
+  await smoother.flush();
+
+  // 写入对话历史（staff 标记回复来自人工顾问，交回 AI 后模型可以看到这段对话）
+  const conversation = await conversationStore.get(userId) || {
+    messages: [{ role: "system", content: promptService.getSystemPrompt() }]
+  };
+  conversation.messages.push({
+    role: "assistant",
+    content: text,
+    staff: staffName,
+    createdAt: new Date().toISOString()
+  });
+  conversation.lastAccess = Date.now();
+  await conversationStore.set(userId, conversation);
+
+  userDataService.updateChatHistory(userId, conversation.messages).catch(error => {
+    console.error('保存历史失败:', error);
+  });
+  memoryService.processAssistantMessage(userId, text).catch(err => {
+    console.warn('缓冲人工回复到Memobase失败:', err.message);
+  });
+
+  responseBufferService.finish(requestId, protocol.createFrame(ServerFrame.DONE, {
+    done: true,
+    suggestions: [],
+    staff: { name: staffName },
+    timing: timer.getReport()
+  }, requestId));
+
+  console.log(`[${requestId}] 🧑‍⚕️ ${staffName} 回复用户 ${userId}（${text.length} 字${ws ? '' : '，用户不在线'}）`);
+  return { requestId, delivered: !!ws };
 };
 
 // 其他导出函数保持不变
@@ -858,8 +1205,8 @@ exports.sendGreeting = async (ws, userInfo = {}) => {
     const greeting = await greetingService.generateGreeting(userData, userId);
     timer.mark('问候语生成完成');
 
-    ws.send(JSON.stringify({
-      greeting,
+    ws.send(protocol.encodeFrame(ServerFrame.GREETING, {
+      data: greeting,
       userInfo: userData?.userInfo || {},
       timing: timer.getReport()
     }));
@@ -867,15 +1214,15 @@ exports.sendGreeting = async (ws, userInfo = {}) => {
     const suggestions = await suggestionService.getInitialSuggestions();
     timer.mark('初始建议获取完成');
 
-    ws.send(JSON.stringify({
+    ws.send(protocol.encodeFrame(ServerFrame.SUGGESTIONS, {
       suggestions,
       timing: timer.getReport()
     }));
 
   } catch (error) {
     console.error('生成问候语失败:', error);
-    ws.send(JSON.stringify({
-      greeting: "您好！我是杨院长，很高兴为您提供专业的整形美容咨询服务。请问有什么可以帮助您的？",
+    ws.send(protocol.encodeFrame(ServerFrame.GREETING, {
+      data: "您好！我是杨院长，很高兴为您提供专业的整形美容咨询服务。请问有什么可以帮助您的？",
       timing: timer.getReport()
     }));
   }
@@ -888,6 +1235,9 @@ exports.handleConnection = async (ws) => {
   const userId = ws.userId;
   if (!userId) return;
 
+  // 人工服务中重连时补发接管状态，工作人员的回复发往最新的连接
+  handoffService.attachUser(ws);
+
   // 通知 memoryService 用户已连接
   try {
     await memoryService.onUserConnect(userId, {
@@ -904,8 +1254,19 @@ exports.handleDisconnect = async (ws) => {
   const userId = ws.userId;
   if (!userId) return;
 
+  handoffService.detachUser(ws);
+
+  // 取消该连接上未结束的流式语音识别会话
+  for (const [sessionId, session] of speechSessions.entries()) {
+    if (session.ws === ws) {
+      cancelSpeechSession(sessionId).catch(err => {
+        console.warn(`取消语音会话 ${sessionId} 失败:`, err.message);
+      });
+    }
+  }
+
   // 获取会话消息（用于生成会话摘要）
-  const history = chatHistories.get(userId);
+  const history = await conversationStore.get(userId);
   const messages = history?.messages || null;
 
   // 通知 memoryService 用户已断开（会刷新 Memobase 缓冲 + 生成会话摘要）
@@ -914,4 +1275,409 @@ exports.handleDisconnect = async (ws) => {
   } catch (err) {
     console.warn('用户断开连接清理失败', err.message);
   }
-};
\ No newline at end of file
+};
+
+// ==================== 流式语音识别 ====================
+
+// sessionId -> { ws, userId, mode, useProvider, provider, vad, segments, lastPartialText, finished, ending,
+//               onSettled, turnSegments, turnTimer, bargedIn }
+const speechSessions = new Map();
+
+// 结束识别后等待云端返回最终结果的最长时间
+const SPEECH_FINAL_RESULT_TIMEOUT = 3000;
+
+// 免提对话：识别服务判定一句话结束所需的静音时长
+const VOICE_END_WINDOW = 800;
+// 免提对话：一句话结束后稍等片刻再提交，合并紧接着的下一句
+const VOICE_TURN_DEBOUNCE = 400;
+// 插话判定：识别出的文字达到该长度才打断回复，避免咳嗽、杂音误触发
+const BARGE_IN_MIN_CHARS = 2;
+
+/**
+ * 发送识别结果到前端（与 speechService.sendSpeechResult 格式一致）
+ */
+const sendSpeechResult = (ws, sessionId, resultType, text, error = null) => {
+  if (ws.readyState !== ws.OPEN) return;
+
+  const result = {
+    sessionId,
+    resultType,
+    text: text || '',
+    timestamp: Date.now()
+  };
+  if (error) {
+    result.error = error;
+  }
+
+  ws.send(protocol.encodeFrame(ServerFrame.SPEECH_RESULT, result));
+};
+
+/**
+ * 获取并校验属于当前连接的语音会话
+ */
+const getOwnedSpeechSession = (ws, sessionId) => {
+  const session = speechSessions.get(sessionId);
+  if (!session) return null;
+
+  if (session.userId !== ws.userId) {
+    console.warn(`⚠️ [${sessionId}] 用户 ${ws.userId} 尝试访问不属于自己的语音会话`);
+    return null;
+  }
+  return session;
+};
+
+/**
+ * 将最终识别文本作为用户消息发送给 LLM
+ * 走与文本消息相同的校验、限流与清理流程
+ */
+const submitSpeechTranscript = async (ws, sessionId, text, options = {}) => {
+  const transcript = (text || '').trim();
+  if (!transcript) {
+    console.log(`⚠️ [${sessionId}] 识别结果为空，不发送消息`);
+    return;
+  }
+
+  const inputValidation = SecurityMiddleware.validateInput(transcript);
+  if (!inputValidation.valid) {
+    ws.send(protocol.encodeFrame(ServerFrame.ERROR, { error: inputValidation.error, details: transcript }));
+    return;
+  }
+
+  if (!SecurityMiddleware.checkRateLimit(ws.userId, 60000, 30)) {
+    ws.send(protocol.encodeFrame(ServerFrame.ERROR, {
+      error: '发送太频繁，请稍后再试',
+      details: '每分钟最多30条消息'
+    }));
+    return;
+  }
+
+  // 通知前端显示语音消息气泡和加载状态
+  ws.send(protocol.encodeFrame(ServerFrame.VOICE_MESSAGE_DISPLAY, {
+    sessionId,
+    text: transcript
+  }));
+
+  const sanitizedPrompt = SecurityMiddleware.sanitizeMedicalContent(transcript);
+  await exports.sendMessage(ws, sanitizedPrompt, [], options);
+};
+
+// ==================== 免提对话 ====================
+// 会话持续收音：识别服务判定一句话结束后自动提交为用户消息，回复以语音播报；
+// 用户在回复或播报过程中开口即视为插话，停止当前回复并通知前端停止播放
+
+/**
+ * 免提对话中收到实时识别结果
+ */
+const handleConversationPartial = (session, sessionId, text) => {
+  // 用户接着说话，推迟提交，等这句说完一起发送
+  if (session.turnTimer) {
+    clearTimeout(session.turnTimer);
+    session.turnTimer = null;
+  }
+
+  if (session.bargedIn || (text || '').trim().length < BARGE_IN_MIN_CHARS) return;
+  session.bargedIn = true;
+
+  interruptActiveReplies(session.userId).catch(err => {
+    console.warn(`⚠️ [${sessionId}] 停止当前回复失败:`, err.message);
+  });
+  if (session.ws.readyState === session.ws.OPEN) {
+    session.ws.send(protocol.encodeFrame(ServerFrame.VOICE_INTERRUPT, { sessionId }));
+  }
+};
+
+/**
+ * 免提对话中识别服务判定一句话结束
+ */
+const handleConversationUtterance = (session, sessionId, text) => {
+  session.turnSegments.push(text.trim());
+  if (session.turnTimer) {
+    clearTimeout(session.turnTimer);
+  }
+  session.turnTimer = setTimeout(() => {
+    submitConversationTurn(session, sessionId).catch(err => {
+      console.error(`❌ [${sessionId}] 发送语音消息失败:`, err);
+      ErrorHandler.handleWebSocketError(session.ws, err, 'Speech');
+    });
+  }, VOICE_TURN_DEBOUNCE);
+};
+
+/**
+ * 提交免提对话中的一轮发言
+ */
+const submitConversationTurn = async (session, sessionId) => {
+  if (session.turnTimer) {
+    clearTimeout(session.turnTimer);
+    session.turnTimer = null;
+  }
+
+  const transcript = session.turnSegments.join('');
+  session.turnSegments = [];
+  session.bargedIn = false;
+  if (!transcript) return;
+
+  console.log(`📝 [${sessionId}] 免提对话识别结果: ${transcript}`);
+  sendSpeechResult(session.ws, sessionId, 'final', transcript);
+
+  // 上一条回复可能仍在生成（插话时已停止），等它保存后再发送
+  await interruptActiveReplies(session.userId);
+  await submitSpeechTranscript(session.ws, sessionId, transcript, { speak: true });
+};
+
+/**
+ * 汇总 Provider 会话的识别文本：优先使用已确定的分句，否则使用最后的部分结果
+ */
+const collectSpeechTranscript = (session) => {
+  if (session.segments.size > 0) {
+    return [...session.segments.values()].join('');
+  }
+  return (session.lastPartialText || '').trim();
+};
+
+const cancelSpeechSession = async (sessionId) => {
+  const session = speechSessions.get(sessionId);
+  if (!session) return;
+
+  if (session.turnTimer) {
+    clearTimeout(session.turnTimer);
+    session.turnTimer = null;
+  }
+  session.finished = true;
+  speechSessions.delete(sessionId);
+
+  if (session.useProvider) {
+    await session.provider.cancelStreamingRecognition(sessionId);
+  } else {
+    await speechService.cancelStreamingRecognition(sessionId);
+  }
+};
+
+exports.handleStreamingSpeechStart = async (ws, data) => {
+  const userId = getUserId(ws);
+  const { sessionId } = data;
+  const config = data.config || {};
+
+  if (!sessionId || typeof sessionId !== 'string') {
+    throw new Error('speech_start 缺少 sessionId');
+  }
+
+  if (speechSessions.has(sessionId)) {
+    console.warn(`⚠️ [${sessionId}] 语音会话已存在，先取消旧会话`);
+    await cancelSpeechSession(sessionId);
+  }
+
+  const useProvider = ConfigService.isProviderEnabled();
+  const mode = config.mode === SpeechMode.CONVERSATION ? SpeechMode.CONVERSATION : SpeechMode.PUSH_TO_TALK;
+  const isConversation = mode === SpeechMode.CONVERSATION;
+  const session = {
+    ws,
+    userId,
+    mode,
+    useProvider,
+    provider: null,
+    vad: null,
+    segments: new Map(),
+    lastPartialText: '',
+    finished: false,
+    ending: false,
+    onSettled: null,
+    // 免提对话：当前这轮已确定的分句、等待提交的定时器、本轮是否已插话
+    turnSegments: [],
+    turnTimer: null,
+    bargedIn: false
+  };
+  speechSessions.set(sessionId, session);
+
+  const recognitionConfig = isConversation
+    ? { ...config, endWindowSize: VOICE_END_WINDOW }
+    : config;
+
+  // 🔇 语音活动检测：裁掉静音再转发；免提对话靠 ASR 的静音判定分句，句尾静音要留够且不自动结束
+  const vadConfig = ConfigService.getVADConfig();
+  if (vadConfig.enabled) {
+    session.vad = new VoiceActivityDetector({
+      sampleRate: config.sampleRate || 16000,
+      threshold: vadConfig.threshold,
+      hangoverMs: isConversation ? VOICE_END_WINDOW + 200 : vadConfig.hangoverMs,
+      endSilenceMs: isConversation ? 0 : vadConfig.endSilenceMs
+    });
+  }
+
+  try {
+    if (!useProvider) {
+      // 旧路径：speechService 自行向前端推送 partial/final 结果
+      await speechService.startStreamingRecognition(ws, sessionId, recognitionConfig, {
+        onPartial: (text) => {
+          if (isConversation && !session.finished) {
+            handleConversationPartial(session, sessionId, text);
+          }
+        },
+        onUtterance: (text) => {
+          if (isConversation && !session.finished) {
+            handleConversationUtterance(session, sessionId, text);
+          }
+        },
+        onFinal: (text) => {
+          // 免提对话的每句话已单独提交
+          if (isConversation) return;
+          submitSpeechTranscript(ws, sessionId, text).catch(err => {
+            console.error(`❌ [${sessionId}] 发送语音消息失败:`, err);
+            ErrorHandler.handleWebSocketError(ws, err, 'Speech');
+          });
+        }
+      });
+      return;
+    }
+
+    const provider = ProviderFactory.getASRProvider();
+    await provider.initialize();
+    session.provider = provider;
+
+    await provider.startStreamingRecognition(sessionId, {
+      ...recognitionConfig,
+      onResult: (result) => {
+        if (session.finished || !result.text) return;
+        session.lastPartialText = result.text;
+        sendSpeechResult(ws, sessionId, 'partial', result.text);
+        if (isConversation) {
+          handleConversationPartial(session, sessionId, result.text);
+        }
+      },
+      onFinal: (result) => {
+        if (session.finished || !result.text || !result.text.trim()) return;
+        // 火山引擎 full 模式会重复返回已确定的分句，按起始时间去重
+        const key = result.startTime !== undefined ? result.startTime : session.segments.size;
+        if (session.segments.has(key)) return;
+        session.segments.set(key, result.text.trim());
+        if (isConversation) {
+          handleConversationUtterance(session, sessionId, result.text);
+        }
+      },
+      onError: (error) => {
+        console.error(`❌ [${sessionId}] 语音识别错误:`, error.message);
+        if (session.finished) return;
+        session.finished = true;
+        speechSessions.delete(sessionId);
+        sendSpeechResult(ws, sessionId, 'error', '', error.message || '识别服务错误');
+      },
+      onStateChange: (state) => {
+        if ((state === 'stopped' || state === 'closed') && session.onSettled) {
+          session.onSettled();
+        }
+      }
+    }, ws);
+
+    console.log(`✅ [${sessionId}] ${provider.getName()} 流式识别已启动${isConversation ? '（免提对话）' : ''}`);
+  } catch (error) {
+    speechSessions.delete(sessionId);
+    sendSpeechResult(ws, sessionId, 'error', '', error.message || '启动识别失败');
+    throw error;
+  }
+};
+
+/**
+ * 把音频帧转发给识别服务
+ */
+const forwardAudioFrame = async (session, sessionId, audioBuffer) => {
+  if (session.useProvider) {
+    await session.provider.processAudioFrame(sessionId, audioBuffer);
+  } else {
+    await speechService.processAudioFrame(sessionId, audioBuffer);
+  }
+};
+
+exports.handleStreamingSpeechFrame = async (ws, data) => {
+  const { sessionId, audio } = data;
+  const session = getOwnedSpeechSession(ws, sessionId);
+  if (!session || session.finished || session.ending || !audio) return;
+
+  const audioBuffer = Buffer.from(audio, 'base64');
+
+  if (!session.vad) {
+    await forwardAudioFrame(session, sessionId, audioBuffer);
+    return;
+  }
+
+  const { frames, events, endOfSpeech } = session.vad.process(audioBuffer);
+  if (ws.readyState === ws.OPEN) {
+    for (const event of events) {
+      ws.send(protocol.encodeFrame(ServerFrame.SPEECH_ACTIVITY, {
+        sessionId,
+        speaking: event === 'speech_start'
+      }));
+    }
+  }
+  for (const frame of frames) {
+    await forwardAudioFrame(session, sessionId, frame);
+  }
+
+  // 说完后静音足够长：服务端直接结束识别，前端收到后停止录音
+  if (endOfSpeech && ws.readyState === ws.OPEN) {
+    console.log(`🔇 [${sessionId}] 检测到说话结束，自动结束识别`);
+    ws.send(protocol.encodeFrame(ServerFrame.SPEECH_ACTIVITY, {
+      sessionId,
+      speaking: false,
+      autoEnd: true
+    }));
+    await exports.handleStreamingSpeechEnd(ws, { sessionId });
+  }
+};
+
+exports.handleStreamingSpeechEnd = async (ws, data) => {
+  const { sessionId } = data;
+  const session = getOwnedSpeechSession(ws, sessionId);
+  // 已由语音活动检测自动结束时，忽略前端随后发来的 speech_end
+  if (!session || session.finished || session.ending) return;
+  session.ending = true;
+
+  if (session.mode === SpeechMode.CONVERSATION) {
+    // 结束免提对话：已说完的一句照常提交，未说完的部分丢弃
+    const hasPendingTurn = session.turnSegments.length > 0;
+    await cancelSpeechSession(sessionId);
+    if (hasPendingTurn) {
+      await submitConversationTurn(session, sessionId);
+    }
+    return;
+  }
+
+  if (!session.useProvider) {
+    // 最终结果由 speechService 回调 onFinal 处理
+    session.finished = true;
+    speechSessions.delete(sessionId);
+    await speechService.endStreamingRecognition(sessionId);
+    return;
+  }
+
+  // 等待 Provider 会话结束（或超时），确保最后的分句已返回
+  const settled = new Promise(resolve => {
+    session.onSettled = resolve;
+    setTimeout(resolve, SPEECH_FINAL_RESULT_TIMEOUT);
+  });
+
+  await session.provider.endStreamingRecognition(sessionId);
+  await settled;
+
+  if (session.finished) return; // 等待期间出错或被取消
+  session.finished = true;
+  speechSessions.delete(sessionId);
+
+  const transcript = collectSpeechTranscript(session);
+  if (!transcript) {
+    console.log(`⚠️ [${sessionId}] 没有识别到任何内容`);
+    sendSpeechResult(ws, sessionId, 'error', '', '没有识别到语音内容');
+    return;
+  }
+
+  console.log(`📝 [${sessionId}] 最终识别结果: ${transcript}`);
+  sendSpeechResult(ws, sessionId, 'final', transcript);
+  await submitSpeechTranscript(ws, sessionId, transcript);
+};
+
+exports.handleStreamingSpeechCancel = async (ws, data) => {
+  const { sessionId } = data;
+  const session = getOwnedSpeechSession(ws, sessionId);
+  if (!session) return;
+
+  await cancelSpeechSession(sessionId);
+  sendSpeechResult(ws, sessionId, 'canceled', '');
+};
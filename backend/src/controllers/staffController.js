@@ -0,0 +1,133 @@
+/**
+ * 工作人员控制台（人工接管）
+ * 处理 HANDOFF_STAFF_PATH 上的 WebSocket 连接，协议见 protocol/staff.js
+ */
+const handoffService = require('../services/handoffService');
+const heartbeatService = require('../services/heartbeatService');
+const adminAuditService = require('../services/adminAuditService');
+const chatController = require('./chatController');
+const AuthMiddleware = require('../middleware/auth');
+const ConfigService = require('../services/ConfigService');
+const {
+  StaffFrame,
+  StaffMessage,
+  StaffErrorCode,
+  validateStaffMessage,
+  encodeStaffFrame
+} = require('../protocol/staff');
+
+/**
+ * 控制台连接建立：认证后登记为在线工作人员
+ * @param {WebSocket} ws - 控制台连接
+ * @param {IncomingMessage} req - 升级请求
+ */
+exports.handleConnection = async (ws, req) => {
+  if (!ConfigService.getHandoffConfig().enabled) {
+    ws.close(1008, 'Human handoff is not enabled');
+    return;
+  }
+
+  const staffName = AuthMiddleware.authenticateStaffWebSocket(req);
+  if (!staffName) {
+    console.warn(`🚫 工作人员控制台认证失败 (${req.socket.remoteAddress})`);
+    ws.close(1008, 'Admin authentication required');
+    return;
+  }
+
+  ws.staffName = staffName;
+  ws.staffIp = req.socket.remoteAddress;
+  heartbeatService.register(ws);
+
+  ws.on('message', (message) => {
+    handleMessage(ws, message).catch(error => {
+      console.error(`[Staff] ${staffName} 操作失败:`, error.message);
+      sendError(ws, error.message, error.code);
+    });
+  });
+
+  ws.on('close', () => {
+    heartbeatService.unregister(ws);
+    handoffService.removeStaff(ws);
+  });
+
+  ws.on('error', (error) => {
+    console.error(`[Staff] ${staffName} 连接错误:`, error.message);
+    heartbeatService.unregister(ws);
+  });
+
+  await handoffService.addStaff(ws);
+};
+
+/**
+ * 处理控制台消息
+ * @private
+ */
+const handleMessage = async (ws, raw) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    sendError(ws, '消息必须是 JSON', StaffErrorCode.INVALID_MESSAGE);
+    return;
+  }
+
+  const validation = validateStaffMessage(parsed);
+  if (!validation.valid) {
+    sendError(ws, validation.error, validation.code);
+    return;
+  }
+  const data = validation.message;
+  const admin = { name: ws.staffName, ip: ws.staffIp };
+
+  switch (data.type) {
+    case StaffMessage.LIST:
+      ws.send(encodeStaffFrame(StaffFrame.SESSIONS, {
+        sessions: await handoffService.listSessions({ withMessages: true })
+      }));
+      return;
+
+    case StaffMessage.ACCEPT:
+      handoffService.accept(data.userId, ws.staffName);
+      await adminAuditService.record(admin, 'handoff_accept', data.userId);
+      return;
+
+    case StaffMessage.REPLY: {
+      handoffService.prepareReply(data.userId, ws.staffName);
+      const result = await chatController.deliverStaffReply({
+        userId: data.userId,
+        staffName: ws.staffName,
+        text: data.text.trim()
+      });
+      ws.send(encodeStaffFrame(StaffFrame.REPLY_SENT, { userId: data.userId, ...result }));
+      return;
+    }
+
+    case StaffMessage.RELEASE: {
+      const session = handoffService.get(data.userId);
+      if (!session) {
+        sendError(ws, `No handoff session for ${data.userId}`, StaffErrorCode.NOT_FOUND);
+        return;
+      }
+      if (session.staffName && session.staffName !== ws.staffName) {
+        sendError(ws, `Session is handled by ${session.staffName}`, StaffErrorCode.TAKEN);
+        return;
+      }
+      handoffService.release(data.userId, { endedBy: ws.staffName, note: data.note || null });
+      await adminAuditService.record(admin, 'handoff_release', data.userId, { note: data.note || null });
+      return;
+    }
+
+    // 心跳由 heartbeatService 处理
+    case StaffMessage.PING:
+    case StaffMessage.PONG:
+      return;
+  }
+};
+
+/**
+ * @private
+ */
+const sendError = (ws, error, code = StaffErrorCode.INVALID_MESSAGE) => {
+  if (ws.readyState !== ws.OPEN) return;
+  ws.send(encodeStaffFrame(StaffFrame.ERROR, { error, code }));
+};
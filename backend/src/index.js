@@ -26,16 +26,21 @@ const express = require('express');
 const cors = require('cors');
 const { WebSocketServer } = require('ws'); // 引入 WebSocket 模块
 const chatController = require('./controllers/chatController'); // 导入 WebSocket 聊天控制器
+const staffController = require('./controllers/staffController'); // 导入工作人员控制台（人工接管）
 const SecurityMiddleware = require('./middleware/security');
 const AuthMiddleware = require('./middleware/auth');
 const SecurityHeaders = require('./middleware/headers');
 const heartbeatService = require('./services/heartbeatService');
 const ErrorHandler = require('./middleware/errorHandler');
 const speechRoutes = require('./routes/speechRoutes'); // 导入语音路由
+const adminRoutes = require('./routes/adminRoutes'); // 导入管理接口路由
 const cleanupUtil = require('./utils/cleanup'); // 导入清理工具
 const ProviderFactory = require('./services/ProviderFactory'); // 导入Provider工厂
 const ConfigService = require('./services/ConfigService'); // 导入配置服务
 const memoryService = require('./services/memoryService'); // 导入记忆服务
+const protocol = require('./protocol'); // WebSocket 协议定义
+const { STAFF_AUTH_PROTOCOL } = require('./protocol/staff'); // 工作人员控制台认证子协议
+const { ServerFrame, ClientMessage } = protocol;
 
 const app = express();
 const port = process.env.PORT || 8080;
@@ -166,6 +171,9 @@ app.post('/auth/token', (req, res) => {
 // 注册语音路由
 app.use('/api', speechRoutes);
 
+// 注册管理接口（需要 ADMIN_API_TOKENS 中的令牌）
+app.use('/admin', adminRoutes);
+
 // 设置临时文件清理定时器（每30分钟清理一次超过1小时的文件）
 const tempDir = require('path').join(__dirname, '../temp');
 setInterval(() => {
@@ -179,13 +187,11 @@ cleanupUtil.cleanupAndReport(tempDir, 60 * 60 * 1000).catch(console.error);
 const warmupLLMConnection = async () => {
   try {
     console.log('正在预热LLM连接...');
-    const ProviderFactory = require('./services/ProviderFactory');
-
-    const provider = ProviderFactory.getLLMProvider();
+    const llmService = require('./services/llmService');
 
     // 发送一个简单的请求来预热连接
-    const response = await provider.createCompletion('测试连接', {
-      max_completion_tokens: 5  // 使用正确的 API 参数名
+    await llmService.complete('测试连接', {
+      maxTokens: 5  // 由 Provider 换成各自的参数名
     });
 
     console.log('✅ LLM连接预热成功');
@@ -199,6 +205,9 @@ setTimeout(() => {
   warmupLLMConnection();
 }, 5000); // 延迟5秒启动，避免影响服务器启动速度
 
+// 配置了备用 LLM Provider 时定时健康检查，驱动故障转移的熔断器
+ProviderFactory.startHealthMonitor();
+
 // 初始化 Azure Blob Storage 服务（图片存储）
 const azureBlobService = require('./services/azureBlobService');
 azureBlobService.initialize()
@@ -292,9 +301,26 @@ const server = app.listen(port, '0.0.0.0', () => {
 });
 
 console.log('正在创建WebSocket服务器...');
-const wss = new WebSocketServer({ server });
+const wss = new WebSocketServer({ noServer: true });
+// 工作人员控制台（人工接管），与小程序共用端口，按路径区分
+// 浏览器控制台通过子协议传令牌，握手时只回应 bearer，不回显令牌
+const staffWss = new WebSocketServer({
+  noServer: true,
+  handleProtocols: (protocols) => (protocols.has(STAFF_AUTH_PROTOCOL) ? STAFF_AUTH_PROTOCOL : false)
+});
+server.on('upgrade', (req, socket, head) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const target = pathname === ConfigService.getHandoffConfig().staffPath ? staffWss : wss;
+  target.handleUpgrade(req, socket, head, (ws) => target.emit('connection', ws, req));
+});
 console.log('WebSocket服务器创建完成，等待连接...');
 
+staffWss.on('connection', (ws, req) => {
+  staffController.handleConnection(ws, req).catch(error => {
+    console.error('工作人员控制台连接处理失败:', error);
+  });
+});
+
 
 // 处理 WebSocket 连接
 wss.on('connection', async (ws, req) => {
@@ -329,11 +355,25 @@ wss.on('connection', async (ws, req) => {
     console.log('🔍 收到原始WebSocket消息，长度:', message.length, '字节');
 
     try {
-      const data = JSON.parse(message);
+      const parsed = JSON.parse(message);
+
+      // 按协议校验消息格式（旧版 { prompt, images } 会补全为 chat）
+      const validation = protocol.validateClientMessage(parsed);
+      if (!validation.valid) {
+        console.warn('⚠️ 无效的WebSocket消息:', validation.error);
+        ws.send(protocol.encodeFrame(ServerFrame.ERROR, {
+          code: validation.code,
+          error: '消息格式错误',
+          details: validation.error
+        }, parsed && parsed.requestId));
+        return;
+      }
+      const data = validation.message;
 
       // 调试：记录所有收到的消息
       console.log('📨 WebSocket收到消息:', {
         type: data.type,
+        v: data.v,
         userId: ws.userId,
         messageId: data.messageId,
         sessionId: data.sessionId || 'undefined',
@@ -343,7 +383,7 @@ wss.on('connection', async (ws, req) => {
       });
 
       // 特别关注语音相关消息
-      if (data.type && data.type.startsWith('speech_')) {
+      if (data.type.startsWith('speech_')) {
         console.log(`🎯 语音消息详情 [${data.type}]:`, {
           sessionId: data.sessionId,
           config: data.config,
@@ -351,108 +391,168 @@ wss.on('connection', async (ws, req) => {
         });
       }
 
-      if (data.type === 'init') {
-        // 客户端初始化请求，重新发送问候
-        console.log('收到init消息:', data);
-        try {
-          await chatController.handleConnection(ws);
-          console.log('handleConnection 处理完成');
-        } catch (error) {
-          console.error('handleConnection 处理失败:', error);
-          // 不要关闭连接，发送错误信息即可
-          ws.send(JSON.stringify({
-            type: 'error',
-            error: '初始化失败',
-            details: error.message,
-            data: '初始化失败'
+      switch (data.type) {
+        case ClientMessage.INIT: {
+          // 客户端初始化请求：协商协议版本，再处理连接
+          console.log('收到init消息:', data);
+          const version = protocol.negotiateVersion(data.v, data.minVersion);
+          ws.protocolVersion = version || protocol.MIN_PROTOCOL_VERSION;
+          ws.send(protocol.encodeFrame(ServerFrame.INIT_ACK, {
+            version,
+            serverVersion: protocol.PROTOCOL_VERSION,
+            minVersion: protocol.MIN_PROTOCOL_VERSION,
+            // 服务端可用的功能，客户端据此显示开关
+            features: {
+              tts: ConfigService.getTTSConfig().enabled,
+              handoff: ConfigService.getHandoffConfig().enabled
+            }
           }));
+          if (!version) {
+            console.warn(`⚠️ 客户端协议版本不兼容: v=${data.v}, minVersion=${data.minVersion}`);
+            ws.send(protocol.encodeFrame(ServerFrame.ERROR, {
+              code: protocol.ErrorCode.UNSUPPORTED_VERSION,
+              error: '版本不兼容',
+              details: '请更新小程序后重试'
+            }));
+            return;
+          }
+
+          try {
+            await chatController.handleConnection(ws);
+            console.log('handleConnection 处理完成');
+          } catch (error) {
+            console.error('handleConnection 处理失败:', error);
+            // 不要关闭连接，发送错误信息即可
+            ws.send(protocol.encodeFrame(ServerFrame.ERROR, {
+              error: '初始化失败',
+              details: error.message,
+              data: '初始化失败'
+            }));
+          }
+          return;
         }
-        return;
+
+        // 停止生成（按 init 消息返回的 requestId）
+        case ClientMessage.CANCEL:
+          chatController.cancelMessage(ws, data);
+          return;
+
+        // 断线重连后续传进行中的回复
+        case ClientMessage.RESUME:
+          chatController.resumeMessage(ws, data);
+          return;
+
+        // 客户端偏好设置（语音播报开关）
+        case ClientMessage.SETTINGS:
+          if (data.tts !== undefined) {
+            ws.ttsEnabled = data.tts;
+          }
+          return;
+
+        // 转人工 / 结束人工服务
+        case ClientMessage.HANDOFF_REQUEST:
+          await chatController.requestHandoff(ws, data);
+          return;
+
+        case ClientMessage.HANDOFF_END:
+          chatController.endHandoff(ws);
+          return;
+
+        // 心跳由 heartbeatService 处理
+        case ClientMessage.PING:
+        case ClientMessage.PONG:
+          return;
+
+        // 处理流式语音识别消息（不受速率限制）
+        case ClientMessage.SPEECH_START:
+          console.log('🎤 开始流式语音识别:', data.sessionId, '配置:', JSON.stringify(data.config || {}));
+          try {
+            await chatController.handleStreamingSpeechStart(ws, data);
+            console.log('✅ 流式语音识别启动成功:', data.sessionId);
+          } catch (error) {
+            console.error('❌ 流式语音识别启动失败:', data.sessionId, error.message);
+            console.error('错误详情:', error);
+            console.error('错误堆栈:', error.stack);
+          }
+          return;
+
+        case ClientMessage.SPEECH_FRAME:
+          // 处理音频帧数据
+          try {
+            await chatController.handleStreamingSpeechFrame(ws, data);
+          } catch (error) {
+            console.error('处理音频帧错误 (捕获):', error.message);
+          }
+          return;
+
+        case ClientMessage.SPEECH_END:
+          console.log('🛑 结束流式语音识别:', data.sessionId);
+          try {
+            await chatController.handleStreamingSpeechEnd(ws, data);
+          } catch (error) {
+            console.error('结束语音识别错误:', error.message);
+          }
+          return;
+
+        case ClientMessage.SPEECH_CANCEL:
+          console.log('❌ 取消流式语音识别:', data.sessionId);
+          try {
+            await chatController.handleStreamingSpeechCancel(ws, data);
+          } catch (error) {
+            console.error('取消语音识别错误:', error.message);
+          }
+          return;
       }
 
-      // 如果有 prompt 字段，验证输入
+      // 以下为会触发 LLM 回复的消息：校验输入内容并检查速率限制
       if (data.prompt !== undefined) {
         const inputValidation = SecurityMiddleware.validateInput(data.prompt);
         if (!inputValidation.valid) {
-          ws.send(JSON.stringify({ error: inputValidation.error, details: data.prompt }));
+          ws.send(protocol.encodeFrame(ServerFrame.ERROR, { error: inputValidation.error, details: data.prompt }));
           return;
         }
       }
 
-      // 处理流式语音识别消息（不受速率限制）
-      if (data.type === 'speech_start') {
-        console.log('🎤 开始流式语音识别:', data.sessionId, '配置:', JSON.stringify(data.config || {}));
-        try {
-          await chatController.handleStreamingSpeechStart(ws, data);
-          console.log('✅ 流式语音识别启动成功:', data.sessionId);
-        } catch (error) {
-          console.error('❌ 流式语音识别启动失败:', data.sessionId, error.message);
-          console.error('错误详情:', error);
-          console.error('错误堆栈:', error.stack);
-        }
-        return;
-      }
-
-      if (data.type === 'speech_frame') {
-        // 处理音频帧数据
-        try {
-          await chatController.handleStreamingSpeechFrame(ws, data);
-        } catch (error) {
-          console.error('处理音频帧错误 (捕获):', error.message);
-        }
-        return;
-      }
-
-      if (data.type === 'speech_end') {
-        console.log('🛑 结束流式语音识别:', data.sessionId);
-        try {
-          await chatController.handleStreamingSpeechEnd(ws, data);
-        } catch (error) {
-          console.error('结束语音识别错误:', error.message);
-        }
+      if (!SecurityMiddleware.checkRateLimit(ws.userId, 60000, 30)) { // 每分钟30条消息
+        ws.send(protocol.encodeFrame(ServerFrame.ERROR, {
+          error: '发送太频繁，请稍后再试',
+          details: '每分钟最多30条消息'
+        }));
         return;
       }
 
-      if (data.type === 'speech_cancel') {
-        console.log('❌ 取消流式语音识别:', data.sessionId);
-        try {
-          await chatController.handleStreamingSpeechCancel(ws, data);
-        } catch (error) {
-          console.error('取消语音识别错误:', error.message);
-        }
-        return;
-      }
+      // 清理输入内容
+      const sanitizedPrompt = data.prompt ? SecurityMiddleware.sanitizeMedicalContent(data.prompt) : '';
 
+      switch (data.type) {
+        // 重新生成最后一条回复
+        case ClientMessage.REGENERATE:
+          await chatController.regenerateLastReply(ws);
+          return;
 
-      // 只有当有 prompt 或图片时才发送消息
-      if (data.prompt || data.images) {
-        // 检查速率限制（仅对聊天消息进行限制）
-        if (!SecurityMiddleware.checkRateLimit(ws.userId, 60000, 30)) { // 每分钟30条消息
-          ws.send(JSON.stringify({
-            error: '发送太频繁，请稍后再试',
-            details: '每分钟最多30条消息'
-          }));
+        // 编辑最后一条消息后重发
+        case ClientMessage.EDIT_LAST:
+          await chatController.editLastMessage(ws, sanitizedPrompt);
           return;
-        }
 
-        // 清理输入内容
-        const sanitizedPrompt = data.prompt ? SecurityMiddleware.sanitizeMedicalContent(data.prompt) : '';
+        case ClientMessage.CHAT: {
+          // 检查图片数据
+          const images = data.images || [];
+          if (images.length > 0) {
+            console.log(`收到 ${images.length} 张图片`);
+          }
 
-        // 检查图片数据
-        const images = data.images || [];
-        if (images.length > 0) {
-          console.log(`收到 ${images.length} 张图片`);
+          // 调用 LLM，返回流式数据（支持 Vision API）
+          await chatController.sendMessage(ws, sanitizedPrompt, images);
+          return;
         }
-
-        // 调用 Azure OpenAI，返回流式数据（支持 Vision API）
-        await chatController.sendMessage(ws, sanitizedPrompt, images);
       }
     } catch (error) {
       console.error('WebSocket 错误:', error);
 
       // 不发送错误给客户端，除非确认是服务器错误，避免ping/pong干扰
       if (!(error instanceof SyntaxError)) {
-        ws.send(JSON.stringify({
+        ws.send(protocol.encodeFrame(ServerFrame.ERROR, {
           error: '服务器内部错误',
           details: error.message || '未知错误'
         }));
@@ -1,4 +1,7 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const ConfigService = require('../services/ConfigService');
+const { STAFF_AUTH_PROTOCOL } = require('../protocol/staff');
 
 class AuthMiddleware {
   static JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-should-be-in-env';
@@ -110,6 +113,69 @@ class AuthMiddleware {
   static authenticateToken(req, res, next) {
     return AuthMiddleware.requireAuth(req, res, next);
   }
+
+  /**
+   * Express middleware for admin endpoints
+   * 管理员令牌来自 ADMIN_API_TOKENS（与用户 JWT 无关，用户令牌任何人都能申请）
+   */
+  static requireAdmin(req, res, next) {
+    const { tokens, enabled } = ConfigService.getAdminConfig();
+    if (!enabled) {
+      return res.status(503).json({ error: 'Admin API is not configured' });
+    }
+
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : '';
+    const name = AuthMiddleware.findAdmin(tokens, token);
+
+    if (!name) {
+      console.warn(`🚫 管理接口认证失败: ${req.method} ${req.originalUrl} (${req.ip})`);
+      return res.status(401).json({ error: 'Admin authentication required' });
+    }
+
+    req.admin = { name, ip: req.ip };
+    next();
+  }
+
+  /**
+   * 工作人员控制台 WebSocket 认证（人工接管），使用管理员令牌
+   * 优先读取 Authorization 请求头；浏览器中的 WebSocket 无法设置请求头，
+   * 改为通过子协议 Sec-WebSocket-Protocol: bearer, <token> 传入（见 src/protocol/staff.js）
+   * @returns {string|null} 管理员名称
+   */
+  static authenticateStaffWebSocket(req) {
+    const { tokens, enabled } = ConfigService.getAdminConfig();
+    if (!enabled) return null;
+
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.startsWith('Bearer ')
+      ? authHeader.substring(7)
+      : AuthMiddleware.getSubprotocolToken(req);
+    return AuthMiddleware.findAdmin(tokens, token);
+  }
+
+  /**
+   * 从 Sec-WebSocket-Protocol 中取出 bearer 之后的令牌
+   * @returns {string|null}
+   */
+  static getSubprotocolToken(req) {
+    const protocols = (req.headers['sec-websocket-protocol'] || '').split(',').map(value => value.trim());
+    const index = protocols.indexOf(STAFF_AUTH_PROTOCOL);
+    return index === -1 ? null : protocols[index + 1] || null;
+  }
+
+  /**
+   * 按令牌查找管理员（定长比较，避免按响应时间猜测令牌）
+   */
+  static findAdmin(tokens, token) {
+    if (!token) return null;
+    const digest = crypto.createHash('sha256').update(token).digest();
+    for (const [candidate, name] of tokens) {
+      const candidateDigest = crypto.createHash('sha256').update(candidate).digest();
+      if (crypto.timingSafeEqual(digest, candidateDigest)) return name;
+    }
+    return null;
+  }
 }
 
 module.exports = AuthMiddleware;
\ No newline at end of file
@@ -1,3 +1,5 @@
+const protocol = require('../protocol');
+
 class ErrorHandler {
   /**
    * Express error handling middleware
@@ -71,8 +73,9 @@ class ErrorHandler {
 
   /**
    * WebSocket error handler
+   * @param {string|null} requestId - Request the error belongs to, echoed in the error frame
    */
-  static handleWebSocketError(ws, error, context = 'Unknown') {
+  static handleWebSocketError(ws, error, context = 'Unknown', requestId = null) {
     console.error('WebSocket Error:', {
       context,
       message: error.message,
@@ -84,12 +87,13 @@ class ErrorHandler {
     try {
       if (ws.readyState === ws.OPEN) {
         const errorMessage = this.getWebSocketErrorMessage(error);
-        ws.send(JSON.stringify({
+        ws.send(protocol.encodeFrame(protocol.ServerFrame.ERROR, {
           error: errorMessage.error,
           details: errorMessage.message,  // 前端期望 details 字段
           message: errorMessage.message,
+          ...(errorMessage.code ? { code: errorMessage.code } : {}),
           timestamp: Date.now()
-        }));
+        }, requestId));
       }
     } catch (sendError) {
       console.error('Failed to send error message to WebSocket:', sendError);
@@ -110,6 +114,15 @@ class ErrorHandler {
       };
     }
 
+    // 用户今日用量已达上限（需在下面的 quota 匹配之前）
+    if (error.name === 'QuotaExceededError') {
+      return {
+        error: 'Quota Exceeded',
+        message: '今天的咨询额度已经用完了，明天再来吧。',
+        code: protocol.ErrorCode.QUOTA_EXCEEDED
+      };
+    }
+
     // Azure OpenAI specific errors
     if (error.message.includes('content filter')) {
       return {
@@ -239,6 +252,13 @@ class ErrorHandler {
     error.status = 429;
     return error;
   }
+
+  static createQuotaExceededError(message = 'Daily usage quota exceeded') {
+    const error = new Error(message);
+    error.name = 'QuotaExceededError';
+    error.status = 429;
+    return error;
+  }
 }
 
 module.exports = ErrorHandler;
\ No newline at end of file
@@ -113,8 +113,8 @@ class SecurityMiddleware {
     }
     
     // 检查医疗相关的危险内容
+    // 自杀、自伤相关的消息不在这里拒绝，由 crisisSupportService 回复求助热线并通知工作人员
     const medicalDangerPatterns = [
-      /自杀|自残|结束生命/gi,
       /非法药物|毒品/gi,
       /暴力|伤害他人/gi
     ];
@@ -0,0 +1,106 @@
+/**
+ * 工作人员控制台 WebSocket 协议（人工接管）
+ *
+ * 控制台连接 HANDOFF_STAFF_PATH（默认 /staff），使用管理员令牌（ADMIN_API_TOKENS）认证：
+ * 请求头 Authorization: Bearer <token>；浏览器中无法设置请求头，改为在子协议中传入，
+ * 即 new WebSocket(url, ['bearer', token])，服务端只回应 bearer，不会回显令牌。
+ * 令牌不放在 URL 中，以免写入代理和访问日志。
+ *
+ * 帧格式与小程序协议一致：服务端发送 { type, v, requestId: null, ...字段 }，
+ * 控制台发送 { type, ...字段 }，服务端按 STAFF_SCHEMAS 校验。
+ * 只在后端使用，不同步到小程序。
+ */
+const { PROTOCOL_VERSION, validateFields } = require('./index');
+
+// 服务端 -> 控制台
+const StaffFrame = Object.freeze({
+  WELCOME: 'welcome',                         // 连接成功 { staffName, sessions }
+  SESSIONS: 'sessions',                       // 当前的人工接管会话 { sessions }
+  HANDOFF_UPDATED: 'handoff_updated',         // 会话状态变化 { session, event }（event: requested / accepted / released）
+  USER_MESSAGE: 'user_message',               // 用户发来的消息 { userId, text, images, crisis, createdAt }
+  REPLY_SENT: 'reply_sent',                   // 回复已发出 { userId, requestId, delivered }（delivered: 用户当前是否在线）
+  ERROR: 'error',                             // 操作失败 { error, code }
+  PING: 'ping',
+  PONG: 'pong'
+});
+
+// 浏览器控制台传令牌时使用的子协议，令牌作为下一个子协议传入
+const STAFF_AUTH_PROTOCOL = 'bearer';
+
+// 控制台 -> 服务端
+const StaffMessage = Object.freeze({
+  LIST: 'list',                               // 获取当前会话
+  ACCEPT: 'accept',                           // 接入会话
+  REPLY: 'reply',                             // 回复用户（等待中的会话会先自动接入）
+  RELEASE: 'release',                         // 结束人工服务，交回 AI
+  PING: 'ping',
+  PONG: 'pong'
+});
+
+const StaffErrorCode = Object.freeze({
+  INVALID_MESSAGE: 'invalid_message',
+  UNSUPPORTED_TYPE: 'unsupported_type',
+  NOT_FOUND: 'not_found',                     // 会话不存在或已交回 AI
+  TAKEN: 'taken'                              // 会话已由其他工作人员接入
+});
+
+const STAFF_SCHEMAS = {
+  [StaffMessage.LIST]: {},
+  [StaffMessage.ACCEPT]: {
+    userId: { type: 'string', required: true }
+  },
+  [StaffMessage.REPLY]: {
+    userId: { type: 'string', required: true },
+    text: { type: 'string', required: true, maxLength: 2000 }
+  },
+  [StaffMessage.RELEASE]: {
+    userId: { type: 'string', required: true },
+    note: { type: 'string', maxLength: 200 }
+  },
+  [StaffMessage.PING]: {},
+  [StaffMessage.PONG]: {}
+};
+
+/**
+ * 校验控制台消息
+ * @param {Object} message - 解析后的消息
+ * @returns {{valid: boolean, message?: Object, error?: string, code?: string}}
+ */
+function validateStaffMessage(message) {
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return { valid: false, code: StaffErrorCode.INVALID_MESSAGE, error: '消息必须是 JSON 对象' };
+  }
+
+  // 只认 STAFF_SCHEMAS 自身的键，type 为 constructor 等原型属性时按不支持处理
+  const schema = Object.prototype.hasOwnProperty.call(STAFF_SCHEMAS, message.type) ? STAFF_SCHEMAS[message.type] : null;
+  if (!schema) {
+    return { valid: false, code: StaffErrorCode.UNSUPPORTED_TYPE, error: `不支持的消息类型 ${message.type}` };
+  }
+
+  const error = validateFields(message, schema);
+  if (error) {
+    return { valid: false, code: StaffErrorCode.INVALID_MESSAGE, error };
+  }
+  if (message.type === StaffMessage.REPLY && !message.text.trim()) {
+    return { valid: false, code: StaffErrorCode.INVALID_MESSAGE, error: '回复内容不能为空' };
+  }
+
+  return { valid: true, message };
+}
+
+/**
+ * 创建并序列化发给控制台的帧
+ */
+function encodeStaffFrame(type, payload = {}) {
+  return JSON.stringify(Object.assign({ type, v: PROTOCOL_VERSION, requestId: null }, payload));
+}
+
+module.exports = {
+  StaffFrame,
+  StaffMessage,
+  StaffErrorCode,
+  STAFF_SCHEMAS,
+  STAFF_AUTH_PROTOCOL,
+  validateStaffMessage,
+  encodeStaffFrame
+};
@@ -66,6 +66,14 @@ class AzureASRProvider extends ASRProvider {
         this.sdk.PropertyId.SpeechServiceConnection_EndSilenceTimeoutMs,
         "2000"   // 结束静默超时2秒
       );
+
+      // 分句静音时长（免提对话据此判定一句话结束）
+      if (options.endWindowSize) {
+        speechConfig.setProperty(
+          this.sdk.PropertyId.Speech_SegmentationSilenceTimeoutMs,
+          String(options.endWindowSize)
+        );
+      }
       
       // 创建推送流
       const pushStream = this.sdk.AudioInputStream.createPushStream(
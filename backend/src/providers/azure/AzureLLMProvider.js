@@ -18,8 +18,15 @@ class AzureLLMProvider extends LLMProvider {
     try {
       // 委托给 AzureClientFactory 创建客户端
       // 它会自动处理新旧 API 模式 (GPT-4 vs GPT-5.2+)
-      this.client = AzureClientFactory.getClient();
-      console.log('Azure LLM Provider initialized via Factory');
+      // 任务路由指定了其他部署时单独创建客户端，不影响共享的单例
+      const deployment = this.config.deployment;
+      if (deployment && deployment !== AzureClientFactory.getDeploymentName()) {
+        this.client = AzureClientFactory.createNewClient(deployment);
+        console.log(`Azure LLM Provider initialized via Factory (deployment: ${deployment})`);
+      } else {
+        this.client = AzureClientFactory.getClient();
+        console.log('Azure LLM Provider initialized via Factory');
+      }
     } catch (error) {
       console.error('Failed to initialize Azure LLM Provider:', error);
       throw error;
@@ -34,23 +41,17 @@ class AzureLLMProvider extends LLMProvider {
       await this.initialize();
     }
 
-    // Extract known parameters and remove potential conflicting ones
-    const { maxTokens, max_tokens, max_completion_tokens, ...otherOptions } = options;
-
+    // 通用参数（含函数调用）转换为 Azure OpenAI 参数
     const streamOptions = {
       model: this.config.deployment,
       messages: messages,
       stream: true,
-      max_completion_tokens: maxTokens || 2000,
-      temperature: options.temperature,
-      presence_penalty: options.presencePenalty,
-      frequency_penalty: options.frequencyPenalty,
-      stop: options.stop,
-      ...otherOptions
+      ...this.buildRequestOptions(options, { maxTokens: 2000 }),
+      ...this.buildStreamOptions()
     };
 
     console.log('Azure LLM: Creating chat stream with', messages.length, 'messages');
-    return await this.client.chat.completions.create(streamOptions);
+    return await this.client.chat.completions.create(streamOptions, { signal: options.signal });
   }
 
   /**
@@ -61,22 +62,31 @@ class AzureLLMProvider extends LLMProvider {
       await this.initialize();
     }
 
-    // Extract known parameters and remove potential conflicting ones
-    const { maxTokens, max_tokens, max_completion_tokens, ...otherOptions } = options;
-
-    const messages = [{ role: 'user', content: prompt }];
+    const messages = this.toMessages(prompt);
     const response = await this.client.chat.completions.create({
       model: this.config.deployment,
       messages: messages,
       stream: false,
-      max_completion_tokens: maxTokens || 2000,
-      temperature: options.temperature,
-      ...otherOptions
-    });
+      ...this.buildRequestOptions(options, { maxTokens: 2000 })
+    }, { signal: options.signal });
 
+    options.onUsage?.(response.usage);
     return response.choices[0].message.content;
   }
 
+  /**
+   * 模型能力：GPT 系列支持图片、JSON 模式和函数调用，新模型只接受 max_completion_tokens
+   */
+  getCapabilities() {
+    return {
+      vision: true,
+      jsonMode: true,
+      tools: true,
+      maxTokensParam: 'max_completion_tokens',
+      streamUsage: true
+    };
+  }
+
   /**
    * 验证配置（异步版本，用于健康检查）
    */
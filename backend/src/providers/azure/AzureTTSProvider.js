@@ -0,0 +1,153 @@
+/**
+ * Azure TTS Provider实现
+ * 使用Azure Speech Service进行语音合成，合成过程中通过 synthesizing 事件流式返回音频
+ */
+const TTSProvider = require('../base/TTSProvider');
+
+class AzureTTSProvider extends TTSProvider {
+  constructor(config) {
+    super(config);
+    this.config = {
+      speechKey: config.speechKey,
+      speechRegion: config.speechRegion || 'koreacentral',
+      speechEndpoint: config.speechEndpoint,
+      language: config.language || 'zh-CN',
+      voice: config.ttsVoice || 'zh-CN-XiaoxiaoNeural'
+    };
+    this.audioFormat = { format: 'mp3', sampleRate: 24000 };
+
+    // 动态导入 Azure Speech SDK
+    this.sdk = null;
+
+    if (this.config.speechKey) {
+      try {
+        this.sdk = require('microsoft-cognitiveservices-speech-sdk');
+      } catch (error) {
+        console.warn('Azure Speech SDK 未安装:', error.message);
+      }
+    }
+  }
+
+  async initialize() {
+    if (!this.config.speechKey) {
+      throw new Error('Azure Speech Service 未配置：缺少 AZURE_SPEECH_KEY');
+    }
+
+    if (!this.sdk) {
+      throw new Error('Azure Speech SDK 未安装，请运行: npm install microsoft-cognitiveservices-speech-sdk');
+    }
+
+    console.log('Azure TTS Provider初始化成功');
+    console.log(`- 区域: ${this.config.speechRegion}`);
+    console.log(`- 音色: ${this.config.voice}`);
+  }
+
+  /**
+   * @private
+   */
+  createSpeechConfig() {
+    const speechConfig = this.sdk.SpeechConfig.fromSubscription(
+      this.config.speechKey,
+      this.config.speechRegion
+    );
+    speechConfig.speechSynthesisOutputFormat = this.sdk.SpeechSynthesisOutputFormat.Audio24Khz48KBitRateMonoMp3;
+    return speechConfig;
+  }
+
+  /**
+   * @private
+   */
+  buildSsml(text, voice, speed) {
+    const escaped = text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+    const rate = `${Math.round((speed - 1) * 100)}%`;
+
+    return `<speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="${this.config.language}">` +
+      `<voice name="${voice}"><prosody rate="${rate}">${escaped}</prosody></voice></speak>`;
+  }
+
+  async synthesizeStream(text, options = {}, onAudio = () => {}) {
+    if (!this.sdk) {
+      throw new Error('Azure Speech SDK 未加载');
+    }
+
+    const { voice = this.config.voice, speed = 1.0, signal } = options;
+    if (signal?.aborted) return;
+
+    // audioConfig 传 null：不输出到本地扬声器，只通过事件拿音频数据
+    const synthesizer = new this.sdk.SpeechSynthesizer(this.createSpeechConfig(), null);
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      const settle = (error) => {
+        if (settled) return;
+        settled = true;
+        signal?.removeEventListener('abort', onAbort);
+        synthesizer.close();
+        error ? reject(error) : resolve();
+      };
+      const onAbort = () => settle();
+      signal?.addEventListener('abort', onAbort);
+
+      synthesizer.synthesizing = (sender, event) => {
+        if (settled || !event.result.audioData) return;
+        onAudio(Buffer.from(event.result.audioData));
+      };
+
+      synthesizer.speakSsmlAsync(
+        this.buildSsml(text, voice, speed),
+        (result) => {
+          if (result.reason === this.sdk.ResultReason.SynthesizingAudioCompleted) {
+            settle();
+          } else {
+            const details = this.sdk.CancellationDetails.fromResult(result);
+            settle(new Error(`Azure TTS 合成失败: ${details.errorDetails || result.reason}`));
+          }
+        },
+        (error) => settle(new Error(`Azure TTS 合成失败: ${error}`))
+      );
+    });
+  }
+
+  async validateConfig() {
+    return !!(this.config.speechKey && this.config.speechRegion && this.sdk);
+  }
+
+  async healthCheck() {
+    try {
+      if (!this.sdk) {
+        return {
+          status: 'unhealthy',
+          provider: 'Azure TTS',
+          error: 'SDK未加载'
+        };
+      }
+
+      const isValid = await this.validateConfig();
+      return isValid
+        ? { status: 'healthy', provider: 'Azure TTS', region: this.config.speechRegion, voice: this.config.voice }
+        : { status: 'unhealthy', provider: 'Azure TTS', error: '配置无效' };
+    } catch (error) {
+      return {
+        status: 'unhealthy',
+        provider: 'Azure TTS',
+        error: error.message
+      };
+    }
+  }
+
+  getProviderInfo() {
+    return {
+      name: 'Azure TTS',
+      version: '1.0.0',
+      mode: '流式合成',
+      region: this.config.speechRegion,
+      voice: this.config.voice,
+      outputFormat: 'MP3 24kHz mono'
+    };
+  }
+}
+
+module.exports = AzureTTSProvider;
@@ -2,6 +2,16 @@
  * LLM服务提供者基类
  * 定义所有LLM Provider必须实现的接口
  */
+
+// 默认能力：只假定最基本的对话接口
+const DEFAULT_CAPABILITIES = {
+  vision: false,                  // 是否支持 image_url 图片输入
+  jsonMode: false,                // 是否支持 response_format: { type: 'json_object' }
+  tools: false,                   // 是否支持函数调用（tools / tool_choice）
+  maxTokensParam: 'max_tokens',   // 回复长度参数名：max_tokens 或 max_completion_tokens
+  streamUsage: false              // 流式输出是否支持 stream_options.include_usage（最后一个分片返回 usage）
+};
+
 class LLMProvider {
   constructor(config) {
     this.config = config;
@@ -17,9 +27,12 @@ class LLMProvider {
 
   /**
    * 创建聊天流式响应
-   * @param {Array} messages - 消息历史
-   * @param {Object} options - 选项
-   * @returns {AsyncIterator} 流式响应迭代器
+   * @param {Array} messages - 消息历史（可包含 assistant tool_calls 与 tool 消息）
+   * @param {Object} options - 选项（通用参数见 buildRequestOptions）
+   * @param {Array} [options.tools] - OpenAI 格式的函数工具定义
+   * @param {string|Object} [options.toolChoice] - 'auto' | 'none' | 指定函数
+   * @param {AbortSignal} [options.signal] - 中止信号，触发后停止生成并结束流
+   * @returns {AsyncIterator} 流式响应迭代器，工具调用以 delta.tool_calls 增量返回；支持 streamUsage 时最后一个分片带 usage
    */
   async createChatStream(messages, options = {}) {
     throw new Error('createChatStream() method must be implemented');
@@ -27,14 +40,83 @@ class LLMProvider {
 
   /**
    * 创建单次完成
-   * @param {string} prompt - 提示词
+   * @param {string|Array} prompt - 提示词，或完整的消息列表（需要系统提示时）
    * @param {Object} options - 选项
+   * @param {Function} [options.onUsage] - 收到接口返回的 usage 时回调，用于用量统计
    * @returns {Object} 完成结果
    */
   async createCompletion(prompt, options = {}) {
     throw new Error('createCompletion() method must be implemented');
   }
 
+  /**
+   * createCompletion 的提示词转换为消息列表
+   * @param {string|Array} prompt
+   * @returns {Array}
+   */
+  toMessages(prompt) {
+    return Array.isArray(prompt) ? prompt : [{ role: 'user', content: prompt }];
+  }
+
+  /**
+   * 获取模型能力，调用方据此调整请求（如不支持图片时只发送文字）
+   * @returns {{vision: boolean, jsonMode: boolean, tools: boolean, maxTokensParam: string, streamUsage: boolean}}
+   */
+  getCapabilities() {
+    return { ...DEFAULT_CAPABILITIES };
+  }
+
+  /**
+   * 把通用请求参数转换为 OpenAI 兼容接口的请求参数，不支持的能力直接丢弃
+   * 通用参数：maxTokens（兼容 maxCompletionTokens / max_tokens / max_completion_tokens）、
+   * temperature、responseFormat、tools、toolChoice、presencePenalty、frequencyPenalty、stop
+   * @param {Object} options - 调用方传入的选项
+   * @param {Object} defaults - Provider 的默认值 { maxTokens, temperature }
+   * @returns {Object} 请求参数（不含 model、messages、stream）
+   */
+  buildRequestOptions(options = {}, defaults = {}) {
+    const capabilities = this.getCapabilities();
+    const {
+      maxTokens, maxCompletionTokens, max_tokens, max_completion_tokens,
+      responseFormat, response_format, tools, toolChoice,
+      presencePenalty, frequencyPenalty, signal, onUsage,
+      ...otherOptions
+    } = options;
+
+    const request = { ...otherOptions };
+
+    const limit = maxTokens ?? maxCompletionTokens ?? max_completion_tokens ?? max_tokens ?? defaults.maxTokens;
+    if (limit) {
+      request[capabilities.maxTokensParam] = limit;
+    }
+
+    if (request.temperature === undefined && defaults.temperature !== undefined) {
+      request.temperature = defaults.temperature;
+    }
+    if (presencePenalty !== undefined) request.presence_penalty = presencePenalty;
+    if (frequencyPenalty !== undefined) request.frequency_penalty = frequencyPenalty;
+
+    const format = responseFormat || response_format;
+    if (format && capabilities.jsonMode) {
+      request.response_format = format;
+    }
+
+    if (tools && tools.length > 0 && capabilities.tools) {
+      request.tools = tools;
+      request.tool_choice = toolChoice || 'auto';
+    }
+
+    return request;
+  }
+
+  /**
+   * 流式请求的附加参数：支持时要求在最后一个分片返回 usage
+   * @returns {Object}
+   */
+  buildStreamOptions() {
+    return this.getCapabilities().streamUsage ? { stream_options: { include_usage: true } } : {};
+  }
+
   /**
    * 验证配置是否有效
    * @returns {boolean} 配置是否有效
@@ -0,0 +1,83 @@
+/**
+ * TTS（语音合成）服务提供者基类
+ * 定义所有TTS Provider必须实现的接口
+ */
+class TTSProvider {
+  constructor(config) {
+    this.config = config;
+    // 输出音频格式，前端按此拼接播放
+    this.audioFormat = { format: 'mp3', sampleRate: 24000 };
+  }
+
+  /**
+   * 初始化Provider
+   */
+  async initialize() {
+    throw new Error('initialize() method must be implemented');
+  }
+
+  /**
+   * 流式合成一段文本（通常为一句话）
+   * @param {string} text - 要合成的文本
+   * @param {Object} options - 选项
+   * @param {string} [options.voice] - 音色，默认使用配置中的音色
+   * @param {number} [options.speed] - 语速倍率，1.0 为正常
+   * @param {AbortSignal} [options.signal] - 中止信号，触发后停止合成
+   * @param {Function} onAudio - 收到音频数据时回调 (Buffer)
+   * @returns {Promise<void>} 合成完成后 resolve
+   */
+  async synthesizeStream(text, options = {}, onAudio = () => {}) {
+    throw new Error('synthesizeStream() method must be implemented');
+  }
+
+  /**
+   * 合成完整音频（非流式）
+   * @param {string} text - 要合成的文本
+   * @param {Object} options - 同 synthesizeStream
+   * @returns {Promise<Buffer>} 音频数据
+   */
+  async synthesize(text, options = {}) {
+    const chunks = [];
+    await this.synthesizeStream(text, options, chunk => chunks.push(chunk));
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * 获取输出音频格式
+   * @returns {{format: string, sampleRate: number}}
+   */
+  getAudioFormat() {
+    return this.audioFormat;
+  }
+
+  /**
+   * 验证配置是否有效
+   * @returns {boolean} 配置是否有效
+   */
+  async validateConfig() {
+    throw new Error('validateConfig() method must be implemented');
+  }
+
+  /**
+   * 健康检查
+   * @returns {Object} 健康状态 {status, error?}
+   */
+  async healthCheck() {
+    throw new Error('healthCheck() method must be implemented');
+  }
+
+  /**
+   * 清理资源
+   */
+  cleanup() {}
+
+  /**
+   * 获取Provider名称
+   * @returns {string} Provider名称
+   */
+  getName() {
+    return this.constructor.name;
+  }
+}
+
+module.exports = TTSProvider;
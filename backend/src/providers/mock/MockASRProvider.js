@@ -0,0 +1,270 @@
+/**
+ * 本地模拟 ASR Provider（PROVIDER_TYPE=mock / local）
+ * 不访问任何云服务，按音频内容返回预先写好的识别结果，用于离线开发和测试
+ *
+ * 样本目录（MOCK_ASR_FIXTURES_DIR）中每个样本是一对文件：
+ *   greeting.pcm（16kHz 16bit 单声道 PCM，或同格式的 .wav）+ greeting.txt（识别结果）
+ * 流式识别时，收到的音频是某个样本的开头即视为在说这个样本，按已收到的比例返回逐步变长的 partial，
+ * 样本收完即返回一句 final，之后的音频按下一句处理；对不上任何样本时返回 MOCK_ASR_TRANSCRIPT
+ * 开启 VAD 时转发的音频会被裁剪，无法与样本逐字节对应，此时只会得到默认结果
+ */
+const fs = require('fs');
+const path = require('path');
+const ASRProvider = require('../base/ASRProvider');
+
+const AUDIO_EXTENSIONS = ['.pcm', '.wav'];
+// 对不上样本时，每多少毫秒音频多显示一个字
+const DEFAULT_MS_PER_CHAR = 150;
+// 不足此时长的音频视为没有说话
+const MIN_SPEECH_MS = 200;
+// 最大幅度低于此值的音频视为静音
+const SILENCE_AMPLITUDE = 200;
+
+/**
+ * 取出 WAV 文件中的 PCM 数据，非 WAV 原样返回
+ */
+function extractPCM(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    return buffer;
+  }
+
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    if (chunkId === 'data') {
+      return buffer.subarray(offset + 8, Math.min(buffer.length, offset + 8 + chunkSize));
+    }
+    offset += 8 + chunkSize + (chunkSize % 2);
+  }
+  return buffer.subarray(44);
+}
+
+/**
+ * 16bit PCM 是否为静音
+ */
+function isSilent(pcm) {
+  for (let i = 0; i + 1 < pcm.length; i += 2) {
+    if (Math.abs(pcm.readInt16LE(i)) >= SILENCE_AMPLITUDE) return false;
+  }
+  return true;
+}
+
+class MockASRProvider extends ASRProvider {
+  constructor(config = {}) {
+    super(config);
+    this.fixtures = null;
+  }
+
+  /**
+   * 加载音频样本（只加载一次）
+   */
+  async initialize() {
+    if (this.fixtures) return;
+
+    const { asrFixturesDir } = this.config;
+    this.fixtures = [];
+    if (!asrFixturesDir) return;
+
+    const dir = path.resolve(asrFixturesDir);
+    if (!fs.existsSync(dir)) {
+      console.warn(`🧪 Mock ASR 样本目录不存在: ${dir}，将只返回默认识别结果`);
+      return;
+    }
+
+    for (const file of fs.readdirSync(dir).sort()) {
+      const ext = path.extname(file).toLowerCase();
+      if (!AUDIO_EXTENSIONS.includes(ext)) continue;
+
+      const transcriptPath = path.join(dir, `${path.basename(file, path.extname(file))}.txt`);
+      if (!fs.existsSync(transcriptPath)) {
+        console.warn(`🧪 Mock ASR 样本 ${file} 缺少同名 .txt 识别结果，已跳过`);
+        continue;
+      }
+
+      const pcm = extractPCM(fs.readFileSync(path.join(dir, file)));
+      const transcript = fs.readFileSync(transcriptPath, 'utf8').trim();
+      if (pcm.length === 0 || !transcript) continue;
+
+      this.fixtures.push({ name: file, pcm, transcript });
+    }
+
+    console.log(`🧪 Mock ASR 已加载 ${this.fixtures.length} 个音频样本（${dir}）`);
+  }
+
+  async startStreamingRecognition(sessionId, options = {}) {
+    await this.initialize();
+
+    const session = {
+      sessionId,
+      bytesPerMs: (options.sampleRate || 16000) * 2 / 1000,
+      utterance: Buffer.alloc(0), // 当前这句的音频
+      utteranceStart: 0,          // 当前这句在会话中的起始位置（字节）
+      lastPartial: '',
+      onResult: options.onResult || (() => {}),
+      onFinal: options.onFinal || (() => {}),
+      onError: options.onError || (() => {}),
+      onStateChange: options.onStateChange || (() => {})
+    };
+
+    this.sessions.set(sessionId, session);
+    console.log(`🧪 Mock ASR 开始识别: ${sessionId}`);
+    session.onStateChange('connected');
+    return session;
+  }
+
+  async processAudioFrame(sessionId, audioBuffer) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new Error(`会话 ${sessionId} 未连接或不存在`);
+    }
+
+    session.utterance = Buffer.concat([session.utterance, audioBuffer]);
+
+    // 一个样本收完即为一句，多出来的音频属于下一句
+    let fixture = this.matchFixture(session.utterance);
+    while (fixture && session.utterance.length >= fixture.pcm.length) {
+      this.emitFinal(session, fixture.transcript, fixture.pcm.length);
+      fixture = this.matchFixture(session.utterance);
+    }
+
+    // 两句之间的静音不出结果
+    if (!fixture && isSilent(session.utterance)) return;
+
+    let partial;
+    if (fixture) {
+      partial = this.revealText(fixture.transcript, session.utterance.length / fixture.pcm.length);
+    } else {
+      const charCount = session.utterance.length / session.bytesPerMs / DEFAULT_MS_PER_CHAR;
+      partial = this.revealText(this.config.asrTranscript, charCount / Array.from(this.config.asrTranscript).length);
+    }
+
+    if (partial && partial !== session.lastPartial) {
+      session.lastPartial = partial;
+      session.onResult({
+        text: partial,
+        confidence: 1,
+        isFinal: false,
+        timestamp: Date.now(),
+        sessionId
+      });
+    }
+  }
+
+  async endStreamingRecognition(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      console.warn(`会话 ${sessionId} 不存在，无需结束`);
+      return;
+    }
+
+    // 未收完的样本按整句返回，对不上样本的音频返回默认结果（句尾的静音不算）
+    if (session.utterance.length / session.bytesPerMs >= MIN_SPEECH_MS && !isSilent(session.utterance)) {
+      const fixture = this.matchFixture(session.utterance);
+      this.emitFinal(session, fixture ? fixture.transcript : this.config.asrTranscript, session.utterance.length);
+    }
+
+    this.sessions.delete(sessionId);
+    console.log(`🧪 Mock ASR 识别结束: ${sessionId}`);
+    session.onStateChange('stopped');
+  }
+
+  async cancelStreamingRecognition(sessionId) {
+    if (this.sessions.delete(sessionId)) {
+      console.log(`🧪 Mock ASR 取消识别: ${sessionId}`);
+    }
+  }
+
+  /**
+   * 语音文件识别：文件的音频数据与某个样本相同时返回其识别结果
+   */
+  async speechToText(audioFilePath) {
+    await this.initialize();
+
+    const pcm = extractPCM(await fs.promises.readFile(audioFilePath));
+    const fixture = this.fixtures.find(item => item.pcm.equals(pcm));
+
+    return {
+      success: true,
+      text: fixture ? fixture.transcript : this.config.asrTranscript,
+      confidence: 1,
+      duration: Math.max(1, Math.round(pcm.length / 32000)), // 按 16kHz 16bit 单声道估算（秒）
+      isSimulated: true
+    };
+  }
+
+  /**
+   * 找出以当前音频开头的样本
+   * @private
+   */
+  matchFixture(audio) {
+    if (audio.length === 0) return null;
+    return this.fixtures.find(item =>
+      item.pcm.subarray(0, audio.length).equals(audio.subarray(0, item.pcm.length))
+    ) || null;
+  }
+
+  /**
+   * 返回一句 final，并把这句的音频从缓冲中移除
+   * @private
+   */
+  emitFinal(session, text, byteLength) {
+    const duration = Math.round(byteLength / session.bytesPerMs);
+    const startTime = Math.round(session.utteranceStart / session.bytesPerMs);
+
+    session.utterance = session.utterance.subarray(byteLength);
+    session.utteranceStart += byteLength;
+    session.lastPartial = '';
+
+    session.onFinal({
+      text,
+      confidence: 1,
+      isFinal: true,
+      startTime,
+      duration,
+      sessionId: session.sessionId
+    });
+  }
+
+  /**
+   * 按进度截取识别结果的前一部分
+   * @private
+   */
+  revealText(text, progress) {
+    const chars = Array.from(text);
+    return chars.slice(0, Math.min(chars.length, Math.ceil(chars.length * Math.min(progress, 1)))).join('');
+  }
+
+  async validateConfig() {
+    return true;
+  }
+
+  async healthCheck() {
+    try {
+      await this.initialize();
+      return {
+        status: 'healthy',
+        provider: 'Mock ASR',
+        fixtures: this.fixtures.length
+      };
+    } catch (error) {
+      return {
+        status: 'unhealthy',
+        provider: 'Mock ASR',
+        error: error.message
+      };
+    }
+  }
+
+  getProviderInfo() {
+    return {
+      name: 'Mock ASR',
+      version: '1.0.0',
+      mode: '本地样本回放',
+      fixturesDir: this.config.asrFixturesDir || null,
+      supportedFormats: ['PCM 16kHz 16bit mono', 'WAV']
+    };
+  }
+}
+
+module.exports = MockASRProvider;
@@ -0,0 +1,371 @@
+/**
+ * 本地模拟 LLM Provider（PROVIDER_TYPE=mock / local）
+ * 不访问任何云服务，按脚本返回确定的流式回复，用于离线开发和测试
+ *
+ * 回复按以下顺序决定：
+ * 1. MOCK_LLM_SCRIPT 脚本中第一条匹配最后一条用户消息的规则，例如
+ *    [
+ *      { "match": "你好", "reply": "你好！今天感觉怎么样？" },
+ *      { "match": "手术", "toolCalls": [{ "name": "search_memory", "arguments": { "query": "手术" } }],
+ *        "reply": "查到了你的手术记录。" },
+ *      { "match": "超时", "delayMs": 5000, "reply": "让你久等了。" },
+ *      { "match": "崩溃", "error": "模拟的服务错误", "status": 503 },
+ *      { "match": "断开", "reply": "这句话说到一半就会断开", "errorAfterChunks": 3 }
+ *    ]
+ *    match 为正则（不区分大小写）；带 toolCalls 的规则先返回工具调用，收到工具结果后再返回 reply
+ * 2. 用户消息中的触发标记：
+ *    [SEARCH: 关键词]     调用 search_memory 工具（对应旧版的 [SEARCH] 标记）
+ *    [TOOL:工具名 {JSON}] 调用指定工具
+ *    [DELAY:毫秒]         首个分片前额外等待
+ *    [ERROR]              创建流时失败；[ERROR:stream] 输出一半后失败
+ * 3. 默认回复：复述用户消息
+ */
+const fs = require('fs');
+const path = require('path');
+const LLMProvider = require('../base/LLMProvider');
+
+const MODEL_NAME = 'mock-scripted';
+
+// 用户消息中的触发标记
+const SEARCH_TRIGGER = /\[SEARCH(?::\s*([^\]]*))?\]/i;
+const TOOL_TRIGGER = /\[TOOL:\s*([\w-]+)\s*(\{[^\]]*\})?\s*\]/i;
+const DELAY_TRIGGER = /\[DELAY:\s*(\d+)\s*\]/i;
+const ERROR_TRIGGER = /\[ERROR(?::\s*(stream))?\]/i;
+const ALL_TRIGGERS = /\[(?:SEARCH|TOOL|DELAY|ERROR)[^\]]*\]/gi;
+
+/**
+ * 可被中止的等待，中止时提前返回
+ */
+function sleep(ms, signal) {
+  if (!ms || ms <= 0 || signal?.aborted) return Promise.resolve();
+  return new Promise(resolve => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * 取消息的纯文本（多模态消息只取文字部分）
+ */
+function getMessageText(message) {
+  if (!message) return '';
+  if (typeof message.content === 'string') return message.content;
+  if (Array.isArray(message.content)) {
+    return message.content
+      .filter(part => part.type === 'text')
+      .map(part => part.text)
+      .join('\n');
+  }
+  return '';
+}
+
+/**
+ * 模拟的服务错误，带 HTTP 状态码，与 SDK 抛出的错误形状一致
+ */
+function createMockError(message, status = 500) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+class MockLLMProvider extends LLMProvider {
+  constructor(config = {}) {
+    super(config);
+    this.rules = [];
+    this.scriptMtime = null;
+    this.callCount = 0;
+  }
+
+  /**
+   * 加载脚本（脚本文件修改后下次请求自动重新加载）
+   */
+  async initialize() {
+    const { scriptPath } = this.config;
+    if (!scriptPath) return;
+
+    const fullPath = path.resolve(scriptPath);
+    try {
+      const { mtimeMs } = fs.statSync(fullPath);
+      if (mtimeMs === this.scriptMtime) return;
+
+      const rules = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+      if (!Array.isArray(rules)) {
+        throw new Error('脚本必须是规则数组');
+      }
+      this.rules = rules.map(rule => ({ ...rule, pattern: new RegExp(rule.match || '', 'i') }));
+      this.scriptMtime = mtimeMs;
+      console.log(`🧪 Mock LLM 已加载脚本 ${fullPath}（${this.rules.length} 条规则）`);
+    } catch (error) {
+      throw new Error(`加载 Mock LLM 脚本失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 创建聊天流式响应
+   */
+  async createChatStream(messages, options = {}) {
+    await this.initialize();
+
+    const plan = this.plan(messages, options);
+    this.callCount++;
+    console.log(`🧪 Mock LLM: ${messages.length} 条消息 → ${plan.toolCalls ? `工具调用 ${plan.toolCalls.map(call => call.name).join(',')}` : `${plan.reply.length} 字回复`}`);
+
+    if (plan.error && plan.errorAfterChunks === undefined) {
+      await sleep(plan.delayMs, options.signal);
+      throw plan.error;
+    }
+
+    return this.stream(plan, options.signal);
+  }
+
+  /**
+   * 创建单次完成（不触发工具调用）
+   */
+  async createCompletion(prompt, options = {}) {
+    await this.initialize();
+
+    const plan = this.plan(this.toMessages(prompt), { ...options, tools: [] });
+    this.callCount++;
+    await sleep(plan.delayMs, options.signal);
+    if (plan.error) throw plan.error;
+    return plan.reply;
+  }
+
+  /**
+   * 根据消息决定本次的回复
+   * @private
+   * @returns {{reply: string, toolCalls?: Array, delayMs: number, error?: Error, errorAfterChunks?: number}}
+   */
+  plan(messages, options = {}) {
+    let lastUserIndex = -1;
+    for (let i = messages.length - 1; i >= 0; i--) {
+      if (messages[i].role === 'user') {
+        lastUserIndex = i;
+        break;
+      }
+    }
+
+    const userText = getMessageText(messages[lastUserIndex]);
+    const toolResults = messages.slice(lastUserIndex + 1).filter(message => message.role === 'tool');
+    const availableTools = new Set((options.tools || []).map(tool => tool.function?.name));
+    const canCallTools = toolResults.length === 0 && availableTools.size > 0 && options.toolChoice !== 'none';
+
+    const plan = { reply: '', delayMs: this.config.firstTokenDelayMs || 0 };
+
+    const delayMatch = userText.match(DELAY_TRIGGER);
+    if (delayMatch) {
+      plan.delayMs += parseInt(delayMatch[1], 10);
+    }
+
+    if (Math.random() < (this.config.errorRate || 0)) {
+      plan.error = createMockError('Mock LLM 随机失败（MOCK_LLM_ERROR_RATE）', 503);
+      return plan;
+    }
+
+    const rule = this.rules.find(item => item.pattern.test(userText));
+    if (rule) {
+      plan.delayMs += rule.delayMs || 0;
+      if (rule.error && rule.errorAfterChunks === undefined) {
+        plan.error = createMockError(rule.error, rule.status);
+        return plan;
+      }
+      if (rule.toolCalls && canCallTools) {
+        plan.toolCalls = rule.toolCalls;
+        return plan;
+      }
+      plan.reply = rule.reply || this.buildDefaultReply(userText, toolResults);
+      if (rule.errorAfterChunks !== undefined) {
+        plan.error = createMockError(rule.error || 'Mock LLM 输出中断', rule.status);
+        plan.errorAfterChunks = rule.errorAfterChunks;
+      }
+      return plan;
+    }
+
+    const errorMatch = userText.match(ERROR_TRIGGER);
+    if (errorMatch && !errorMatch[1]) {
+      plan.error = createMockError('Mock LLM 模拟失败（[ERROR] 标记）', 500);
+      return plan;
+    }
+
+    if (canCallTools) {
+      const searchMatch = userText.match(SEARCH_TRIGGER);
+      if (searchMatch && availableTools.has('search_memory')) {
+        const query = (searchMatch[1] || userText.replace(ALL_TRIGGERS, '')).trim();
+        plan.toolCalls = [{ name: 'search_memory', arguments: { query } }];
+        return plan;
+      }
+
+      const toolMatch = userText.match(TOOL_TRIGGER);
+      if (toolMatch && availableTools.has(toolMatch[1])) {
+        let args = {};
+        try {
+          args = toolMatch[2] ? JSON.parse(toolMatch[2]) : {};
+        } catch (error) {
+          console.warn(`🧪 Mock LLM: 工具参数不是合法 JSON，按空参数调用: ${toolMatch[2]}`);
+        }
+        plan.toolCalls = [{ name: toolMatch[1], arguments: args }];
+        return plan;
+      }
+    }
+
+    plan.reply = this.buildDefaultReply(userText, toolResults);
+    if (errorMatch) {
+      // [ERROR:stream]：输出一半后失败
+      plan.error = createMockError('Mock LLM 输出中断（[ERROR:stream] 标记）', 500);
+      plan.errorAfterChunks = Math.max(1, Math.floor(this.splitText(plan.reply).length / 2));
+    }
+    return plan;
+  }
+
+  /**
+   * 默认回复：复述用户消息，收到工具结果时一并摘要
+   * @private
+   */
+  buildDefaultReply(userText, toolResults) {
+    const text = userText.replace(ALL_TRIGGERS, '').replace(/\s+/g, ' ').trim();
+    const preview = text.length > 50 ? `${text.slice(0, 50)}…` : text;
+    let reply = `收到你的消息：「${preview || '（空）'}」。`;
+
+    if (toolResults.length > 0) {
+      const summary = toolResults
+        .map(result => String(result.content || '').replace(/\s+/g, ' ').slice(0, 40))
+        .join('；');
+      reply += `工具返回了 ${toolResults.length} 条结果：${summary}。`;
+    }
+
+    return `${reply}这是本地模拟的回复，用于开发和测试。`;
+  }
+
+  /**
+   * 按 chunkSize 切分文本
+   * @private
+   */
+  splitText(text) {
+    const size = Math.max(1, this.config.chunkSize || 4);
+    const chars = Array.from(text);
+    const parts = [];
+    for (let i = 0; i < chars.length; i += size) {
+      parts.push(chars.slice(i, i + size).join(''));
+    }
+    return parts;
+  }
+
+  /**
+   * 以 OpenAI 流式格式输出
+   * @private
+   */
+  async *stream(plan, signal) {
+    const id = `mock-${Date.now()}-${this.callCount}`;
+    const created = Math.floor(Date.now() / 1000);
+    const chunk = (delta, finishReason = null) => ({
+      id,
+      object: 'chat.completion.chunk',
+      created,
+      model: MODEL_NAME,
+      choices: [{ index: 0, delta, finish_reason: finishReason }]
+    });
+
+    await sleep(plan.delayMs, signal);
+    if (signal?.aborted) return;
+
+    yield chunk({ role: 'assistant', content: '' });
+
+    if (plan.toolCalls) {
+      // 与真实接口一样分片返回：先返回 id 和函数名，再分两段返回参数
+      for (const [index, call] of plan.toolCalls.entries()) {
+        const args = typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {});
+        const half = Math.ceil(args.length / 2);
+        yield chunk({
+          tool_calls: [{ index, id: `call_mock_${this.callCount}_${index}`, type: 'function', function: { name: call.name, arguments: '' } }]
+        });
+        for (const part of [args.slice(0, half), args.slice(half)]) {
+          await sleep(this.config.chunkDelayMs, signal);
+          if (signal?.aborted) return;
+          yield chunk({ tool_calls: [{ index, function: { arguments: part } }] });
+        }
+      }
+      yield chunk({}, 'tool_calls');
+      return;
+    }
+
+    const parts = this.splitText(plan.reply);
+    for (const [index, part] of parts.entries()) {
+      if (plan.error && index >= plan.errorAfterChunks) {
+        throw plan.error;
+      }
+      if (index > 0) {
+        await sleep(this.config.chunkDelayMs, signal);
+      }
+      if (signal?.aborted) return;
+      yield chunk({ content: part });
+    }
+
+    yield chunk({}, 'stop');
+  }
+
+  /**
+   * 模型能力：模拟 Provider 接受所有参数
+   */
+  getCapabilities() {
+    return {
+      vision: true,
+      jsonMode: true,
+      tools: true,
+      maxTokensParam: 'max_completion_tokens'
+    };
+  }
+
+  /**
+   * 验证配置
+   */
+  async validateConfig() {
+    try {
+      await this.initialize();
+      return true;
+    } catch (error) {
+      console.error('Mock LLM config validation failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * 健康检查
+   */
+  async healthCheck() {
+    try {
+      await this.initialize();
+      return {
+        status: 'healthy',
+        provider: 'Mock',
+        model: MODEL_NAME,
+        rules: this.rules.length
+      };
+    } catch (error) {
+      return {
+        status: 'unhealthy',
+        provider: 'Mock',
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * 获取模型信息
+   */
+  getModelInfo() {
+    return {
+      provider: 'Mock',
+      model: MODEL_NAME,
+      script: this.config.scriptPath || null
+    };
+  }
+}
+
+module.exports = MockLLMProvider;
@@ -0,0 +1,72 @@
+/**
+ * 本地模拟 TTS Provider（PROVIDER_TYPE=mock / local）
+ * 不访问任何云服务，按文字长度生成一段静音 WAV，用于离线调试播报流程
+ */
+const TTSProvider = require('../base/TTSProvider');
+
+const SAMPLE_RATE = 16000;
+// 每个字对应的音频时长
+const MS_PER_CHAR = 200;
+// 每个分片的时长
+const CHUNK_MS = 200;
+
+/**
+ * 生成 16bit 单声道 WAV 文件头
+ */
+function createWavHeader(dataLength) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + dataLength, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);              // PCM
+  header.writeUInt16LE(1, 22);              // 单声道
+  header.writeUInt32LE(SAMPLE_RATE, 24);
+  header.writeUInt32LE(SAMPLE_RATE * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(dataLength, 40);
+  return header;
+}
+
+class MockTTSProvider extends TTSProvider {
+  constructor(config = {}) {
+    super(config);
+    this.audioFormat = { format: 'wav', sampleRate: SAMPLE_RATE };
+  }
+
+  async initialize() {}
+
+  async synthesizeStream(text, options = {}, onAudio = () => {}) {
+    const { speed = 1.0, signal } = options;
+    if (signal?.aborted) return;
+
+    const durationMs = Array.from(text).length * MS_PER_CHAR / speed;
+    const bytesPerMs = SAMPLE_RATE * 2 / 1000;
+    const dataLength = Math.round(durationMs * bytesPerMs / 2) * 2;
+    const chunkBytes = CHUNK_MS * bytesPerMs;
+
+    onAudio(createWavHeader(dataLength));
+    for (let offset = 0; offset < dataLength; offset += chunkBytes) {
+      await new Promise(resolve => setTimeout(resolve, this.config.chunkDelayMs || 0));
+      if (signal?.aborted) return;
+      onAudio(Buffer.alloc(Math.min(chunkBytes, dataLength - offset)));
+    }
+  }
+
+  async validateConfig() {
+    return true;
+  }
+
+  async healthCheck() {
+    return {
+      status: 'healthy',
+      provider: 'Mock TTS',
+      outputFormat: `wav ${SAMPLE_RATE}Hz`
+    };
+  }
+}
+
+module.exports = MockTTSProvider;
@@ -0,0 +1,167 @@
+const { OpenAI } = require("openai");
+const LLMProvider = require('../base/LLMProvider');
+
+/**
+ * 通用 OpenAI 兼容 LLM Provider
+ * 适用于任何实现了 /chat/completions 接口的服务：自建的 vLLM / Ollama、通义千问、DeepSeek、Kimi 等
+ * 各家对图片、JSON 模式、函数调用和回复长度参数的支持不一，由配置中的能力开关声明
+ */
+class OpenAICompatibleLLMProvider extends LLMProvider {
+  constructor(config) {
+    super(config);
+    this.client = null;
+  }
+
+  /**
+   * 初始化客户端
+   */
+  async initialize() {
+    if (this.client) return;
+
+    if (!this.validateConfigSync()) {
+      throw new Error('OpenAI compatible LLM configuration is invalid: baseURL and model are required');
+    }
+
+    this.client = new OpenAI({
+      baseURL: this.config.baseURL,
+      // 本地部署的服务通常不校验密钥，但 SDK 要求非空
+      apiKey: this.config.apiKey || 'not-needed',
+      timeout: this.config.timeout,
+      maxRetries: 0 // 重试由 llmService 统一处理
+    });
+
+    console.log(`${this.config.name} LLM Provider initialized with model:`, this.config.model);
+  }
+
+  /**
+   * 创建聊天流式响应
+   */
+  async createChatStream(messages, options = {}) {
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    const streamOptions = {
+      model: this.config.model,
+      messages: messages,
+      stream: true,
+      ...this.buildRequestOptions(options, { maxTokens: 2000 }),
+      ...this.buildStreamOptions()
+    };
+
+    console.log(`${this.config.name} LLM: Creating chat stream with`, messages.length, 'messages');
+    return await this.client.chat.completions.create(streamOptions, { signal: options.signal });
+  }
+
+  /**
+   * 创建单次完成
+   */
+  async createCompletion(prompt, options = {}) {
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    const messages = this.toMessages(prompt);
+    const response = await this.client.chat.completions.create({
+      model: this.config.model,
+      messages: messages,
+      stream: false,
+      ...this.buildRequestOptions(options, { maxTokens: 2000 })
+    }, { signal: options.signal });
+
+    options.onUsage?.(response.usage);
+    return response.choices[0].message.content;
+  }
+
+  /**
+   * 模型能力（来自 OPENAI_COMPATIBLE_* 配置）
+   */
+  getCapabilities() {
+    return {
+      ...super.getCapabilities(),
+      ...this.config.capabilities
+    };
+  }
+
+  /**
+   * 验证配置（异步版本，用于健康检查）
+   */
+  async validateConfig() {
+    try {
+      if (!this.validateConfigSync()) {
+        return false;
+      }
+
+      if (!this.client) {
+        await this.initialize();
+      }
+
+      return true;
+    } catch (error) {
+      console.error(`${this.config.name} LLM config validation failed:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * 同步配置验证
+   */
+  validateConfigSync() {
+    return !!(this.config.baseURL && this.config.model);
+  }
+
+  /**
+   * 健康检查
+   */
+  async healthCheck() {
+    try {
+      if (!this.client) {
+        await this.initialize();
+      }
+
+      // 发送简单的测试请求
+      const response = await this.client.chat.completions.create({
+        model: this.config.model,
+        messages: [{ role: 'user', content: 'ping' }],
+        stream: false,
+        ...this.buildRequestOptions({ maxTokens: 1 })
+      });
+
+      if (response.choices && response.choices.length > 0) {
+        return {
+          status: 'healthy',
+          provider: this.config.name,
+          model: this.config.model,
+          baseURL: this.config.baseURL,
+          capabilities: this.getCapabilities()
+        };
+      } else {
+        return {
+          status: 'unhealthy',
+          provider: this.config.name,
+          error: 'No response from OpenAI compatible endpoint'
+        };
+      }
+    } catch (error) {
+      return {
+        status: 'unhealthy',
+        error: error.message,
+        provider: this.config.name
+      };
+    }
+  }
+
+  /**
+   * 获取模型信息
+   */
+  getModelInfo() {
+    return {
+      provider: this.config.name,
+      model: this.config.model,
+      baseURL: this.config.baseURL,
+      capabilities: this.getCapabilities()
+    };
+  }
+}
+
+module.exports = OpenAICompatibleLLMProvider;
@@ -83,7 +83,7 @@ class VolcengineASRProvider extends ASRProvider {
     return header;
   }
 
-  async buildFullClientRequest(sessionId, useCompression = false) {
+  async buildFullClientRequest(sessionId, useCompression = false, options = {}) {
     // 构建符合文档要求的payload
     const payload = {
       user: {
@@ -106,6 +106,12 @@ class VolcengineASRProvider extends ASRProvider {
       }
     };
 
+    // 需要逐句结果时（免提对话）：返回分句，并在静音达到 end_window_size 后判定一句结束
+    if (options.endWindowSize) {
+      payload.request.show_utterances = true;
+      payload.request.end_window_size = options.endWindowSize;
+    }
+
     console.log('构建的payload内容:', JSON.stringify(payload, null, 2));
 
     let payloadBuffer = Buffer.from(JSON.stringify(payload), 'utf8');
@@ -218,7 +224,7 @@ class VolcengineASRProvider extends ASRProvider {
         
         try {
           // 构建并发送Full Client Request (Binary Protocol)
-          const fullClientRequest = await this.buildFullClientRequest(sessionId, false);
+          const fullClientRequest = await this.buildFullClientRequest(sessionId, false, options);
           
           console.log('发送Binary首包:', {
             totalSize: fullClientRequest.length,
@@ -543,6 +549,7 @@ class VolcengineASRProvider extends ASRProvider {
               text: utterance.text || '',
               confidence: 0.9,
               isFinal: true,
+              startTime: utterance.start_time,
               duration: utterance.end_time - utterance.start_time,
               sessionId: session.sessionId
             });
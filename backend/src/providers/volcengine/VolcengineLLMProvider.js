@@ -22,7 +22,8 @@ class VolcengineLLMProvider extends LLMProvider {
     // 使用OpenAI客户端，但指向火山引擎的端点
     this.client = new OpenAI({
       baseURL: this.config.baseURL || "https://ark.cn-beijing.volces.com/api/v3",
-      apiKey: this.config.apiKey
+      apiKey: this.config.apiKey,
+      maxRetries: 0 // 重试由 llmService 统一处理
     });
 
     console.log('Volcengine LLM Provider initialized with model:', this.config.model);
@@ -36,19 +37,19 @@ class VolcengineLLMProvider extends LLMProvider {
       await this.initialize();
     }
 
+    // 通用参数（含函数调用，豆包兼容 OpenAI tools 格式）转换为方舟接口参数
     const streamOptions = {
       model: this.config.model, // 使用 ep-m-20250812174627-s8gbl
       messages: messages,
       stream: true,
-      max_tokens: options.maxTokens || 2000,
-      temperature: options.temperature || 0.5,
-      ...options
+      ...this.buildRequestOptions(options, { maxTokens: 2000, temperature: 0.5 }),
+      ...this.buildStreamOptions()
     };
 
     console.log('Volcengine LLM: Creating chat stream with', messages.length, 'messages');
     console.log('Using model:', this.config.model);
     
-    return await this.client.chat.completions.create(streamOptions);
+    return await this.client.chat.completions.create(streamOptions, { signal: options.signal });
   }
 
   /**
@@ -59,19 +60,31 @@ class VolcengineLLMProvider extends LLMProvider {
       await this.initialize();
     }
 
-    const messages = [{ role: 'user', content: prompt }];
+    const messages = this.toMessages(prompt);
     const response = await this.client.chat.completions.create({
       model: this.config.model,
       messages: messages,
       stream: false,
-      max_tokens: options.maxTokens || 2000,
-      temperature: options.temperature || 0.5,
-      ...options
-    });
+      ...this.buildRequestOptions(options, { maxTokens: 2000, temperature: 0.5 })
+    }, { signal: options.signal });
 
+    options.onUsage?.(response.usage);
     return response.choices[0].message.content;
   }
 
+  /**
+   * 模型能力：豆包 Seed 1.6 支持图片理解和函数调用，JSON 模式不保证可用
+   */
+  getCapabilities() {
+    return {
+      vision: true,
+      jsonMode: false,
+      tools: true,
+      maxTokensParam: 'max_tokens',
+      streamUsage: true
+    };
+  }
+
   /**
    * 验证配置（异步版本，用于健康检查）
    */
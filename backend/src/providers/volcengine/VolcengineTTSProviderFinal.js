@@ -0,0 +1,230 @@
+/**
+ * 火山引擎TTS Provider实现
+ * 使用 WebSocket 二进制协议流式合成
+ * API端点: wss://openspeech.bytedance.com/api/v1/tts/ws_binary
+ * 协议：4 字节 header + payload size + payload，与 ASR 的 Binary Protocol 相同的头格式
+ */
+const WebSocket = require('ws');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const TTSProvider = require('../base/TTSProvider');
+
+// 单句合成的最长等待时间
+const SYNTHESIS_TIMEOUT = 30000;
+
+class VolcengineTTSProviderFinal extends TTSProvider {
+  constructor(config) {
+    super(config);
+    this.config = {
+      appId: config.speechAppId,
+      speechAccessToken: config.speechAccessToken,
+      wsUrl: config.ttsWebsocketUrl || 'wss://openspeech.bytedance.com/api/v1/tts/ws_binary',
+      // V1 接口中资源 ID 即 cluster
+      cluster: config.ttsResourceId || 'volcano_tts',
+      voice: config.ttsVoice || 'zh_female_wanwanxiaohe_moon_bigtts',
+      encoding: 'mp3',
+      sampleRate: 24000,
+      // Binary protocol constants
+      PROTOCOL_VERSION: 0b0001,
+      HEADER_SIZE: 0b0001, // 4 bytes
+      MSG_FULL_CLIENT_REQUEST: 0b0001,
+      MSG_AUDIO_ONLY_RESPONSE: 0b1011,
+      MSG_ERROR_RESPONSE: 0b1111,
+      SERIALIZATION_JSON: 0b0001,
+      COMPRESSION_NONE: 0b0000,
+      COMPRESSION_GZIP: 0b0001
+    };
+    this.audioFormat = { format: this.config.encoding, sampleRate: this.config.sampleRate };
+  }
+
+  async initialize() {
+    if (!this.config.speechAccessToken || !this.config.appId) {
+      throw new Error('火山引擎TTS配置不完整：缺少Speech Access Token或App ID');
+    }
+
+    console.log('Volcengine TTS Provider初始化成功');
+    console.log('- WebSocket端点:', this.config.wsUrl);
+    console.log('- 音色:', this.config.voice);
+  }
+
+  // Binary protocol helper methods
+  buildBinaryHeader(messageType, flags = 0b0000, serialization = this.config.SERIALIZATION_JSON, compression = this.config.COMPRESSION_GZIP) {
+    const header = Buffer.alloc(4);
+    header[0] = (this.config.PROTOCOL_VERSION << 4) | this.config.HEADER_SIZE;
+    header[1] = (messageType << 4) | flags;
+    header[2] = (serialization << 4) | compression;
+    header[3] = 0x00;
+    return header;
+  }
+
+  buildFullClientRequest(text, voice, speed) {
+    const payload = {
+      app: {
+        appid: this.config.appId,
+        token: this.config.speechAccessToken,
+        cluster: this.config.cluster
+      },
+      user: {
+        uid: 'jianjunai'
+      },
+      audio: {
+        voice_type: voice,
+        encoding: this.config.encoding,
+        rate: this.config.sampleRate,
+        speed_ratio: speed
+      },
+      request: {
+        reqid: crypto.randomUUID(),
+        text,
+        text_type: 'plain',
+        operation: 'submit' // 流式返回
+      }
+    };
+
+    const payloadBuffer = zlib.gzipSync(Buffer.from(JSON.stringify(payload), 'utf8'));
+    const header = this.buildBinaryHeader(this.config.MSG_FULL_CLIENT_REQUEST);
+    const payloadSize = Buffer.alloc(4);
+    payloadSize.writeUInt32BE(payloadBuffer.length, 0);
+
+    return Buffer.concat([header, payloadSize, payloadBuffer]);
+  }
+
+  /**
+   * 解析服务端消息
+   * @returns {{audio?: Buffer, isLast?: boolean, error?: Error}}
+   */
+  parseServerMessage(data) {
+    const headerSize = (data[0] & 0x0f) * 4;
+    const messageType = data[1] >> 4;
+    const flags = data[1] & 0x0f;
+    const compression = data[2] & 0x0f;
+    const body = data.subarray(headerSize);
+
+    if (messageType === this.config.MSG_AUDIO_ONLY_RESPONSE) {
+      // flags 为 0 时是不带音频的确认包
+      if (flags === 0) return {};
+
+      const sequence = body.readInt32BE(0);
+      const payloadSize = body.readUInt32BE(4);
+      return {
+        audio: body.subarray(8, 8 + payloadSize),
+        isLast: sequence < 0
+      };
+    }
+
+    if (messageType === this.config.MSG_ERROR_RESPONSE) {
+      const code = body.readUInt32BE(0);
+      const payloadSize = body.readUInt32BE(4);
+      let payload = body.subarray(8, 8 + payloadSize);
+      if (compression === this.config.COMPRESSION_GZIP) {
+        payload = zlib.gunzipSync(payload);
+      }
+      return { error: new Error(`火山引擎TTS错误 ${code}: ${payload.toString('utf8')}`) };
+    }
+
+    return {};
+  }
+
+  async synthesizeStream(text, options = {}, onAudio = () => {}) {
+    const { voice = this.config.voice, speed = 1.0, signal } = options;
+    if (signal?.aborted) return;
+
+    const ws = new WebSocket(this.config.wsUrl, {
+      headers: {
+        Authorization: `Bearer;${this.config.speechAccessToken}`
+      }
+    });
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      const settle = (error) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeout);
+        signal?.removeEventListener('abort', onAbort);
+        ws.terminate();
+        error ? reject(error) : resolve();
+      };
+      const onAbort = () => settle();
+      signal?.addEventListener('abort', onAbort);
+      const timeout = setTimeout(() => settle(new Error('火山引擎TTS合成超时')), SYNTHESIS_TIMEOUT);
+
+      ws.on('open', () => {
+        ws.send(this.buildFullClientRequest(text, voice, speed));
+      });
+
+      ws.on('message', (data) => {
+        if (settled) return;
+        try {
+          const { audio, isLast, error } = this.parseServerMessage(data);
+          if (error) {
+            settle(error);
+            return;
+          }
+          if (audio && audio.length > 0) {
+            onAudio(Buffer.from(audio));
+          }
+          if (isLast) {
+            settle();
+          }
+        } catch (error) {
+          settle(new Error(`解析火山引擎TTS响应失败: ${error.message}`));
+        }
+      });
+
+      ws.on('error', (error) => settle(error));
+      ws.on('close', () => settle(new Error('火山引擎TTS连接提前关闭')));
+    });
+  }
+
+  async validateConfig() {
+    const required = ['speechAccessToken', 'appId'];
+    for (const field of required) {
+      if (!this.config[field]) {
+        console.error(`TTS配置缺失字段: ${field}`);
+        return false;
+      }
+    }
+    return true;
+  }
+
+  async healthCheck() {
+    try {
+      const isValid = await this.validateConfig();
+      if (!isValid) {
+        return {
+          status: 'unhealthy',
+          provider: 'Volcengine TTS',
+          error: '配置无效'
+        };
+      }
+
+      const audio = await this.synthesize('好');
+      return {
+        status: audio.length > 0 ? 'healthy' : 'unhealthy',
+        provider: 'Volcengine TTS',
+        endpoint: this.config.wsUrl,
+        voice: this.config.voice
+      };
+    } catch (error) {
+      return {
+        status: 'unhealthy',
+        provider: 'Volcengine TTS',
+        error: error.message
+      };
+    }
+  }
+
+  getProviderInfo() {
+    return {
+      name: 'Volcengine TTS',
+      version: '1.0.0',
+      mode: '流式合成',
+      endpoint: this.config.wsUrl,
+      voice: this.config.voice,
+      outputFormat: `${this.config.encoding} ${this.config.sampleRate}Hz`
+    };
+  }
+}
+
+module.exports = VolcengineTTSProviderFinal;
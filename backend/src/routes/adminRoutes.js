@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const AuthMiddleware = require('../middleware/auth');
+
+// 所有管理接口都需要管理员令牌（ADMIN_API_TOKENS）
+router.use(AuthMiddleware.requireAdmin);
+
+// Provider 状态
+router.get('/providers', adminController.getProviders.bind(adminController));
+router.get('/providers/health', adminController.getHealth.bind(adminController));
+router.get('/providers/models', adminController.getModels.bind(adminController));
+router.get('/providers/config', adminController.getConfigStatus.bind(adminController));
+
+// 运行时切换 Provider 和模型
+router.put('/providers/llm/routes/:task', adminController.setLLMRoute.bind(adminController));
+router.put('/providers/llm/fallbacks', adminController.setLLMFallbacks.bind(adminController));
+router.put('/providers/:kind', adminController.switchProvider.bind(adminController));
+router.post('/providers/reinitialize', adminController.reinitialize.bind(adminController));
+router.delete('/providers/overrides', adminController.resetOverrides.bind(adminController));
+
+// LLM 用量与费用
+router.get('/usage', adminController.getUsage.bind(adminController));
+
+// 回复安全审核
+router.get('/safety/events', adminController.getSafetyEvents.bind(adminController));
+router.post('/safety/rules/reload', adminController.reloadSafetyRules.bind(adminController));
+
+// 危机支持跟进
+router.get('/follow-ups', adminController.getFollowUps.bind(adminController));
+router.put('/follow-ups/:sessionId/resolve', adminController.resolveFollowUp.bind(adminController));
+
+// 人工接管（回复用户在工作人员控制台 WebSocket 中进行）
+router.get('/handoffs', adminController.getHandoffs.bind(adminController));
+
+// 操作审计
+router.get('/audit', adminController.getAuditLogs.bind(adminController));
+
+module.exports = router;
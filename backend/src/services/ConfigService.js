@@ -3,22 +3,190 @@
  * 负责读取和验证各种Provider的配置
  */
 class ConfigService {
+  /**
+   * LLM 任务类型，每种任务可通过 LLM_ROUTE_<任务> 单独指定 Provider 和模型
+   */
+  static LLMTask = Object.freeze({
+    CHAT: 'chat',             // 主对话
+    VISION: 'vision',         // 带图片的对话（未配置时同 chat）
+    SUGGESTION: 'suggestion', // 建议问题
+    SUMMARY: 'summary',       // 会话摘要、每日总结
+    GREETING: 'greeting',     // 问候语中的话题总结
+    EXTRACTION: 'extraction', // 名字等信息提取
+    MODERATION: 'moderation'  // 回复安全审核（开启 SAFETY_CLASSIFIER_ENABLED 时）
+  });
+
+  /**
+   * 可在运行时覆盖的配置项（管理接口切换 Provider / 模型时使用）
+   */
+  static OVERRIDABLE_KEYS = Object.freeze([
+    'LLM_PROVIDER_TYPE', 'ASR_PROVIDER_TYPE', 'TTS_PROVIDER_TYPE', 'LLM_FALLBACK_PROVIDERS',
+    ...Object.values(this.LLMTask).map(task => `LLM_ROUTE_${task.toUpperCase()}`)
+  ]);
+
+  // 运行时覆盖值，优先于环境变量；只在当前进程内生效，重启后恢复为环境变量
+  static overrides = {};
+
   /**
    * 环境变量读取辅助函数（兼容 Azure App Service 的 APPSETTING_ 前缀）
    */
   static getEnvVar(name) {
+    if (Object.prototype.hasOwnProperty.call(this.overrides, name)) {
+      return this.overrides[name];
+    }
     return process.env[name] || process.env[`APPSETTING_${name}`] || null;
   }
 
+  /**
+   * 设置运行时覆盖值，value 为 null 时恢复为环境变量
+   * @param {string} name - OVERRIDABLE_KEYS 中的配置项
+   * @param {string|null} value
+   */
+  static setOverride(name, value) {
+    if (!this.OVERRIDABLE_KEYS.includes(name)) {
+      throw new Error(`Config key cannot be overridden at runtime: ${name}`);
+    }
+    if (value === null || value === undefined) {
+      delete this.overrides[name];
+    } else {
+      this.overrides[name] = String(value);
+    }
+  }
+
+  /**
+   * 获取当前的运行时覆盖值
+   */
+  static getOverrides() {
+    return { ...this.overrides };
+  }
+
+  /**
+   * 清除所有运行时覆盖值
+   */
+  static clearOverrides() {
+    this.overrides = {};
+  }
+
   /**
    * 获取当前选择的Provider类型
+   * azure / volcengine；mock、local 为本地模拟 Provider（开发与测试用，不访问任何云服务）
    */
   static getProviderType() {
     return this.getEnvVar('PROVIDER_TYPE') || 'azure';
   }
 
+  /**
+   * 获取 LLM 使用的Provider类型
+   * LLM_PROVIDER_TYPE 可单独指定（如 openai_compatible），语音服务仍使用 PROVIDER_TYPE；
+   * 未设置时：启用 Provider 模式（USE_PROVIDER=true）与 PROVIDER_TYPE 相同，否则与旧版一致固定使用 Azure
+   */
+  static getLLMProviderType() {
+    const configured = this.getEnvVar('LLM_PROVIDER_TYPE');
+    if (configured) return configured;
+    return this.isProviderEnabled() ? this.getProviderType() : 'azure';
+  }
+
+  /**
+   * 获取语音识别使用的Provider类型（ASR_PROVIDER_TYPE 未配置时同 PROVIDER_TYPE）
+   */
+  static getASRProviderType() {
+    return this.getEnvVar('ASR_PROVIDER_TYPE') || this.getProviderType();
+  }
+
+  /**
+   * 获取语音合成使用的Provider类型（TTS_PROVIDER_TYPE 未配置时同 PROVIDER_TYPE）
+   */
+  static getTTSProviderType() {
+    return this.getEnvVar('TTS_PROVIDER_TYPE') || this.getProviderType();
+  }
+
+  /**
+   * 获取任务的 LLM 路由
+   * LLM_ROUTE_<任务>=provider 或 provider:model，例如 LLM_ROUTE_SUGGESTION=volcengine:flash；
+   * model 对火山引擎可写 standard / flash，对 Azure 为部署名，其余为模型名
+   * 未配置的任务使用 LLM_PROVIDER_TYPE 的默认模型，vision 未配置时与 chat 相同
+   * @param {string} task - ConfigService.LLMTask 中的任务
+   * @returns {{type: string, model: string|null}}
+   */
+  static getLLMRoute(task = this.LLMTask.CHAT) {
+    const route = this.getEnvVar(`LLM_ROUTE_${task.toUpperCase()}`);
+    if (!route) {
+      return task === this.LLMTask.VISION
+        ? this.getLLMRoute(this.LLMTask.CHAT)
+        : { type: this.getLLMProviderType(), model: null };
+    }
+    return this.parseLLMRoute(route);
+  }
+
+  /**
+   * 解析 provider 或 provider:model 格式的路由（model 本身可以含冒号，如 qwen2.5:7b）
+   */
+  static parseLLMRoute(route) {
+    const separator = route.indexOf(':');
+    return separator < 0
+      ? { type: route.trim(), model: null }
+      : { type: route.slice(0, separator).trim(), model: route.slice(separator + 1).trim() || null };
+  }
+
+  /**
+   * 获取 LLM 故障转移配置
+   * LLM_FALLBACK_PROVIDERS: 备用 Provider，逗号分隔，格式同任务路由，例如 volcengine 或 volcengine:flash
+   * LLM_FIRST_TOKEN_TIMEOUT_MS: 超过此时间仍未收到首个 token 视为失败，切换到下一个 Provider
+   * LLM_CIRCUIT_FAILURE_THRESHOLD: 连续失败多少次后熔断
+   * LLM_CIRCUIT_OPEN_MS: 熔断持续时间，之后放行一次试探请求
+   * LLM_HEALTH_CHECK_INTERVAL_MS: 配置了备用 Provider 时定时健康检查的间隔（0 为不检查）
+   */
+  static getLLMFailoverConfig() {
+    const fallbacks = (this.getEnvVar('LLM_FALLBACK_PROVIDERS') || '')
+      .split(',')
+      .map(item => item.trim())
+      .filter(Boolean)
+      .map(item => this.parseLLMRoute(item));
+    const healthCheckIntervalMs = parseInt(this.getEnvVar('LLM_HEALTH_CHECK_INTERVAL_MS'), 10);
+
+    return {
+      fallbacks,
+      firstTokenTimeoutMs: parseInt(this.getEnvVar('LLM_FIRST_TOKEN_TIMEOUT_MS'), 10) || 15000,
+      failureThreshold: parseInt(this.getEnvVar('LLM_CIRCUIT_FAILURE_THRESHOLD'), 10) || 3,
+      openMs: parseInt(this.getEnvVar('LLM_CIRCUIT_OPEN_MS'), 10) || 30000,
+      healthCheckIntervalMs: Number.isNaN(healthCheckIntervalMs) ? 60000 : healthCheckIntervalMs
+    };
+  }
+
+  /**
+   * 获取 LLM 请求配置（llmService 统一使用）
+   * LLM_MAX_RETRIES: 限流、超时、服务端错误的重试次数（各 SDK 自带的重试已关闭）
+   * LLM_CHAT_MAX_TOKENS: 主对话单次回复的最大 token 数
+   */
+  static getLLMClientConfig() {
+    const maxRetries = parseInt(this.getEnvVar('LLM_MAX_RETRIES'), 10);
+    return {
+      maxRetries: Number.isNaN(maxRetries) ? 2 : maxRetries,
+      chatMaxTokens: parseInt(this.getEnvVar('LLM_CHAT_MAX_TOKENS'), 10) || 2000
+    };
+  }
+
+  /**
+   * 获取所有任务的 LLM 路由（用于启动日志和状态查询）
+   */
+  static getLLMRoutes() {
+    const routes = {};
+    for (const task of Object.values(this.LLMTask)) {
+      routes[task] = this.getLLMRoute(task);
+    }
+    return routes;
+  }
+
+  /**
+   * 是否为本地模拟 Provider（mock 与 local 等价）
+   */
+  static isLocalProvider(type = this.getProviderType()) {
+    return type === 'mock' || type === 'local';
+  }
+
   /**
    * 获取是否启用Provider模式
+   * 未启用时语音识别使用 speechService，LLM 默认使用 Azure（可用 LLM_PROVIDER_TYPE 或 LLM_ROUTE_* 指定）
    */
   static isProviderEnabled() {
     return this.getEnvVar('USE_PROVIDER') === 'true';
@@ -32,6 +200,10 @@ class ConfigService {
       return this.getAzureConfig();
     } else if (type === 'volcengine') {
       return this.getVolcengineConfig();
+    } else if (type === 'openai_compatible') {
+      return this.getOpenAICompatibleConfig();
+    } else if (this.isLocalProvider(type)) {
+      return this.getLocalConfig();
     }
     throw new Error(`Unknown provider type: ${type}`);
   }
@@ -131,6 +303,63 @@ class ConfigService {
     return models;
   }
 
+  /**
+   * 获取通用 OpenAI 兼容服务配置（vLLM、Ollama、通义千问、DeepSeek 等）
+   * OPENAI_COMPATIBLE_BASE_URL / OPENAI_COMPATIBLE_API_KEY / OPENAI_COMPATIBLE_MODEL: 接口地址、密钥（可为空）、模型
+   * OPENAI_COMPATIBLE_VISION / _JSON_MODE / _TOOLS: 是否支持图片输入、JSON 模式、函数调用
+   * OPENAI_COMPATIBLE_MAX_TOKENS_PARAM: 回复长度参数名 max_tokens（默认）或 max_completion_tokens
+   * OPENAI_COMPATIBLE_STREAM_USAGE: 流式输出是否支持 stream_options.include_usage（不支持时按本地计数统计用量）
+   */
+  static getOpenAICompatibleConfig() {
+    const readFlag = (name, defaultValue) => {
+      const value = this.getEnvVar(name);
+      return value === null ? defaultValue : value === 'true';
+    };
+    const timeout = parseInt(this.getEnvVar('OPENAI_COMPATIBLE_TIMEOUT_MS'), 10);
+
+    return {
+      name: this.getEnvVar('OPENAI_COMPATIBLE_NAME') || 'OpenAI Compatible',
+      baseURL: this.getEnvVar('OPENAI_COMPATIBLE_BASE_URL'),
+      apiKey: this.getEnvVar('OPENAI_COMPATIBLE_API_KEY'),
+      model: this.getEnvVar('OPENAI_COMPATIBLE_MODEL'),
+      timeout: timeout > 0 ? timeout : 60000,
+      capabilities: {
+        vision: readFlag('OPENAI_COMPATIBLE_VISION', false),
+        jsonMode: readFlag('OPENAI_COMPATIBLE_JSON_MODE', false),
+        tools: readFlag('OPENAI_COMPATIBLE_TOOLS', true),
+        streamUsage: readFlag('OPENAI_COMPATIBLE_STREAM_USAGE', false),
+        maxTokensParam: this.getEnvVar('OPENAI_COMPATIBLE_MAX_TOKENS_PARAM') === 'max_completion_tokens'
+          ? 'max_completion_tokens'
+          : 'max_tokens'
+      }
+    };
+  }
+
+  /**
+   * 获取本地模拟 Provider 配置
+   * MOCK_LLM_SCRIPT: 脚本文件（JSON 规则数组），按用户消息匹配固定回复、工具调用或错误
+   * MOCK_LLM_CHUNK_SIZE / MOCK_LLM_CHUNK_DELAY_MS / MOCK_LLM_FIRST_TOKEN_DELAY_MS: 分片大小与模拟延迟
+   * MOCK_LLM_ERROR_RATE: 随机失败概率（0~1），用于演练重试和错误提示
+   * MOCK_ASR_FIXTURES_DIR: 音频样本目录，样本 a.pcm / a.wav 的识别结果写在同名的 a.txt 中
+   * MOCK_ASR_TRANSCRIPT: 没有匹配到样本时返回的识别结果
+   */
+  static getLocalConfig() {
+    const readNumber = (name, defaultValue) => {
+      const value = parseFloat(this.getEnvVar(name));
+      return Number.isNaN(value) ? defaultValue : value;
+    };
+
+    return {
+      scriptPath: this.getEnvVar('MOCK_LLM_SCRIPT'),
+      chunkSize: readNumber('MOCK_LLM_CHUNK_SIZE', 4),
+      chunkDelayMs: readNumber('MOCK_LLM_CHUNK_DELAY_MS', 30),
+      firstTokenDelayMs: readNumber('MOCK_LLM_FIRST_TOKEN_DELAY_MS', 200),
+      errorRate: readNumber('MOCK_LLM_ERROR_RATE', 0),
+      asrFixturesDir: this.getEnvVar('MOCK_ASR_FIXTURES_DIR'),
+      asrTranscript: this.getEnvVar('MOCK_ASR_TRANSCRIPT') || '这是一段模拟的语音识别结果'
+    };
+  }
+
   /**
    * 验证指定Provider的配置
    */
@@ -143,6 +372,11 @@ class ConfigService {
       return this.validateAzureConfig(config);
     } else if (type === 'volcengine') {
       return this.validateVolcengineConfig(config);
+    } else if (type === 'openai_compatible') {
+      return this.validateOpenAICompatibleConfig(config);
+    } else if (this.isLocalProvider(type)) {
+      // 本地模拟 Provider 无需任何密钥
+      return { llm: true, overall: true, missing: [] };
     }
     
     return false;
@@ -178,6 +412,19 @@ class ConfigService {
     };
   }
 
+  /**
+   * 验证通用 OpenAI 兼容服务配置（密钥可为空）
+   */
+  static validateOpenAICompatibleConfig(config) {
+    const llmValid = !!(config.baseURL && config.model);
+
+    return {
+      llm: llmValid,
+      overall: llmValid,
+      missing: this.getMissingFields(config, ['baseURL', 'model'])
+    };
+  }
+
   /**
    * 获取缺失的配置字段
    */
@@ -189,12 +436,45 @@ class ConfigService {
    * 打印配置状态
    */
   static logConfigStatus() {
-    const providerType = this.getProviderType();
+    const providerType = this.getLLMProviderType();
     const isEnabled = this.isProviderEnabled();
     
     console.log('=== Provider Configuration Status ===');
-    console.log(`Provider Type: ${providerType}`);
+    console.log(`Provider Type: ${this.getProviderType()}`);
+    if (providerType !== this.getProviderType()) {
+      console.log(`LLM Provider Type: ${providerType}`);
+      if (!isEnabled && !this.getEnvVar('LLM_PROVIDER_TYPE')) {
+        console.warn(`⚠️ 未启用 Provider 模式，LLM 仍使用 Azure；如需使用 ${this.getProviderType()}，请设置 USE_PROVIDER=true 或 LLM_PROVIDER_TYPE`);
+      }
+    }
+    if (this.getASRProviderType() !== this.getProviderType()) {
+      console.log(`ASR Provider Type: ${this.getASRProviderType()}`);
+    }
+    if (this.getTTSProviderType() !== this.getProviderType()) {
+      console.log(`TTS Provider Type: ${this.getTTSProviderType()}`);
+    }
     console.log(`Provider Mode: ${isEnabled ? 'Enabled' : 'Disabled'}`);
+
+    // 单独配置了路由的任务
+    for (const [task, route] of Object.entries(this.getLLMRoutes())) {
+      if (route.type !== providerType || route.model) {
+        console.log(`LLM Route [${task}]: ${route.type}${route.model ? `:${route.model}` : ''}`);
+      }
+    }
+    const { fallbacks } = this.getLLMFailoverConfig();
+    if (fallbacks.length > 0) {
+      console.log(`LLM Fallback: ${fallbacks.map(route => `${route.type}${route.model ? `:${route.model}` : ''}`).join(' -> ')}`);
+    }
+    const { dailyTokenLimit, dailyCostLimit, currency } = this.getUsageConfig();
+    if (dailyTokenLimit || dailyCostLimit) {
+      console.log(`Daily Usage Limit: ${dailyTokenLimit || '∞'} tokens, ${dailyCostLimit || '∞'} ${currency}`);
+    }
+    const safetyGuard = this.getSafetyGuardConfig();
+    console.log(`Safety Guard: ${safetyGuard.enabled ? `rules${safetyGuard.classifierEnabled ? ' + classifier' : ''}` : 'Disabled'}`);
+    const crisisSupport = this.getCrisisSupportConfig();
+    console.log(`Crisis Support: region ${crisisSupport.region || 'default'}, webhook ${crisisSupport.webhookUrl ? crisisSupport.webhookFormat : 'Not configured'}`);
+    const handoff = this.getHandoffConfig();
+    console.log(`Human Handoff: ${handoff.enabled ? `staff console at ${handoff.staffPath}` : 'Disabled'}`);
     
     try {
       const config = this.getProviderConfig(providerType);
@@ -211,10 +491,20 @@ class ConfigService {
   }
 
   /**
-   * 获取当前Provider的LLM配置（便捷方法）
+   * 获取任务当前路由到的LLM配置（便捷方法）
+   * @param {string} task - ConfigService.LLMTask 中的任务，默认主对话
+   */
+  static getCurrentLLMConfig(task = this.LLMTask.CHAT) {
+    const { type, model } = this.getLLMRoute(task);
+    return this.getLLMConfig(type, model);
+  }
+
+  /**
+   * 获取指定Provider的LLM配置
+   * @param {string} type - Provider类型
+   * @param {string|null} model - 覆盖默认模型（见 getLLMRoute）
    */
-  static getCurrentLLMConfig() {
-    const type = this.getProviderType();
+  static getLLMConfig(type, model = null) {
     const config = this.getProviderConfig(type);
     
     if (type === 'azure') {
@@ -222,16 +512,196 @@ class ConfigService {
         apiKey: config.apiKey,
         endpoint: config.endpoint,
         apiVersion: config.apiVersion,
-        deployment: config.deployment
+        deployment: model || config.deployment
       };
     } else if (type === 'volcengine') {
+      let selectedModel = config.model;
+      if (model === 'standard' || model === 'flash') {
+        selectedModel = (model === 'flash' ? config.modelFlash : config.modelStandard) || config.model;
+      } else if (model) {
+        selectedModel = model;
+      }
       return {
         apiKey: config.apiKey,
-        model: config.model,
+        model: selectedModel,
         baseURL: config.baseURL,
         region: config.region
       };
+    } else if (type === 'openai_compatible') {
+      return model ? { ...config, model } : config;
+    } else if (this.isLocalProvider(type)) {
+      return config;
+    }
+  }
+
+  /**
+   * 获取管理接口配置
+   * ADMIN_API_TOKENS: 管理员令牌，格式 name:token，多个用逗号分隔；name 记入审计日志。未配置时管理接口不可用
+   */
+  static getAdminConfig() {
+    const tokens = new Map();
+    for (const item of (this.getEnvVar('ADMIN_API_TOKENS') || '').split(',')) {
+      const separator = item.indexOf(':');
+      if (separator <= 0) continue;
+      const name = item.slice(0, separator).trim();
+      const token = item.slice(separator + 1).trim();
+      if (name && token) tokens.set(token, name);
     }
+    return { tokens, enabled: tokens.size > 0 };
+  }
+
+  /**
+   * 获取诊所知识库配置（见 knowledge/README.md）
+   * KNOWLEDGE_BASE_ENABLED: 是否在对话中检索知识库，默认开启
+   * KNOWLEDGE_BASE_DIR / KNOWLEDGE_INDEX_PATH: 文章目录和索引文件，相对 backend 目录
+   * KNOWLEDGE_TOP_K / KNOWLEDGE_MIN_SCORE: 每次注入的段落数和最低 BM25 得分
+   */
+  static getKnowledgeBaseConfig() {
+    const topK = parseInt(this.getEnvVar('KNOWLEDGE_TOP_K'), 10);
+    const minScore = parseFloat(this.getEnvVar('KNOWLEDGE_MIN_SCORE'));
+    return {
+      enabled: this.getEnvVar('KNOWLEDGE_BASE_ENABLED') !== 'false',
+      articlesDir: this.getEnvVar('KNOWLEDGE_BASE_DIR') || 'knowledge/articles',
+      indexPath: this.getEnvVar('KNOWLEDGE_INDEX_PATH') || 'data/knowledge-index.json',
+      topK: topK > 0 ? topK : 3,
+      minScore: Number.isNaN(minScore) ? 4 : minScore
+    };
+  }
+
+  /**
+   * 获取回复安全审核配置
+   * SAFETY_GUARD_ENABLED: 是否按规则审核模型输出（默认开启），规则见 config/safetyRules.json
+   * SAFETY_CLASSIFIER_ENABLED: 是否再用分类模型（LLM_ROUTE_MODERATION）逐句审核，会增加输出延迟
+   * SAFETY_CLASSIFIER_TIMEOUT_MS: 分类模型超时时间，超时或失败时按规则审核的结果输出
+   */
+  static getSafetyGuardConfig() {
+    const classifierTimeoutMs = parseInt(this.getEnvVar('SAFETY_CLASSIFIER_TIMEOUT_MS'), 10);
+    return {
+      enabled: this.getEnvVar('SAFETY_GUARD_ENABLED') !== 'false',
+      rulesPath: this.getEnvVar('SAFETY_RULES_PATH') || 'config/safetyRules.json',
+      classifierEnabled: this.getEnvVar('SAFETY_CLASSIFIER_ENABLED') === 'true',
+      classifierTimeoutMs: classifierTimeoutMs > 0 ? classifierTimeoutMs : 3000
+    };
+  }
+
+  /**
+   * 获取危机支持配置
+   * CRISIS_SUPPORT_REGION: 求助热线所在地区（config/crisisSupport.json 中 regions 的键），未配置时使用文件中的 defaultRegion
+   * CRISIS_WEBHOOK_URL: 触发危机支持时通知工作人员的 Webhook，未配置时只记录日志和标记会话
+   * CRISIS_WEBHOOK_FORMAT: json（完整事件）或 text（企业微信 / 钉钉群机器人的文本消息）
+   * CRISIS_WEBHOOK_SECRET: 可选，json 格式时用于 X-Webhook-Signature 签名（HMAC-SHA256）
+   * CRISIS_FOLLOW_UP_HOURS: 触发后多少小时内的对话提醒模型优先关注用户情绪
+   */
+  static getCrisisSupportConfig() {
+    const webhookTimeoutMs = parseInt(this.getEnvVar('CRISIS_WEBHOOK_TIMEOUT_MS'), 10);
+    const followUpHours = parseFloat(this.getEnvVar('CRISIS_FOLLOW_UP_HOURS'));
+    return {
+      configPath: this.getEnvVar('CRISIS_SUPPORT_CONFIG_PATH') || 'config/crisisSupport.json',
+      region: this.getEnvVar('CRISIS_SUPPORT_REGION') || null,
+      webhookUrl: this.getEnvVar('CRISIS_WEBHOOK_URL') || null,
+      webhookFormat: this.getEnvVar('CRISIS_WEBHOOK_FORMAT') === 'text' ? 'text' : 'json',
+      webhookSecret: this.getEnvVar('CRISIS_WEBHOOK_SECRET') || null,
+      webhookTimeoutMs: webhookTimeoutMs > 0 ? webhookTimeoutMs : 5000,
+      followUpHours: followUpHours >= 0 ? followUpHours : 24
+    };
+  }
+
+  /**
+   * 获取人工接管配置
+   * HANDOFF_ENABLED: 是否允许转人工（用户主动请求或模型调用 request_human_consultant），需要同时配置 ADMIN_API_TOKENS
+   * HANDOFF_STAFF_PATH: 工作人员控制台的 WebSocket 路径，使用管理员令牌连接
+   * HANDOFF_WAIT_TIMEOUT_MINUTES: 多久无人接入时交回 AI
+   * HANDOFF_IDLE_TIMEOUT_MINUTES: 接入后多久没有新消息时交回 AI
+   */
+  static getHandoffConfig() {
+    const waitTimeoutMinutes = parseFloat(this.getEnvVar('HANDOFF_WAIT_TIMEOUT_MINUTES'));
+    const idleTimeoutMinutes = parseFloat(this.getEnvVar('HANDOFF_IDLE_TIMEOUT_MINUTES'));
+    return {
+      enabled: this.getEnvVar('HANDOFF_ENABLED') === 'true' && this.getAdminConfig().enabled,
+      staffPath: this.getEnvVar('HANDOFF_STAFF_PATH') || '/staff',
+      waitTimeoutMs: (waitTimeoutMinutes > 0 ? waitTimeoutMinutes : 10) * 60 * 1000,
+      idleTimeoutMs: (idleTimeoutMinutes > 0 ? idleTimeoutMinutes : 30) * 60 * 1000
+    };
+  }
+
+  /**
+   * 获取 LLM 用量统计与配额配置
+   * USAGE_DAILY_TOKEN_LIMIT / USAGE_DAILY_COST_LIMIT: 每个用户每天的 token 数 / 费用上限，0 或未配置为不限制
+   * LLM_PRICES: 每百万 token 的输入/输出单价，格式 provider[:model]=输入/输出，多个用逗号分隔
+   * USAGE_COST_CURRENCY: 单价使用的货币（仅用于展示）
+   */
+  static getUsageConfig() {
+    const prices = new Map();
+    for (const item of (this.getEnvVar('LLM_PRICES') || '').split(',')) {
+      const separator = item.lastIndexOf('=');
+      if (separator <= 0) continue;
+      const [input, output] = item.slice(separator + 1).split('/').map(value => parseFloat(value));
+      if (Number.isNaN(input)) continue;
+      prices.set(item.slice(0, separator).trim(), { input, output: Number.isNaN(output) ? input : output });
+    }
+
+    return {
+      dailyTokenLimit: parseInt(this.getEnvVar('USAGE_DAILY_TOKEN_LIMIT'), 10) || 0,
+      dailyCostLimit: parseFloat(this.getEnvVar('USAGE_DAILY_COST_LIMIT')) || 0,
+      prices,
+      currency: this.getEnvVar('USAGE_COST_CURRENCY') || 'CNY'
+    };
+  }
+
+  /**
+   * 获取对话状态存储配置
+   * CONVERSATION_STORE: memory（默认，进程内） / redis（跨重启、跨实例共享）
+   */
+  static getConversationStoreConfig() {
+    const idleHours = parseFloat(this.getEnvVar('CONVERSATION_IDLE_HOURS'));
+    return {
+      type: this.getEnvVar('CONVERSATION_STORE') || 'memory',
+      redisUrl: this.getEnvVar('REDIS_URL'),
+      keyPrefix: this.getEnvVar('CONVERSATION_KEY_PREFIX') || 'jianjunai:conversation:',
+      idleTimeout: (idleHours > 0 ? idleHours : 2) * 60 * 60 * 1000,
+      maxMessages: 60 // 安全上限，正常由滚动压缩控制在 31 条以内
+    };
+  }
+
+  /**
+   * 获取上下文窗口配置
+   * CONTEXT_TOKEN_BUDGET: 单次请求的总 token 预算（输入 + 回复）
+   * CONTEXT_COMPLETION_RESERVE: 未指定时为回复预留的 token
+   */
+  static getContextWindowConfig() {
+    return {
+      tokenBudget: parseInt(this.getEnvVar('CONTEXT_TOKEN_BUDGET'), 10) || 32000,
+      completionReserve: parseInt(this.getEnvVar('CONTEXT_COMPLETION_RESERVE'), 10) || 2000
+    };
+  }
+
+  /**
+   * 获取语音合成配置
+   * TTS_ENABLED: 是否允许客户端开启语音播报（音色等见各 Provider 配置）
+   * TTS_SPEED: 语速倍率
+   */
+  static getTTSConfig() {
+    return {
+      enabled: this.getEnvVar('TTS_ENABLED') === 'true',
+      speed: parseFloat(this.getEnvVar('TTS_SPEED')) || 1.0,
+      maxSentenceLength: 80 // 超过此长度的句子在逗号处拆分，降低首句延迟
+    };
+  }
+
+  /**
+   * 获取服务端语音活动检测配置
+   * VAD_ENABLED: 是否在转发给 ASR 前裁掉静音
+   * VAD_ENERGY_THRESHOLD: 判定为说话的最低 RMS 能量（16bit 幅度）
+   * VAD_END_SILENCE_MS: 按住说话时，说完后静音多久自动结束识别（0 为不自动结束）
+   */
+  static getVADConfig() {
+    const endSilenceMs = parseInt(this.getEnvVar('VAD_END_SILENCE_MS'), 10);
+    return {
+      enabled: this.getEnvVar('VAD_ENABLED') === 'true',
+      threshold: parseInt(this.getEnvVar('VAD_ENERGY_THRESHOLD'), 10) || 500,
+      endSilenceMs: Number.isNaN(endSilenceMs) ? 1500 : endSilenceMs,
+      hangoverMs: 300 // 说完后继续转发的静音，供 ASR 判定句尾
+    };
   }
 }
 
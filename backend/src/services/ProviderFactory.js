@@ -1,4 +1,6 @@
 const ConfigService = require('./ConfigService');
+const CircuitBreaker = require('../utils/CircuitBreaker');
+const RetryPolicy = require('../utils/RetryPolicy');
 
 /**
  * Provider工厂
@@ -6,16 +8,30 @@ const ConfigService = require('./ConfigService');
  */
 class ProviderFactory {
   static instances = {};
+  // LLM 熔断器，按路由（provider 或 provider:model）区分
+  static circuitBreakers = {};
+  static healthMonitor = null;
 
   /**
    * 获取LLM Provider实例
+   * 按任务路由（ConfigService.getLLMRoute），同一 Provider 的不同模型各自一个实例
+   * @param {string} task - ConfigService.LLMTask 中的任务，默认主对话
    */
-  static getLLMProvider() {
-    const type = ConfigService.getProviderType();
-    const key = `llm_${type}`;
+  static getLLMProvider(task = ConfigService.LLMTask.CHAT) {
+    const { type, model } = ConfigService.getLLMRoute(task);
+    return this.getLLMProviderFor(type, model);
+  }
+
+  /**
+   * 按 Provider 类型和模型获取LLM Provider实例
+   * @param {string} type - Provider 类型
+   * @param {string|null} model - 模型覆盖，null 为该 Provider 的默认模型
+   */
+  static getLLMProviderFor(type, model = null) {
+    const key = model ? `llm_${type}_${model}` : `llm_${type}`;
     
     if (!this.instances[key]) {
-      const config = ConfigService.getCurrentLLMConfig();
+      const config = ConfigService.getLLMConfig(type, model);
       
       if (type === 'azure') {
         const AzureLLMProvider = require('../providers/azure/AzureLLMProvider');
@@ -23,11 +39,17 @@ class ProviderFactory {
       } else if (type === 'volcengine') {
         const VolcengineLLMProvider = require('../providers/volcengine/VolcengineLLMProvider');
         this.instances[key] = new VolcengineLLMProvider(config);
+      } else if (type === 'openai_compatible') {
+        const OpenAICompatibleLLMProvider = require('../providers/openai/OpenAICompatibleLLMProvider');
+        this.instances[key] = new OpenAICompatibleLLMProvider(config);
+      } else if (ConfigService.isLocalProvider(type)) {
+        const MockLLMProvider = require('../providers/mock/MockLLMProvider');
+        this.instances[key] = new MockLLMProvider(config);
       } else {
         throw new Error(`Unsupported LLM provider: ${type}`);
       }
       
-      console.log(`Created ${type} LLM provider instance`);
+      console.log(`Created ${type} LLM provider instance${model ? ` (model: ${model})` : ''}`);
     }
     
     return this.instances[key];
@@ -37,7 +59,7 @@ class ProviderFactory {
    * 获取ASR Provider实例
    */
   static getASRProvider() {
-    const type = ConfigService.getProviderType();
+    const type = ConfigService.getASRProviderType();
     const key = `asr_${type}`;
     
     if (!this.instances[key]) {
@@ -49,6 +71,9 @@ class ProviderFactory {
       } else if (type === 'volcengine') {
         const VolcengineASRProvider = require('../providers/volcengine/VolcengineASRProvider');
         this.instances[key] = new VolcengineASRProvider(config);
+      } else if (ConfigService.isLocalProvider(type)) {
+        const MockASRProvider = require('../providers/mock/MockASRProvider');
+        this.instances[key] = new MockASRProvider(config);
       } else {
         throw new Error(`Unsupported ASR provider: ${type}`);
       }
@@ -63,7 +88,7 @@ class ProviderFactory {
    * 获取TTS Provider实例
    */
   static getTTSProvider() {
-    const type = ConfigService.getProviderType();
+    const type = ConfigService.getTTSProviderType();
     const key = `tts_${type}`;
     
     if (!this.instances[key]) {
@@ -75,11 +100,15 @@ class ProviderFactory {
           speechKey: config.speechKey,
           speechRegion: config.speechRegion,
           speechEndpoint: config.speechEndpoint,
-          language: config.language
+          language: config.language,
+          ttsVoice: config.ttsVoice
         });
       } else if (type === 'volcengine') {
         const VolcengineTTSProviderFinal = require('../providers/volcengine/VolcengineTTSProviderFinal');
         this.instances[key] = new VolcengineTTSProviderFinal(config);
+      } else if (ConfigService.isLocalProvider(type)) {
+        const MockTTSProvider = require('../providers/mock/MockTTSProvider');
+        this.instances[key] = new MockTTSProvider(config);
       } else {
         throw new Error(`Unsupported TTS provider: ${type}`);
       }
@@ -90,6 +119,233 @@ class ProviderFactory {
     return this.instances[key];
   }
 
+  /**
+   * 创建聊天流，主 Provider 在首个 token 之前失败时自动切换到备用 Provider
+   * 候选顺序：任务路由 -> LLM_FALLBACK_PROVIDERS；熔断中的 Provider 跳过（全部熔断时仍尝试主 Provider）
+   * 每个 Provider 先按 LLM_MAX_RETRIES 重试，仍失败才切换
+   * 首个 token 之后的失败无法无缝切换，只计入熔断统计并照常抛出
+   * @param {string} task - ConfigService.LLMTask 中的任务
+   * @param {Array} messages - 消息列表
+   * @param {object} options - 同 createChatStream（signal 为用户停止生成的信号）
+   * @returns {Promise<{stream: AsyncIterable, route: {type: string, model: string|null}, capabilities: object, failures: Array}>}
+   *   route: 实际提供回答的 Provider；capabilities: 该 Provider 的能力；failures: 之前失败或跳过的 Provider
+   */
+  static async createChatStreamWithFailover(task, messages, options = {}) {
+    const { firstTokenTimeoutMs } = ConfigService.getLLMFailoverConfig();
+    const retryPolicy = new RetryPolicy({ maxRetries: ConfigService.getLLMClientConfig().maxRetries });
+    const candidates = this.getLLMCandidates(task);
+    const needsVision = messages.some(message =>
+      Array.isArray(message.content) && message.content.some(part => part.type === 'image_url')
+    );
+    // 上一轮已经调用过工具（消息中有 tool_calls / tool 结果）
+    const needsTools = messages.some(message => message.role === 'tool' || message.tool_calls);
+    const failures = [];
+    let lastError = null;
+    let attempted = false;
+
+    for (const [index, route] of candidates.entries()) {
+      const label = this.formatRoute(route);
+      const breaker = this.getCircuitBreaker(route);
+
+      // 备用 Provider 不支持图片或函数调用时无法接替带图片或工具结果的对话
+      const capabilities = this.getLLMProviderFor(route.type, route.model).getCapabilities();
+      if (index > 0 && needsVision && !capabilities.vision) {
+        failures.push({ provider: label, skipped: 'no_vision' });
+        continue;
+      }
+      if (index > 0 && needsTools && !capabilities.tools) {
+        failures.push({ provider: label, skipped: 'no_tools' });
+        continue;
+      }
+
+      if (!breaker.canRequest()) {
+        failures.push({ provider: label, skipped: 'circuit_open' });
+        continue;
+      }
+
+      attempted = true;
+      try {
+        const stream = await retryPolicy.run(
+          () => this.openChatStream(route, messages, options, firstTokenTimeoutMs),
+          { signal: options.signal, label: `LLM ${label}` }
+        );
+        return { stream, route, capabilities, failures };
+      } catch (error) {
+        // 用户停止生成或请求本身有问题（换 Provider 也会失败）时不切换
+        if (options.signal?.aborted) throw error;
+        if (!this.isRetriableError(error)) throw error;
+
+        breaker.recordFailure(error);
+        failures.push({ provider: label, error: error.message });
+        lastError = error;
+        console.warn(`⚠️ LLM ${label} 在首个 token 前失败: ${error.message}`);
+      }
+    }
+
+    // 全部熔断：仍尝试一次主 Provider，而不是直接报错
+    if (!attempted) {
+      const route = candidates[0];
+      console.warn(`⚠️ 所有 LLM Provider 均已熔断，仍尝试 ${this.formatRoute(route)}`);
+      const stream = await this.openChatStream(route, messages, options, firstTokenTimeoutMs);
+      const capabilities = this.getLLMProviderFor(route.type, route.model).getCapabilities();
+      return { stream, route, capabilities, failures };
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * 建立聊天流并读到首个 token（内容或工具调用）为止，之前读到的分片会在返回的流中重放
+   * @private
+   */
+  static async openChatStream(route, messages, options, firstTokenTimeoutMs) {
+    const provider = this.getLLMProviderFor(route.type, route.model);
+    const breaker = this.getCircuitBreaker(route);
+
+    // 首 token 超时只中止本次尝试，用户的停止信号照常生效
+    const attemptController = new AbortController();
+    const signal = options.signal
+      ? AbortSignal.any([options.signal, attemptController.signal])
+      : attemptController.signal;
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`首个 token 超时 (${firstTokenTimeoutMs}ms)`);
+        error.code = 'FIRST_TOKEN_TIMEOUT';
+        attemptController.abort(error);
+        reject(error);
+      }, firstTokenTimeoutMs);
+    });
+
+    const buffered = [];
+    let iterator;
+    try {
+      await Promise.race([provider.initialize(), timeout]);
+      const stream = await Promise.race([provider.createChatStream(messages, { ...options, signal }), timeout]);
+      iterator = stream[Symbol.asyncIterator]();
+
+      while (true) {
+        const { value, done } = await Promise.race([iterator.next(), timeout]);
+        if (done) break;
+        buffered.push(value);
+        const delta = value.choices?.[0]?.delta;
+        if (delta?.content || delta?.tool_calls || value.choices?.[0]?.finish_reason) break;
+      }
+    } catch (error) {
+      iterator?.return?.().catch(() => {});
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    breaker.recordSuccess();
+
+    return (async function* () {
+      try {
+        yield* buffered;
+        while (true) {
+          const { value, done } = await iterator.next();
+          if (done) return;
+          yield value;
+        }
+      } catch (error) {
+        if (!options.signal?.aborted) breaker.recordFailure(error);
+        throw error;
+      } finally {
+        await iterator.return?.();
+      }
+    })();
+  }
+
+  /**
+   * 故障转移的候选 Provider：任务路由 + 备用 Provider（去重）
+   */
+  static getLLMCandidates(task = ConfigService.LLMTask.CHAT) {
+    const primary = ConfigService.getLLMRoute(task);
+    const { fallbacks } = ConfigService.getLLMFailoverConfig();
+    const candidates = [primary];
+    for (const route of fallbacks) {
+      if (!candidates.some(item => item.type === route.type && item.model === route.model)) {
+        candidates.push(route);
+      }
+    }
+    return candidates;
+  }
+
+  /**
+   * 获取路由对应的熔断器
+   */
+  static getCircuitBreaker(route) {
+    const label = this.formatRoute(route);
+    if (!this.circuitBreakers[label]) {
+      const { failureThreshold, openMs } = ConfigService.getLLMFailoverConfig();
+      this.circuitBreakers[label] = new CircuitBreaker(`LLM ${label}`, { failureThreshold, openMs });
+    }
+    return this.circuitBreakers[label];
+  }
+
+  /**
+   * 各 LLM 熔断器的状态
+   */
+  static getCircuitBreakerStatus() {
+    const status = {};
+    for (const [label, breaker] of Object.entries(this.circuitBreakers)) {
+      status[label] = breaker.getStatus();
+    }
+    return status;
+  }
+
+  /**
+   * 对主对话的所有候选 Provider 做健康检查，结果计入熔断器
+   */
+  static async checkLLMHealth() {
+    const results = {};
+    for (const route of this.getLLMCandidates()) {
+      const label = this.formatRoute(route);
+      try {
+        const result = await this.getLLMProviderFor(route.type, route.model).healthCheck();
+        this.getCircuitBreaker(route).recordHealthCheck(result.status === 'healthy', result.error);
+        results[label] = result;
+      } catch (error) {
+        this.getCircuitBreaker(route).recordHealthCheck(false, error.message);
+        results[label] = { status: 'error', error: error.message };
+      }
+    }
+    return results;
+  }
+
+  /**
+   * 配置了备用 Provider 时定时健康检查，让熔断的 Provider 尽早恢复、故障的 Provider 尽早熔断
+   */
+  static startHealthMonitor() {
+    const { fallbacks, healthCheckIntervalMs } = ConfigService.getLLMFailoverConfig();
+    if (this.healthMonitor || fallbacks.length === 0 || healthCheckIntervalMs <= 0) return;
+
+    this.healthMonitor = setInterval(() => {
+      this.checkLLMHealth().catch(error => {
+        console.warn('LLM 健康检查失败:', error.message);
+      });
+    }, healthCheckIntervalMs);
+    this.healthMonitor.unref();
+    console.log(`LLM health monitor started (every ${healthCheckIntervalMs}ms)`);
+  }
+
+  /**
+   * @private
+   */
+  static formatRoute(route) {
+    return route.model ? `${route.type}:${route.model}` : route.type;
+  }
+
+  /**
+   * 是否值得换 Provider 重试：请求本身有问题（参数错误、内容审核、超长）时换了也会失败
+   * @private
+   */
+  static isRetriableError(error) {
+    return ![400, 413, 422].includes(error.status);
+  }
+
   /**
    * 获取所有Provider的健康状态
    */
@@ -98,9 +354,12 @@ class ProviderFactory {
     const type = ConfigService.getProviderType();
     
     try {
-      // 检查LLM Provider
-      const llmProvider = this.getLLMProvider();
-      results.llm = await llmProvider.healthCheck();
+      // 检查LLM Provider（含备用 Provider，结果计入熔断器）
+      const llmResults = await this.checkLLMHealth();
+      results.llm = llmResults[this.formatRoute(ConfigService.getLLMRoute())];
+      if (Object.keys(llmResults).length > 1) {
+        results.llmFallbacks = llmResults;
+      }
     } catch (error) {
       results.llm = { status: 'error', error: error.message };
     }
@@ -123,8 +382,13 @@ class ProviderFactory {
 
     return {
       provider: type,
+      llmProvider: ConfigService.getLLMProviderType(),
+      asrProvider: ConfigService.getASRProviderType(),
+      ttsProvider: ConfigService.getTTSProviderType(),
+      llmRoutes: ConfigService.getLLMRoutes(),
       timestamp: new Date().toISOString(),
-      services: results
+      services: results,
+      circuitBreakers: this.getCircuitBreakerStatus()
     };
   }
 
@@ -133,6 +397,11 @@ class ProviderFactory {
    */
   static cleanup() {
     console.log('Cleaning up provider instances...');
+
+    if (this.healthMonitor) {
+      clearInterval(this.healthMonitor);
+      this.healthMonitor = null;
+    }
     
     for (const [key, instance] of Object.entries(this.instances)) {
       try {
@@ -153,15 +422,20 @@ class ProviderFactory {
    */
   static async reinitialize(providerType = null) {
     const types = providerType ? [providerType] : ['llm', 'asr', 'tts'];
-    const currentProviderType = ConfigService.getProviderType();
     
     for (const type of types) {
-      const key = `${type}_${currentProviderType}`;
-      if (this.instances[key]) {
+      // 同类的实例全部重建（LLM 按任务路由可能有多个，切换 Provider 后旧实例也不再使用）
+      const keys = Object.keys(this.instances).filter(key => key.startsWith(`${type}_`));
+      for (const key of keys) {
         console.log(`Reinitializing ${key} provider...`);
         delete this.instances[key];
       }
     }
+
+    // 配置变化后熔断统计不再有参考价值
+    if (types.includes('llm')) {
+      this.circuitBreakers = {};
+    }
     
     // 预初始化LLM Provider（最常用）
     if (types.includes('llm')) {
@@ -176,6 +450,11 @@ class ProviderFactory {
   static getInstanceInfo() {
     const info = {
       currentProvider: ConfigService.getProviderType(),
+      llmProvider: ConfigService.getLLMProviderType(),
+      asrProvider: ConfigService.getASRProviderType(),
+      ttsProvider: ConfigService.getTTSProviderType(),
+      llmRoutes: ConfigService.getLLMRoutes(),
+      llmFallbacks: ConfigService.getLLMFailoverConfig().fallbacks,
       providerModeEnabled: ConfigService.isProviderEnabled(),
       activeInstances: Object.keys(this.instances),
       instanceCount: Object.keys(this.instances).length
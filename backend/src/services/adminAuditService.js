@@ -0,0 +1,64 @@
+/**
+ * 管理操作审计服务
+ * 记录通过管理接口进行的配置修改及操作人：
+ * - 输出到日志
+ * - 保留最近的记录在内存中（未启用 Supabase 时也能查看）
+ * - Supabase 可用时写入 admin_audit_logs 表（见 docs/migrations/004_add_admin_audit_logs.sql）
+ */
+const supabaseService = require('./supabaseService');
+
+// 内存中保留的记录条数
+const MAX_MEMORY_ENTRIES = 200;
+
+class AdminAuditService {
+  constructor() {
+    this.entries = []; // 新的在后
+  }
+
+  /**
+   * 记录一次管理操作
+   * @param {object} admin - 操作人 { name, ip }（来自 AuthMiddleware.requireAdmin）
+   * @param {string} action - 操作类型
+   * @param {string} target - 操作对象
+   * @param {object} details - 修改前后的值等
+   */
+  async record(admin, action, target, details = {}) {
+    const entry = {
+      actor: admin?.name || 'unknown',
+      action,
+      target,
+      details,
+      ip: admin?.ip || null,
+      createdAt: new Date().toISOString()
+    };
+
+    console.log(`🛠️ [Admin] ${entry.actor} ${action} ${target}:`, JSON.stringify(details));
+
+    this.entries.push(entry);
+    if (this.entries.length > MAX_MEMORY_ENTRIES) {
+      this.entries.shift();
+    }
+
+    try {
+      await supabaseService.saveAdminAuditLog(entry);
+    } catch (error) {
+      console.error('[Admin] 保存审计日志失败:', error.message);
+    }
+
+    return entry;
+  }
+
+  /**
+   * 获取最近的操作记录（新的在前），优先从 Supabase 读取
+   * @param {number} limit - 条数
+   */
+  async list(limit = 50) {
+    if (supabaseService.isAvailable()) {
+      const logs = await supabaseService.getAdminAuditLogs(limit);
+      if (logs.length > 0) return logs;
+    }
+    return this.entries.slice(-limit).reverse();
+  }
+}
+
+module.exports = new AdminAuditService();
@@ -0,0 +1,225 @@
+/**
+ * 上下文窗口构建服务
+ * 在调用 createChatStream 之前按 token 预算裁剪消息：
+ * - 为回复预留 completion token
+ * - 历史消息中的图片 base64 只在最新一条用户消息中保留，旧图片替换为文字占位；
+ *   模型不支持图片输入时，最新消息的图片同样替换为文字占位
+ * - 超出预算时按轮次丢弃最早的对话（始终保留 system 和最新一条用户消息）
+ */
+const ConfigService = require('./ConfigService');
+
+// 单张图片的估算 token（high detail 的常见开销，避免把 base64 当文本计数）
+const IMAGE_TOKEN_ESTIMATE = 765;
+// 每条消息的格式开销 (role / 分隔符)
+const MESSAGE_OVERHEAD_TOKENS = 4;
+// 回复起始的固定开销
+const REPLY_PRIMING_TOKENS = 3;
+
+const OLD_IMAGE_PLACEHOLDER = '[用户此前上传的图片，分析结论见后续回复]';
+const UNSUPPORTED_IMAGE_PLACEHOLDER = '[用户上传了图片，但当前无法查看图片，请引导用户用文字描述想咨询的部位和问题]';
+
+class ContextWindowService {
+  constructor() {
+    this.tiktoken = undefined; // undefined: 未加载，null: 不可用
+    this.encoders = new Map(); // encodingName -> encoder
+  }
+
+  /**
+   * 加载 tiktoken（不可用时回退到按字符估算）
+   * @private
+   */
+  loadTiktoken() {
+    if (this.tiktoken === undefined) {
+      try {
+        this.tiktoken = require('tiktoken');
+      } catch (error) {
+        console.warn('[ContextWindow] tiktoken 不可用，使用字符数估算 token:', error.message);
+        this.tiktoken = null;
+      }
+    }
+    return this.tiktoken;
+  }
+
+  /**
+   * 根据模型名选择编码
+   * 豆包等非 OpenAI 模型没有公开的分词器，使用 cl100k_base 近似
+   * @param {string} model - 模型或部署名
+   * @returns {string} 编码名称
+   */
+  getEncodingName(model = '') {
+    const name = model.toLowerCase();
+    if (/gpt-4o|gpt-4\.1|gpt-5|(^|[^a-z])o[134]([^a-z]|$)/.test(name)) {
+      return 'o200k_base';
+    }
+    return 'cl100k_base';
+  }
+
+  /**
+   * @private
+   */
+  getEncoder(model) {
+    const tiktoken = this.loadTiktoken();
+    if (!tiktoken) return null;
+
+    const encodingName = this.getEncodingName(model);
+    if (!this.encoders.has(encodingName)) {
+      try {
+        this.encoders.set(encodingName, tiktoken.get_encoding(encodingName));
+      } catch (error) {
+        console.warn(`[ContextWindow] 加载编码 ${encodingName} 失败:`, error.message);
+        this.encoders.set(encodingName, null);
+      }
+    }
+    return this.encoders.get(encodingName);
+  }
+
+  /**
+   * 计算文本 token 数
+   * @param {string} text - 文本
+   * @param {string} model - 模型名
+   */
+  countTextTokens(text, model) {
+    if (!text) return 0;
+    const encoder = this.getEncoder(model);
+    if (encoder) {
+      return encoder.encode(text).length;
+    }
+    // 估算：中文约 1 字 1 token，其他字符约 4 字符 1 token
+    const cjkCount = (text.match(/[\u3000-\u9fff\uff00-\uffef]/g) || []).length;
+    return cjkCount + Math.ceil((text.length - cjkCount) / 4);
+  }
+
+  /**
+   * 计算单条消息 token 数
+   * @param {Object} message - OpenAI 格式消息
+   * @param {string} model - 模型名
+   */
+  countMessageTokens(message, model) {
+    let tokens = MESSAGE_OVERHEAD_TOKENS;
+
+    if (typeof message.content === 'string') {
+      tokens += this.countTextTokens(message.content, model);
+    } else if (Array.isArray(message.content)) {
+      for (const part of message.content) {
+        if (part.type === 'text') {
+          tokens += this.countTextTokens(part.text, model);
+        } else if (part.type === 'image_url') {
+          tokens += IMAGE_TOKEN_ESTIMATE;
+        }
+      }
+    }
+
+    if (message.tool_calls) {
+      tokens += this.countTextTokens(JSON.stringify(message.tool_calls), model);
+    }
+
+    return tokens;
+  }
+
+  /**
+   * 计算消息列表 token 数
+   * @param {Array} messages - 消息列表
+   * @param {string} model - 模型名
+   */
+  countTokens(messages, model) {
+    return messages.reduce((sum, message) => sum + this.countMessageTokens(message, model), REPLY_PRIMING_TOKENS);
+  }
+
+  /**
+   * 将消息中的图片替换为文字占位
+   * @private
+   */
+  stripImages(message, placeholder = OLD_IMAGE_PLACEHOLDER) {
+    if (!Array.isArray(message.content)) return message;
+    if (!message.content.some(part => part.type === 'image_url')) return message;
+
+    const text = message.content
+      .filter(part => part.type === 'text')
+      .map(part => part.text)
+      .join('\n');
+
+    return {
+      ...message,
+      content: text ? `${text}\n${placeholder}` : placeholder
+    };
+  }
+
+  /**
+   * 构建符合 token 预算的消息列表
+   * @param {Array} messages - [system, ...history, 最新用户消息]
+   * @param {Object} options
+   * @param {string} options.model - 模型或部署名，用于选择分词器
+   * @param {number} options.maxCompletionTokens - 为回复预留的 token
+   * @param {number} options.budget - 上下文总预算（默认读取配置）
+   * @param {boolean} options.vision - 模型是否支持图片输入（默认支持）
+   * @returns {{messages: Array, stats: Object}}
+   */
+  buildMessages(messages, options = {}) {
+    const config = ConfigService.getContextWindowConfig();
+    const model = options.model || '';
+    const budget = options.budget || config.tokenBudget;
+    const reserve = options.maxCompletionTokens || config.completionReserve;
+    const inputBudget = Math.max(budget - reserve, 0);
+
+    if (messages.length === 0) {
+      return { messages, stats: { inputTokens: 0, inputBudget, droppedMessages: 0, strippedImages: 0 } };
+    }
+
+    const systemMessage = messages[0].role === 'system' ? messages[0] : null;
+    const body = systemMessage ? messages.slice(1) : [...messages];
+
+    // 1. 旧消息中的图片只保留文字占位（最后一条用户消息的图片仍需要分析，模型不支持图片时除外）
+    let lastUserIndex = -1;
+    body.forEach((message, index) => {
+      if (message.role === 'user') lastUserIndex = index;
+    });
+    let strippedImages = 0;
+    const vision = options.vision !== false;
+    const prepared = body.map((message, index) => {
+      if (index === lastUserIndex && vision) return message;
+      const stripped = index === lastUserIndex
+        ? this.stripImages(message, UNSUPPORTED_IMAGE_PLACEHOLDER)
+        : this.stripImages(message);
+      if (stripped !== message) strippedImages++;
+      return stripped;
+    });
+
+    // 2. 从最早的轮次开始丢弃，直到满足预算
+    const tokenCounts = prepared.map(message => this.countMessageTokens(message, model));
+    const systemTokens = systemMessage ? this.countMessageTokens(systemMessage, model) : 0;
+    let total = REPLY_PRIMING_TOKENS + systemTokens + tokenCounts.reduce((sum, count) => sum + count, 0);
+
+    let start = 0;
+    const lastIndex = prepared.length - 1;
+    while (total > inputBudget && start < lastIndex) {
+      total -= tokenCounts[start];
+      start++;
+      // 不让保留的历史以助手消息开头，整轮丢弃
+      while (start < lastIndex && prepared[start].role !== 'user') {
+        total -= tokenCounts[start];
+        start++;
+      }
+    }
+
+    if (total > inputBudget) {
+      console.warn(`[ContextWindow] 系统提示词与最新消息已超出预算: ${total}/${inputBudget} tokens`);
+    }
+
+    const kept = prepared.slice(start);
+    const result = systemMessage ? [systemMessage, ...kept] : kept;
+    const stats = {
+      inputTokens: total,
+      inputBudget,
+      droppedMessages: start,
+      strippedImages
+    };
+
+    if (start > 0 || strippedImages > 0) {
+      console.log(`[ContextWindow] 上下文裁剪: 丢弃 ${start} 条旧消息，移除 ${strippedImages} 条消息中的旧图片，当前 ${total}/${inputBudget} tokens`);
+    }
+
+    return { messages: result, stats };
+  }
+}
+
+module.exports = new ContextWindowService();
@@ -0,0 +1,114 @@
+/**
+ * 对话滚动压缩服务
+ * 对话超出窗口时，不再直接丢弃旧消息，而是通过 sessionSummaryService
+ * 把它们合并进一份"前情摘要"，作为固定的系统侧记忆块随每次请求发送
+ */
+const { generateSessionSummary } = require('./sessionSummaryService');
+const { getConversationStore } = require('../stores');
+
+// 对话状态中保留的最大消息数（含 system），超出时触发压缩
+const MAX_MESSAGES_BEFORE_COMPACTION = 31;
+// 每次压缩后保留的消息数（含 system），一次移出一批，避免每轮都调用 LLM 生成摘要
+const MESSAGES_AFTER_COMPACTION = 21;
+
+class ConversationCompactionService {
+  constructor() {
+    this.compacting = new Set(); // 正在压缩的 userId，避免同一用户并发压缩
+  }
+
+  /**
+   * 构建注入到系统提示词中的前情摘要块
+   * @param {Object} conversation - 对话状态 { messages, summary }
+   * @returns {string} 没有摘要时返回空字符串
+   */
+  buildSummaryBlock(conversation) {
+    if (!conversation?.summary) return '';
+    return `\n\n【本次咨询前情摘要】\n以下是本次对话中较早部分的摘要（原始消息已不在上下文中），请据此保持前后一致：\n${conversation.summary}\n`;
+  }
+
+  /**
+   * 计算需要移出窗口的消息数，并对齐到完整轮次（保留部分以用户消息开头）
+   * @private
+   */
+  getDropCount(body, minDropCount) {
+    const overflow = body.length > MAX_MESSAGES_BEFORE_COMPACTION - 1
+      ? body.length - (MESSAGES_AFTER_COMPACTION - 1)
+      : 0;
+    let dropCount = Math.max(overflow, minDropCount, 0);
+    // 至少保留最近一条消息
+    dropCount = Math.min(dropCount, body.length - 1);
+    while (dropCount > 0 && dropCount < body.length - 1 && body[dropCount].role !== 'user') {
+      dropCount++;
+    }
+    return Math.max(dropCount, 0);
+  }
+
+  /**
+   * 压缩对话：把超出窗口的旧消息合并进摘要，并从存储的对话状态中移除
+   * 生成摘要期间用户可能已发出新消息，结果通过 conversationStore.update() 合并到最新的对话状态
+   * @param {string} userId - 用户ID
+   * @param {Object} conversation - 请求结束时的对话状态 { messages, summary }（只读取，不修改）
+   * @param {Object} options
+   * @param {number} options.minDropCount - 至少移出的消息数（如上下文构建时因 token 预算丢弃的条数）
+   * @returns {Promise<boolean>} 是否发生了压缩
+   */
+  async compact(userId, conversation, options = {}) {
+    const { minDropCount = 0 } = options;
+    const messages = conversation?.messages;
+    if (!Array.isArray(messages) || this.compacting.has(userId)) return false;
+
+    const offset = messages[0]?.role === 'system' ? 1 : 0;
+    const body = messages.slice(offset);
+    const dropCount = this.getDropCount(body, minDropCount);
+    if (dropCount === 0) return false;
+
+    this.compacting.add(userId);
+    try {
+      const dropped = body.slice(0, dropCount);
+      const previousSummary = conversation.summary || null;
+      const summary = await generateSessionSummary(`rolling_${userId}`, dropped, {
+        previousSummary,
+        persist: false,
+        minLength: 0, // 移出窗口的内容再短也要并入摘要
+        userId
+      });
+
+      if (!summary) {
+        console.warn(`[Compaction] 用户 ${userId} 摘要生成失败，旧消息将直接移出窗口`);
+      }
+
+      const updated = await getConversationStore().update(userId, latest => {
+        // 对话已被清空、重置或由其他请求压缩过时放弃，下一轮再压缩
+        if (!latest || (latest.summary || null) !== previousSummary) return null;
+        const latestOffset = latest.messages?.[0]?.role === 'system' ? 1 : 0;
+        const prefix = (latest.messages || []).slice(latestOffset, latestOffset + dropCount);
+        if (!this.isSameMessages(prefix, dropped)) return null;
+
+        // 只移除开头这一段，生成摘要期间追加的新消息保留
+        return {
+          ...latest,
+          messages: [...latest.messages.slice(0, latestOffset), ...latest.messages.slice(latestOffset + dropCount)],
+          ...(summary ? { summary, summaryUpdatedAt: Date.now() } : {})
+        };
+      });
+
+      if (!updated) {
+        console.warn(`[Compaction] 用户 ${userId} 的对话在压缩期间已变化，跳过本次压缩`);
+        return false;
+      }
+      console.log(`[Compaction] 用户 ${userId} 压缩 ${dropCount} 条旧消息，剩余 ${updated.messages.length} 条`);
+      return true;
+    } finally {
+      this.compacting.delete(userId);
+    }
+  }
+
+  /**
+   * @private
+   */
+  isSameMessages(a, b) {
+    return a.length === b.length && a.every((message, index) => JSON.stringify(message) === JSON.stringify(b[index]));
+  }
+}
+
+module.exports = new ConversationCompactionService();
@@ -0,0 +1,226 @@
+/**
+ * 危机支持服务
+ * 用户表达自伤、轻生念头时不再拒收消息，也不交给大模型自由发挥：
+ * - 回复 config/crisisSupport.json 中固定的关怀话术，附上所在地区的求助热线
+ * - 将当前会话标记为需要人工跟进（Supabase chat_sessions，见 docs/migrations/007_add_session_follow_up.sql）
+ * - 通过 CRISIS_WEBHOOK_URL 通知工作人员
+ * - 之后一段时间内的对话提醒模型优先关注用户情绪
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const ConfigService = require('./ConfigService');
+const supabaseService = require('./supabaseService');
+
+// backend 目录（配置中的相对路径以此为准）
+const BACKEND_ROOT = path.join(__dirname, '../..');
+
+// 通知和记录中用户消息的最大字数
+const MAX_EXCERPT_CHARS = 200;
+
+// 内存中保留的记录条数（未启用 Supabase 时查看待跟进的用户）
+const MAX_MEMORY_ESCALATIONS = 200;
+
+// 跟进原因
+const FOLLOW_UP_REASON = 'crisis_support';
+
+class CrisisSupportService {
+  constructor() {
+    this.config = null;
+    this.escalations = []; // 新的在后
+  }
+
+  /**
+   * 检查消息是否需要危机支持
+   * @param {string} text - 用户消息
+   * @returns {{matched: string, region: string, response: string, hotlines: Array}|null} 不需要时返回 null
+   */
+  detect(text) {
+    if (!text) return null;
+
+    const { patterns } = this.getConfig();
+    const normalized = text.normalize('NFC');
+    for (const pattern of patterns) {
+      const match = normalized.match(pattern);
+      if (match) {
+        return { matched: match[0], ...this.getResponse() };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 当前地区的回复话术和热线
+   * @returns {{region: string, response: string, hotlines: Array<{name, phone, hours}>}}
+   */
+  getResponse() {
+    const { response, regions, defaultRegion } = this.getConfig();
+    const configuredRegion = ConfigService.getCrisisSupportConfig().region;
+    const region = regions[configuredRegion] ? configuredRegion : defaultRegion;
+    const { hotlines = [], emergency = '' } = regions[region] || {};
+
+    const hotlineText = hotlines
+      .map(hotline => `- **${hotline.name}**：${hotline.phone}${hotline.hours ? `（${hotline.hours}）` : ''}`)
+      .join('\n');
+
+    return {
+      region,
+      response: response.replace('{hotlines}', hotlineText).replace('{emergency}', emergency),
+      hotlines: hotlines.map(({ name, phone, hours = null }) => ({ name, phone, hours }))
+    };
+  }
+
+  /**
+   * 标记会话需要人工跟进并通知工作人员
+   * @param {object} event - { userId, requestId, message, matched, region }
+   * @returns {Promise<object>} 跟进记录
+   */
+  async escalate({ userId, requestId, message, matched, region }) {
+    const escalation = {
+      userId,
+      requestId,
+      sessionId: null,
+      region,
+      matched,
+      excerpt: message.length > MAX_EXCERPT_CHARS ? `${message.slice(0, MAX_EXCERPT_CHARS)}…` : message,
+      status: 'pending',
+      notified: false,
+      createdAt: new Date().toISOString()
+    };
+
+    console.warn(`🆘 [CrisisSupport] ${requestId} 用户 ${userId} 触发危机支持（命中: ${matched}）`);
+
+    this.escalations.push(escalation);
+    if (this.escalations.length > MAX_MEMORY_ESCALATIONS) {
+      this.escalations.shift();
+    }
+
+    try {
+      escalation.sessionId = await supabaseService.flagSessionForFollowUp(userId, FOLLOW_UP_REASON);
+    } catch (error) {
+      console.error('[CrisisSupport] 标记会话跟进失败:', error.message);
+    }
+
+    escalation.notified = await this.notify(escalation);
+    return escalation;
+  }
+
+  /**
+   * 触发危机支持后一段时间内注入系统提示词的提醒
+   * @param {object} historyData - 对话状态（crisisFlaggedAt 为触发时间）
+   * @returns {string} 不需要时返回空字符串
+   */
+  buildFollowUpNote(historyData) {
+    const flaggedAt = historyData?.crisisFlaggedAt;
+    const { followUpHours } = ConfigService.getCrisisSupportConfig();
+    if (!flaggedAt || Date.now() - flaggedAt > followUpHours * 60 * 60 * 1000) return '';
+
+    return `\n[System Note: Crisis Follow-up]
+用户在最近的对话中表达过自伤或轻生的念头，工作人员会跟进。请保持温和、耐心，优先关注用户的情绪和安全，不要推荐或推销任何项目；如果用户再次提到相关想法，鼓励其拨打求助热线或联系身边信任的人。\n`;
+  }
+
+  /**
+   * 待跟进 / 已跟进的记录，优先从 Supabase 读取
+   * @param {object} filter - { status, limit }
+   */
+  async listFollowUps({ status = 'pending', limit = 50 } = {}) {
+    const sessions = await supabaseService.getFollowUpSessions({ status, limit }).catch(() => null);
+    if (sessions) return sessions;
+
+    return this.escalations
+      .filter(escalation => escalation.status === status)
+      .slice(-limit)
+      .reverse();
+  }
+
+  /**
+   * 标记跟进完成
+   * @param {string} sessionId - 会话ID（未启用 Supabase 时为请求ID）
+   * @param {object} resolution - { resolvedBy, note }
+   * @returns {Promise<boolean>} 是否找到对应的记录
+   */
+  async resolveFollowUp(sessionId, { resolvedBy, note = null }) {
+    let resolved = false;
+    for (const escalation of this.escalations) {
+      if (escalation.sessionId === sessionId || escalation.requestId === sessionId) {
+        Object.assign(escalation, { status: 'resolved', resolvedBy, note, resolvedAt: new Date().toISOString() });
+        resolved = true;
+      }
+    }
+
+    if (supabaseService.isAvailable()) {
+      resolved = (await supabaseService.resolveFollowUp(sessionId, { resolvedBy, note })) || resolved;
+    }
+    return resolved;
+  }
+
+  /**
+   * 通知工作人员，失败时只记录日志
+   * @private
+   * @returns {Promise<boolean>} 是否已通知
+   */
+  async notify(escalation) {
+    const { webhookUrl, webhookFormat, webhookSecret, webhookTimeoutMs } = ConfigService.getCrisisSupportConfig();
+    if (!webhookUrl) return false;
+
+    const payload = webhookFormat === 'text'
+      ? {
+        msgtype: 'text',
+        text: {
+          content: `【危机支持提醒】用户 ${escalation.userId} 在对话中表达了自伤或轻生的念头，请尽快跟进。\n消息：${escalation.excerpt}\n时间：${new Date(escalation.createdAt).toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' })}${escalation.sessionId ? `\n会话：${escalation.sessionId}` : ''}`
+        }
+      }
+      : { event: 'crisis_support', ...escalation };
+
+    const body = JSON.stringify(payload);
+    const headers = { 'Content-Type': 'application/json' };
+    if (webhookSecret && webhookFormat === 'json') {
+      headers['X-Webhook-Signature'] = crypto.createHmac('sha256', webhookSecret).update(body).digest('hex');
+    }
+
+    try {
+      await axios.post(webhookUrl, body, { headers, timeout: webhookTimeoutMs });
+      console.log(`🆘 [CrisisSupport] 已通知工作人员: ${escalation.requestId}`);
+      return true;
+    } catch (error) {
+      console.error('[CrisisSupport] 通知工作人员失败:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * 读取并编译配置（首次使用时加载）
+   * @private
+   */
+  getConfig() {
+    if (this.config) return this.config;
+
+    const { configPath } = ConfigService.getCrisisSupportConfig();
+    let data = {};
+    try {
+      data = JSON.parse(fs.readFileSync(path.resolve(BACKEND_ROOT, configPath), 'utf8'));
+    } catch (error) {
+      console.error(`[CrisisSupport] 加载配置 ${configPath} 失败:`, error.message);
+    }
+
+    const patterns = [];
+    for (const pattern of data.patterns || ['自杀', '自残', '结束生命']) {
+      try {
+        patterns.push(new RegExp(pattern, 'i'));
+      } catch (error) {
+        console.warn(`[CrisisSupport] 忽略无效的匹配规则 ${pattern}: ${error.message}`);
+      }
+    }
+
+    this.config = {
+      patterns,
+      response: data.response || '听到你这么说，我很担心你。请联系专业的心理援助热线：\n\n{hotlines}\n\n如果有紧急危险，请马上拨打 {emergency}。',
+      defaultRegion: data.defaultRegion || 'CN',
+      regions: data.regions || {}
+    };
+    return this.config;
+  }
+}
+
+module.exports = new CrisisSupportService();
@@ -8,7 +8,8 @@
  */
 
 const supabaseService = require('./supabaseService');
-const ProviderFactory = require('./ProviderFactory');
+const ConfigService = require('./ConfigService');
+const llmService = require('./llmService');
 
 const DAILY_SUMMARY_PROMPT = `你是一个医疗咨询助手的记忆管理员。
 请将以下多个会话摘要合并成一个简洁的每日总结。
@@ -33,9 +34,10 @@ const DAILY_SUMMARY_PROMPT = `你是一个医疗咨询助手的记忆管理员
  * 生成每日总结
  * @param {string} userUuid - 用户UUID
  * @param {string} date - 日期 (YYYY-MM-DD)
+ * @param {string|null} userId - 用户ID（用量统计，定时任务中未知时记为 system）
  * @returns {object|null} 每日总结
  */
-async function generateDailySummary(userUuid, date) {
+async function generateDailySummary(userUuid, date, userId = null) {
   if (!supabaseService.isAvailable()) {
     console.warn('[DailySummary] Supabase 不可用，跳过生成');
     return null;
@@ -75,19 +77,15 @@ async function generateDailySummary(userUuid, date) {
   }
 
   try {
-    const provider = ProviderFactory.getLLMProvider();
-    await provider.initialize();
-
-    const response = await provider.createCompletion(
+    const result = await llmService.completeJSON(
       DAILY_SUMMARY_PROMPT.replace('{summaries}', summariesText),
       {
-        maxCompletionTokens: 500,
-        temperature: 0.3,
-        responseFormat: { type: 'json_object' }
+        task: ConfigService.LLMTask.SUMMARY,
+        userId,
+        maxTokens: 500,
+        temperature: 0.3
       }
     );
-
-    const result = JSON.parse(response.trim());
     result.session_count = sessions.length;
     result.message_count = sessions.reduce((sum, s) => sum + (s.message_count || 0), 0);
 
@@ -105,9 +103,10 @@ async function generateDailySummary(userUuid, date) {
  * 获取每日总结（懒加载：如果没有则现场生成）
  * @param {string} userUuid - 用户UUID
  * @param {string} date - 日期 (YYYY-MM-DD)
+ * @param {string|null} userId - 用户ID（用量统计）
  * @returns {object|null} 每日总结
  */
-async function getDailySummary(userUuid, date) {
+async function getDailySummary(userUuid, date, userId = null) {
   if (!supabaseService.isAvailable()) {
     return null;
   }
@@ -118,7 +117,7 @@ async function getDailySummary(userUuid, date) {
   if (!summary) {
     // 懒加载生成
     console.log(`[DailySummary] 用户 ${userUuid} 的 ${date} 总结不存在，触发懒加载生成`);
-    summary = await generateDailySummary(userUuid, date);
+    summary = await generateDailySummary(userUuid, date, userId);
   }
 
   return summary;
@@ -151,7 +150,7 @@ async function getDailySummaryWithFallback(wechatOpenId, date, query = '') {
   }
 
   // 获取每日总结
-  const dailySummary = await getDailySummary(user.uuid, date);
+  const dailySummary = await getDailySummary(user.uuid, date, wechatOpenId);
 
   if (dailySummary) {
     result.summary = dailySummary.summary;
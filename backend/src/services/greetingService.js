@@ -1,16 +1,10 @@
 const userDataService = require('./userDataService');
 const promptService = require('./promptService');
-const AzureClientFactory = require('../utils/AzureClientFactory');
+const ConfigService = require('./ConfigService');
+const llmService = require('./llmService');
 const memoryService = require('./memoryService');
 
 class GreetingService {
-  /**
-   * 获取 Azure OpenAI 客户端（使用工厂类）
-   */
-  getOpenAIClient() {
-    return AzureClientFactory.getClient();
-  }
-
   async generateGreeting(userData, userId = null) {
     const chatHistory = userData?.chatHistory || [];
     const extractedName = userData?.userInfo?.extractedName;
@@ -63,7 +57,7 @@ class GreetingService {
 
     // 如果没有 Memobase 数据，使用传统的 AI 总结
     if (!lastTopic) {
-      lastTopic = await this.summarizeConversationTopic(chatHistory);
+      lastTopic = await this.summarizeConversationTopic(chatHistory, userId);
     }
 
     const template = promptService.getGreetingTemplate('returning', !!name);
@@ -175,7 +169,7 @@ class GreetingService {
   }
 
   // 使用AI总结对话话题
-  async summarizeConversationTopic(chatHistory) {
+  async summarizeConversationTopic(chatHistory, userId = null) {
     try {
       // 获取最近的对话（最多10条消息，排除system消息）
       const recentMessages = chatHistory
@@ -199,14 +193,14 @@ ${recentMessages}
 
 话题总结：`;
 
-      const response = await this.getOpenAIClient().chat.completions.create({
-        model: AzureClientFactory.getDeploymentName(),
-        messages: [{ role: 'user', content: prompt }],
-        max_completion_tokens: 50,
+      // 按 greeting 任务路由，可配置为更便宜的模型
+      const content = await llmService.complete(prompt, {
+        task: ConfigService.LLMTask.GREETING,
+        userId,
+        maxTokens: 50,
         temperature: 0.3
       });
-
-      const summary = response.choices[0]?.message?.content?.trim();
+      const summary = content?.trim();
 
       // 如果AI总结失败或为空，使用备选方案
       if (!summary || summary.length > 20) {
@@ -0,0 +1,357 @@
+/**
+ * 人工接管服务
+ * 用户或模型（request_human_consultant 工具）请求转人工后，会话进入人工模式：
+ * - chatController.sendMessage 不再调用大模型，用户消息转给工作人员控制台（见 protocol/staff.js）
+ * - 工作人员的回复由 chatController.deliverStaffReply 按 init / chunk / done 流式发给用户
+ * - 工作人员结束服务、用户结束或超时后交回 AI
+ *
+ * 接管状态和连接只保存在当前进程（与进行中的回复一样），多实例部署时需要将用户和控制台路由到同一实例
+ */
+const ConfigService = require('./ConfigService');
+const { getConversationStore } = require('../stores');
+const protocol = require('../protocol');
+const { ServerFrame, HandoffStatus } = protocol;
+const { StaffFrame, StaffErrorCode, encodeStaffFrame } = require('../protocol/staff');
+
+// 通知控制台时附带的最近对话条数
+const RECENT_MESSAGE_COUNT = 10;
+
+const CLEANUP_INTERVAL = 30 * 1000;
+
+/**
+ * 操作失败的错误，code 为 StaffErrorCode 中的值（控制台据此提示）
+ */
+const createHandoffError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+class HandoffService {
+  constructor() {
+    this.sessions = new Map();      // userId -> { userId, status, requestedBy, reason, requestedAt, staffName, acceptedAt, lastActivityAt }
+    this.userConnections = new Map(); // userId -> 用户当前的 WebSocket 连接
+    this.staffConnections = new Set();
+    this.cleanupTimer = setInterval(() => this.expireSessions(), CLEANUP_INTERVAL);
+    this.cleanupTimer.unref?.();
+  }
+
+  isEnabled() {
+    return ConfigService.getHandoffConfig().enabled;
+  }
+
+  /**
+   * 用户当前是否处于人工模式（等待接入或已接入）
+   * @param {string} userId - 用户ID
+   */
+  isActive(userId) {
+    return this.sessions.has(userId);
+  }
+
+  /**
+   * @param {string} userId - 用户ID
+   * @returns {object|null} 接管会话
+   */
+  get(userId) {
+    return this.sessions.get(userId) || null;
+  }
+
+  // ==================== 用户侧 ====================
+
+  /**
+   * 记录用户连接，人工模式下重连后补发当前状态
+   * @param {WebSocket} ws - 用户连接
+   */
+  attachUser(ws) {
+    if (!ws.userId) return;
+    this.userConnections.set(ws.userId, ws);
+
+    const session = this.sessions.get(ws.userId);
+    if (session) {
+      this.notifyUser(session.userId, this.buildStatusFrame(session));
+    }
+  }
+
+  /**
+   * 连接关闭时移除（用户已在其他连接上重连时保留新连接）
+   * @param {WebSocket} ws - 用户连接
+   */
+  detachUser(ws) {
+    if (this.userConnections.get(ws.userId) === ws) {
+      this.userConnections.delete(ws.userId);
+    }
+  }
+
+  /**
+   * 用户当前的连接（已断开时返回 null）
+   * @param {string} userId - 用户ID
+   */
+  getUserConnection(userId) {
+    const ws = this.userConnections.get(userId);
+    return ws && ws.readyState === ws.OPEN ? ws : null;
+  }
+
+  /**
+   * 请求转人工，已在人工模式时返回现有会话
+   * @param {string} userId - 用户ID
+   * @param {object} request - { requestedBy: 'user' | 'assistant', reason }
+   * @returns {Promise<object>} 接管会话
+   */
+  async request(userId, { requestedBy, reason = null }) {
+    if (!this.isEnabled()) {
+      throw createHandoffError('Human handoff is not enabled', 'disabled');
+    }
+
+    const existing = this.sessions.get(userId);
+    if (existing) return existing;
+
+    const now = Date.now();
+    const session = {
+      userId,
+      status: HandoffStatus.WAITING,
+      requestedBy,
+      reason,
+      requestedAt: now,
+      staffName: null,
+      acceptedAt: null,
+      lastActivityAt: now
+    };
+    this.sessions.set(userId, session);
+
+    console.log(`🙋 [Handoff] 用户 ${userId} 转人工（${requestedBy === 'assistant' ? '模型建议' : '用户请求'}${reason ? `: ${reason}` : ''}），在线工作人员 ${this.staffConnections.size} 人`);
+
+    this.notifyUser(userId, this.buildStatusFrame(session));
+    this.broadcast(encodeStaffFrame(StaffFrame.HANDOFF_UPDATED, {
+      event: 'requested',
+      session: await this.describe(session, { withMessages: true })
+    }));
+    return session;
+  }
+
+  /**
+   * 人工模式下用户发来的消息，转给工作人员
+   * @param {string} userId - 用户ID
+   * @param {object} message - { text, images, crisis, createdAt }
+   */
+  relayUserMessage(userId, { text, images = [], crisis = false, createdAt }) {
+    const session = this.sessions.get(userId);
+    if (!session) return;
+
+    session.lastActivityAt = Date.now();
+    const frame = encodeStaffFrame(StaffFrame.USER_MESSAGE, { userId, text, images, crisis, createdAt });
+
+    // 已接入的会话只发给负责的工作人员，等待中的会话发给所有人
+    this.broadcast(frame, session.staffName);
+  }
+
+  // ==================== 工作人员侧 ====================
+
+  /**
+   * 控制台连接建立
+   * @param {WebSocket} ws - 控制台连接（ws.staffName 为管理员名称）
+   */
+  async addStaff(ws) {
+    this.staffConnections.add(ws);
+    console.log(`🧑‍⚕️ [Handoff] 工作人员 ${ws.staffName} 上线，当前在线 ${this.staffConnections.size} 人`);
+    ws.send(encodeStaffFrame(StaffFrame.WELCOME, {
+      staffName: ws.staffName,
+      sessions: await this.listSessions({ withMessages: true })
+    }));
+  }
+
+  /**
+   * 在线的工作人员人数
+   */
+  getOnlineStaffCount() {
+    return this.staffConnections.size;
+  }
+
+  /**
+   * 控制台连接关闭（已接入的会话保留，由同名工作人员重连后继续，或超时交回 AI）
+   */
+  removeStaff(ws) {
+    if (this.staffConnections.delete(ws)) {
+      console.log(`🧑‍⚕️ [Handoff] 工作人员 ${ws.staffName} 下线，当前在线 ${this.staffConnections.size} 人`);
+    }
+  }
+
+  /**
+   * 工作人员接入会话
+   * @param {string} userId - 用户ID
+   * @param {string} staffName - 工作人员
+   * @returns {object} 接管会话
+   */
+  accept(userId, staffName) {
+    const session = this.requireSession(userId);
+    if (session.staffName && session.staffName !== staffName) {
+      throw createHandoffError(`Session is handled by ${session.staffName}`, StaffErrorCode.TAKEN);
+    }
+    if (session.status === HandoffStatus.ACTIVE) return session;
+
+    session.status = HandoffStatus.ACTIVE;
+    session.staffName = staffName;
+    session.acceptedAt = Date.now();
+    session.lastActivityAt = session.acceptedAt;
+
+    console.log(`🧑‍⚕️ [Handoff] ${staffName} 接入用户 ${userId}，等待 ${Math.round((session.acceptedAt - session.requestedAt) / 1000)}s`);
+
+    this.notifyUser(userId, this.buildStatusFrame(session));
+    this.broadcastUpdate(session, 'accepted');
+    return session;
+  }
+
+  /**
+   * 工作人员回复前的检查：等待中的会话自动接入
+   * @param {string} userId - 用户ID
+   * @param {string} staffName - 工作人员
+   * @returns {object} 接管会话
+   */
+  prepareReply(userId, staffName) {
+    const session = this.accept(userId, staffName);
+    session.lastActivityAt = Date.now();
+    return session;
+  }
+
+  /**
+   * 结束人工服务，交回 AI
+   * @param {string} userId - 用户ID
+   * @param {object} options - { endedBy: 工作人员名称 | 'user' | 'timeout', note }
+   * @returns {boolean} 是否处于人工模式
+   */
+  release(userId, { endedBy, note = null }) {
+    const session = this.sessions.get(userId);
+    if (!session) return false;
+
+    this.sessions.delete(userId);
+    console.log(`🤖 [Handoff] 用户 ${userId} 交回 AI（${endedBy}${note ? `: ${note}` : ''}）`);
+
+    this.notifyUser(userId, protocol.createFrame(ServerFrame.HANDOFF, {
+      status: HandoffStatus.ENDED,
+      staffName: session.staffName,
+      reason: endedBy === 'timeout' ? 'timeout' : (endedBy === 'user' ? 'user' : 'staff')
+    }, null));
+    this.broadcastUpdate({ ...session, status: HandoffStatus.ENDED, endedBy, note }, 'released');
+    return true;
+  }
+
+  /**
+   * 当前的人工接管会话（按请求时间排序）
+   * @param {object} options - { withMessages: 是否附带最近对话 }
+   */
+  async listSessions({ withMessages = false } = {}) {
+    const sessions = [...this.sessions.values()].sort((a, b) => a.requestedAt - b.requestedAt);
+    return Promise.all(sessions.map(session => this.describe(session, { withMessages })));
+  }
+
+  /**
+   * @private
+   */
+  requireSession(userId) {
+    const session = this.sessions.get(userId);
+    if (!session) {
+      throw createHandoffError(`No handoff session for ${userId}`, StaffErrorCode.NOT_FOUND);
+    }
+    return session;
+  }
+
+  /**
+   * 发给控制台的会话信息
+   * @private
+   */
+  async describe(session, { withMessages = false } = {}) {
+    const result = {
+      ...session,
+      online: !!this.getUserConnection(session.userId)
+    };
+    if (!withMessages) return result;
+
+    let messages = [];
+    try {
+      const conversation = await getConversationStore().get(session.userId);
+      messages = (conversation?.messages || [])
+        .filter(message => message.role === 'user' || message.role === 'assistant')
+        .slice(-RECENT_MESSAGE_COUNT)
+        .map(message => ({
+          role: message.role,
+          content: typeof message.content === 'string'
+            ? message.content
+            : (message.content || []).filter(part => part.type === 'text').map(part => part.text).join('\n'),
+          staff: message.staff || null,
+          createdAt: message.createdAt || null
+        }));
+    } catch (error) {
+      console.warn(`[Handoff] 读取用户 ${session.userId} 的对话失败:`, error.message);
+    }
+    return { ...result, recentMessages: messages };
+  }
+
+  /**
+   * @private
+   */
+  buildStatusFrame(session) {
+    return protocol.createFrame(ServerFrame.HANDOFF, {
+      status: session.status,
+      staffName: session.staffName,
+      reason: session.requestedBy
+    }, null);
+  }
+
+  /**
+   * @private
+   */
+  notifyUser(userId, frame) {
+    const ws = this.getUserConnection(userId);
+    if (!ws) return;
+    try {
+      ws.send(JSON.stringify(frame));
+    } catch (error) {
+      console.warn(`[Handoff] 通知用户 ${userId} 失败:`, error.message);
+    }
+  }
+
+  /**
+   * 发给在线的工作人员，指定 staffName 时只发给该工作人员
+   * @private
+   */
+  broadcast(frame, staffName = null) {
+    for (const ws of this.staffConnections) {
+      if (staffName && ws.staffName !== staffName) continue;
+      if (ws.readyState !== ws.OPEN) continue;
+      try {
+        ws.send(frame);
+      } catch (error) {
+        console.warn(`[Handoff] 通知工作人员 ${ws.staffName} 失败:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  broadcastUpdate(session, event) {
+    this.describe(session)
+      .then(described => this.broadcast(encodeStaffFrame(StaffFrame.HANDOFF_UPDATED, { event, session: described })))
+      .catch(error => console.warn('[Handoff] 通知会话状态失败:', error.message));
+  }
+
+  /**
+   * 无人接入或长时间没有新消息的会话交回 AI
+   * @private
+   */
+  expireSessions() {
+    if (this.sessions.size === 0) return;
+
+    const { waitTimeoutMs, idleTimeoutMs } = ConfigService.getHandoffConfig();
+    const now = Date.now();
+    for (const session of [...this.sessions.values()]) {
+      const expired = session.status === HandoffStatus.WAITING
+        ? now - session.requestedAt > waitTimeoutMs
+        : now - session.lastActivityAt > idleTimeoutMs;
+      if (expired) {
+        this.release(session.userId, { endedBy: 'timeout' });
+      }
+    }
+  }
+}
+
+module.exports = new HandoffService();
@@ -1,3 +1,5 @@
+const protocol = require('../protocol');
+
 class HeartbeatService {
   constructor() {
     this.connections = new Map();
@@ -84,7 +86,7 @@ class HeartbeatService {
         const message = JSON.parse(data);
         if (message.type === 'ping') {
           // Respond to custom ping with pong
-          ws.send(JSON.stringify({ type: 'pong', timestamp: Date.now() }));
+          ws.send(protocol.encodeFrame(protocol.ServerFrame.PONG, { timestamp: Date.now() }));
           connection.lastPong = Date.now();
           connection.isAlive = true;
         } else if (message.type === 'pong') {
@@ -123,9 +125,8 @@ class HeartbeatService {
       ws.ping();
       
       // Also send custom ping message for clients that don't handle ping frames
-      ws.send(JSON.stringify({ 
-        type: 'ping', 
-        timestamp: Date.now() 
+      ws.send(protocol.encodeFrame(protocol.ServerFrame.PING, {
+        timestamp: Date.now()
       }));
       
       console.log(`Sent ping to ${ws.connectionId}`);
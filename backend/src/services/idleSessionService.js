@@ -144,7 +144,7 @@ class IdleSessionService {
     }
 
     // 异步生成会话摘要
-    sessionSummaryService.generateSessionSummaryAsync(sessionId, messages);
+    sessionSummaryService.generateSessionSummaryAsync(sessionId, messages, userId);
   }
 
   /**
@@ -0,0 +1,300 @@
+/**
+ * 诊所知识库服务（检索增强）
+ * 从 knowledge/articles 中经过审定的 Markdown / JSON 文章检索与用户问题相关的段落，
+ * 注入到对话上下文中，回答时以诊所资料为准并标注来源编号
+ *
+ * 索引由 scripts/buildKnowledgeIndex.js 生成到 data/knowledge-index.json（BM25，不依赖外部服务）；
+ * 索引不存在或文章已修改时启动后在内存中重建
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const ConfigService = require('./ConfigService');
+const BM25Index = require('../utils/BM25Index');
+
+// backend 目录（配置中的相对路径以此为准）
+const BACKEND_ROOT = path.join(__dirname, '../..');
+
+// 索引格式版本，切分或检索规则变化时递增
+const INDEX_VERSION = 2;
+
+// 单个段落的最大字数，超出时按段落拆分
+const MAX_PASSAGE_CHARS = 400;
+
+// 标题、别名、小节名在检索文本中的重复次数（提高命中标题时的得分）
+const TITLE_WEIGHT = 2;
+
+class KnowledgeBaseService {
+  constructor() {
+    this.index = null;    // BM25Index
+    this.passages = null; // id -> 段落
+  }
+
+  /**
+   * 检索与问题相关的段落
+   * @param {string} query - 用户问题
+   * @param {object} options - { limit, minScore }，默认使用 KNOWLEDGE_TOP_K / KNOWLEDGE_MIN_SCORE
+   * @returns {Array<{id, articleId, title, section, category, source, content, score}>}
+   */
+  search(query, options = {}) {
+    const config = ConfigService.getKnowledgeBaseConfig();
+    if (!config.enabled || !query || !query.trim()) return [];
+
+    try {
+      this.ensureLoaded();
+    } catch (error) {
+      console.error('[KnowledgeBase] 加载知识库失败:', error.message);
+      return [];
+    }
+
+    const { limit = config.topK, minScore = config.minScore } = options;
+    return this.index.search(query, { limit, minScore })
+      .map(({ id, score }) => ({ ...this.passages.get(id), score: Math.round(score * 100) / 100 }));
+  }
+
+  /**
+   * 生成注入系统提示词的知识库段落，编号由本次回复的 CitationTracker 分配
+   * @param {Array} passages - search() 的结果
+   * @param {CitationTracker} citations - 本次回复的引用编号
+   * @returns {string} 没有段落时返回空字符串
+   */
+  buildContextBlock(passages, citations) {
+    if (!passages || passages.length === 0) return '';
+
+    const items = passages.map(passage => {
+      const title = `${passage.title}${passage.section ? ` · ${passage.section}` : ''}`;
+      const index = citations.add({
+        type: 'knowledge',
+        key: passage.id,
+        title,
+        snippet: passage.content,
+        source: passage.source
+      });
+      return `[${index}] ${title}\n${passage.content}`;
+    });
+
+    return `\n[System Note: Clinic Knowledge Base]
+以下是本院审定的资料，回答涉及相关内容（方式、恢复期、风险、禁忌、护理等）时以资料为准，不要编造资料中没有的数字。
+使用了某条资料时，在对应句子末尾标注编号，如 [1]；与问题无关的资料忽略即可，不要提及资料本身。
+${items.join('\n\n')}\n`;
+  }
+
+  /**
+   * 从文章目录生成索引
+   * @returns {{version, fingerprint, builtAt, passages: Array, bm25: object}}
+   */
+  buildIndex() {
+    const { articlesDir } = ConfigService.getKnowledgeBaseConfig();
+    const files = this.listArticleFiles(articlesDir);
+    const passages = [];
+    const bm25 = new BM25Index();
+
+    for (const file of files) {
+      for (const article of this.readArticles(file)) {
+        for (const passage of this.splitArticle(article)) {
+          passages.push(passage);
+          bm25.add(passage.id, this.getSearchText(passage, article));
+        }
+      }
+    }
+
+    return {
+      version: INDEX_VERSION,
+      fingerprint: this.getFingerprint(files),
+      builtAt: new Date().toISOString(),
+      passages,
+      bm25: bm25.toJSON()
+    };
+  }
+
+  /**
+   * 首次检索时加载索引；索引缺失、版本不符或文章已修改时在内存中重建
+   * @private
+   */
+  ensureLoaded() {
+    if (this.index) return;
+
+    const { articlesDir, indexPath } = ConfigService.getKnowledgeBaseConfig();
+    const fingerprint = this.getFingerprint(this.listArticleFiles(articlesDir));
+
+    let data = null;
+    try {
+      data = JSON.parse(fs.readFileSync(this.resolvePath(indexPath), 'utf8'));
+      if (data.version !== INDEX_VERSION || data.fingerprint !== fingerprint) {
+        console.warn('[KnowledgeBase] 知识库文章已修改，在内存中重建索引（请运行 npm run build-knowledge 更新索引文件）');
+        data = null;
+      }
+    } catch (error) {
+      console.warn(`[KnowledgeBase] 未找到索引文件 ${indexPath}，在内存中构建（可运行 npm run build-knowledge 预先生成）`);
+    }
+
+    if (!data) {
+      data = this.buildIndex();
+    }
+
+    this.index = BM25Index.fromJSON(data.bm25);
+    this.passages = new Map(data.passages.map(passage => [passage.id, passage]));
+    console.log(`📚 [KnowledgeBase] 已加载 ${this.passages.size} 个段落`);
+  }
+
+  /**
+   * 清除已加载的索引，下次检索时重新加载
+   */
+  reload() {
+    this.index = null;
+    this.passages = null;
+  }
+
+  /**
+   * @private
+   */
+  resolvePath(relativePath) {
+    return path.resolve(BACKEND_ROOT, relativePath);
+  }
+
+  /**
+   * 文章目录下的 .md / .json 文件（按文件名排序）
+   * @private
+   */
+  listArticleFiles(articlesDir) {
+    const dir = this.resolvePath(articlesDir);
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir)
+      .filter(name => /\.(md|json)$/i.test(name))
+      .sort()
+      .map(name => path.join(dir, name));
+  }
+
+  /**
+   * 文章文件的指纹（文件名、大小、修改时间），用于判断索引是否过期
+   * @private
+   */
+  getFingerprint(files) {
+    const hash = crypto.createHash('sha1');
+    for (const file of files) {
+      const stat = fs.statSync(file);
+      hash.update(`${path.basename(file)}:${stat.size}:${Math.floor(stat.mtimeMs)}\n`);
+    }
+    return hash.digest('hex');
+  }
+
+  /**
+   * 读取文章文件，JSON 文件可包含一篇或多篇文章
+   * @private
+   * @returns {Array<{id, title, category, source, aliases: string[], sections: Array<{heading, content}>}>}
+   */
+  readArticles(file) {
+    const raw = fs.readFileSync(file, 'utf8');
+    const fallbackId = path.basename(file).replace(/\.(md|json)$/i, '');
+
+    if (/\.json$/i.test(file)) {
+      const data = JSON.parse(raw);
+      const articles = Array.isArray(data) ? data : (data.articles || [data]);
+      return articles.map((article, index) => ({
+        id: article.id || (articles.length > 1 ? `${fallbackId}-${index + 1}` : fallbackId),
+        title: article.title,
+        category: article.category || null,
+        source: article.source || null,
+        aliases: article.aliases || [],
+        sections: (article.sections || [{ heading: null, content: article.content || '' }])
+          .map(section => ({ heading: section.heading || null, content: section.content || '' }))
+      }));
+    }
+
+    return [this.parseMarkdown(raw, fallbackId)];
+  }
+
+  /**
+   * 解析 Markdown 文章：开头 --- 之间为 key: value 元数据，按二级标题分节
+   * @private
+   */
+  parseMarkdown(raw, fallbackId) {
+    const text = raw.replace(/\r\n/g, '\n');
+    const meta = {};
+    let body = text;
+
+    const frontMatter = text.match(/^---\n([\s\S]*?)\n---\n/);
+    if (frontMatter) {
+      for (const line of frontMatter[1].split('\n')) {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+          meta[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+        }
+      }
+      body = text.slice(frontMatter[0].length);
+    }
+
+    const titleMatch = body.match(/^#\s+(.+)$/m);
+    const sections = [];
+    let current = { heading: null, lines: [] };
+    for (const line of body.split('\n')) {
+      if (/^#\s+/.test(line)) continue;
+      const heading = line.match(/^#{2,3}\s+(.+)$/);
+      if (heading) {
+        sections.push(current);
+        current = { heading: heading[1].trim(), lines: [] };
+      } else {
+        current.lines.push(line);
+      }
+    }
+    sections.push(current);
+
+    return {
+      id: meta.id || fallbackId,
+      title: meta.title || titleMatch?.[1].trim() || fallbackId,
+      category: meta.category || null,
+      source: meta.source || null,
+      aliases: (meta.aliases || '').split(/[,，、]/).map(alias => alias.trim()).filter(Boolean),
+      sections: sections
+        .map(section => ({ heading: section.heading, content: section.lines.join('\n').trim() }))
+        .filter(section => section.content)
+    };
+  }
+
+  /**
+   * 按小节切分段落，过长的小节按自然段合并到不超过 MAX_PASSAGE_CHARS
+   * @private
+   */
+  splitArticle(article) {
+    const passages = [];
+
+    for (const section of article.sections) {
+      const chunks = [];
+      let current = '';
+      for (const paragraph of section.content.split(/\n\s*\n/).map(item => item.trim()).filter(Boolean)) {
+        if (current && current.length + paragraph.length > MAX_PASSAGE_CHARS) {
+          chunks.push(current);
+          current = '';
+        }
+        current = current ? `${current}\n${paragraph}` : paragraph;
+      }
+      if (current) chunks.push(current);
+
+      for (const content of chunks) {
+        passages.push({
+          id: `${article.id}#${passages.length + 1}`,
+          articleId: article.id,
+          title: article.title,
+          section: section.heading,
+          category: article.category,
+          source: article.source,
+          content
+        });
+      }
+    }
+
+    return passages;
+  }
+
+  /**
+   * 参与检索的文本：标题、别名、小节名加权，再加正文
+   * @private
+   */
+  getSearchText(passage, article) {
+    const heading = [article.title, ...article.aliases, passage.section].filter(Boolean).join(' ');
+    return `${`${heading}\n`.repeat(TITLE_WEIGHT)}${passage.content}`;
+  }
+}
+
+module.exports = new KnowledgeBaseService();
@@ -0,0 +1,149 @@
+/**
+ * LLM 调用服务
+ * 所有业务代码调用大模型的唯一入口，按任务路由选择 Provider（见 ConfigService.getLLMRoute）：
+ * - streamChat：主对话流式输出，首个 token 前失败时重试并切换备用 Provider
+ * - complete / completeJSON：建议问题、摘要、名字提取等单次调用，失败时按同样的策略重试
+ * 请求参数统一使用 maxTokens / temperature / responseFormat / tools 等通用写法，
+ * 由各 Provider 转换为自己的参数（如 Azure 的 max_completion_tokens），不支持的能力自动丢弃
+ * 每次调用的 token 用量按 userId 和任务记入 usageService
+ */
+const ConfigService = require('./ConfigService');
+const ProviderFactory = require('./ProviderFactory');
+const usageService = require('./usageService');
+const RetryPolicy = require('../utils/RetryPolicy');
+
+/**
+ * 解析模型返回的 JSON（不支持 JSON 模式的模型可能包在代码块里或带有说明文字）
+ * @param {string} content - 模型输出
+ * @returns {object}
+ */
+function parseJsonObject(content) {
+  const text = (content || '').trim();
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const match = text.match(/\{[\s\S]*\}/);
+    if (!match) throw error;
+    return JSON.parse(match[0]);
+  }
+}
+
+class LLMService {
+  /**
+   * 任务对应模型的能力
+   * @param {string} task - ConfigService.LLMTask 中的任务
+   * @returns {{vision: boolean, jsonMode: boolean, tools: boolean, maxTokensParam: string}}
+   */
+  getCapabilities(task = ConfigService.LLMTask.CHAT) {
+    return ProviderFactory.getLLMProvider(task).getCapabilities();
+  }
+
+  /**
+   * 任务对应的模型名（Azure 为部署名），用于 token 计数选择编码
+   */
+  getModelName(task = ConfigService.LLMTask.CHAT) {
+    return this.getRouteModelName(ConfigService.getLLMRoute(task));
+  }
+
+  /**
+   * 路由对应的模型名（Azure 为部署名）
+   * @param {{type: string, model: string|null}} route
+   */
+  getRouteModelName(route) {
+    try {
+      const config = ConfigService.getLLMConfig(route.type, route.model);
+      return config?.deployment || config?.model || null;
+    } catch (error) {
+      return route.model || null;
+    }
+  }
+
+  /**
+   * 流式对话
+   * @param {Array} messages - 消息列表
+   * @param {object} options - task、userId（用量统计）、maxTokens、tools、toolChoice、signal 等
+   *   tools 会交给实际提供回答的 Provider，不支持函数调用时由 Provider 丢弃
+   * @returns {Promise<{stream: AsyncIterable, route: {type: string, model: string|null}, capabilities: object, failures: Array}>}
+   *   capabilities 为实际提供回答（故障转移后）的 Provider 的能力
+   */
+  async streamChat(messages, options = {}) {
+    const { task = ConfigService.LLMTask.CHAT, userId = null, ...requestOptions } = options;
+    const result = await ProviderFactory.createChatStreamWithFailover(task, messages, requestOptions);
+    return {
+      ...result,
+      stream: this.trackStreamUsage(result.stream, { userId, task, route: result.route, messages })
+    };
+  }
+
+  /**
+   * 单次调用，返回文本
+   * @param {string|Array} prompt - 提示词，或带系统提示的消息列表
+   * @param {object} options - task、userId（用量统计）、maxTokens、temperature、responseFormat、signal 等
+   * @returns {Promise<string>}
+   */
+  async complete(prompt, options = {}) {
+    const { task = ConfigService.LLMTask.CHAT, userId = null, ...requestOptions } = options;
+    const route = ConfigService.getLLMRoute(task);
+    const provider = ProviderFactory.getLLMProvider(task);
+    await provider.initialize();
+
+    let usage = null;
+    const retryPolicy = new RetryPolicy({ maxRetries: ConfigService.getLLMClientConfig().maxRetries });
+    const content = await retryPolicy.run(
+      () => provider.createCompletion(prompt, { ...requestOptions, onUsage: (value) => { usage = value || null; } }),
+      { signal: requestOptions.signal, label: `LLM ${task}` }
+    );
+
+    usageService.record({
+      userId,
+      task,
+      route,
+      model: this.getRouteModelName(route),
+      usage,
+      messages: provider.toMessages(prompt),
+      content
+    });
+    return content;
+  }
+
+  /**
+   * 单次调用，返回 JSON 对象
+   * 支持 JSON 模式的模型开启 JSON 模式，其余从回复中截取 JSON（提示词中需写明输出格式）
+   * @returns {Promise<object>}
+   */
+  async completeJSON(prompt, options = {}) {
+    const { jsonMode } = this.getCapabilities(options.task);
+    const content = await this.complete(prompt, {
+      ...options,
+      ...(jsonMode ? { responseFormat: { type: 'json_object' } } : {})
+    });
+    return parseJsonObject(content);
+  }
+
+  /**
+   * 透传流式分片，流结束（包括中途停止或出错）时记录用量
+   * 接口在最后一个分片返回 usage 时直接使用，否则按已输出的内容估算
+   * @private
+   */
+  async *trackStreamUsage(stream, { userId, task, route, messages }) {
+    let usage = null;
+    let content = '';
+    try {
+      for await (const chunk of stream) {
+        if (chunk.usage) usage = chunk.usage;
+
+        const delta = chunk.choices?.[0]?.delta;
+        if (delta?.content) content += delta.content;
+        for (const call of delta?.tool_calls || []) {
+          content += (call.function?.name || '') + (call.function?.arguments || '');
+        }
+
+        yield chunk;
+      }
+    } finally {
+      usageService.record({ userId, task, route, model: this.getRouteModelName(route), usage, messages, content });
+    }
+  }
+}
+
+module.exports = new LLMService();
@@ -222,6 +222,29 @@ class MemobaseService {
     }
   }
 
+  /**
+   * 丢弃缓冲区末尾的消息（重新生成 / 编辑上一条时使用）
+   * 已经刷新到 Memobase 的消息无法撤回
+   * @param {string} userId - 用户ID
+   * @param {number} count - 要丢弃的消息数
+   * @returns {number} 实际丢弃的消息数
+   */
+  discardBufferedMessages(userId, count) {
+    const buffer = this.messageBuffer.get(userId);
+    if (!buffer || buffer.length === 0 || count <= 0) return 0;
+
+    const removed = buffer.splice(-count, count);
+    if (buffer.length === 0) {
+      this.messageBuffer.delete(userId);
+    }
+
+    if (removed.length < count) {
+      console.warn(`[Memobase] 用户 ${userId} 有 ${count - removed.length} 条消息已刷新，无法从缓冲中丢弃`);
+    }
+    console.log(`[Memobase] 用户 ${userId} 已丢弃 ${removed.length} 条缓冲消息`);
+    return removed.length;
+  }
+
   /**
    * 将用户的消息缓冲刷新到 Memobase
    * @param {string} userId - 用户ID
@@ -140,7 +140,7 @@ class MemoryService {
 
       // 异步生成会话摘要（如果提供了消息）
       if (messages && messages.length > 2) {
-        sessionSummaryService.generateSessionSummaryAsync(cached.session.id, messages);
+        sessionSummaryService.generateSessionSummaryAsync(cached.session.id, messages, wechatOpenId);
       }
     }
 
@@ -221,6 +221,33 @@ class MemoryService {
     }
   }
 
+  /**
+   * 丢弃最近一轮中被替换的消息（重新生成 / 编辑上一条）
+   * 同时清理 Supabase 中的记录和 Memobase 的缓冲，避免记忆中保留旧版本
+   * @param {string} wechatOpenId - 微信OpenID
+   * @param {object} options - { since: 被丢弃的第一条消息的时间 (ISO)，messageCount: 被丢弃的消息数 }
+   */
+  async discardRecentMessages(wechatOpenId, { since = null, messageCount = 0 } = {}) {
+    const cached = this.userCache.get(wechatOpenId);
+
+    // Supabase: 删除消息（没有时间信息时按条数删除）
+    if (this.useSupabase && supabaseService.isAvailable() && cached?.session?.id) {
+      try {
+        await supabaseService.deleteRecentMessages(cached.session.id, {
+          since,
+          limit: messageCount
+        });
+      } catch (error) {
+        console.error('[MemoryService] 从 Supabase 删除消息失败:', error);
+      }
+    }
+
+    // Memobase: 丢弃缓冲中的消息
+    if (this.useMemobase && memobaseService.isAvailable()) {
+      memobaseService.discardBufferedMessages(wechatOpenId, messageCount);
+    }
+  }
+
   /**
    * 获取聊天上下文（用于构建LLM请求）
    * @param {string} wechatOpenId - 微信OpenID
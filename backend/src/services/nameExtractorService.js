@@ -1,12 +1,9 @@
-const AzureClientFactory = require('../utils/AzureClientFactory');
+const ConfigService = require('./ConfigService');
+const llmService = require('./llmService');
 
 class NameExtractorService {
   async extractNameFromConversation(messages) {
     try {
-      // 验证配置并获取客户端
-      AzureClientFactory.validateConfig();
-      const client = AzureClientFactory.getClient();
-
       // 构建提取名字的提示
       const conversationContext = messages
         .filter(msg => msg.role === 'user')
@@ -31,18 +28,15 @@ class NameExtractorService {
 - "你可以叫我David" -> {"name": "David"}
 - "我想咨询一下" -> {"name": null}`;
 
-      const response = await client.chat.completions.create({
-        model: AzureClientFactory.getDeploymentName(),
-        messages: [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: `请从以下对话中提取用户的名字：\n\n${conversationContext}` }
-        ],
+      // 按 extraction 任务路由；不支持 JSON 模式的模型从回复里截取 JSON
+      const result = await llmService.completeJSON([
+        { role: "system", content: systemPrompt },
+        { role: "user", content: `请从以下对话中提取用户的名字：\n\n${conversationContext}` }
+      ], {
+        task: ConfigService.LLMTask.EXTRACTION,
         temperature: 0.1,
-        max_completion_tokens: 50,
-        response_format: { type: "json_object" }
+        maxTokens: 50
       });
-
-      const result = JSON.parse(response.choices[0].message.content);
       return result.name;
     } catch (error) {
       console.error('Name extraction error:', error);
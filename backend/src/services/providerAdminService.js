@@ -0,0 +1,289 @@
+/**
+ * Provider 管理服务（管理接口使用）
+ * 运行时查看 Provider 状态，切换 LLM / ASR / TTS 的 Provider 和各任务的模型，无需修改环境变量或重启
+ * 切换通过 ConfigService 的运行时覆盖实现，只在当前进程内生效；多实例部署需要逐个实例调用，重启后恢复为环境变量
+ * 所有修改都会记录操作人（见 adminAuditService）
+ */
+const ConfigService = require('./ConfigService');
+const ProviderFactory = require('./ProviderFactory');
+const adminAuditService = require('./adminAuditService');
+const ErrorHandler = require('../middleware/errorHandler');
+
+// 各类服务支持的 Provider 及对应的配置项
+const PROVIDER_KINDS = Object.freeze({
+  llm: { key: 'LLM_PROVIDER_TYPE', types: ['azure', 'volcengine', 'openai_compatible', 'mock', 'local'] },
+  asr: { key: 'ASR_PROVIDER_TYPE', types: ['azure', 'volcengine', 'mock', 'local'] },
+  tts: { key: 'TTS_PROVIDER_TYPE', types: ['azure', 'volcengine', 'mock', 'local'] }
+});
+
+class ProviderAdminService {
+  /**
+   * 当前生效的 Provider、任务路由和运行时覆盖
+   */
+  getOverview() {
+    return {
+      providers: {
+        default: ConfigService.getProviderType(),
+        llm: ConfigService.getLLMProviderType(),
+        asr: ConfigService.getASRProviderType(),
+        tts: ConfigService.getTTSProviderType()
+      },
+      llmRoutes: ConfigService.getLLMRoutes(),
+      llmFallbacks: ConfigService.getLLMFailoverConfig().fallbacks,
+      providerModeEnabled: ConfigService.isProviderEnabled(),
+      overrides: ConfigService.getOverrides(),
+      activeInstances: Object.keys(ProviderFactory.instances),
+      circuitBreakers: ProviderFactory.getCircuitBreakerStatus()
+    };
+  }
+
+  /**
+   * 各 Provider 健康状态（会实际请求各服务）
+   */
+  async getHealth() {
+    return ProviderFactory.getHealthStatus();
+  }
+
+  /**
+   * 各任务正在使用的模型，以及每个 Provider 可选的模型
+   */
+  getModels() {
+    const tasks = {};
+    for (const [task, route] of Object.entries(ConfigService.getLLMRoutes())) {
+      tasks[task] = this.describeRoute(route);
+    }
+
+    return {
+      tasks,
+      fallbacks: ConfigService.getLLMFailoverConfig().fallbacks.map(route => this.describeRoute(route)),
+      available: this.getAvailableModels()
+    };
+  }
+
+  /**
+   * 各 Provider 的配置完整性（ConfigService.validateConfig）
+   */
+  getConfigStatus() {
+    const status = {};
+    for (const type of PROVIDER_KINDS.llm.types) {
+      try {
+        status[type] = ConfigService.validateConfig(type);
+      } catch (error) {
+        status[type] = { overall: false, error: error.message };
+      }
+    }
+    return status;
+  }
+
+  /**
+   * 切换 LLM / ASR / TTS 使用的 Provider
+   * 切换后立即重建实例并验证配置，验证不通过时回滚（force 为 true 时仍然切换）
+   * @param {string} kind - llm / asr / tts
+   * @param {string|null} type - Provider 类型，null 为恢复环境变量的配置
+   * @param {object} admin - 操作人
+   * @param {object} options - { force }
+   */
+  async switchProvider(kind, type, admin, { force = false } = {}) {
+    const definition = PROVIDER_KINDS[kind];
+    if (!definition) {
+      throw ErrorHandler.createValidationError(`Unknown provider kind: ${kind}`);
+    }
+    if (type !== null && !definition.types.includes(type)) {
+      throw ErrorHandler.createValidationError(`Unsupported ${kind} provider: ${type}`);
+    }
+
+    const previous = this.getProviderType(kind);
+    await this.applyOverrides({ [definition.key]: type }, [kind], { force });
+
+    const current = this.getProviderType(kind);
+    await adminAuditService.record(admin, 'switch_provider', kind, { from: previous, to: current, reset: type === null, force });
+    return { kind, from: previous, to: current };
+  }
+
+  /**
+   * 修改 LLM 任务路由（provider 或 provider:model）
+   * @param {string} task - ConfigService.LLMTask 中的任务
+   * @param {string|null} type - Provider 类型，null 为恢复环境变量的配置
+   * @param {string|null} model - 模型（Azure 为部署名，火山引擎可填 standard / flash）
+   */
+  async setLLMRoute(task, type, model, admin, { force = false } = {}) {
+    if (!Object.values(ConfigService.LLMTask).includes(task)) {
+      throw ErrorHandler.createValidationError(`Unknown LLM task: ${task}`);
+    }
+    if (type !== null && !PROVIDER_KINDS.llm.types.includes(type)) {
+      throw ErrorHandler.createValidationError(`Unsupported llm provider: ${type}`);
+    }
+
+    const previous = ConfigService.getLLMRoute(task);
+    const value = type === null ? null : (model ? `${type}:${model}` : type);
+    await this.applyOverrides({ [`LLM_ROUTE_${task.toUpperCase()}`]: value }, ['llm'], { force });
+
+    const current = ConfigService.getLLMRoute(task);
+    await adminAuditService.record(admin, 'set_llm_route', task, { from: previous, to: current, reset: type === null, force });
+    return { task, from: previous, to: current };
+  }
+
+  /**
+   * 修改 LLM 备用 Provider（格式同 LLM_FALLBACK_PROVIDERS）
+   * @param {string[]|null} fallbacks - 例如 ['volcengine', 'openai_compatible:qwen2.5:7b']，null 为恢复环境变量的配置
+   */
+  async setLLMFallbacks(fallbacks, admin) {
+    if (fallbacks !== null && !Array.isArray(fallbacks)) {
+      throw ErrorHandler.createValidationError('fallbacks must be an array');
+    }
+    for (const item of fallbacks || []) {
+      const { type } = ConfigService.parseLLMRoute(String(item));
+      if (!PROVIDER_KINDS.llm.types.includes(type)) {
+        throw ErrorHandler.createValidationError(`Unsupported llm provider: ${type}`);
+      }
+    }
+
+    const previous = ConfigService.getLLMFailoverConfig().fallbacks;
+    ConfigService.setOverride('LLM_FALLBACK_PROVIDERS', fallbacks === null ? null : fallbacks.join(','));
+    ProviderFactory.startHealthMonitor();
+
+    const current = ConfigService.getLLMFailoverConfig().fallbacks;
+    await adminAuditService.record(admin, 'set_llm_fallbacks', 'llm', { from: previous, to: current, reset: fallbacks === null });
+    return { from: previous, to: current };
+  }
+
+  /**
+   * 重新初始化 Provider（配置更新后使用）
+   * @param {string|null} kind - llm / asr / tts，null 为全部
+   */
+  async reinitialize(kind, admin) {
+    if (kind !== null && !PROVIDER_KINDS[kind]) {
+      throw ErrorHandler.createValidationError(`Unknown provider kind: ${kind}`);
+    }
+
+    await ProviderFactory.reinitialize(kind);
+    await adminAuditService.record(admin, 'reinitialize', kind || 'all', {});
+    return { reinitialized: kind ? [kind] : Object.keys(PROVIDER_KINDS) };
+  }
+
+  /**
+   * 清除所有运行时覆盖，恢复为环境变量的配置
+   */
+  async resetOverrides(admin) {
+    const previous = ConfigService.getOverrides();
+    ConfigService.clearOverrides();
+
+    // 环境变量本身的配置有问题时也要完成恢复，问题一并返回
+    let warning = null;
+    try {
+      await ProviderFactory.reinitialize();
+    } catch (error) {
+      warning = error.message;
+      console.warn('⚠️ [Admin] 恢复环境变量配置后初始化失败:', error.message);
+    }
+
+    await adminAuditService.record(admin, 'reset_overrides', 'all', { cleared: previous });
+    return { cleared: previous, ...(warning ? { warning } : {}) };
+  }
+
+  /**
+   * 写入运行时覆盖并重建实例，验证不通过时回滚
+   * @private
+   */
+  async applyOverrides(changes, kinds, { force }) {
+    const snapshot = ConfigService.getOverrides();
+    for (const [key, value] of Object.entries(changes)) {
+      ConfigService.setOverride(key, value);
+    }
+
+    try {
+      for (const kind of kinds) {
+        let problem;
+        try {
+          await ProviderFactory.reinitialize(kind);
+          problem = await this.validateKind(kind);
+        } catch (error) {
+          problem = error.message;
+        }
+
+        if (problem && !force) {
+          throw ErrorHandler.createValidationError(problem);
+        }
+        if (problem) {
+          console.warn(`⚠️ [Admin] 强制切换 ${kind}，配置存在问题: ${problem}`);
+        }
+      }
+    } catch (error) {
+      // 回滚到切换前的配置
+      ConfigService.clearOverrides();
+      for (const [key, value] of Object.entries(snapshot)) {
+        ConfigService.setOverride(key, value);
+      }
+      for (const kind of kinds) {
+        await ProviderFactory.reinitialize(kind).catch(() => {});
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 验证某类 Provider 当前的配置，返回问题描述，没有问题时返回 null
+   * @private
+   */
+  async validateKind(kind) {
+    if (kind === 'llm') {
+      // 所有任务路由用到的 Provider 都要配置完整
+      const types = new Set(Object.values(ConfigService.getLLMRoutes()).map(route => route.type));
+      for (const type of types) {
+        const validation = ConfigService.validateConfig(type);
+        if (!validation || !validation.overall) {
+          return `${type} LLM configuration is incomplete${validation?.missing?.length ? `: missing ${validation.missing.join(', ')}` : ''}`;
+        }
+      }
+      return null;
+    }
+
+    const provider = kind === 'asr' ? ProviderFactory.getASRProvider() : ProviderFactory.getTTSProvider();
+    const valid = await provider.validateConfig();
+    return valid ? null : `${this.getProviderType(kind)} ${kind.toUpperCase()} configuration is invalid`;
+  }
+
+  /**
+   * @private
+   */
+  getProviderType(kind) {
+    if (kind === 'llm') return ConfigService.getLLMProviderType();
+    if (kind === 'asr') return ConfigService.getASRProviderType();
+    return ConfigService.getTTSProviderType();
+  }
+
+  /**
+   * 路由对应的模型信息
+   * @private
+   */
+  describeRoute(route) {
+    try {
+      return { ...route, ...ProviderFactory.getLLMProviderFor(route.type, route.model).getModelInfo() };
+    } catch (error) {
+      return { ...route, error: error.message };
+    }
+  }
+
+  /**
+   * 各 Provider 已配置的可选模型
+   * @private
+   */
+  getAvailableModels() {
+    const azure = ConfigService.getAzureConfig();
+    const volcengine = ConfigService.getVolcengineConfig();
+    const openaiCompatible = ConfigService.getOpenAICompatibleConfig();
+
+    return {
+      azure: azure.deployment ? [azure.deployment] : [],
+      volcengine: [
+        volcengine.modelStandard && { name: 'standard', model: volcengine.modelStandard },
+        volcengine.modelFlash && { name: 'flash', model: volcengine.modelFlash },
+        !volcengine.modelStandard && volcengine.model && { name: 'default', model: volcengine.model }
+      ].filter(Boolean),
+      openai_compatible: openaiCompatible.model ? [openaiCompatible.model] : [],
+      mock: ['mock-scripted']
+    };
+  }
+}
+
+module.exports = new ProviderAdminService();
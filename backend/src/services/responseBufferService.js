@@ -0,0 +1,149 @@
+/**
+ * 回复缓冲服务
+ * 按 requestId 缓冲正在生成（及刚完成）的回复分片，
+ * WebSocket 断线重连后客户端发送 { type: 'resume', requestId, lastTokenIndex } 即可补齐缺失的分片和完成消息
+ */
+
+// 回复完成后保留缓冲的时间，超过后无法续传
+const RETAIN_AFTER_DONE = 60 * 1000;
+// 未完成回复的最长保留时间（防止异常请求一直占用内存）
+const MAX_BUFFER_AGE = 10 * 60 * 1000;
+// 单个回复最多缓冲的分片数
+const MAX_FRAMES_PER_RESPONSE = 5000;
+const CLEANUP_INTERVAL = 30 * 1000;
+
+class ResponseBufferService {
+  constructor() {
+    this.buffers = new Map(); // requestId -> { userId, ws, frames, finalFrame, createdAt, finishedAt, overflowed }
+    this.cleanupTimer = setInterval(() => this.cleanup(), CLEANUP_INTERVAL);
+    this.cleanupTimer.unref?.();
+  }
+
+  /**
+   * 开始缓冲一个回复
+   * @param {string} requestId - 请求ID
+   * @param {string} userId - 用户ID（续传时校验归属）
+   * @param {WebSocket} ws - 当前接收回复的连接
+   */
+  start(requestId, userId, ws) {
+    this.buffers.set(requestId, {
+      userId,
+      ws,
+      frames: [],
+      finalFrame: null,
+      createdAt: Date.now(),
+      finishedAt: null,
+      overflowed: false
+    });
+  }
+
+  /**
+   * 缓冲一个分片并发送到当前连接（连接已断开时只缓冲）
+   * @param {string} requestId - 请求ID
+   * @param {Object} frame - { data, timing: { tokenIndex } }
+   */
+  send(requestId, frame) {
+    const buffer = this.buffers.get(requestId);
+    if (!buffer) return;
+
+    if (buffer.frames.length < MAX_FRAMES_PER_RESPONSE) {
+      buffer.frames.push(frame);
+    } else if (!buffer.overflowed) {
+      buffer.overflowed = true;
+      console.warn(`[ResponseBuffer] 请求 ${requestId} 分片超出上限，后续分片不再缓冲`);
+    }
+
+    this.deliver(buffer.ws, frame);
+  }
+
+  /**
+   * 结束回复：缓冲并发送最终消息（done 或 error），在保留期内仍可续传
+   * @param {string} requestId - 请求ID
+   * @param {Object} frame - 完成消息或错误消息
+   */
+  finish(requestId, frame) {
+    const buffer = this.buffers.get(requestId);
+    if (!buffer) return;
+
+    buffer.finalFrame = frame;
+    buffer.finishedAt = Date.now();
+    this.deliver(buffer.ws, frame);
+  }
+
+  /**
+   * 续传：补发 lastTokenIndex 之后的分片，回复未结束时后续分片改发到新连接
+   * @param {WebSocket} ws - 重连后的连接
+   * @param {string} requestId - 请求ID
+   * @param {number} lastTokenIndex - 客户端已收到的最后一个分片的 tokenIndex
+   * @returns {{resumed: boolean, reason?: string, replayed?: number, finished?: boolean}}
+   */
+  resume(ws, requestId, lastTokenIndex = 0) {
+    const buffer = this.buffers.get(requestId);
+    if (!buffer || buffer.userId !== ws.userId) {
+      return { resumed: false, reason: 'not_found' };
+    }
+    if (buffer.overflowed) {
+      return { resumed: false, reason: 'overflowed' };
+    }
+
+    // 同步补发，期间不会插入新的分片
+    const missed = buffer.frames.filter(frame => frame.timing.tokenIndex > lastTokenIndex);
+    for (const frame of missed) {
+      this.deliver(ws, frame);
+    }
+
+    const finished = !!buffer.finalFrame;
+    if (finished) {
+      this.deliver(ws, buffer.finalFrame);
+    } else {
+      buffer.ws = ws;
+    }
+
+    return { resumed: true, replayed: missed.length, finished };
+  }
+
+  /**
+   * 获取回复当前发往的连接（续传后会切换到新连接）
+   * @param {string} requestId - 请求ID
+   */
+  getConnection(requestId) {
+    return this.buffers.get(requestId)?.ws || null;
+  }
+
+  /**
+   * 丢弃缓冲（请求出错时，错误已直接通知客户端）
+   * @param {string} requestId - 请求ID
+   */
+  discard(requestId) {
+    this.buffers.delete(requestId);
+  }
+
+  /**
+   * @private
+   */
+  deliver(ws, frame) {
+    if (!ws || ws.readyState !== ws.OPEN) return;
+    try {
+      ws.send(JSON.stringify(frame));
+    } catch (error) {
+      console.warn('[ResponseBuffer] 发送分片失败:', error.message);
+    }
+  }
+
+  /**
+   * 清理过期缓冲
+   */
+  cleanup() {
+    const now = Date.now();
+    for (const [requestId, buffer] of this.buffers.entries()) {
+      const expired = buffer.finishedAt
+        ? now - buffer.finishedAt > RETAIN_AFTER_DONE
+        : now - buffer.createdAt > MAX_BUFFER_AGE;
+      if (expired) {
+        this.buffers.delete(requestId);
+      }
+    }
+  }
+}
+
+module.exports = new ResponseBufferService();
@@ -0,0 +1,451 @@
+/**
+ * 回复安全审核服务
+ * 在 LLM 流和 StreamSmoother 之间审核模型输出，限制线上确诊、效果承诺和用药建议：
+ * - 输出按句缓冲，整句审核后才发给用户（改写的是尚未发出的文字）
+ * - 规则见 config/safetyRules.json，命中后追加免责声明（disclaimer）、改写（rewrite）或停止输出（block）
+ * - 开启 SAFETY_CLASSIFIER_ENABLED 时，规则处理后的文字再交给分类模型（LLM_ROUTE_MODERATION）审核
+ * - 每次干预都记入日志和 Supabase 的 safety_events 表（见 docs/migrations/006_add_safety_events.sql）
+ */
+const fs = require('fs');
+const path = require('path');
+const ConfigService = require('./ConfigService');
+const supabaseService = require('./supabaseService');
+const llmService = require('./llmService');
+
+// backend 目录（配置中的相对路径以此为准）
+const BACKEND_ROOT = path.join(__dirname, '../..');
+
+// 句末标点：整句审核
+const SENTENCE_END = /[。！？!?；;\n]/g;
+
+// 长时间没有句末标点时，超过该长度先审核输出前面的部分，保留尾部以免切断正在生成的短语
+const MAX_PENDING_CHARS = 80;
+const HOLD_BACK_CHARS = 20;
+
+// 同一片段命中多条规则时的处理顺序
+const ACTION_ORDER = { block: 0, rewrite: 1, disclaimer: 2 };
+
+// 规则文件缺失时的默认文案
+const DEFAULT_DISCLAIMER = '以上内容仅供参考，以面诊为准。';
+const DEFAULT_BLOCK_MESSAGE = '\n\n这个问题需要医生面诊后才能给出建议，欢迎预约线下面诊。';
+
+// 审计记录中原文片段的最大字数
+const MAX_EXCERPT_CHARS = 200;
+
+// 内存中保留的干预记录条数
+const MAX_MEMORY_EVENTS = 200;
+
+const CLASSIFIER_PROMPT = `你是医美咨询平台的内容安全审核员。下面是 AI 咨询师回复中的一段文字，请判断是否存在以下问题：
+- diagnosis：根据描述或照片给出确定的诊断
+- guarantee：承诺效果、保证没有风险或永久有效
+- prescription：给出具体的用药、剂量，或建议用户自行用药、注射
+
+处理方式：
+- allow：没有问题
+- disclaimer：有诊断倾向但不确定，回复末尾提醒以面诊为准即可
+- rewrite：需要改写，rewrite 字段给出改写后的完整文字（保持原意和语气，去掉违规表述）
+- block：给出了用药或治疗方案，不能输出
+
+只输出 JSON，例如 {"action": "allow", "category": "none", "rewrite": ""}
+
+待审核文字：
+"""
+{text}
+"""`;
+
+/**
+ * 单次回复的审核会话
+ */
+class SafetyGuardSession {
+  /**
+   * @param {Object} options
+   * @param {SafetyGuardService} options.service - 所属服务（分类模型和干预记录）
+   * @param {string} options.requestId - 请求ID
+   * @param {string} options.userId - 用户ID
+   * @param {Function} options.onOutput - 审核通过的文本 (text) => void
+   * @param {Object} options.ruleset - 已编译的规则
+   * @param {boolean} options.classifierEnabled - 是否使用分类模型
+   */
+  constructor({ service, requestId, userId, onOutput, ruleset, classifierEnabled }) {
+    this.service = service;
+    this.requestId = requestId;
+    this.userId = userId;
+    this.onOutput = onOutput;
+    this.ruleset = ruleset;
+    this.classifierEnabled = classifierEnabled;
+
+    this.pending = '';            // 尚未审核的文本
+    this.queue = [];              // 等待分类模型审核的片段 { text, trusted }
+    this.output = '';             // 已输出给用户的文本
+    this.needsDisclaimer = false;
+    this.blocked = false;
+    this.closed = false;          // 已结束或已清空
+    this.draining = null;         // 当前分类模型审核循环
+    this.interventions = [];      // 本次回复的干预记录
+  }
+
+  /**
+   * 送入模型输出的文本片段
+   * @param {string} text
+   */
+  push(text) {
+    if (this.blocked || this.closed || !text) return;
+    this.pending += text;
+    this.release(false);
+  }
+
+  /**
+   * 模型输出结束：审核剩余文本，需要时追加免责声明
+   * @returns {Promise<string>} 实际输出给用户的完整文本
+   */
+  async finish() {
+    if (!this.closed) {
+      this.release(true);
+      while (this.draining) {
+        await this.draining;
+      }
+      this.closed = true;
+
+      const { disclaimer } = this.ruleset;
+      if (this.needsDisclaimer && !this.blocked && !this.output.includes(disclaimer)) {
+        this.emit(`\n\n${disclaimer}`);
+      }
+    }
+    return this.output;
+  }
+
+  /**
+   * 丢弃尚未输出的文本（停止生成时）
+   */
+  clear() {
+    this.closed = true;
+    this.pending = '';
+    this.queue = [];
+  }
+
+  /**
+   * 是否已停止输出（调用方据此停止读取模型输出）
+   */
+  isBlocked() {
+    return this.blocked;
+  }
+
+  /**
+   * 实际输出给用户的文本
+   */
+  getOutput() {
+    return this.output;
+  }
+
+  /**
+   * 从缓冲中切出完整句子进行审核
+   * @private
+   */
+  release(flushAll) {
+    let cut = 0;
+    if (flushAll) {
+      cut = this.pending.length;
+    } else {
+      for (const match of this.pending.matchAll(SENTENCE_END)) {
+        cut = match.index + 1;
+      }
+      if (cut === 0 && this.pending.length > MAX_PENDING_CHARS) {
+        cut = this.pending.length - HOLD_BACK_CHARS;
+      }
+    }
+    if (cut === 0) return;
+
+    const segment = this.pending.slice(0, cut);
+    this.pending = this.pending.slice(cut);
+    this.review(segment);
+  }
+
+  /**
+   * 按规则审核一个片段
+   * @private
+   */
+  review(segment) {
+    let text = segment;
+
+    for (const rule of this.ruleset.rules) {
+      if (text.search(rule.regex) === -1) continue;
+
+      if (rule.action === 'block') {
+        this.record(rule, 'rule', segment, this.ruleset.blockMessage.trim());
+        this.block();
+        return;
+      }
+      if (rule.action === 'rewrite') {
+        text = text.replace(rule.regex, rule.replacement);
+        this.record(rule, 'rule', segment, text);
+      } else {
+        this.record(rule, 'rule', segment);
+      }
+      if (rule.action === 'disclaimer' || rule.disclaimer) {
+        this.needsDisclaimer = true;
+      }
+    }
+
+    if (this.classifierEnabled) {
+      this.queue.push({ text, trusted: false });
+      this.drain();
+    } else {
+      this.emit(text);
+    }
+  }
+
+  /**
+   * 停止输出，改为拦截提示
+   * @private
+   */
+  block() {
+    this.blocked = true;
+    this.pending = '';
+
+    if (this.classifierEnabled) {
+      // 排在已通过规则、正在等待分类模型的片段之后
+      this.queue.push({ text: this.ruleset.blockMessage, trusted: true });
+      this.drain();
+    } else {
+      this.emitBlockMessage();
+    }
+  }
+
+  /**
+   * 依次把排队的片段交给分类模型审核后输出
+   * @private
+   */
+  drain() {
+    if (this.draining) return this.draining;
+
+    this.draining = (async () => {
+      while (this.queue.length > 0 && !this.closed) {
+        const batch = this.queue.splice(0);
+        const text = batch.filter(item => !item.trusted).map(item => item.text).join('');
+        const verdict = text ? await this.service.classify(text, this.userId) : null;
+        if (this.closed) break;
+
+        if (verdict?.action === 'block') {
+          this.record({ ruleId: 'classifier', category: verdict.category, action: 'block' }, 'classifier', text, this.ruleset.blockMessage.trim());
+          this.blocked = true;
+          this.queue = [];
+          this.emitBlockMessage();
+          break;
+        }
+
+        if (verdict?.action === 'rewrite' && verdict.rewrite) {
+          this.record({ ruleId: 'classifier', category: verdict.category, action: 'rewrite' }, 'classifier', text, verdict.rewrite);
+          this.needsDisclaimer = true;
+          this.emit(verdict.rewrite);
+        } else {
+          if (verdict?.action === 'disclaimer') {
+            this.record({ ruleId: 'classifier', category: verdict.category, action: 'disclaimer' }, 'classifier', text);
+            this.needsDisclaimer = true;
+          }
+          this.emit(text);
+        }
+
+        for (const item of batch.filter(item => item.trusted)) {
+          this.emitBlockMessage(item.text);
+        }
+      }
+    })().finally(() => {
+      this.draining = null;
+      // 审核循环结束前刚送入的片段
+      if (this.queue.length > 0 && !this.closed) {
+        this.drain();
+      }
+    });
+
+    return this.draining;
+  }
+
+  /**
+   * @private
+   */
+  emitBlockMessage(message = this.ruleset.blockMessage) {
+    this.emit(this.output ? message : message.trim());
+  }
+
+  /**
+   * @private
+   */
+  emit(text) {
+    if (!text) return;
+    this.output += text;
+    this.onOutput(text);
+  }
+
+  /**
+   * @private
+   */
+  record({ ruleId, category, action }, source, excerpt, replacement = null) {
+    this.interventions.push(this.service.recordIntervention({
+      requestId: this.requestId,
+      userId: this.userId,
+      ruleId,
+      category: category || null,
+      action,
+      source,
+      excerpt,
+      replacement
+    }));
+  }
+}
+
+class SafetyGuardService {
+  constructor() {
+    this.ruleset = null;
+    this.events = []; // 新的在后
+  }
+
+  /**
+   * 为一次回复创建审核会话
+   * @param {Object} options
+   * @param {string} options.requestId - 请求ID
+   * @param {string} options.userId - 用户ID
+   * @param {Function} options.onOutput - 审核通过的文本 (text) => void
+   * @returns {SafetyGuardSession|null} 未开启审核时返回 null
+   */
+  createSession({ requestId, userId, onOutput }) {
+    const config = ConfigService.getSafetyGuardConfig();
+    if (!config.enabled) return null;
+
+    return new SafetyGuardSession({
+      service: this,
+      requestId,
+      userId,
+      onOutput,
+      ruleset: this.getRuleset(),
+      classifierEnabled: config.classifierEnabled
+    });
+  }
+
+  /**
+   * 已编译的审核规则（首次使用时加载）
+   * @returns {{disclaimer: string, blockMessage: string, rules: Array}}
+   */
+  getRuleset() {
+    if (this.ruleset) return this.ruleset;
+
+    const { rulesPath } = ConfigService.getSafetyGuardConfig();
+    let data = {};
+    try {
+      data = JSON.parse(fs.readFileSync(path.resolve(BACKEND_ROOT, rulesPath), 'utf8'));
+    } catch (error) {
+      console.error(`[SafetyGuard] 加载审核规则 ${rulesPath} 失败:`, error.message);
+    }
+
+    const rules = [];
+    for (const rule of data.rules || []) {
+      if (!(rule.action in ACTION_ORDER)) {
+        console.warn(`[SafetyGuard] 忽略规则 ${rule.id}: 未知的处理方式 ${rule.action}`);
+        continue;
+      }
+      try {
+        rules.push({
+          ruleId: rule.id,
+          category: rule.category || null,
+          action: rule.action,
+          // 改写时替换全部命中
+          regex: new RegExp(rule.pattern, rule.action === 'rewrite' ? 'gi' : 'i'),
+          replacement: rule.replacement || '',
+          disclaimer: rule.disclaimer === true
+        });
+      } catch (error) {
+        console.warn(`[SafetyGuard] 忽略规则 ${rule.id}: ${error.message}`);
+      }
+    }
+    rules.sort((a, b) => ACTION_ORDER[a.action] - ACTION_ORDER[b.action]);
+
+    this.ruleset = {
+      disclaimer: data.disclaimer || DEFAULT_DISCLAIMER,
+      blockMessage: data.blockMessage || DEFAULT_BLOCK_MESSAGE,
+      rules
+    };
+    console.log(`🛡️ [SafetyGuard] 已加载 ${rules.length} 条审核规则`);
+    return this.ruleset;
+  }
+
+  /**
+   * 重新加载审核规则（修改 config/safetyRules.json 后调用）
+   * @returns {{rules: number}}
+   */
+  reload() {
+    this.ruleset = null;
+    return { rules: this.getRuleset().rules.length };
+  }
+
+  /**
+   * 分类模型审核，超时或失败时返回 null（按规则审核的结果输出）
+   * @param {string} text - 待审核文字
+   * @param {string} userId - 用户ID（用量统计）
+   * @returns {Promise<{action: string, category: string|null, rewrite: string}|null>}
+   */
+  async classify(text, userId) {
+    const { classifierTimeoutMs } = ConfigService.getSafetyGuardConfig();
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), classifierTimeoutMs);
+
+    try {
+      const result = await llmService.completeJSON(CLASSIFIER_PROMPT.replace('{text}', text), {
+        task: ConfigService.LLMTask.MODERATION,
+        userId,
+        maxTokens: 300,
+        temperature: 0,
+        signal: controller.signal
+      });
+      return {
+        action: ['disclaimer', 'rewrite', 'block'].includes(result?.action) ? result.action : 'allow',
+        category: result?.category && result.category !== 'none' ? result.category : null,
+        rewrite: typeof result?.rewrite === 'string' ? result.rewrite : ''
+      };
+    } catch (error) {
+      console.warn('[SafetyGuard] 分类模型审核失败，按规则审核结果输出:', error.message);
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * 记录一次干预
+   * @param {object} event - { requestId, userId, ruleId, category, action, source, excerpt, replacement }
+   * @returns {object} 干预记录
+   */
+  recordIntervention(event) {
+    const entry = {
+      ...event,
+      excerpt: event.excerpt.length > MAX_EXCERPT_CHARS ? `${event.excerpt.slice(0, MAX_EXCERPT_CHARS)}…` : event.excerpt,
+      createdAt: new Date().toISOString()
+    };
+
+    console.warn(`🛡️ [SafetyGuard] ${entry.requestId} ${entry.source}:${entry.ruleId} ${entry.action}: ${JSON.stringify(entry.excerpt)}${entry.replacement ? ` -> ${JSON.stringify(entry.replacement)}` : ''}`);
+
+    this.events.push(entry);
+    if (this.events.length > MAX_MEMORY_EVENTS) {
+      this.events.shift();
+    }
+
+    supabaseService.saveSafetyEvent(entry).catch(error => {
+      console.error('[SafetyGuard] 保存干预记录失败:', error.message);
+    });
+
+    return entry;
+  }
+
+  /**
+   * 获取最近的干预记录（新的在前），优先从 Supabase 读取
+   * @param {number} limit - 条数
+   */
+  async listEvents(limit = 50) {
+    if (supabaseService.isAvailable()) {
+      const events = await supabaseService.getSafetyEvents(limit);
+      if (events.length > 0) return events;
+    }
+    return this.events.slice(-limit).reverse();
+  }
+}
+
+module.exports = new SafetyGuardService();
+module.exports.SafetyGuardSession = SafetyGuardSession;
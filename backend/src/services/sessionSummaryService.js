@@ -1,9 +1,11 @@
 /**
  * 会话总结服务
  * 在用户断开连接或空闲超时时异步生成会话摘要
+ * 也用于长对话的滚动压缩：把移出上下文窗口的旧对话合并进"前情摘要"
  */
 const supabaseService = require('./supabaseService');
-const ProviderFactory = require('./ProviderFactory');
+const ConfigService = require('./ConfigService');
+const llmService = require('./llmService');
 
 const SESSION_SUMMARY_PROMPT = `你是一个医疗咨询助手的记忆管理员。
 请根据以下对话内容，生成一个简洁的会话摘要。
@@ -21,13 +23,38 @@ const SESSION_SUMMARY_PROMPT = `你是一个医疗咨询助手的记忆管理员
 
 请输出摘要（仅输出摘要内容，不要其他格式）:`;
 
+const ROLLING_SUMMARY_PROMPT = `你是一个医疗咨询助手的记忆管理员。
+下面是本次咨询较早部分的已有摘要，以及之后新移出上下文的对话。
+请把新对话合并进摘要，生成一份更新后的"前情摘要"。
+
+要求：
+1. 300字以内
+2. 保留用户的预算、已做过的项目、顾虑、身体情况等关键事实，新信息与旧信息冲突时以新信息为准
+3. 记录已经给出的结论或建议，以及尚未解决的问题
+4. 使用第三人称描述（"用户"而非"你"）
+
+已有摘要:
+{previousSummary}
+
+新移出的对话:
+{conversation}
+
+请输出更新后的摘要（仅输出摘要内容，不要其他格式）:`;
+
 /**
  * 生成会话摘要
  * @param {string} sessionId - 会话ID
  * @param {Array} messages - 消息数组 [{ role, content }, ...]
+ * @param {Object} options
+ * @param {string} options.previousSummary - 已有摘要，提供时生成增量合并后的摘要
+ * @param {boolean} options.persist - 是否保存到数据库（默认 true）
+ * @param {number} options.minLength - 对话少于该字符数时不生成摘要（默认 50）
+ * @param {string} options.userId - 用户ID（用量统计）
  * @returns {string|null} 生成的摘要
  */
-async function generateSessionSummary(sessionId, messages) {
+async function generateSessionSummary(sessionId, messages, options = {}) {
+  const { previousSummary = null, persist = true, minLength = 50, userId = null } = options;
+
   // 过滤系统消息，只保留用户和助手对话
   const conversation = messages
     .filter(m => m.role !== 'system')
@@ -42,19 +69,24 @@ async function generateSessionSummary(sessionId, messages) {
     .join('\n');
 
   // 对话太短不生成摘要
-  if (conversation.length < 50) {
+  if (conversation.length < minLength) {
     console.log(`[SessionSummary] 对话太短 (${conversation.length} 字符)，跳过摘要生成`);
     return null;
   }
 
   try {
-    const provider = ProviderFactory.getLLMProvider();
-    await provider.initialize();
+    const prompt = previousSummary
+      ? ROLLING_SUMMARY_PROMPT
+        .replace('{previousSummary}', () => previousSummary)
+        .replace('{conversation}', () => conversation)
+      : SESSION_SUMMARY_PROMPT.replace('{conversation}', conversation);
 
-    const response = await provider.createCompletion(
-      SESSION_SUMMARY_PROMPT.replace('{conversation}', conversation),
+    const response = await llmService.complete(
+      prompt,
       {
-        maxCompletionTokens: 300,
+        task: ConfigService.LLMTask.SUMMARY,
+        userId,
+        maxTokens: previousSummary ? 500 : 300,
         temperature: 0.3
       }
     );
@@ -63,7 +95,7 @@ async function generateSessionSummary(sessionId, messages) {
     console.log(`[SessionSummary] 会话 ${sessionId} 摘要生成成功 (${summary.length} 字符)`);
 
     // 保存到数据库
-    if (supabaseService.isAvailable()) {
+    if (persist && supabaseService.isAvailable()) {
       await supabaseService.updateSessionSummary(sessionId, summary);
     }
 
@@ -78,12 +110,13 @@ async function generateSessionSummary(sessionId, messages) {
  * 异步生成会话摘要（不阻塞主流程）
  * @param {string} sessionId - 会话ID
  * @param {Array} messages - 消息数组
+ * @param {string|null} userId - 用户ID（用量统计）
  */
-function generateSessionSummaryAsync(sessionId, messages) {
+function generateSessionSummaryAsync(sessionId, messages, userId = null) {
   // 使用 setImmediate 确保不阻塞断开流程
   setImmediate(async () => {
     try {
-      await generateSessionSummary(sessionId, messages);
+      await generateSessionSummary(sessionId, messages, { userId });
     } catch (error) {
       console.error('[SessionSummary] 异步生成失败:', error.message);
     }
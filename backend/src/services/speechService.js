@@ -1,5 +1,6 @@
 const fs = require('fs').promises;
 const path = require('path');
+const protocol = require('../protocol');
 
 // 环境变量读取辅助函数（处理 Azure App Service 的 APPSETTING_ 前缀）
 function getEnvVar(name) {
@@ -235,9 +236,13 @@ class SpeechService {
    * 开始流式语音识别
    * @param {WebSocket} ws - WebSocket连接
    * @param {string} sessionId - 会话ID
-   * @param {Object} config - 识别配置
+   * @param {Object} config - 识别配置（endWindowSize: 判定一句话结束的静音时长，毫秒）
+   * @param {Object} callbacks - 回调
+   * @param {Function} callbacks.onFinal - (text) 用户结束后的最终结果，发送给前端后调用
+   * @param {Function} callbacks.onPartial - (text) 实时识别结果
+   * @param {Function} callbacks.onUtterance - (text) 识别出一句完整的话
    */
-  async startStreamingRecognition(ws, sessionId, config) {
+  async startStreamingRecognition(ws, sessionId, config, callbacks = {}) {
     if (!this.speechKey || !sdk) {
       throw new Error('Azure Speech Service 未配置或SDK未加载');
     }
@@ -262,6 +267,14 @@ class SpeechService {
         "2000"   // 结束静默超时2秒
       );
 
+      // 分句静音时长（免提对话据此判定一句话结束）
+      if (config.endWindowSize) {
+        speechConfig.setProperty(
+          sdk.PropertyId.Speech_SegmentationSilenceTimeoutMs,
+          String(config.endWindowSize)
+        );
+      }
+
       // 启用实时识别结果
       speechConfig.setProperty(
         sdk.PropertyId.Speech_RequestWordLevelTimestamps,
@@ -288,6 +301,7 @@ class SpeechService {
         pushStream,
         ws,
         config,
+        callbacks,
         lastPartialText: '', // 存储最后的部分识别结果
         hasFinalResult: false, // 标记是否已发送最终结果
         finalResultTimeout: null, // 等待最终结果的超时器
@@ -309,6 +323,10 @@ class SpeechService {
           
           // 发送实时结果到前端
           this.sendSpeechResult(ws, sessionId, 'partial', partialText);
+
+          if (typeof callbacks.onPartial === 'function') {
+            callbacks.onPartial(partialText);
+          }
         }
       };
 
@@ -324,6 +342,10 @@ class SpeechService {
             session.allRecognizedTexts.push(finalText.trim());
             console.log(`📝 [${sessionId}] 存储识别片段，当前总数: ${session.allRecognizedTexts.length}`);
             console.log(`🔄 [${sessionId}] 继续等待用户完成语音...`);
+
+            if (typeof callbacks.onUtterance === 'function') {
+              callbacks.onUtterance(finalText.trim());
+            }
           }
         } else if (e.result.reason === sdk.ResultReason.NoMatch) {
           console.log(`❌ [${sessionId}] 无法识别语音片段`);
@@ -500,7 +522,6 @@ class SpeechService {
     }
 
     const result = {
-      type: 'speech_result',
       sessionId,
       resultType,
       text: text || '',
@@ -512,7 +533,7 @@ class SpeechService {
     }
 
     try {
-      ws.send(JSON.stringify(result));
+      ws.send(protocol.encodeFrame(protocol.ServerFrame.SPEECH_RESULT, result));
     } catch (sendError) {
       console.error(`❌ [${sessionId}] 发送识别结果失败:`, sendError);
     }
@@ -549,7 +570,16 @@ class SpeechService {
       }
       
       if (finalText) {
+        session.hasFinalResult = true;
         this.sendSpeechResult(session.ws, sessionId, 'final', finalText);
+
+        if (typeof session.callbacks?.onFinal === 'function') {
+          try {
+            session.callbacks.onFinal(finalText);
+          } catch (callbackError) {
+            console.error(`❌ [${sessionId}] 最终结果回调失败:`, callbackError);
+          }
+        }
       } else {
         console.log(`⚠️ [${sessionId}] 没有识别到任何内容`);
       }
@@ -1,33 +1,16 @@
-const ProviderFactory = require('./ProviderFactory');
+const ConfigService = require('./ConfigService');
+const llmService = require('./llmService');
 
 class SuggestionService {
-  constructor() {
-    this.provider = null;
-    this.initProvider();
-  }
-
-  initProvider() {
-    try {
-      this.provider = ProviderFactory.getLLMProvider();
-      console.log('建议问题服务初始化成功');
-    } catch (error) {
-      console.error('建议问题服务初始化失败:', error);
-      this.provider = null;
-    }
-  }
 
   /**
    * 生成建议问题
    * @param {Array} conversationHistory - 完整对话历史
    * @param {string} lastResponse - AI的最后一次回复
+   * @param {string|null} userId - 用户ID（用量统计）
    * @returns {Array} 建议问题数组
    */
-  async generateSuggestions(conversationHistory, lastResponse) {
-    if (!this.provider) {
-      console.log('LLM Provider未初始化，跳过建议问题生成');
-      return [];
-    }
-
+  async generateSuggestions(conversationHistory, lastResponse, userId = null) {
     // 智能判断是否需要生成建议问题
     if (!this.shouldGenerateSuggestions(conversationHistory, lastResponse)) {
       console.log('当前对话不适合生成建议问题，跳过');
@@ -35,11 +18,17 @@ class SuggestionService {
     }
 
     try {
-      const prompt = this.buildSuggestionPrompt(conversationHistory, lastResponse);
+      // 支持 JSON 模式的模型只能返回对象，改为要求 {"suggestions": [...]}
+      const task = ConfigService.LLMTask.SUGGESTION;
+      const { jsonMode } = llmService.getCapabilities(task);
+      const prompt = this.buildSuggestionPrompt(conversationHistory, lastResponse, jsonMode);
       console.log('生成建议问题的提示词:', prompt.substring(0, 200) + '...');
 
-      const response = await this.provider.createCompletion(prompt, {
-        max_completion_tokens: 300
+      const response = await llmService.complete(prompt, {
+        task,
+        userId,
+        maxTokens: 300,
+        ...(jsonMode ? { responseFormat: { type: 'json_object' } } : {})
       });
 
       const content = response.trim();
@@ -91,8 +80,9 @@ class SuggestionService {
 
   /**
    * 构建建议问题生成的提示词
+   * @param {boolean} jsonMode - 是否以 JSON 模式请求（返回对象而不是数组）
    */
-  buildSuggestionPrompt(conversationHistory, lastResponse) {
+  buildSuggestionPrompt(conversationHistory, lastResponse, jsonMode = false) {
     // 提取最近的对话上下文（最多5轮对话）
     const recentHistory = conversationHistory.slice(-10); // 最多10条消息（5轮对话）
 
@@ -101,6 +91,14 @@ class SuggestionService {
       .map(msg => `${msg.role === 'user' ? '用户' : '杨院长'}: ${msg.content}`)
       .join('\n');
 
+    const outputFormat = jsonMode
+      ? `【重要】你只需要返回一个JSON对象，不要有任何其他文字或说明！
+- 生成建议：{"suggestions": ["恢复期要多久？", "有什么注意事项？"]}
+- 不生成：{"suggestions": []}`
+      : `【重要】你只需要返回一个纯JSON数组，不要有任何其他文字或说明！
+- 生成建议：["恢复期要多久？", "有什么注意事项？"]
+- 不生成：[]`;
+
     return `你是杨院长的智能助手，负责判断是否需要生成建议问题。
 
 请仔细分析以下对话，判断是否适合生成建议问题：
@@ -127,9 +125,7 @@ ${historyText}
 杨院长最新回复：
 ${lastResponse}
 
-【重要】你只需要返回一个纯JSON数组，不要有任何其他文字或说明！
-- 生成建议：["恢复期要多久？", "有什么注意事项？"]
-- 不生成：[]`;
+${outputFormat}`;
   }
 
   /**
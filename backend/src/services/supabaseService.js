@@ -332,6 +332,55 @@ class SupabaseService {
     return data;
   }
 
+  /**
+   * 删除会话中最近的消息（重新生成 / 编辑上一条时丢弃旧版本）
+   * @param {string} sessionId - 会话ID
+   * @param {object} options - { since: ISO时间，删除该时间之后的消息；limit: 未提供 since 时按条数删除最近的消息 }
+   * @returns {number} 删除的消息数
+   */
+  async deleteRecentMessages(sessionId, options = {}) {
+    if (!this.isAvailable()) {
+      throw new Error('Supabase service not available');
+    }
+
+    const { since = null, limit = 0 } = options;
+    let ids = [];
+
+    if (since) {
+      const { data, error } = await this.client
+        .from('chat_messages')
+        .select('id')
+        .eq('session_id', sessionId)
+        .gte('created_at', since);
+      if (error) throw error;
+      ids = data.map(msg => msg.id);
+    } else if (limit > 0) {
+      const { data, error } = await this.client
+        .from('chat_messages')
+        .select('id')
+        .eq('session_id', sessionId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+      if (error) throw error;
+      ids = data.map(msg => msg.id);
+    }
+
+    if (ids.length === 0) return 0;
+
+    const { error } = await this.client
+      .from('chat_messages')
+      .delete()
+      .in('id', ids);
+
+    if (error) {
+      console.error('[Supabase] 删除消息失败:', error);
+      throw error;
+    }
+
+    console.log(`[Supabase] 会话 ${sessionId} 已删除 ${ids.length} 条消息`);
+    return ids.length;
+  }
+
   /**
    * 获取用户最近的消息
    * @param {string} wechatOpenId - 微信OpenID
@@ -817,6 +866,287 @@ class SupabaseService {
     return data || [];
   }
 
+  // ==================== 管理操作审计 ====================
+
+  /**
+   * 保存管理操作记录
+   * @param {object} entry - { actor, action, target, details, ip, createdAt }
+   * @returns {boolean} 是否成功
+   */
+  async saveAdminAuditLog(entry) {
+    if (!this.isAvailable()) return false;
+
+    const { error } = await this.client
+      .from('admin_audit_logs')
+      .insert({
+        actor: entry.actor,
+        action: entry.action,
+        target: entry.target,
+        details: entry.details || {},
+        ip: entry.ip || null,
+        created_at: entry.createdAt
+      });
+
+    if (error) {
+      console.error('[Supabase] 保存管理操作记录失败:', error);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * 获取最近的管理操作记录
+   * @param {number} limit - 条数
+   * @returns {Array} 操作记录（新的在前）
+   */
+  async getAdminAuditLogs(limit = 50) {
+    if (!this.isAvailable()) return [];
+
+    const { data, error } = await this.client
+      .from('admin_audit_logs')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      console.error('[Supabase] 获取管理操作记录失败:', error);
+      return [];
+    }
+
+    return data.map(row => ({
+      actor: row.actor,
+      action: row.action,
+      target: row.target,
+      details: row.details,
+      ip: row.ip,
+      createdAt: row.created_at
+    }));
+  }
+
+  // ==================== LLM 用量 ====================
+
+  /**
+   * 累加一次 LLM 调用的用量（见 docs/migrations/005_add_llm_usage.sql）
+   * @param {object} entry - { userId, date, task, provider, model, promptTokens, completionTokens, estimated, cost }
+   * @returns {boolean} 是否成功
+   */
+  async incrementLLMUsage(entry) {
+    if (!this.isAvailable()) return false;
+
+    const { error } = await this.client.rpc('increment_llm_usage', {
+      p_user_id: entry.userId,
+      p_usage_date: entry.date,
+      p_task: entry.task,
+      p_provider: entry.provider,
+      p_model: entry.model || '',
+      p_prompt_tokens: entry.promptTokens,
+      p_completion_tokens: entry.completionTokens,
+      p_estimated: entry.estimated,
+      p_cost: entry.cost
+    });
+
+    if (error) {
+      console.error('[Supabase] 保存 LLM 用量失败:', error);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * 查询 LLM 用量
+   * @param {object} filter - { from, to, userId }，日期格式 YYYY-MM-DD
+   * @returns {Array|null} 用量记录，查询失败时返回 null
+   */
+  async getLLMUsage({ from, to, userId = null }) {
+    if (!this.isAvailable()) return null;
+
+    let query = this.client
+      .from('llm_usage_daily')
+      .select('*')
+      .gte('usage_date', from)
+      .lte('usage_date', to);
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      console.error('[Supabase] 查询 LLM 用量失败:', error);
+      return null;
+    }
+
+    return data.map(row => ({
+      userId: row.user_id,
+      date: row.usage_date,
+      task: row.task,
+      provider: row.provider,
+      model: row.model,
+      requests: row.request_count,
+      promptTokens: Number(row.prompt_tokens),
+      completionTokens: Number(row.completion_tokens),
+      estimatedRequests: row.estimated_count,
+      cost: Number(row.cost)
+    }));
+  }
+
+  // ==================== 回复安全审核 ====================
+
+  /**
+   * 保存一次回复安全干预记录（见 docs/migrations/006_add_safety_events.sql）
+   * @param {object} event - { requestId, userId, ruleId, category, action, source, excerpt, replacement, createdAt }
+   * @returns {boolean} 是否成功
+   */
+  async saveSafetyEvent(event) {
+    if (!this.isAvailable()) return false;
+
+    const { error } = await this.client
+      .from('safety_events')
+      .insert({
+        request_id: event.requestId,
+        user_id: event.userId,
+        rule_id: event.ruleId,
+        category: event.category,
+        action: event.action,
+        source: event.source,
+        excerpt: event.excerpt,
+        replacement: event.replacement || null,
+        created_at: event.createdAt
+      });
+
+    if (error) {
+      console.error('[Supabase] 保存安全干预记录失败:', error);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * 获取最近的回复安全干预记录
+   * @param {number} limit - 条数
+   * @returns {Array} 干预记录（新的在前）
+   */
+  async getSafetyEvents(limit = 50) {
+    if (!this.isAvailable()) return [];
+
+    const { data, error } = await this.client
+      .from('safety_events')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      console.error('[Supabase] 获取安全干预记录失败:', error);
+      return [];
+    }
+
+    return data.map(row => ({
+      requestId: row.request_id,
+      userId: row.user_id,
+      ruleId: row.rule_id,
+      category: row.category,
+      action: row.action,
+      source: row.source,
+      excerpt: row.excerpt,
+      replacement: row.replacement,
+      createdAt: row.created_at
+    }));
+  }
+
+  // ==================== 危机支持跟进 ====================
+
+  /**
+   * 将用户当前的会话标记为需要人工跟进（见 docs/migrations/007_add_session_follow_up.sql）
+   * @param {string} wechatOpenId - 微信OpenID
+   * @param {string} reason - 跟进原因
+   * @returns {string|null} 会话ID
+   */
+  async flagSessionForFollowUp(wechatOpenId, reason) {
+    if (!this.isAvailable()) return null;
+
+    const user = await this.getUserByWechatId(wechatOpenId);
+    if (!user) return null;
+
+    let session = await this.getActiveSession(user.uuid);
+    if (!session) {
+      session = await this.createSession(user.uuid);
+    }
+
+    const { error } = await this.client
+      .from('chat_sessions')
+      .update({
+        follow_up_status: 'pending',
+        follow_up_reason: reason,
+        flagged_at: new Date().toISOString()
+      })
+      .eq('id', session.id);
+
+    if (error) {
+      console.error('[Supabase] 标记会话跟进失败:', error);
+      return null;
+    }
+    return session.id;
+  }
+
+  /**
+   * 获取需要人工跟进的会话
+   * @param {object} filter - { status: 'pending' | 'resolved', limit }
+   * @returns {Array|null} 会话列表（新的在前），查询失败时返回 null
+   */
+  async getFollowUpSessions({ status = 'pending', limit = 50 } = {}) {
+    if (!this.isAvailable()) return null;
+
+    const { data, error } = await this.client
+      .from('chat_sessions')
+      .select('id, follow_up_status, follow_up_reason, flagged_at, follow_up_resolved_at, follow_up_resolved_by, follow_up_note, users(wechat_open_id)')
+      .eq('follow_up_status', status)
+      .order('flagged_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      console.error('[Supabase] 获取跟进会话失败:', error);
+      return null;
+    }
+
+    return data.map(row => ({
+      sessionId: row.id,
+      userId: row.users?.wechat_open_id || null,
+      status: row.follow_up_status,
+      reason: row.follow_up_reason,
+      flaggedAt: row.flagged_at,
+      resolvedAt: row.follow_up_resolved_at,
+      resolvedBy: row.follow_up_resolved_by,
+      note: row.follow_up_note
+    }));
+  }
+
+  /**
+   * 标记跟进已完成
+   * @param {string} sessionId - 会话ID
+   * @param {object} resolution - { resolvedBy, note }
+   * @returns {boolean} 是否成功
+   */
+  async resolveFollowUp(sessionId, { resolvedBy, note = null }) {
+    if (!this.isAvailable()) return false;
+
+    const { data, error } = await this.client
+      .from('chat_sessions')
+      .update({
+        follow_up_status: 'resolved',
+        follow_up_resolved_at: new Date().toISOString(),
+        follow_up_resolved_by: resolvedBy,
+        follow_up_note: note
+      })
+      .eq('id', sessionId)
+      .not('follow_up_status', 'is', null)
+      .select('id');
+
+    if (error) {
+      console.error('[Supabase] 更新跟进状态失败:', error);
+      return false;
+    }
+    return data.length > 0;
+  }
+
   // ==================== 辅助方法 ====================
 
   /**
@@ -0,0 +1,189 @@
+/**
+ * 工具注册中心
+ * 管理 LLM 在回答过程中可调用的服务端工具（OpenAI 函数调用格式）
+ *
+ * 每个工具声明：
+ * - name / description / parameters: 提供给 LLM 的函数 schema
+ * - handler(args, context): 执行函数，返回字符串或可序列化对象
+ * - timeout: 单次执行超时时间 (ms)
+ * - maxCallsPerRequest: 单次用户请求内的调用预算
+ * - isAvailable(context): 可选，返回 false 时本次请求不向 LLM 暴露该工具
+ */
+
+const DEFAULT_TIMEOUT = 8000;
+const DEFAULT_MAX_CALLS_PER_REQUEST = 3;
+
+/**
+ * 单次请求的工具执行上下文
+ * 记录每个工具的调用次数，并为工具提供请求级共享状态
+ */
+class ToolSession {
+  constructor(registry, context = {}) {
+    this.registry = registry;
+    this.context = {
+      ...context,
+      state: new Map() // 工具间/多轮之间共享的请求级状态
+    };
+    this.callCounts = new Map();
+    this.calls = []; // 调用记录 { name, args, durationMs, error }
+  }
+
+  /**
+   * 获取本次请求仍可使用的工具定义（已用完预算的工具不再暴露）
+   * @returns {Array} OpenAI tools 格式
+   */
+  getDefinitions() {
+    return this.registry.list()
+      .filter(tool => this.isToolAvailable(tool))
+      .filter(tool => (this.callCounts.get(tool.name) || 0) < tool.maxCallsPerRequest)
+      .map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters
+        }
+      }));
+  }
+
+  /**
+   * @private
+   */
+  isToolAvailable(tool) {
+    if (typeof tool.isAvailable !== 'function') return true;
+    try {
+      return !!tool.isAvailable(this.context);
+    } catch (error) {
+      console.warn(`[ToolRegistry] 工具 ${tool.name} 可用性检查失败:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * 执行一个工具调用
+   * @param {string} name - 函数名
+   * @param {Object} args - 已解析的参数
+   * @returns {Object} { name, content, error } content 为返回给 LLM 的 tool 消息内容
+   */
+  async execute(name, args = {}) {
+    const tool = this.registry.get(name);
+    if (!tool) {
+      console.warn(`[ToolRegistry] 未知工具: ${name}`);
+      return this.buildErrorResult(name, `未知工具: ${name}`);
+    }
+
+    const used = this.callCounts.get(name) || 0;
+    if (used >= tool.maxCallsPerRequest) {
+      console.warn(`[ToolRegistry] 工具 ${name} 已达到本次请求调用上限 (${tool.maxCallsPerRequest})`);
+      return this.buildErrorResult(name, '该工具本次调用次数已达上限，请基于已有信息直接回答用户。');
+    }
+    this.callCounts.set(name, used + 1);
+
+    const startTime = Date.now();
+    let timeoutId = null;
+
+    try {
+      const timeout = new Promise((_, reject) => {
+        timeoutId = setTimeout(() => reject(new Error(`工具执行超时 (${tool.timeout}ms)`)), tool.timeout);
+      });
+
+      const result = await Promise.race([
+        Promise.resolve(tool.handler(args, this.context)),
+        timeout
+      ]);
+
+      const durationMs = Date.now() - startTime;
+      this.calls.push({ name, args, durationMs });
+      console.log(`[ToolRegistry] 工具 ${name} 执行完成 (${durationMs}ms)`);
+
+      return {
+        name,
+        content: typeof result === 'string' ? result : JSON.stringify(result ?? null),
+        error: null
+      };
+    } catch (error) {
+      const durationMs = Date.now() - startTime;
+      this.calls.push({ name, args, durationMs, error: error.message });
+      console.error(`[ToolRegistry] 工具 ${name} 执行失败 (${durationMs}ms):`, error.message);
+      return this.buildErrorResult(name, `工具执行失败: ${error.message}`);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * @private
+   */
+  buildErrorResult(name, message) {
+    return {
+      name,
+      content: JSON.stringify({ error: message }),
+      error: message
+    };
+  }
+}
+
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map(); // name -> tool
+  }
+
+  /**
+   * 注册工具
+   * @param {Object} tool - 工具定义
+   */
+  register(tool) {
+    if (!tool || !tool.name || !/^[a-zA-Z0-9_-]{1,64}$/.test(tool.name)) {
+      throw new Error(`Invalid tool name: ${tool?.name}`);
+    }
+    if (typeof tool.handler !== 'function') {
+      throw new Error(`Tool ${tool.name} must provide a handler function`);
+    }
+    if (this.tools.has(tool.name)) {
+      throw new Error(`Tool ${tool.name} is already registered`);
+    }
+
+    this.tools.set(tool.name, {
+      name: tool.name,
+      description: tool.description || '',
+      parameters: tool.parameters || { type: 'object', properties: {} },
+      handler: tool.handler,
+      isAvailable: tool.isAvailable,
+      timeout: tool.timeout || DEFAULT_TIMEOUT,
+      maxCallsPerRequest: tool.maxCallsPerRequest || DEFAULT_MAX_CALLS_PER_REQUEST
+    });
+
+    console.log(`[ToolRegistry] 已注册工具: ${tool.name}`);
+  }
+
+  /**
+   * 注销工具
+   * @param {string} name - 函数名
+   */
+  unregister(name) {
+    return this.tools.delete(name);
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  get(name) {
+    return this.tools.get(name) || null;
+  }
+
+  list() {
+    return [...this.tools.values()];
+  }
+
+  /**
+   * 为一次用户请求创建工具执行上下文
+   * @param {Object} context - { userId, requestId, ... } 传递给工具 handler
+   * @returns {ToolSession}
+   */
+  createSession(context = {}) {
+    return new ToolSession(this, context);
+  }
+}
+
+module.exports = new ToolRegistry();
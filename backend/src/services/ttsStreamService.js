@@ -0,0 +1,283 @@
+/**
+ * 流式语音播报服务
+ * 把 StreamSmoother 输出的文本按句切分，逐句交给 TTS Provider 合成，
+ * 音频分片通过 WebSocket 实时推送给小程序，实现边生成边播报
+ *
+ * 帧顺序：tts_start → (tts_chunk* → tts_segment_end)* → tts_end
+ */
+const ConfigService = require('./ConfigService');
+const ProviderFactory = require('./ProviderFactory');
+const protocol = require('../protocol');
+const { ServerFrame } = protocol;
+
+// 句末标点：遇到即切句
+const SENTENCE_END = /[。！？!?；;\n]/;
+// 长句的次级切分点
+const CLAUSE_END = /[，,、：:]/;
+
+/**
+ * 去掉 Markdown 标记和表情，只保留适合朗读的文字
+ * @param {string} text - 原始文本
+ * @returns {string}
+ */
+function cleanTextForSpeech(text) {
+  return text
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')        // 链接只读文字
+    .replace(/[*_`#>~]/g, '')                        // 强调、标题、引用、代码标记
+    .replace(/^\s*(?:[-+•]|\d+[.)、])\s+/gm, '')     // 列表标记
+    .replace(/\|/g, '，')                            // 表格分隔
+    .replace(/\p{Extended_Pictographic}/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * 是否包含可朗读的字符（纯标点、空白的片段跳过）
+ */
+function isSpeakable(text) {
+  return /[\p{L}\p{N}]/u.test(text);
+}
+
+/**
+ * 单次回复的播报会话
+ */
+class TTSSession {
+  /**
+   * @param {Object} options
+   * @param {string} options.requestId - 所属回复的请求ID
+   * @param {Function} options.send - 发送帧 (frame) => void
+   * @param {Promise<TTSProvider>} options.providerPromise - 已初始化的 Provider
+   * @param {AbortSignal} [options.signal] - 回复被停止时同时停止播报
+   * @param {Object} options.config - ConfigService.getTTSConfig()
+   */
+  constructor({ requestId, send, providerPromise, signal, config }) {
+    this.requestId = requestId;
+    this.send = send;
+    this.providerPromise = providerPromise;
+    this.config = config;
+
+    this.buffer = '';          // 尚未成句的文本
+    this.queue = [];           // 待合成的句子
+    this.segmentIndex = 0;
+    this.started = false;
+    this.finished = false;     // 文本已全部送入
+    this.ended = false;        // tts_end 已发送
+    this.draining = null;      // 当前合成循环
+
+    this.abortController = new AbortController();
+    this.onAbort = () => this.cancel();
+    signal?.addEventListener('abort', this.onAbort);
+    this.signal = signal;
+  }
+
+  /**
+   * 送入一段已输出给用户的文本
+   * @param {string} text - 文本片段
+   */
+  push(text) {
+    if (this.finished || this.ended || !text) return;
+    this.buffer += text;
+    this.extractSentences(false);
+    this.drain();
+  }
+
+  /**
+   * 文本输出结束：剩余文本作为最后一句合成
+   * @returns {Promise<void>} 全部句子播报完成后 resolve
+   */
+  async finish() {
+    if (this.finished || this.ended) return this.draining;
+    this.finished = true;
+    this.extractSentences(true);
+    await this.drain();
+  }
+
+  /**
+   * 停止播报（停止生成或连接断开时）
+   */
+  cancel() {
+    if (this.ended) return;
+    this.queue = [];
+    this.abortController.abort();
+    this.end({ cancelled: true });
+  }
+
+  /**
+   * 从缓冲中切出完整句子
+   * @private
+   */
+  extractSentences(flushAll) {
+    const { maxSentenceLength } = this.config;
+
+    while (this.buffer) {
+      let cut = -1;
+      const endMatch = this.buffer.match(SENTENCE_END);
+      if (endMatch) {
+        cut = endMatch.index + 1;
+      } else if (this.buffer.length > maxSentenceLength) {
+        // 长句在最后一个逗号处切分，没有逗号时硬切
+        const head = this.buffer.slice(0, maxSentenceLength);
+        let clauseEnd = -1;
+        for (let i = head.length - 1; i >= 0; i--) {
+          if (CLAUSE_END.test(head[i])) {
+            clauseEnd = i;
+            break;
+          }
+        }
+        cut = clauseEnd > 0 ? clauseEnd + 1 : maxSentenceLength;
+      } else if (flushAll) {
+        cut = this.buffer.length;
+      }
+
+      if (cut < 0) break;
+
+      const sentence = cleanTextForSpeech(this.buffer.slice(0, cut));
+      this.buffer = this.buffer.slice(cut);
+      if (isSpeakable(sentence)) {
+        this.queue.push(sentence);
+      }
+    }
+  }
+
+  /**
+   * 依次合成队列中的句子（同一时间只有一个合成循环）
+   * @private
+   */
+  drain() {
+    if (!this.draining) {
+      this.draining = this.run().finally(() => {
+        this.draining = null;
+        // 合成期间又送入了新句子
+        if (this.queue.length > 0 && !this.ended) {
+          this.drain();
+        } else if (this.finished) {
+          this.end();
+        }
+      });
+    }
+    return this.draining;
+  }
+
+  /**
+   * @private
+   */
+  async run() {
+    let provider;
+    try {
+      provider = await this.providerPromise;
+    } catch (error) {
+      this.fail(error);
+      return;
+    }
+
+    while (this.queue.length > 0 && !this.ended) {
+      const text = this.queue.shift();
+      const segment = this.segmentIndex++;
+
+      if (!this.started) {
+        this.started = true;
+        this.send(protocol.createFrame(ServerFrame.TTS_START, provider.getAudioFormat(), this.requestId));
+      }
+
+      try {
+        let seq = 0;
+        await provider.synthesizeStream(text, {
+          speed: this.config.speed,
+          signal: this.abortController.signal
+        }, (audio) => {
+          if (this.ended) return;
+          this.send(protocol.createFrame(ServerFrame.TTS_CHUNK, {
+            segment,
+            seq: seq++,
+            audio: audio.toString('base64')
+          }, this.requestId));
+        });
+
+        if (!this.ended) {
+          this.send(protocol.createFrame(ServerFrame.TTS_SEGMENT_END, { segment, text }, this.requestId));
+        }
+      } catch (error) {
+        this.fail(error, segment);
+        return;
+      }
+    }
+  }
+
+  /**
+   * 合成失败：通知前端并结束本次播报（Provider 出错时后续句子大概率也会失败）
+   * @private
+   */
+  fail(error, segment = null) {
+    console.error(`[${this.requestId}] 🔇 语音合成失败:`, error.message);
+    this.queue = [];
+    if (this.ended) return;
+    this.send(protocol.createFrame(ServerFrame.TTS_ERROR, { segment, error: '语音合成失败' }, this.requestId));
+    this.end({ failed: true });
+  }
+
+  /**
+   * @private
+   */
+  end(extra = {}) {
+    if (this.ended) return;
+    this.ended = true;
+    this.signal?.removeEventListener('abort', this.onAbort);
+    if (this.started || extra.failed) {
+      this.send(protocol.createFrame(ServerFrame.TTS_END, { segments: this.segmentIndex, ...extra }, this.requestId));
+    }
+  }
+}
+
+class TTSStreamService {
+  constructor() {
+    this.providerPromise = null;
+  }
+
+  /**
+   * 服务端是否开启了语音播报
+   */
+  isEnabled() {
+    return ConfigService.getTTSConfig().enabled;
+  }
+
+  /**
+   * 获取已初始化的 Provider（初始化失败后下次调用会重试）
+   * @private
+   */
+  getProvider() {
+    if (!this.providerPromise) {
+      this.providerPromise = (async () => {
+        const provider = ProviderFactory.getTTSProvider();
+        await provider.initialize();
+        return provider;
+      })();
+      this.providerPromise.catch(() => {
+        this.providerPromise = null;
+      });
+    }
+    return this.providerPromise;
+  }
+
+  /**
+   * 为一次回复创建播报会话
+   * @param {Object} options
+   * @param {string} options.requestId - 请求ID
+   * @param {Function} options.send - 发送帧 (frame) => void
+   * @param {AbortSignal} [options.signal] - 回复的中止信号
+   * @returns {TTSSession|null} 未开启语音播报时返回 null
+   */
+  createSession({ requestId, send, signal }) {
+    if (!this.isEnabled()) return null;
+
+    return new TTSSession({
+      requestId,
+      send,
+      signal,
+      providerPromise: this.getProvider(),
+      config: ConfigService.getTTSConfig()
+    });
+  }
+}
+
+module.exports = new TTSStreamService();
+module.exports.cleanTextForSpeech = cleanTextForSpeech;
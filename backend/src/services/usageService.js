@@ -0,0 +1,256 @@
+/**
+ * LLM 用量统计服务
+ * 记录每次大模型调用的 token 用量，按用户、日期、任务、Provider 和模型累计：
+ * - 优先使用接口返回的 usage（流式输出需 Provider 支持 stream_options.include_usage），否则按本地 token 计数估算
+ * - 费用按 LLM_PRICES 中的单价计算
+ * - Supabase 可用时写入 llm_usage_daily 表（见 docs/migrations/005_add_llm_usage.sql），同时在内存中保留最近的记录
+ * - 每日配额（USAGE_DAILY_TOKEN_LIMIT / USAGE_DAILY_COST_LIMIT）在主对话调用 LLM 之前检查
+ */
+const ConfigService = require('./ConfigService');
+const supabaseService = require('./supabaseService');
+const contextWindowService = require('./contextWindowService');
+
+// 无法归属到用户的调用（如每日总结定时任务）
+const SYSTEM_USER = 'system';
+
+// 统计日期使用的时区（与每日总结一致）
+const USAGE_TIMEZONE = 'Asia/Shanghai';
+
+// 内存中保留的天数（Supabase 不可用时的报表范围）
+const MEMORY_RETENTION_DAYS = 31;
+
+// 配额检查使用的当日用量缓存时间，过期后从 Supabase 重新加载（多实例部署时同步其他实例的用量）
+const QUOTA_CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * 指定时间在统计时区的日期
+ * @returns {string} YYYY-MM-DD
+ */
+function toUsageDate(time = new Date()) {
+  return time.toLocaleDateString('sv-SE', { timeZone: USAGE_TIMEZONE });
+}
+
+class UsageService {
+  constructor() {
+    this.rows = new Map();        // `${date}|${userId}|${task}|${provider}|${model}` -> 累计用量
+    this.dailyTotals = new Map(); // userId -> { date, tokens, cost, loadedAt }（配额检查用）
+    this.prunedDate = null;
+  }
+
+  /**
+   * 记录一次 LLM 调用
+   * @param {object} params
+   * @param {string|null} params.userId - 用户ID，null 记为 system
+   * @param {string} params.task - ConfigService.LLMTask 中的任务
+   * @param {{type: string, model: string|null}} params.route - 实际提供服务的路由
+   * @param {string|null} params.model - 模型或部署名
+   * @param {object|null} params.usage - 接口返回的 usage { prompt_tokens, completion_tokens }
+   * @param {Array} params.messages - 请求的消息（没有 usage 时用于估算）
+   * @param {string} params.content - 模型输出（没有 usage 时用于估算）
+   * @returns {object} 本次用量
+   */
+  record({ userId = null, task, route, model = null, usage = null, messages = [], content = '' }) {
+    const estimated = !usage;
+    const promptTokens = estimated
+      ? contextWindowService.countTokens(messages, model || '')
+      : (usage.prompt_tokens || 0);
+    const completionTokens = estimated
+      ? contextWindowService.countTextTokens(content, model || '')
+      : (usage.completion_tokens || 0);
+
+    const entry = {
+      userId: userId || SYSTEM_USER,
+      date: toUsageDate(),
+      task,
+      provider: route.type,
+      model: model || '',
+      promptTokens,
+      completionTokens,
+      estimated,
+      cost: this.calculateCost(route, model, promptTokens, completionTokens)
+    };
+
+    console.log(`📊 [Usage] ${entry.userId} ${task} ${route.type}${model ? `:${model}` : ''} 输入 ${promptTokens} / 输出 ${completionTokens} tokens${estimated ? '（估算）' : ''}`);
+
+    this.addToMemory(entry);
+    supabaseService.incrementLLMUsage(entry).catch(error => {
+      console.error('[Usage] 保存用量失败:', error.message);
+    });
+
+    return entry;
+  }
+
+  /**
+   * 检查用户今天的用量是否超出配额
+   * @param {string} userId - 用户ID
+   * @returns {Promise<{allowed: boolean, tokens: number, cost: number, tokenLimit: number, costLimit: number}>}
+   */
+  async checkQuota(userId) {
+    const { dailyTokenLimit, dailyCostLimit } = ConfigService.getUsageConfig();
+    if (!dailyTokenLimit && !dailyCostLimit) {
+      return { allowed: true, tokens: 0, cost: 0, tokenLimit: 0, costLimit: 0 };
+    }
+
+    const { tokens, cost } = await this.getDailyTotals(userId);
+    const exceeded = (dailyTokenLimit > 0 && tokens >= dailyTokenLimit) ||
+      (dailyCostLimit > 0 && cost >= dailyCostLimit);
+
+    return { allowed: !exceeded, tokens, cost, tokenLimit: dailyTokenLimit, costLimit: dailyCostLimit };
+  }
+
+  /**
+   * 用量报表：按用户、任务、Provider 汇总
+   * @param {object} filter - { from, to, userId }，日期格式 YYYY-MM-DD，from 默认同 to，to 默认今天
+   */
+  async getReport({ from = null, to = null, userId = null } = {}) {
+    const today = toUsageDate();
+    const range = { from: from || to || today, to: to || today, userId };
+
+    let rows = await supabaseService.getLLMUsage(range).catch(() => null);
+    const source = rows ? 'supabase' : 'memory';
+    if (!rows) {
+      rows = this.getMemoryRows(range);
+    }
+
+    const summarize = (key) => {
+      const groups = {};
+      for (const row of rows) {
+        const name = key(row);
+        groups[name] = this.addTotals(groups[name] || this.emptyTotals(), row);
+      }
+      return groups;
+    };
+
+    return {
+      ...range,
+      source,
+      currency: ConfigService.getUsageConfig().currency,
+      total: rows.reduce((totals, row) => this.addTotals(totals, row), this.emptyTotals()),
+      byUser: summarize(row => row.userId),
+      byTask: summarize(row => row.task),
+      byProvider: summarize(row => (row.model ? `${row.provider}:${row.model}` : row.provider))
+    };
+  }
+
+  /**
+   * 用户当天的累计用量（带缓存）
+   * @private
+   */
+  async getDailyTotals(userId) {
+    const date = toUsageDate();
+    const cached = this.dailyTotals.get(userId);
+    if (cached && cached.date === date && Date.now() - cached.loadedAt < QUOTA_CACHE_TTL_MS) {
+      return cached;
+    }
+
+    let rows = await supabaseService.getLLMUsage({ from: date, to: date, userId }).catch(() => null);
+    if (!rows) {
+      rows = this.getMemoryRows({ from: date, to: date, userId });
+    }
+
+    const totals = {
+      date,
+      tokens: rows.reduce((sum, row) => sum + row.promptTokens + row.completionTokens, 0),
+      cost: rows.reduce((sum, row) => sum + row.cost, 0),
+      loadedAt: Date.now()
+    };
+    this.dailyTotals.set(userId, totals);
+    return totals;
+  }
+
+  /**
+   * 按 LLM_PRICES 计算费用，依次匹配 provider:路由中的模型、provider:模型名、provider
+   * @private
+   */
+  calculateCost(route, model, promptTokens, completionTokens) {
+    const { prices } = ConfigService.getUsageConfig();
+    const price = (route.model && prices.get(`${route.type}:${route.model}`)) ||
+      (model && prices.get(`${route.type}:${model}`)) ||
+      prices.get(route.type);
+    if (!price) return 0;
+
+    return (promptTokens * price.input + completionTokens * price.output) / 1000000;
+  }
+
+  /**
+   * 累加到内存记录和配额缓存
+   * @private
+   */
+  addToMemory(entry) {
+    if (this.prunedDate !== entry.date) {
+      this.prune(entry.date);
+    }
+
+    const key = [entry.date, entry.userId, entry.task, entry.provider, entry.model].join('|');
+    const row = this.rows.get(key) || {
+      userId: entry.userId,
+      date: entry.date,
+      task: entry.task,
+      provider: entry.provider,
+      model: entry.model,
+      ...this.emptyTotals()
+    };
+    this.rows.set(key, this.addTotals(row, {
+      requests: 1,
+      promptTokens: entry.promptTokens,
+      completionTokens: entry.completionTokens,
+      estimatedRequests: entry.estimated ? 1 : 0,
+      cost: entry.cost
+    }));
+
+    const totals = this.dailyTotals.get(entry.userId);
+    if (totals && totals.date === entry.date) {
+      totals.tokens += entry.promptTokens + entry.completionTokens;
+      totals.cost += entry.cost;
+    }
+  }
+
+  /**
+   * 清理超出保留天数的内存记录和过期的配额缓存
+   * @private
+   */
+  prune(today) {
+    const cutoff = new Date(Date.now() - MEMORY_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const cutoffDate = toUsageDate(cutoff);
+    for (const [key, row] of this.rows) {
+      if (row.date < cutoffDate) this.rows.delete(key);
+    }
+    for (const [userId, totals] of this.dailyTotals) {
+      if (totals.date !== today) this.dailyTotals.delete(userId);
+    }
+    this.prunedDate = today;
+  }
+
+  /**
+   * @private
+   */
+  getMemoryRows({ from, to, userId = null }) {
+    return [...this.rows.values()].filter(row =>
+      row.date >= from && row.date <= to && (!userId || row.userId === userId)
+    );
+  }
+
+  /**
+   * @private
+   */
+  emptyTotals() {
+    return { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, estimatedRequests: 0, cost: 0 };
+  }
+
+  /**
+   * @private
+   */
+  addTotals(totals, row) {
+    return {
+      ...totals,
+      requests: totals.requests + row.requests,
+      promptTokens: totals.promptTokens + row.promptTokens,
+      completionTokens: totals.completionTokens + row.completionTokens,
+      totalTokens: totals.totalTokens + row.promptTokens + row.completionTokens,
+      estimatedRequests: totals.estimatedRequests + row.estimatedRequests,
+      cost: totals.cost + row.cost
+    };
+  }
+}
+
+module.exports = new UsageService();
@@ -5,6 +5,7 @@
 
 const userDataService = require('./userDataService');
 const greetingService = require('./greetingService');
+const protocol = require('../protocol');
 
 class WarmupService {
   constructor() {
@@ -62,7 +63,7 @@ class WarmupService {
       if (greetingService.shouldSendGreeting(results.userData)) {
         console.log(`🤖 [${userId}] 步骤2a: 生成AI问候语`);
         parallelTasks.push(
-          greetingService.generateGreeting(results.userData)
+          greetingService.generateGreeting(results.userData, userId)
             .then(greeting => {
               results.greeting = greeting;
               console.log(`✅ [${userId}] AI问候语生成完成: ${Date.now() - startTime}ms`);
@@ -82,7 +83,7 @@ class WarmupService {
       console.log(`💡 [${userId}] 步骤2b: 预生成建议问题`);
       const suggestionService = require('./suggestionService');
       parallelTasks.push(
-        suggestionService.generateSuggestions('', results.userData?.chatHistory || [])
+        suggestionService.generateSuggestions('', results.userData?.chatHistory || [], userId)
           .then(suggestions => {
             results.suggestions = suggestions;
             console.log(`✅ [${userId}] 建议问题生成完成: ${Date.now() - startTime}ms`);
@@ -125,8 +126,7 @@ class WarmupService {
     try {
       // 发送问候语
       if (results.greeting) {
-        ws.send(JSON.stringify({
-          type: 'greeting',
+        ws.send(protocol.encodeFrame(protocol.ServerFrame.GREETING, {
           data: results.greeting,
           userId: userId
         }));
@@ -135,16 +135,14 @@ class WarmupService {
 
       // 发送建议问题
       if (results.suggestions && results.suggestions.length > 0) {
-        ws.send(JSON.stringify({
-          type: 'suggestions',
+        ws.send(protocol.encodeFrame(protocol.ServerFrame.SUGGESTIONS, {
           suggestions: results.suggestions
         }));
         console.log(`📤 [${userId}] 建议问题已发送 (${results.suggestions.length}个)`);
       }
 
       // 发送预热完成通知
-      ws.send(JSON.stringify({
-        type: 'warmup_complete',
+      ws.send(protocol.encodeFrame(protocol.ServerFrame.WARMUP_COMPLETE, {
         userId: userId,
         hasGreeting: !!results.greeting,
         hasSuggestions: !!(results.suggestions && results.suggestions.length > 0),
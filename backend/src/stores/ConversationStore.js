@@ -0,0 +1,93 @@
+/**
+ * 对话状态存储基类
+ * 保存每个用户进行中的对话上下文：{ messages, lastAccess, summary }
+ * summary 为滚动压缩生成的前情摘要（见 conversationCompactionService）
+ * 所有实现都是异步接口，便于替换为跨进程共享的外部存储
+ *
+ * 并发写入：get() 返回的副本修改后再 set() 是“后写覆盖”，同一用户的两个请求交错读写时，
+ * 先保存的消息会被后一次 set() 覆盖。不在当前请求链路中的写入（如滚动压缩）应使用 update()。
+ */
+class ConversationStore {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxMessages - 每个用户保留的最大消息数（含 system），正常情况下由滚动压缩控制在此之下
+   * @param {number} options.idleTimeout - 空闲多久后过期 (ms)
+   */
+  constructor(options = {}) {
+    this.maxMessages = options.maxMessages || 60;
+    this.idleTimeout = options.idleTimeout || 2 * 60 * 60 * 1000;
+  }
+
+  /**
+   * 初始化存储
+   */
+  async initialize() {}
+
+  /**
+   * 获取用户的对话状态
+   * @param {string} userId - 用户ID
+   * @returns {Promise<{messages: Array, lastAccess: number, summary?: string}|null>}
+   */
+  async get(userId) {
+    throw new Error('get() method must be implemented');
+  }
+
+  /**
+   * 保存用户的对话状态
+   * @param {string} userId - 用户ID
+   * @param {{messages: Array, lastAccess: number}} conversation - 对话状态
+   */
+  async set(userId, conversation) {
+    throw new Error('set() method must be implemented');
+  }
+
+  /**
+   * 基于最新的对话状态修改并保存
+   * 默认实现直接读写，适用于进程内存储；跨进程的实现需要保证读到写之间没有其他写入
+   * @param {string} userId - 用户ID
+   * @param {Function} updater - (conversation|null) => 新的对话状态，返回 null 表示不修改；可能被重复调用，应为同步的纯函数
+   * @returns {Promise<Object|null>} 保存后的对话状态，未修改或保存失败时返回 null
+   */
+  async update(userId, updater) {
+    const next = updater(await this.get(userId));
+    if (!next) return null;
+    await this.set(userId, next);
+    return next;
+  }
+
+  /**
+   * 删除用户的对话状态
+   * @param {string} userId - 用户ID
+   */
+  async delete(userId) {
+    throw new Error('delete() method must be implemented');
+  }
+
+  /**
+   * 关闭存储，释放定时器与连接
+   */
+  async close() {}
+
+  /**
+   * 裁剪消息列表：保留 system 消息和最近的对话
+   * @param {Array} messages - 消息列表
+   * @returns {Array}
+   */
+  trimMessages(messages = []) {
+    if (messages.length <= this.maxMessages) return messages;
+
+    const systemMessage = messages[0]?.role === 'system' ? messages[0] : null;
+    const keep = systemMessage ? this.maxMessages - 1 : this.maxMessages;
+    const recent = messages.slice(-keep);
+    return systemMessage ? [systemMessage, ...recent] : recent;
+  }
+
+  /**
+   * 获取存储名称
+   */
+  getName() {
+    return this.constructor.name;
+  }
+}
+
+module.exports = ConversationStore;
@@ -0,0 +1,75 @@
+const ConversationStore = require('./ConversationStore');
+
+const CLEANUP_INTERVAL = 15 * 60 * 1000;
+
+/**
+ * 进程内对话状态存储
+ * 重启后丢失，且多实例之间不共享，适合本地开发和单实例部署
+ */
+class MemoryConversationStore extends ConversationStore {
+  constructor(options = {}) {
+    super(options);
+    this.maxConversations = options.maxConversations || 100;
+    this.conversations = new Map(); // userId -> { messages, lastAccess }
+    this.cleanupTimer = null;
+  }
+
+  async initialize() {
+    if (this.cleanupTimer) return;
+    this.cleanupTimer = setInterval(() => this.cleanup(), CLEANUP_INTERVAL);
+    this.cleanupTimer.unref?.();
+  }
+
+  async get(userId) {
+    return this.conversations.get(userId) || null;
+  }
+
+  async set(userId, conversation) {
+    conversation.messages = this.trimMessages(conversation.messages);
+    this.conversations.set(userId, conversation);
+  }
+
+  async delete(userId) {
+    this.conversations.delete(userId);
+  }
+
+  async close() {
+    clearInterval(this.cleanupTimer);
+    this.cleanupTimer = null;
+    this.conversations.clear();
+  }
+
+  /**
+   * 清理空闲对话，并在超出容量时淘汰最久未访问的对话
+   */
+  cleanup() {
+    const now = Date.now();
+    let cleanedCount = 0;
+
+    for (const [userId, conversation] of this.conversations.entries()) {
+      if (now - (conversation.lastAccess || 0) > this.idleTimeout) {
+        this.conversations.delete(userId);
+        cleanedCount++;
+        continue;
+      }
+      conversation.messages = this.trimMessages(conversation.messages);
+    }
+
+    if (this.conversations.size > this.maxConversations) {
+      const sortedEntries = [...this.conversations.entries()]
+        .sort((a, b) => (a[1].lastAccess || 0) - (b[1].lastAccess || 0));
+
+      const toRemove = sortedEntries.slice(0, this.conversations.size - this.maxConversations);
+      toRemove.forEach(([userId]) => {
+        this.conversations.delete(userId);
+        cleanedCount++;
+      });
+    }
+
+    if (cleanedCount > 0) {
+      console.log(`Memory cleanup: removed ${cleanedCount} histories. Current size: ${this.conversations.size}`);
+    }
+  }
+}
+
+module.exports = MemoryConversationStore;
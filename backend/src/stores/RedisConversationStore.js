@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const Redis = require('ioredis');
+const ConversationStore = require('./ConversationStore');
+
+// update() 在检测到并发写入时的最大尝试次数
+const MAX_UPDATE_ATTEMPTS = 3;
+
+// 仅当键的内容与读取时一致（按 SHA1 比较，不存在时为空字符串）才写入
+const COMPARE_AND_SET_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+local digest = current and redis.sha1hex(current) or ''
+if digest ~= ARGV[1] then
+  return 0
+end
+redis.call('SET', KEYS[1], ARGV[2], 'PX', ARGV[3])
+return 1
+`;
+
+/**
+ * Redis 对话状态存储
+ * 对话以 JSON 保存，空闲过期交给 Redis 的键过期机制，
+ * 服务重启和多个 PM2 实例之间都能共享同一份上下文
+ *
+ * get() / set() 是后写覆盖（见 ConversationStore），update() 通过比较读取时的内容实现乐观锁
+ */
+class RedisConversationStore extends ConversationStore {
+  /**
+   * @param {Object} options - 除基类参数外：{ url, keyPrefix }
+   */
+  constructor(options = {}) {
+    super(options);
+    if (!options.url) {
+      throw new Error('Redis conversation store requires a url');
+    }
+    this.keyPrefix = options.keyPrefix || 'jianjunai:conversation:';
+    this.client = new Redis(options.url, {
+      lazyConnect: true,
+      connectTimeout: 5000,
+      maxRetriesPerRequest: 1
+    });
+    this.client.on('error', (error) => {
+      console.error('[RedisConversationStore] 连接错误:', error.message);
+    });
+    this.client.defineCommand('compareAndSet', {
+      numberOfKeys: 1,
+      lua: COMPARE_AND_SET_SCRIPT
+    });
+  }
+
+  async initialize() {
+    await this.client.connect();
+  }
+
+  /**
+   * @private
+   */
+  getKey(userId) {
+    return `${this.keyPrefix}${userId}`;
+  }
+
+  /**
+   * @private
+   */
+  serialize(conversation) {
+    return JSON.stringify({
+      ...conversation,
+      messages: this.trimMessages(conversation.messages),
+      lastAccess: conversation.lastAccess || Date.now()
+    });
+  }
+
+  async get(userId) {
+    try {
+      const value = await this.client.get(this.getKey(userId));
+      return value ? JSON.parse(value) : null;
+    } catch (error) {
+      // Redis 不可用时按“无缓存”处理，由调用方回退到持久化历史
+      console.error(`[RedisConversationStore] 读取对话失败 ${userId}:`, error.message);
+      return null;
+    }
+  }
+
+  async set(userId, conversation) {
+    try {
+      await this.client.set(this.getKey(userId), this.serialize(conversation), 'PX', this.idleTimeout);
+    } catch (error) {
+      console.error(`[RedisConversationStore] 保存对话失败 ${userId}:`, error.message);
+    }
+  }
+
+  async update(userId, updater) {
+    const key = this.getKey(userId);
+
+    try {
+      for (let attempt = 1; attempt <= MAX_UPDATE_ATTEMPTS; attempt++) {
+        const value = await this.client.get(key);
+        const next = updater(value ? JSON.parse(value) : null);
+        if (!next) return null;
+
+        const digest = value ? crypto.createHash('sha1').update(value).digest('hex') : '';
+        const serialized = this.serialize(next);
+        if (await this.client.compareAndSet(key, digest, serialized, this.idleTimeout)) {
+          return JSON.parse(serialized);
+        }
+        console.warn(`[RedisConversationStore] 对话 ${userId} 在修改期间被其他请求写入，重试 (${attempt}/${MAX_UPDATE_ATTEMPTS})`);
+      }
+      console.error(`[RedisConversationStore] 修改对话失败 ${userId}: 并发写入冲突`);
+    } catch (error) {
+      console.error(`[RedisConversationStore] 修改对话失败 ${userId}:`, error.message);
+    }
+    return null;
+  }
+
+  async delete(userId) {
+    try {
+      await this.client.del(this.getKey(userId));
+    } catch (error) {
+      console.error(`[RedisConversationStore] 删除对话失败 ${userId}:`, error.message);
+    }
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+}
+
+module.exports = RedisConversationStore;
@@ -0,0 +1,44 @@
+/**
+ * 对话状态存储入口
+ * 根据 CONVERSATION_STORE 选择实现，整个进程共享同一个实例
+ */
+const ConfigService = require('../services/ConfigService');
+const MemoryConversationStore = require('./MemoryConversationStore');
+const RedisConversationStore = require('./RedisConversationStore');
+
+let instance = null;
+
+/**
+ * 创建对话状态存储
+ * @param {Object} config - ConfigService.getConversationStoreConfig() 的返回值
+ */
+function createConversationStore(config) {
+  if (config.type === 'redis') {
+    if (config.redisUrl) {
+      return new RedisConversationStore({ ...config, url: config.redisUrl });
+    }
+    console.warn('⚠️ CONVERSATION_STORE=redis 但未配置 REDIS_URL，回退到内存存储');
+  } else if (config.type !== 'memory') {
+    console.warn(`⚠️ 未知的对话存储类型 ${config.type}，回退到内存存储`);
+  }
+  return new MemoryConversationStore(config);
+}
+
+/**
+ * 获取对话状态存储单例
+ * @returns {import('./ConversationStore')}
+ */
+function getConversationStore() {
+  if (!instance) {
+    instance = createConversationStore(ConfigService.getConversationStoreConfig());
+    instance.initialize()
+      .then(() => console.log(`✅ 对话状态存储已就绪: ${instance.getName()}`))
+      .catch(err => console.error(`❌ 对话状态存储初始化失败 (${instance.getName()}):`, err.message));
+  }
+  return instance;
+}
+
+module.exports = {
+  getConversationStore,
+  createConversationStore
+};
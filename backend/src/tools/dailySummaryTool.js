@@ -0,0 +1,59 @@
+/**
+ * 每日总结工具
+ * 通过 dailySummaryService.getDailySummaryWithFallback 读取某一天的咨询总结
+ * 总结缺少细节时会附带当天的原始对话记录
+ */
+const supabaseService = require('../services/supabaseService');
+const dailySummaryService = require('../services/dailySummaryService');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+module.exports = {
+  name: 'get_daily_summary',
+  description: '读取该用户某一天的咨询总结。适用于“昨天我们聊了什么”、“上周三说的方案”等按日期回顾的问题。',
+  parameters: {
+    type: 'object',
+    properties: {
+      date: {
+        type: 'string',
+        description: '日期，格式 YYYY-MM-DD，请根据系统注入的当前时间推算'
+      },
+      query: {
+        type: 'string',
+        description: '用户想了解的具体细节（如价格、医生名字），用于判断是否需要附带原始记录'
+      }
+    },
+    required: ['date']
+  },
+  isAvailable: () => supabaseService.isAvailable(),
+  handler: async (args, context) => {
+    if (!DATE_PATTERN.test(args.date || '')) {
+      return { error: '日期格式应为 YYYY-MM-DD' };
+    }
+
+    const result = await dailySummaryService.getDailySummaryWithFallback(
+      context.userId,
+      args.date,
+      args.query || ''
+    );
+
+    if (!result.summary && (!result.rawMessages || result.rawMessages.length === 0)) {
+      return {
+        found: false,
+        message: `${args.date} 没有咨询记录`
+      };
+    }
+
+    return {
+      found: true,
+      date: args.date,
+      summary: result.summary,
+      rawMessages: (result.rawMessages || []).map(msg => ({
+        role: msg.role,
+        content: msg.content
+      }))
+    };
+  },
+  timeout: 10000,
+  maxCallsPerRequest: 2
+};
@@ -0,0 +1,37 @@
+/**
+ * 转人工工具
+ * 模型判断需要真人跟进时（用户要求找真人、投诉纠纷、需要查看检查报告或安排面诊等）通知工作人员接入，
+ * 之后用户的消息转给工作人员控制台，不再由模型回复（见 handoffService）
+ */
+const handoffService = require('../services/handoffService');
+
+module.exports = {
+  name: 'request_human_consultant',
+  description: '请真人顾问接手对话。仅在用户明确要求找真人/人工客服，或问题必须由真人处理（投诉纠纷、术后异常需要医生判断、预约改期等）时调用。调用后请简短告诉用户已为其转接人工顾问、请稍等，不要再继续解答。',
+  parameters: {
+    type: 'object',
+    properties: {
+      reason: {
+        type: 'string',
+        description: '转人工的原因，给工作人员看的一句话摘要，如“用户术后第三天红肿加重，希望医生看看”'
+      }
+    },
+    required: ['reason']
+  },
+  isAvailable: () => handoffService.isEnabled(),
+  handler: async (args, context) => {
+    const session = await handoffService.request(context.userId, {
+      requestedBy: 'assistant',
+      reason: (args.reason || '').slice(0, 200) || null
+    });
+
+    return {
+      requested: true,
+      staffOnline: handoffService.getOnlineStaffCount() > 0,
+      status: session.status,
+      instruction: '已通知人工顾问。请简短告诉用户正在为其转接人工顾问，人工顾问接入后会直接回复；不在线时会尽快联系。'
+    };
+  },
+  timeout: 5000,
+  maxCallsPerRequest: 1
+};
@@ -0,0 +1,27 @@
+/**
+ * 内置工具注册
+ * 新增工具：在本目录创建工具定义文件并加入 BUILTIN_TOOLS，
+ * 或在任意模块中调用 toolRegistry.register()，无需修改 chatController
+ */
+const toolRegistry = require('../services/toolRegistry');
+const memorySearchTools = require('./memorySearchTools');
+const procedureCardTool = require('./procedureCardTool');
+const userImagesTool = require('./userImagesTool');
+const dailySummaryTool = require('./dailySummaryTool');
+const handoffTool = require('./handoffTool');
+
+const BUILTIN_TOOLS = [
+  ...memorySearchTools,
+  procedureCardTool,
+  userImagesTool,
+  dailySummaryTool,
+  handoffTool
+];
+
+for (const tool of BUILTIN_TOOLS) {
+  if (!toolRegistry.has(tool.name)) {
+    toolRegistry.register(tool);
+  }
+}
+
+module.exports = toolRegistry;
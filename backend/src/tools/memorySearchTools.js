@@ -0,0 +1,165 @@
+/**
+ * 记忆检索工具
+ * 将 memoryService.searchEvents 暴露为 LLM 原生函数调用（tools）
+ * - search_history: 检索 Supabase 中的对话原文
+ * - search_memory: 检索 Memobase 中的用户画像与语义记忆
+ */
+const memoryService = require('../services/memoryService');
+
+const DEFAULT_LIMIT = 3;
+const MAX_LIMIT = 10;
+
+/**
+ * 将工具参数转换为 memoryService.searchEvents 的参数
+ */
+function buildSearchParams(name, args) {
+  if (name === 'search_history') {
+    return {
+      type: 'history',
+      query: args.query || '',
+      startTime: args.startTime,
+      endTime: args.endTime,
+      order: args.order === 'asc' ? 'asc' : 'desc'
+    };
+  }
+  return {
+    type: 'memory',
+    query: args.query || ''
+  };
+}
+
+/**
+ * 登记为本次回复可引用的资料，返回引用编号
+ */
+function addCitation(name, item, citations) {
+  const content = item.content || String(item);
+  const isHistory = name === 'search_history';
+  return citations.add({
+    type: isHistory ? 'history' : 'memory',
+    key: item.eventId || `${item.timestamp}|${content}`,
+    title: isHistory ? `对话记录 · ${item.role === 'user' ? '用户' : '咨询师'}` : '记忆',
+    snippet: content,
+    date: item.timestamp || null
+  });
+}
+
+/**
+ * 格式化检索结果，作为 tool 消息内容返回给 LLM
+ * 请求带有 CitationTracker 时为每条结果分配引用编号 ref
+ */
+function formatSearchResults(name, results, citations) {
+  if (!results || results.length === 0) {
+    return {
+      found: false,
+      message: '未找到相关记录。请不要用相同条件再次检索，直接如实回答用户。'
+    };
+  }
+
+  return {
+    found: true,
+    ...(citations ? { note: '回答用到某条记录时，在对应句子末尾标注它的 ref 编号，如 [2]' } : {}),
+    results: results.map(item => ({
+      ...(citations ? { ref: addCitation(name, item, citations) } : {}),
+      time: item.timestamp ? new Date(item.timestamp).toLocaleString('zh-CN') : '未知时间',
+      role: item.role,
+      content: item.content || String(item)
+    }))
+  };
+}
+
+/**
+ * 创建检索处理函数
+ * 同一请求内相同条件的检索只执行一次（防止 LLM 反复检索）
+ */
+function createSearchHandler(name) {
+  return async (args, context) => {
+    const params = buildSearchParams(name, args);
+    const limit = Math.min(Math.max(parseInt(args.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const queryKey = JSON.stringify({ ...params, limit });
+
+    if (!context.state.has('searchedQueries')) {
+      context.state.set('searchedQueries', new Set());
+    }
+    const searchedQueries = context.state.get('searchedQueries');
+
+    if (searchedQueries.has(queryKey)) {
+      console.warn(`🛑 拦截到重复检索: ${queryKey}`);
+      return {
+        found: false,
+        message: '该条件刚刚已经检索过，结果见上文。请不要重复检索，直接回答用户。'
+      };
+    }
+    searchedQueries.add(queryKey);
+
+    let results = [];
+    try {
+      results = await memoryService.searchEvents(context.userId, params, limit);
+    } catch (error) {
+      console.error(`[MemorySearchTools] ${name} 检索失败:`, error.message);
+    }
+
+    console.log(`🔍 ${name} 完成，找到 ${results?.length || 0} 条记录`);
+    return formatSearchResults(name, results, context.citations);
+  };
+}
+
+module.exports = [
+  {
+    name: 'search_history',
+    description: '检索与该用户过往的具体对话原文。适用于用户问“我第一句话说了什么”、“前天聊了什么”、“上次你说的那个项目”等需要对话记录的场景。',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: '搜索关键词，可留空表示按时间范围检索'
+        },
+        startTime: {
+          type: 'string',
+          description: '起始时间（ISO 格式，如 2024-05-20），请根据系统注入的当前时间推算“昨天”、“上周”等'
+        },
+        endTime: {
+          type: 'string',
+          description: '结束时间（ISO 格式），只有日期时表示当天结束'
+        },
+        order: {
+          type: 'string',
+          enum: ['asc', 'desc'],
+          description: 'asc 为最早在前（如查第一句话），desc 为最新在前'
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          maximum: MAX_LIMIT,
+          description: '返回条数'
+        }
+      }
+    },
+    handler: createSearchHandler('search_history'),
+    timeout: 8000,
+    maxCallsPerRequest: 3
+  },
+  {
+    name: 'search_memory',
+    description: '检索用户画像和语义记忆，适用于事实、偏好、医疗档案类问题（如“我做过什么手术”、“我喜欢别人怎么称呼我”）。',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: '搜索关键词'
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          maximum: MAX_LIMIT,
+          description: '返回条数'
+        }
+      },
+      required: ['query']
+    },
+    handler: createSearchHandler('search_memory'),
+    timeout: 8000,
+    maxCallsPerRequest: 3
+  }
+];
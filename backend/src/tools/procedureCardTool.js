@@ -0,0 +1,78 @@
+/**
+ * 项目知识卡片工具
+ * 从 config/procedureCards.json 中查找整形项目的科普信息（方式、恢复期、风险、护理）
+ */
+const fs = require('fs');
+const path = require('path');
+
+const CARDS_PATH = path.join(__dirname, '../../config/procedureCards.json');
+
+let cardsConfig = null;
+
+/**
+ * 读取知识卡片配置（首次调用时加载）
+ */
+function loadCards() {
+  if (!cardsConfig) {
+    try {
+      cardsConfig = JSON.parse(fs.readFileSync(CARDS_PATH, 'utf8'));
+    } catch (error) {
+      console.error('[ProcedureCardTool] 加载项目知识卡片失败:', error.message);
+      cardsConfig = { cards: [] };
+    }
+  }
+  return cardsConfig;
+}
+
+/**
+ * 根据项目名称或别名查找卡片
+ * @param {string} procedure - 项目名称
+ * @returns {object|null}
+ */
+function findCard(procedure) {
+  const keyword = (procedure || '').trim().toLowerCase();
+  if (!keyword) return null;
+
+  const { cards } = loadCards();
+  const names = card => [card.name, ...(card.aliases || [])].map(name => name.toLowerCase());
+
+  // 优先精确匹配，其次包含匹配
+  return cards.find(card => names(card).includes(keyword)) ||
+    cards.find(card => names(card).some(name => keyword.includes(name) || name.includes(keyword))) ||
+    null;
+}
+
+module.exports = {
+  name: 'lookup_procedure_card',
+  description: '查询整形美容项目的知识卡片，包括常见方式、适合人群、恢复期、风险和术后护理。回答项目细节（如恢复时间、风险）前应优先查询。',
+  parameters: {
+    type: 'object',
+    properties: {
+      procedure: {
+        type: 'string',
+        description: '项目名称，如“双眼皮”、“隆鼻”、“玻尿酸”'
+      }
+    },
+    required: ['procedure']
+  },
+  handler: async (args) => {
+    const card = findCard(args.procedure);
+    const { cards, disclaimer } = loadCards();
+
+    if (!card) {
+      return {
+        found: false,
+        message: `没有找到“${args.procedure || ''}”的知识卡片`,
+        availableProcedures: cards.map(item => item.name)
+      };
+    }
+
+    return {
+      found: true,
+      disclaimer,
+      card
+    };
+  },
+  timeout: 2000,
+  maxCallsPerRequest: 3
+};
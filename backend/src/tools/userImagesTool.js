@@ -0,0 +1,47 @@
+/**
+ * 用户图片工具
+ * 通过 supabaseService.getUserRecentImages 获取用户最近上传的照片及当时的分析结果
+ */
+const supabaseService = require('../services/supabaseService');
+
+const DEFAULT_LIMIT = 3;
+const MAX_LIMIT = 10;
+
+module.exports = {
+  name: 'get_user_recent_images',
+  description: '获取该用户最近上传过的照片记录及当时的分析结论。适用于用户提到“我之前发的照片”、“上次那张图”等场景。',
+  parameters: {
+    type: 'object',
+    properties: {
+      limit: {
+        type: 'integer',
+        minimum: 1,
+        maximum: MAX_LIMIT,
+        description: '返回的上传记录条数'
+      }
+    }
+  },
+  isAvailable: () => supabaseService.isAvailable(),
+  handler: async (args, context) => {
+    const limit = Math.min(Math.max(parseInt(args.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const records = await supabaseService.getUserRecentImages(context.userId, limit);
+
+    if (!records || records.length === 0) {
+      return {
+        found: false,
+        message: '该用户没有上传过照片'
+      };
+    }
+
+    return {
+      found: true,
+      uploads: records.map(record => ({
+        time: record.created_at ? new Date(record.created_at).toLocaleString('zh-CN') : '未知时间',
+        imageCount: (record.image_urls || []).length,
+        analysis: record.image_analysis || null
+      }))
+    };
+  },
+  timeout: 8000,
+  maxCallsPerRequest: 1
+};
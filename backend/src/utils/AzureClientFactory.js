@@ -4,6 +4,7 @@ const { OpenAI, AzureOpenAI } = require("openai");
  * Azure OpenAI 客户端工厂类
  * 统一管理 Azure OpenAI 客户端的创建和配置
  * 使用单例模式避免重复创建客户端实例
+ * 客户端只供 AzureLLMProvider 使用，业务代码统一通过 llmService 调用；SDK 自带重试已关闭，由 llmService 处理
  *
  * 支持两种模式：
  * - 新模式 (GPT-5.2+): 使用标准 OpenAI 客户端 + base_url
@@ -118,6 +119,7 @@ class AzureClientFactory {
         this.client = new OpenAI({
           apiKey: config.apiKey,
           baseURL: baseUrl,
+          maxRetries: 0,
         });
         console.log(`Azure OpenAI client initialized (new API mode)`);
         console.log(`  base_url: ${baseUrl}`);
@@ -129,6 +131,7 @@ class AzureClientFactory {
           endpoint: config.endpoint,
           apiVersion: config.apiVersion,
           deployment: config.deployment,
+          maxRetries: 0,
         });
         console.log('Azure OpenAI client initialized (legacy mode)');
       }
@@ -138,9 +141,10 @@ class AzureClientFactory {
 
   /**
    * 创建新的客户端实例（非单例，用于特殊场景）
+   * @param {string} [deployment] - 指定部署名称（旧模式下部署写在请求路径里，换部署需要新客户端）
    * @returns {OpenAI|AzureOpenAI}
    */
-  createNewClient() {
+  createNewClient(deployment = null) {
     const config = this.validateConfig();
 
     if (this.isNewApiMode()) {
@@ -148,13 +152,15 @@ class AzureClientFactory {
       return new OpenAI({
         apiKey: config.apiKey,
         baseURL: baseUrl,
+        maxRetries: 0,
       });
     } else {
       return new AzureOpenAI({
         apiKey: config.apiKey,
         endpoint: config.endpoint,
         apiVersion: config.apiVersion,
-        deployment: config.deployment,
+        deployment: deployment || config.deployment,
+        maxRetries: 0,
       });
     }
   }
@@ -0,0 +1,138 @@
+/**
+ * BM25 倒排索引
+ * 中文按相邻两字切分（单字词保留单字），英文和数字按单词切分，不依赖分词词典
+ * 索引可序列化为 JSON 保存到本地，启动时直接加载
+ */
+
+// 中文（含日文假名、兼容汉字）连续片段
+const CJK_PATTERN = /[\u3040-\u30ff\u3400-\u9fff\uf900-\ufaff]+/g;
+// 英文单词和数字
+const WORD_PATTERN = /[a-z0-9]+/g;
+
+class BM25Index {
+  /**
+   * @param {object} options
+   * @param {number} options.k1 - 词频饱和参数
+   * @param {number} options.b - 文档长度归一化参数
+   */
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    // 词表使用没有原型的对象，constructor、tostring 等词不会命中 Object.prototype 上的属性
+    this.documents = [];        // [{ id, length, terms: { term: count } }]
+    this.documentFrequency = Object.create(null); // term -> 包含该词的文档数
+    this.totalLength = 0;
+  }
+
+  /**
+   * 切分文本
+   * @param {string} text
+   * @returns {string[]}
+   */
+  static tokenize(text) {
+    const normalized = (text || '').toLowerCase();
+    const tokens = normalized.match(WORD_PATTERN) || [];
+
+    for (const run of normalized.match(CJK_PATTERN) || []) {
+      if (run.length === 1) {
+        tokens.push(run);
+        continue;
+      }
+      for (let i = 0; i < run.length - 1; i++) {
+        tokens.push(run.slice(i, i + 2));
+      }
+    }
+    return tokens;
+  }
+
+  /**
+   * 添加文档
+   * @param {string} id - 文档ID
+   * @param {string} text - 文档内容
+   */
+  add(id, text) {
+    const tokens = BM25Index.tokenize(text);
+    const terms = Object.create(null);
+    for (const token of tokens) {
+      terms[token] = (terms[token] || 0) + 1;
+    }
+    for (const term of Object.keys(terms)) {
+      this.documentFrequency[term] = (this.documentFrequency[term] || 0) + 1;
+    }
+
+    this.documents.push({ id, length: tokens.length, terms });
+    this.totalLength += tokens.length;
+  }
+
+  /**
+   * 检索
+   * @param {string} query - 查询文本
+   * @param {object} options
+   * @param {number} options.limit - 返回条数
+   * @param {number} options.minScore - 最低得分
+   * @returns {Array<{id: string, score: number}>} 按得分从高到低
+   */
+  search(query, { limit = 5, minScore = 0 } = {}) {
+    const queryTerms = [...new Set(BM25Index.tokenize(query))];
+    if (queryTerms.length === 0 || this.documents.length === 0) return [];
+
+    const averageLength = this.totalLength / this.documents.length;
+    const results = [];
+
+    for (const document of this.documents) {
+      let score = 0;
+      for (const term of queryTerms) {
+        const frequency = document.terms[term];
+        if (!frequency) continue;
+
+        const idf = this.idf(term);
+        const normalization = this.k1 * (1 - this.b + this.b * document.length / averageLength);
+        score += idf * (frequency * (this.k1 + 1)) / (frequency + normalization);
+      }
+      if (score > minScore) {
+        results.push({ id: document.id, score });
+      }
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  /**
+   * @private
+   */
+  idf(term) {
+    const count = this.documentFrequency[term] || 0;
+    return Math.log(1 + (this.documents.length - count + 0.5) / (count + 0.5));
+  }
+
+  /**
+   * 序列化为可保存的 JSON 对象
+   */
+  toJSON() {
+    return {
+      k1: this.k1,
+      b: this.b,
+      documents: this.documents,
+      documentFrequency: this.documentFrequency,
+      totalLength: this.totalLength
+    };
+  }
+
+  /**
+   * 从 toJSON() 的结果恢复
+   * @param {object} data
+   * @returns {BM25Index}
+   */
+  static fromJSON(data) {
+    const index = new BM25Index({ k1: data.k1, b: data.b });
+    index.documents = (data.documents || []).map(document => ({
+      ...document,
+      terms: Object.assign(Object.create(null), document.terms)
+    }));
+    index.documentFrequency = Object.assign(Object.create(null), data.documentFrequency);
+    index.totalLength = data.totalLength || 0;
+    return index;
+  }
+}
+
+module.exports = BM25Index;
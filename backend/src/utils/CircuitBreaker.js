@@ -0,0 +1,162 @@
+/**
+ * CircuitBreaker
+ * 按 Provider 统计请求成败的熔断器
+ * - closed：正常放行；连续失败达到阈值，或最近请求的错误率过高时熔断
+ * - open：熔断中，请求直接切换到备用 Provider；持续 openMs 后进入 half_open
+ * - half_open：只放行一次试探请求，成功则恢复，失败则重新熔断
+ *
+ * 定时健康检查的结果也会计入：检查失败立即熔断，检查通过则恢复
+ */
+class CircuitBreaker {
+  /**
+   * @param {string} name - Provider 名称（用于日志）
+   * @param {object} options
+   * @param {number} options.failureThreshold - 连续失败多少次后熔断
+   * @param {number} options.openMs - 熔断持续时间
+   * @param {number} options.windowSize - 统计错误率的最近请求数
+   * @param {number} options.minRequests - 请求数达到此值才按错误率熔断
+   * @param {number} options.errorRateThreshold - 错误率达到此值时熔断
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = {
+      failureThreshold: 3,
+      openMs: 30000,
+      windowSize: 20,
+      minRequests: 5,
+      errorRateThreshold: 0.5,
+      ...options
+    };
+
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.results = [];          // 最近请求是否成功
+    this.openedAt = null;
+    this.trialInFlight = false; // half_open 时是否已放行试探请求
+    this.lastError = null;
+    this.lastHealthCheck = null;
+  }
+
+  /**
+   * 当前是否允许请求（half_open 时只放行一次）
+   * @returns {boolean}
+   */
+  canRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.options.openMs) {
+      this.state = 'half_open';
+      this.trialInFlight = false;
+      console.log(`🔌 ${this.name} 熔断到期，放行一次试探请求`);
+    }
+
+    if (this.state === 'closed') return true;
+    if (this.state === 'half_open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 记录一次成功请求
+   */
+  recordSuccess() {
+    this.pushResult(true);
+    this.consecutiveFailures = 0;
+    if (this.state !== 'closed') {
+      this.close();
+    }
+  }
+
+  /**
+   * 记录一次失败请求
+   * @param {Error} error
+   */
+  recordFailure(error) {
+    this.pushResult(false);
+    this.consecutiveFailures++;
+    this.lastError = { message: error?.message || String(error), at: new Date().toISOString() };
+
+    if (this.state === 'half_open') {
+      this.open('试探请求失败');
+    } else if (this.state === 'closed') {
+      if (this.consecutiveFailures >= this.options.failureThreshold) {
+        this.open(`连续失败 ${this.consecutiveFailures} 次`);
+      } else if (this.results.length >= this.options.minRequests && this.getErrorRate() >= this.options.errorRateThreshold) {
+        this.open(`错误率 ${Math.round(this.getErrorRate() * 100)}%`);
+      }
+    }
+  }
+
+  /**
+   * 记录一次健康检查结果
+   * @param {boolean} healthy
+   * @param {string} [error] - 检查失败的原因
+   */
+  recordHealthCheck(healthy, error = null) {
+    this.lastHealthCheck = { healthy, error, at: new Date().toISOString() };
+
+    if (healthy) {
+      if (this.state !== 'closed') this.close();
+    } else if (this.state !== 'open') {
+      this.lastError = { message: error || '健康检查失败', at: this.lastHealthCheck.at };
+      this.open('健康检查失败');
+    }
+  }
+
+  /**
+   * 最近请求的错误率
+   */
+  getErrorRate() {
+    if (this.results.length === 0) return 0;
+    return this.results.filter(ok => !ok).length / this.results.length;
+  }
+
+  /**
+   * 状态快照（用于健康检查接口）
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      errorRate: Math.round(this.getErrorRate() * 100) / 100,
+      recentRequests: this.results.length,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      lastError: this.lastError,
+      lastHealthCheck: this.lastHealthCheck
+    };
+  }
+
+  /**
+   * @private
+   */
+  open(reason) {
+    this.state = 'open';
+    this.openedAt = Date.now();
+    this.trialInFlight = false;
+    console.warn(`🔌 ${this.name} 已熔断（${reason}），${this.options.openMs}ms 内请求将切换到备用 Provider`);
+  }
+
+  /**
+   * @private
+   */
+  close() {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.results = [];
+    this.openedAt = null;
+    this.trialInFlight = false;
+    console.log(`🔌 ${this.name} 已恢复`);
+  }
+
+  /**
+   * @private
+   */
+  pushResult(ok) {
+    this.results.push(ok);
+    if (this.results.length > this.options.windowSize) {
+      this.results.shift();
+    }
+  }
+}
+
+module.exports = CircuitBreaker;
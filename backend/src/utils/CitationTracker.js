@@ -0,0 +1,64 @@
+/**
+ * CitationTracker
+ * 为一次回复中提供给模型的资料（知识库段落、检索到的对话记录和记忆）统一分配编号 [n]，
+ * 回复完成后按正文中的标注整理出实际引用的条目，随完成消息返回给前端展示
+ */
+
+// 返回给前端的摘录最大字数
+const MAX_SNIPPET_CHARS = 300;
+
+class CitationTracker {
+  constructor() {
+    this.items = []; // [{ key, index, type, title, snippet, date, source }]
+  }
+
+  /**
+   * 登记一条资料
+   * @param {object} item
+   * @param {string} item.type - knowledge | history | memory
+   * @param {string} item.key - 去重标识，同一条资料重复登记时沿用原编号（默认使用摘录内容）
+   * @param {string} item.title - 标题
+   * @param {string} item.snippet - 摘录
+   * @param {string|null} item.date - 资料时间（ISO 格式）
+   * @param {string|null} item.source - 出处说明
+   * @returns {number} 编号，从 1 开始
+   */
+  add({ type, key = null, title = null, snippet = '', date = null, source = null }) {
+    const dedupeKey = `${type}:${key || snippet}`;
+    const existing = this.items.find(item => item.key === dedupeKey);
+    if (existing) return existing.index;
+
+    const text = String(snippet || '').trim();
+    const index = this.items.length + 1;
+    this.items.push({
+      key: dedupeKey,
+      index,
+      type,
+      title,
+      snippet: text.length > MAX_SNIPPET_CHARS ? `${text.slice(0, MAX_SNIPPET_CHARS)}…` : text,
+      date,
+      source
+    });
+    return index;
+  }
+
+  /**
+   * 回复中实际标注了的条目（按编号排序）
+   * @param {string} text - 模型回复
+   * @returns {Array<{index, type, title, snippet, date, source}>}
+   */
+  getCited(text) {
+    if (this.items.length === 0 || !text) return [];
+
+    const cited = new Set();
+    for (const match of text.matchAll(/\[(\d{1,2})\]/g)) {
+      cited.add(parseInt(match[1], 10));
+    }
+
+    return this.items
+      .filter(item => cited.has(item.index))
+      .map(({ key, ...item }) => item);
+  }
+}
+
+module.exports = CitationTracker;
@@ -0,0 +1,114 @@
+/**
+ * RetryPolicy
+ * LLM 请求的重试策略：限流、超时、服务端错误和网络错误按指数退避重试，参数错误、中止和代码错误不重试
+ * 各 Provider 的 SDK 客户端关闭了自带重试（maxRetries: 0），统一由这里处理
+ * 退避参数与 OpenAI SDK 默认值一致：0.5s 起、每次翻倍、最长 8s，带 25% 抖动，并遵守 retry-after
+ */
+const { APIConnectionError } = require('openai');
+
+// 超时、限流（5xx 另外判断）
+const RETRIABLE_STATUS = [408, 429];
+
+// 可重试的网络错误码（Node 的连接 / DNS 错误、undici 和 axios 的超时）
+const RETRIABLE_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT'
+]);
+
+class RetryPolicy {
+  /**
+   * @param {object} options
+   * @param {number} options.maxRetries - 最多重试次数（不含首次请求）
+   * @param {number} options.baseDelayMs - 首次重试的等待时间
+   * @param {number} options.maxDelayMs - 单次等待上限
+   */
+  constructor(options = {}) {
+    this.options = {
+      maxRetries: 2,
+      baseDelayMs: 500,
+      maxDelayMs: 8000,
+      ...options
+    };
+  }
+
+  /**
+   * 执行请求，失败时按策略重试
+   * @param {function(number): Promise} fn - 请求函数，参数为第几次尝试（从 0 开始）
+   * @param {object} options
+   * @param {AbortSignal} options.signal - 中止后不再重试
+   * @param {string} options.label - 日志中的请求名称
+   */
+  async run(fn, { signal, label = 'LLM' } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn(attempt);
+      } catch (error) {
+        if (attempt >= this.options.maxRetries || !this.isRetriable(error, signal)) {
+          throw error;
+        }
+
+        const delay = this.getDelay(attempt, error);
+        console.warn(`🔁 ${label} 请求失败（${error.status || error.code || error.message}），${delay}ms 后第 ${attempt + 1} 次重试`);
+        await this.sleep(delay, signal);
+      }
+    }
+  }
+
+  /**
+   * 是否值得重试：408 / 429 / 5xx 和已知的网络错误
+   * 没有状态码的其他错误（TypeError 等代码错误、中止）重试也不会成功
+   * @param {Error} error
+   * @param {AbortSignal} [signal] - 已中止时不重试
+   */
+  isRetriable(error, signal) {
+    if (signal?.aborted) return false;
+    // 首 token 超时交给故障转移处理，同一个 Provider 上再等一轮意义不大
+    if (error?.code === 'FIRST_TOKEN_TIMEOUT') return false;
+    if (typeof error?.status === 'number') {
+      return RETRIABLE_STATUS.includes(error.status) || error.status >= 500;
+    }
+    // OpenAI SDK 的连接错误和请求超时（原始错误在 cause 中）
+    if (error instanceof APIConnectionError) return true;
+    return RETRIABLE_ERROR_CODES.has(error?.code) || RETRIABLE_ERROR_CODES.has(error?.cause?.code);
+  }
+
+  /**
+   * @private
+   */
+  getDelay(attempt, error) {
+    const retryAfter = parseFloat(error.headers?.['retry-after']);
+    if (retryAfter >= 0 && retryAfter <= 60) {
+      return Math.round(retryAfter * 1000);
+    }
+
+    const delay = Math.min(this.options.baseDelayMs * 2 ** attempt, this.options.maxDelayMs);
+    return Math.round(delay * (1 - Math.random() * 0.25));
+  }
+
+  /**
+   * @private
+   */
+  sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+}
+
+module.exports = RetryPolicy;
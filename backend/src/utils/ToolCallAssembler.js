@@ -0,0 +1,77 @@
+/**
+ * ToolCallAssembler
+ * 将流式响应中分片返回的 delta.tool_calls 组装成完整的工具调用
+ * OpenAI 兼容接口会按 index 分多次返回 id、函数名和 arguments 片段
+ */
+class ToolCallAssembler {
+  constructor() {
+    this.calls = new Map(); // index -> { id, type, function: { name, arguments } }
+  }
+
+  /**
+   * 接收一个流式 delta 中的 tool_calls 片段
+   * @param {Array} toolCallDeltas - chunk.choices[0].delta.tool_calls
+   */
+  push(toolCallDeltas) {
+    if (!Array.isArray(toolCallDeltas)) return;
+
+    for (const delta of toolCallDeltas) {
+      const index = delta.index ?? this.calls.size;
+
+      if (!this.calls.has(index)) {
+        this.calls.set(index, {
+          id: '',
+          type: 'function',
+          function: { name: '', arguments: '' }
+        });
+      }
+
+      const call = this.calls.get(index);
+      if (delta.id) call.id = delta.id;
+      if (delta.type) call.type = delta.type;
+      if (delta.function?.name) call.function.name += delta.function.name;
+      if (delta.function?.arguments) call.function.arguments += delta.function.arguments;
+    }
+  }
+
+  /**
+   * 是否收到了工具调用
+   */
+  hasCalls() {
+    return this.calls.size > 0;
+  }
+
+  /**
+   * 获取组装完成的工具调用（用于回填 assistant 消息的 tool_calls）
+   * @returns {Array}
+   */
+  getCalls() {
+    return [...this.calls.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([index, call]) => ({
+        ...call,
+        id: call.id || `call_${Date.now()}_${index}`
+      }))
+      .filter(call => call.function.name);
+  }
+
+  /**
+   * 解析工具调用参数
+   * @param {Object} call - 组装完成的工具调用
+   * @returns {Object} 参数对象，解析失败时返回空对象
+   */
+  static parseArguments(call) {
+    const raw = call?.function?.arguments;
+    if (!raw) return {};
+
+    try {
+      const parsed = JSON.parse(raw);
+      return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (error) {
+      console.warn(`⚠️ 工具 ${call.function.name} 参数不是有效的 JSON: ${raw}`);
+      return {};
+    }
+  }
+}
+
+module.exports = ToolCallAssembler;
@@ -0,0 +1,171 @@
+/**
+ * VoiceActivityDetector
+ * 基于能量的语音活动检测，作用于 16bit 小端 PCM 音频帧
+ * - 开口前的静音不转发给云端 ASR（保留一小段预录音，避免吞掉首字）
+ * - 说完后的静音只转发 hangover 时长，足够 ASR 判定句尾，其余丢弃
+ * - 说完后静音超过 endSilenceMs 时提示结束会话
+ *
+ * 判定阈值取固定阈值与背景噪声估计值的较大者，嘈杂环境下不会一直判为说话
+ */
+class VoiceActivityDetector {
+  /**
+   * @param {object} options
+   * @param {number} options.sampleRate - 采样率
+   * @param {number} options.threshold - 最低 RMS 能量阈值（16bit 幅度）
+   * @param {number} options.noiseRatio - 能量超过背景噪声的倍数才算说话
+   * @param {number} options.speechStartMs - 连续有声达到该时长才判定开始说话
+   * @param {number} options.preRollMs - 开口前保留的音频时长
+   * @param {number} options.hangoverMs - 说完后继续转发的静音时长
+   * @param {number} options.endSilenceMs - 说完后静音达到该时长提示结束，0 为不自动结束
+   */
+  constructor(options = {}) {
+    this.options = {
+      sampleRate: 16000,
+      threshold: 500,
+      noiseRatio: 3,
+      speechStartMs: 100,
+      preRollMs: 300,
+      hangoverMs: 300,
+      endSilenceMs: 1500,
+      ...options
+    };
+
+    this.speaking = false;      // 当前是否在说话
+    this.hasSpoken = false;     // 本次会话是否说过话
+    this.voicedMs = 0;          // 连续有声时长（判定开口）
+    this.silenceMs = 0;         // 说话后的连续静音时长
+    this.noiseFloor = 0;        // 背景噪声能量估计
+    this.endReported = false;
+    this.held = [];             // 暂不转发的帧 { frame, durationMs }
+    this.heldMs = 0;
+  }
+
+  /**
+   * 处理一帧音频
+   * @param {Buffer} frame - PCM 音频帧
+   * @returns {{frames: Buffer[], events: string[], endOfSpeech: boolean}}
+   *   frames: 需要转发给 ASR 的帧；events: 'speech_start' / 'speech_end'；
+   *   endOfSpeech: 说完后的静音已达 endSilenceMs（每次会话只返回一次 true）
+   */
+  process(frame) {
+    const durationMs = this.getDurationMs(frame);
+    const energy = this.computeEnergy(frame);
+    const voiced = energy > Math.max(this.options.threshold, this.noiseFloor * this.options.noiseRatio);
+    const result = { frames: [], events: [], endOfSpeech: false };
+
+    if (!voiced) {
+      this.updateNoiseFloor(energy);
+    }
+
+    if (!this.speaking) {
+      this.voicedMs = voiced ? this.voicedMs + durationMs : 0;
+
+      if (this.voicedMs >= this.options.speechStartMs) {
+        // 开口：连同预录音一起转发
+        this.speaking = true;
+        this.hasSpoken = true;
+        this.silenceMs = 0;
+        this.endReported = false;
+        result.frames.push(...this.releaseHeld(), frame);
+        result.events.push('speech_start');
+        return result;
+      }
+
+      this.hold(frame, durationMs);
+      if (this.hasSpoken) {
+        this.silenceMs += durationMs;
+        this.checkEndOfSpeech(result);
+      }
+      return result;
+    }
+
+    if (voiced) {
+      this.silenceMs = 0;
+      result.frames.push(frame);
+      return result;
+    }
+
+    this.silenceMs += durationMs;
+    result.frames.push(frame);
+    if (this.silenceMs >= this.options.hangoverMs) {
+      this.speaking = false;
+      this.voicedMs = 0;
+      result.events.push('speech_end');
+      this.checkEndOfSpeech(result);
+    }
+    return result;
+  }
+
+  /**
+   * 当前是否在说话
+   */
+  isSpeaking() {
+    return this.speaking;
+  }
+
+  /**
+   * @private
+   */
+  checkEndOfSpeech(result) {
+    const { endSilenceMs } = this.options;
+    if (endSilenceMs > 0 && !this.endReported && this.silenceMs >= endSilenceMs) {
+      this.endReported = true;
+      result.endOfSpeech = true;
+    }
+  }
+
+  /**
+   * 暂存静音帧，只保留最近 preRollMs 的音频
+   * @private
+   */
+  hold(frame, durationMs) {
+    this.held.push({ frame, durationMs });
+    this.heldMs += durationMs;
+    while (this.held.length > 1 && this.heldMs - this.held[0].durationMs >= this.options.preRollMs) {
+      this.heldMs -= this.held.shift().durationMs;
+    }
+  }
+
+  /**
+   * @private
+   */
+  releaseHeld() {
+    const frames = this.held.map(item => item.frame);
+    this.held = [];
+    this.heldMs = 0;
+    return frames;
+  }
+
+  /**
+   * 背景噪声估计：静音帧能量的慢速滑动平均
+   * @private
+   */
+  updateNoiseFloor(energy) {
+    this.noiseFloor = this.noiseFloor === 0 ? energy : this.noiseFloor * 0.95 + energy * 0.05;
+  }
+
+  /**
+   * RMS 能量
+   * @private
+   */
+  computeEnergy(frame) {
+    const samples = Math.floor(frame.length / 2);
+    if (samples === 0) return 0;
+
+    let sum = 0;
+    for (let i = 0; i < samples; i++) {
+      const sample = frame.readInt16LE(i * 2);
+      sum += sample * sample;
+    }
+    return Math.sqrt(sum / samples);
+  }
+
+  /**
+   * @private
+   */
+  getDurationMs(frame) {
+    return (frame.length / 2) / this.options.sampleRate * 1000;
+  }
+}
+
+module.exports = VoiceActivityDetector;
@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const BM25Index = require('../src/utils/BM25Index');
+
+const buildIndex = () => {
+  const index = new BM25Index();
+  index.add('ha', '玻尿酸填充：注射后可能出现轻微肿胀，一般 3 到 7 天消退。');
+  index.add('eyelid', '双眼皮手术：埋线法恢复较快，切开法消肿需要 1 到 3 个月。');
+  index.add('botox', '肉毒素 Botox 用于瘦脸和除皱，效果维持 4 到 6 个月。');
+  return index;
+};
+
+describe('BM25Index', () => {
+  describe('tokenize', () => {
+    it('中文按相邻两字切分，单字保留，英文和数字按单词切分并转小写', () => {
+      assert.deepEqual(BM25Index.tokenize('双眼皮 Botox 3个月'), ['botox', '3', '双眼', '眼皮', '个月']);
+      assert.deepEqual(BM25Index.tokenize('痛'), ['痛']);
+      assert.deepEqual(BM25Index.tokenize(''), []);
+      assert.deepEqual(BM25Index.tokenize(null), []);
+    });
+  });
+
+  describe('search', () => {
+    it('按得分从高到低返回命中的文档', () => {
+      const results = buildIndex().search('双眼皮消肿要多久');
+      assert.equal(results[0].id, 'eyelid');
+      assert.ok(results.every(result => result.score > 0));
+    });
+
+    it('英文查询不区分大小写', () => {
+      assert.equal(buildIndex().search('BOTOX')[0].id, 'botox');
+    });
+
+    it('limit 和 minScore 限制返回结果', () => {
+      const index = buildIndex();
+      assert.equal(index.search('个月', { limit: 1 }).length, 1);
+      assert.deepEqual(index.search('个月', { minScore: 100 }), []);
+    });
+
+    it('没有可检索的词或索引为空时返回空数组', () => {
+      assert.deepEqual(buildIndex().search('，。！'), []);
+      assert.deepEqual(new BM25Index().search('玻尿酸'), []);
+    });
+
+    it('查询中包含 Object.prototype 上的属性名时不影响得分', () => {
+      const index = buildIndex();
+      const results = index.search('constructor tostring valueof hasownproperty 玻尿酸');
+      assert.equal(results.length, 1);
+      assert.equal(results[0].id, 'ha');
+      assert.ok(Number.isFinite(results[0].score));
+    });
+
+    it('文档中包含这些词时也能正常检索', () => {
+      const index = new BM25Index();
+      index.add('a', 'constructor proto');
+      index.add('b', '玻尿酸');
+      assert.deepEqual(index.search('constructor').map(result => result.id), ['a']);
+    });
+
+    it('词频越高、文档越短得分越高', () => {
+      const index = new BM25Index();
+      index.add('once', '玻尿酸 其他内容 其他内容 其他内容');
+      index.add('twice', '玻尿酸 玻尿酸 其他内容 其他内容 其他内容');
+      index.add('short', '玻尿酸');
+      index.add('none', '肉毒素');
+
+      const ids = index.search('玻尿酸').map(result => result.id);
+      assert.deepEqual(ids, ['short', 'twice', 'once']);
+    });
+  });
+
+  describe('toJSON / fromJSON', () => {
+    it('序列化后恢复的索引检索结果一致', () => {
+      const index = buildIndex();
+      const restored = BM25Index.fromJSON(JSON.parse(JSON.stringify(index)));
+
+      assert.deepEqual(restored.search('双眼皮消肿'), index.search('双眼皮消肿'));
+      assert.equal(restored.totalLength, index.totalLength);
+    });
+
+    it('恢复的词表同样没有原型', () => {
+      const restored = BM25Index.fromJSON(JSON.parse(JSON.stringify(buildIndex())));
+      assert.deepEqual(restored.search('constructor 玻尿酸').map(result => result.id), ['ha']);
+      assert.equal(Object.getPrototypeOf(restored.documentFrequency), null);
+      assert.equal(Object.getPrototypeOf(restored.documents[0].terms), null);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const CircuitBreaker = require('../src/utils/CircuitBreaker');
+
+const failure = new Error('503');
+
+describe('CircuitBreaker', () => {
+  beforeEach((t) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  });
+
+  it('连续失败达到阈值时熔断', () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 3 });
+    breaker.recordFailure(failure);
+    breaker.recordFailure(failure);
+    assert.equal(breaker.canRequest(), true);
+
+    breaker.recordFailure(failure);
+    assert.equal(breaker.state, 'open');
+    assert.equal(breaker.canRequest(), false);
+    assert.equal(breaker.getStatus().lastError.message, '503');
+  });
+
+  it('成功会清零连续失败次数', () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 3, minRequests: 100 });
+    breaker.recordFailure(failure);
+    breaker.recordFailure(failure);
+    breaker.recordSuccess();
+    breaker.recordFailure(failure);
+    breaker.recordFailure(failure);
+
+    assert.equal(breaker.state, 'closed');
+  });
+
+  it('最近请求的错误率过高时熔断', () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 10, minRequests: 4, errorRateThreshold: 0.5 });
+    breaker.recordSuccess();
+    breaker.recordFailure(failure);
+    breaker.recordSuccess();
+    assert.equal(breaker.state, 'closed');
+
+    breaker.recordFailure(failure);
+    assert.equal(breaker.state, 'open');
+  });
+
+  it('只按最近 windowSize 个请求统计错误率', () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 10, windowSize: 4, minRequests: 4, errorRateThreshold: 0.75 });
+    breaker.recordFailure(failure);
+    breaker.recordFailure(failure);
+    for (let i = 0; i < 4; i++) breaker.recordSuccess();
+
+    assert.equal(breaker.getErrorRate(), 0);
+    assert.equal(breaker.getStatus().recentRequests, 4);
+  });
+
+  it('熔断到期后只放行一次试探请求，成功则恢复', (t) => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 1, openMs: 1000 });
+    breaker.recordFailure(failure);
+
+    t.mock.timers.tick(999);
+    assert.equal(breaker.canRequest(), false);
+
+    t.mock.timers.tick(1);
+    assert.equal(breaker.canRequest(), true);
+    assert.equal(breaker.state, 'half_open');
+    assert.equal(breaker.canRequest(), false);
+
+    breaker.recordSuccess();
+    assert.equal(breaker.state, 'closed');
+    assert.equal(breaker.canRequest(), true);
+  });
+
+  it('试探请求失败时重新熔断', (t) => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 3, openMs: 1000 });
+    for (let i = 0; i < 3; i++) breaker.recordFailure(failure);
+
+    t.mock.timers.tick(1000);
+    assert.equal(breaker.canRequest(), true);
+    breaker.recordFailure(failure);
+
+    assert.equal(breaker.state, 'open');
+    assert.equal(breaker.getStatus().openedAt, new Date(1000).toISOString());
+    assert.equal(breaker.canRequest(), false);
+  });
+
+  it('健康检查失败立即熔断，通过则恢复', () => {
+    const breaker = new CircuitBreaker('test');
+    breaker.recordHealthCheck(false, 'timeout');
+    assert.equal(breaker.state, 'open');
+    assert.equal(breaker.getStatus().lastError.message, 'timeout');
+
+    breaker.recordHealthCheck(true);
+    assert.equal(breaker.state, 'closed');
+    assert.equal(breaker.getStatus().lastHealthCheck.healthy, true);
+  });
+});
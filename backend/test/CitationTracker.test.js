@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CitationTracker = require('../src/utils/CitationTracker');
+
+describe('CitationTracker', () => {
+  it('按登记顺序从 1 开始编号', () => {
+    const tracker = new CitationTracker();
+    assert.equal(tracker.add({ type: 'knowledge', key: 'a', snippet: '玻尿酸' }), 1);
+    assert.equal(tracker.add({ type: 'history', key: 'b', snippet: '上次咨询' }), 2);
+    assert.equal(tracker.add({ type: 'memory', key: 'c', snippet: '对青霉素过敏' }), 3);
+  });
+
+  it('同类型同一条资料重复登记时沿用原编号', () => {
+    const tracker = new CitationTracker();
+    tracker.add({ type: 'knowledge', key: 'a', snippet: '玻尿酸' });
+    assert.equal(tracker.add({ type: 'knowledge', key: 'a', snippet: '玻尿酸（重复）' }), 1);
+    assert.equal(tracker.add({ type: 'history', key: 'a', snippet: '玻尿酸' }), 2);
+  });
+
+  it('没有 key 时按摘录去重', () => {
+    const tracker = new CitationTracker();
+    tracker.add({ type: 'memory', snippet: '对青霉素过敏' });
+    assert.equal(tracker.add({ type: 'memory', snippet: '对青霉素过敏' }), 1);
+    assert.equal(tracker.add({ type: 'memory', snippet: '做过双眼皮' }), 2);
+  });
+
+  it('只返回回复中标注了的条目，按编号排序且不含去重标识', () => {
+    const tracker = new CitationTracker();
+    tracker.add({ type: 'knowledge', key: 'a', title: '玻尿酸', snippet: '注射后轻微肿胀', source: 'knowledge/ha.md' });
+    tracker.add({ type: 'history', key: 'b', title: '历史对话', snippet: '上次咨询', date: '2026-01-01T00:00:00.000Z' });
+    tracker.add({ type: 'memory', key: 'c', snippet: '对青霉素过敏' });
+
+    const cited = tracker.getCited('您上次问过[2]，注射后会轻微肿胀[1][1]，[9] 不存在。');
+    assert.deepEqual(cited, [
+      { index: 1, type: 'knowledge', title: '玻尿酸', snippet: '注射后轻微肿胀', date: null, source: 'knowledge/ha.md' },
+      { index: 2, type: 'history', title: '历史对话', snippet: '上次咨询', date: '2026-01-01T00:00:00.000Z', source: null }
+    ]);
+  });
+
+  it('超长摘录截断并加省略号', () => {
+    const tracker = new CitationTracker();
+    tracker.add({ type: 'knowledge', key: 'a', snippet: `  ${'字'.repeat(500)}  ` });
+
+    const [item] = tracker.getCited('[1]');
+    assert.equal(item.snippet, `${'字'.repeat(300)}…`);
+  });
+
+  it('没有登记资料或回复为空时返回空数组', () => {
+    assert.deepEqual(new CitationTracker().getCited('[1]'), []);
+
+    const tracker = new CitationTracker();
+    tracker.add({ type: 'knowledge', key: 'a', snippet: '玻尿酸' });
+    assert.deepEqual(tracker.getCited(''), []);
+    assert.deepEqual(tracker.getCited('没有标注'), []);
+  });
+});
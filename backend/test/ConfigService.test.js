@@ -0,0 +1,54 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const ConfigService = require('../src/services/ConfigService');
+
+const ENV_KEYS = ['PROVIDER_TYPE', 'USE_PROVIDER', 'LLM_PROVIDER_TYPE', 'LLM_ROUTE_CHAT', 'LLM_ROUTE_VISION', 'LLM_ROUTE_SUMMARY'];
+
+describe('ConfigService LLM 路由', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = {};
+    for (const key of ENV_KEYS) {
+      saved[key] = process.env[key];
+      delete process.env[key];
+    }
+    ConfigService.clearOverrides();
+  });
+
+  afterEach(() => {
+    for (const key of ENV_KEYS) {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    }
+    ConfigService.clearOverrides();
+  });
+
+  it('未启用 Provider 模式时 LLM 固定使用 Azure，不随 PROVIDER_TYPE 变化', () => {
+    process.env.PROVIDER_TYPE = 'volcengine';
+    assert.equal(ConfigService.getLLMProviderType(), 'azure');
+    assert.deepEqual(ConfigService.getLLMRoute(ConfigService.LLMTask.CHAT), { type: 'azure', model: null });
+    assert.deepEqual(ConfigService.getLLMRoute(ConfigService.LLMTask.SUMMARY), { type: 'azure', model: null });
+    assert.equal(ConfigService.getASRProviderType(), 'volcengine');
+  });
+
+  it('启用 Provider 模式时 LLM 与 PROVIDER_TYPE 相同', () => {
+    process.env.PROVIDER_TYPE = 'volcengine';
+    process.env.USE_PROVIDER = 'true';
+    assert.equal(ConfigService.getLLMProviderType(), 'volcengine');
+  });
+
+  it('LLM_PROVIDER_TYPE 和任务路由优先于默认值', () => {
+    process.env.PROVIDER_TYPE = 'volcengine';
+    process.env.LLM_PROVIDER_TYPE = 'openai_compatible';
+    process.env.LLM_ROUTE_SUMMARY = 'volcengine:flash';
+
+    assert.deepEqual(ConfigService.getLLMRoute(ConfigService.LLMTask.CHAT), { type: 'openai_compatible', model: null });
+    assert.deepEqual(ConfigService.getLLMRoute(ConfigService.LLMTask.SUMMARY), { type: 'volcengine', model: 'flash' });
+  });
+
+  it('vision 未配置时与 chat 相同', () => {
+    process.env.LLM_ROUTE_CHAT = 'openai_compatible:qwen2.5:7b';
+    assert.deepEqual(ConfigService.getLLMRoute(ConfigService.LLMTask.VISION), { type: 'openai_compatible', model: 'qwen2.5:7b' });
+  });
+});
@@ -0,0 +1,122 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { APIConnectionError, APIConnectionTimeoutError, APIUserAbortError } = require('openai');
+const RetryPolicy = require('../src/utils/RetryPolicy');
+
+const httpError = (status, headers) => Object.assign(new Error(`HTTP ${status}`), { status, headers });
+const codeError = (code) => Object.assign(new Error(code), { code });
+
+describe('RetryPolicy', () => {
+  beforeEach((t) => {
+    t.mock.method(console, 'warn', () => {});
+  });
+
+  describe('isRetriable', () => {
+    const policy = new RetryPolicy();
+
+    it('重试 408、429 和 5xx', () => {
+      for (const status of [408, 429, 500, 502, 503, 504]) {
+        assert.equal(policy.isRetriable(httpError(status)), true, String(status));
+      }
+    });
+
+    it('不重试其他 4xx', () => {
+      for (const status of [400, 401, 403, 404, 409, 413, 422]) {
+        assert.equal(policy.isRetriable(httpError(status)), false, String(status));
+      }
+    });
+
+    it('重试已知的网络错误和 SDK 的连接错误', () => {
+      assert.equal(policy.isRetriable(codeError('ECONNRESET')), true);
+      assert.equal(policy.isRetriable(codeError('ETIMEDOUT')), true);
+      assert.equal(policy.isRetriable(Object.assign(new Error('fetch failed'), { cause: codeError('UND_ERR_SOCKET') })), true);
+      assert.equal(policy.isRetriable(new APIConnectionError({ message: 'Connection error.' })), true);
+      assert.equal(policy.isRetriable(new APIConnectionTimeoutError()), true);
+    });
+
+    it('不重试代码错误、中止、首 token 超时和未知错误', () => {
+      assert.equal(policy.isRetriable(new TypeError('Cannot read properties of undefined')), false);
+      assert.equal(policy.isRetriable(new APIUserAbortError()), false);
+      assert.equal(policy.isRetriable(Object.assign(new Error('aborted'), { name: 'AbortError' })), false);
+      assert.equal(policy.isRetriable(codeError('FIRST_TOKEN_TIMEOUT')), false);
+      assert.equal(policy.isRetriable(codeError('ENOTFOUND')), false);
+      assert.equal(policy.isRetriable(new Error('unknown')), false);
+    });
+
+    it('信号已中止时不重试', () => {
+      const controller = new AbortController();
+      controller.abort();
+      assert.equal(policy.isRetriable(httpError(503), controller.signal), false);
+    });
+  });
+
+  describe('run', () => {
+    it('可重试的错误按 maxRetries 重试，成功后返回结果', async () => {
+      const policy = new RetryPolicy({ maxRetries: 2, baseDelayMs: 1 });
+      const attempts = [];
+
+      const result = await policy.run(async (attempt) => {
+        attempts.push(attempt);
+        if (attempt < 2) throw httpError(503);
+        return 'ok';
+      });
+
+      assert.equal(result, 'ok');
+      assert.deepEqual(attempts, [0, 1, 2]);
+    });
+
+    it('用完重试次数后抛出最后一次的错误', async () => {
+      const policy = new RetryPolicy({ maxRetries: 1, baseDelayMs: 1 });
+      let calls = 0;
+
+      await assert.rejects(policy.run(async () => {
+        calls++;
+        throw httpError(429);
+      }), /HTTP 429/);
+      assert.equal(calls, 2);
+    });
+
+    it('不可重试的错误直接抛出', async () => {
+      const policy = new RetryPolicy({ maxRetries: 3, baseDelayMs: 1 });
+      let calls = 0;
+
+      await assert.rejects(policy.run(async () => {
+        calls++;
+        throw new TypeError('boom');
+      }), TypeError);
+      assert.equal(calls, 1);
+    });
+
+    it('等待重试期间中止时停止等待并抛出中止原因', async () => {
+      const policy = new RetryPolicy({ maxRetries: 3, baseDelayMs: 10000 });
+      const controller = new AbortController();
+      let calls = 0;
+
+      const running = policy.run(async () => {
+        calls++;
+        throw httpError(503);
+      }, { signal: controller.signal });
+      setTimeout(() => controller.abort(new Error('用户停止生成')), 10);
+
+      await assert.rejects(running, /用户停止生成/);
+      assert.equal(calls, 1);
+    });
+  });
+
+  describe('getDelay', () => {
+    it('遵守 retry-after，超过 60s 时按指数退避', () => {
+      const policy = new RetryPolicy({ baseDelayMs: 500, maxDelayMs: 8000 });
+      assert.equal(policy.getDelay(0, httpError(429, { 'retry-after': '2' })), 2000);
+
+      const delay = policy.getDelay(0, httpError(429, { 'retry-after': '120' }));
+      assert.ok(delay > 370 && delay <= 500, String(delay));
+    });
+
+    it('每次翻倍，不超过 maxDelayMs', () => {
+      const policy = new RetryPolicy({ baseDelayMs: 500, maxDelayMs: 8000 });
+      const delay = policy.getDelay(2, httpError(503));
+      assert.ok(delay > 1500 && delay <= 2000, String(delay));
+      assert.ok(policy.getDelay(10, httpError(503)) <= 8000);
+    });
+  });
+});
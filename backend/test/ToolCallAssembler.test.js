@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ToolCallAssembler = require('../src/utils/ToolCallAssembler');
+
+describe('ToolCallAssembler', () => {
+  it('按 index 拼接分片返回的函数名和参数', () => {
+    const assembler = new ToolCallAssembler();
+    assembler.push([{ index: 0, id: 'call_1', type: 'function', function: { name: 'search_', arguments: '' } }]);
+    assembler.push([{ index: 0, function: { name: 'memory', arguments: '{"que' } }]);
+    assembler.push([{ index: 0, function: { arguments: 'ry":"双眼皮"}' } }]);
+
+    assert.deepEqual(assembler.getCalls(), [{
+      id: 'call_1',
+      type: 'function',
+      function: { name: 'search_memory', arguments: '{"query":"双眼皮"}' }
+    }]);
+  });
+
+  it('多个工具调用交错返回时按 index 排序', () => {
+    const assembler = new ToolCallAssembler();
+    assembler.push([{ index: 1, id: 'call_b', function: { name: 'b', arguments: '{}' } }]);
+    assembler.push([{ index: 0, id: 'call_a', function: { name: 'a', arguments: '{' } }]);
+    assembler.push([{ index: 0, function: { arguments: '}' } }]);
+
+    const calls = assembler.getCalls();
+    assert.deepEqual(calls.map(call => call.id), ['call_a', 'call_b']);
+    assert.equal(calls[0].function.arguments, '{}');
+  });
+
+  it('缺少 index 时按到达顺序编号', () => {
+    const assembler = new ToolCallAssembler();
+    assembler.push([{ id: 'call_a', function: { name: 'a' } }]);
+    assembler.push([{ id: 'call_b', function: { name: 'b' } }]);
+
+    assert.deepEqual(assembler.getCalls().map(call => call.function.name), ['a', 'b']);
+  });
+
+  it('没有 id 时生成一个，没有函数名的调用被丢弃', () => {
+    const assembler = new ToolCallAssembler();
+    assembler.push([{ index: 0, function: { name: 'a', arguments: '{}' } }]);
+    assembler.push([{ index: 1, function: { arguments: '{}' } }]);
+
+    const calls = assembler.getCalls();
+    assert.equal(calls.length, 1);
+    assert.match(calls[0].id, /^call_\d+_0$/);
+  });
+
+  it('忽略不是数组的 delta', () => {
+    const assembler = new ToolCallAssembler();
+    assembler.push(undefined);
+    assembler.push(null);
+
+    assert.equal(assembler.hasCalls(), false);
+    assert.deepEqual(assembler.getCalls(), []);
+  });
+
+  describe('parseArguments', () => {
+    it('解析 JSON 对象参数', () => {
+      assert.deepEqual(
+        ToolCallAssembler.parseArguments({ function: { name: 'a', arguments: '{"limit":3}' } }),
+        { limit: 3 }
+      );
+    });
+
+    it('参数为空、不是 JSON 或不是对象时返回空对象', (t) => {
+      t.mock.method(console, 'warn', () => {});
+
+      assert.deepEqual(ToolCallAssembler.parseArguments({ function: { name: 'a', arguments: '' } }), {});
+      assert.deepEqual(ToolCallAssembler.parseArguments({ function: { name: 'a', arguments: '{"limit":' } }), {});
+      assert.deepEqual(ToolCallAssembler.parseArguments({ function: { name: 'a', arguments: 'null' } }), {});
+      assert.deepEqual(ToolCallAssembler.parseArguments(undefined), {});
+    });
+  });
+});
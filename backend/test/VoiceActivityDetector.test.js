@@ -0,0 +1,120 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const VoiceActivityDetector = require('../src/utils/VoiceActivityDetector');
+
+const FRAME_MS = 20;
+
+// 16kHz 16bit PCM 方波帧，RMS 能量等于 amplitude
+const frame = (amplitude) => {
+  const samples = 16000 * FRAME_MS / 1000;
+  const buffer = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    buffer.writeInt16LE(i % 2 ? amplitude : -amplitude, i * 2);
+  }
+  return buffer;
+};
+
+const SILENCE = frame(0);
+const VOICE = frame(3000);
+
+const feed = (vad, buffer, count) => {
+  const results = [];
+  for (let i = 0; i < count; i++) results.push(vad.process(buffer));
+  return {
+    frames: results.flatMap(result => result.frames),
+    events: results.flatMap(result => result.events),
+    endOfSpeech: results.filter(result => result.endOfSpeech).length,
+    results
+  };
+};
+
+describe('VoiceActivityDetector', () => {
+  it('开口前的静音不转发', () => {
+    const vad = new VoiceActivityDetector();
+    const { frames, events } = feed(vad, SILENCE, 50);
+
+    assert.equal(frames.length, 0);
+    assert.deepEqual(events, []);
+    assert.equal(vad.isSpeaking(), false);
+  });
+
+  it('连续有声达到 speechStartMs 才判定开口，并带上预录音', () => {
+    const vad = new VoiceActivityDetector({ speechStartMs: 100, preRollMs: 300 });
+    feed(vad, SILENCE, 20);
+
+    const { frames, results } = feed(vad, VOICE, 5);
+    assert.deepEqual(results.slice(0, 4).map(result => result.frames.length), [0, 0, 0, 0]);
+    assert.deepEqual(results[4].events, ['speech_start']);
+    assert.equal(vad.isSpeaking(), true);
+
+    // 预录音保留最近 300ms（15 帧，其中最后 4 帧是开口判定期间的有声帧），再加上当前帧
+    assert.equal(frames.length, 16);
+    assert.deepEqual(frames.slice(-5), [VOICE, VOICE, VOICE, VOICE, VOICE]);
+    assert.equal(frames[0], SILENCE);
+  });
+
+  it('短暂的噪声不判定为开口', () => {
+    const vad = new VoiceActivityDetector({ speechStartMs: 100 });
+    const { events } = feed(vad, VOICE, 4);
+    feed(vad, SILENCE, 1);
+    const after = feed(vad, VOICE, 4);
+
+    assert.deepEqual([...events, ...after.events], []);
+  });
+
+  it('说完后只转发 hangover 时长的静音', () => {
+    const vad = new VoiceActivityDetector({ hangoverMs: 300, endSilenceMs: 0 });
+    feed(vad, VOICE, 10);
+
+    const hangover = feed(vad, SILENCE, 15);
+    assert.equal(hangover.frames.length, 15);
+    assert.deepEqual(hangover.events, ['speech_end']);
+    assert.deepEqual(hangover.results[14].events, ['speech_end']);
+    assert.equal(vad.isSpeaking(), false);
+
+    assert.equal(feed(vad, SILENCE, 20).frames.length, 0);
+  });
+
+  it('说完后静音达到 endSilenceMs 时提示结束，每次会话只提示一次', () => {
+    const vad = new VoiceActivityDetector({ hangoverMs: 300, endSilenceMs: 1000 });
+    feed(vad, VOICE, 10);
+
+    const silence = feed(vad, SILENCE, 49);
+    assert.equal(silence.endOfSpeech, 0);
+    assert.equal(vad.process(SILENCE).endOfSpeech, true);
+    assert.equal(feed(vad, SILENCE, 100).endOfSpeech, 0);
+  });
+
+  it('没说过话时不提示结束，endSilenceMs 为 0 时不自动结束', () => {
+    assert.equal(feed(new VoiceActivityDetector({ endSilenceMs: 100 }), SILENCE, 100).endOfSpeech, 0);
+
+    const vad = new VoiceActivityDetector({ endSilenceMs: 0 });
+    feed(vad, VOICE, 10);
+    assert.equal(feed(vad, SILENCE, 500).endOfSpeech, 0);
+  });
+
+  it('再次开口后重新计算结束提示', () => {
+    const vad = new VoiceActivityDetector({ hangoverMs: 100, endSilenceMs: 200 });
+    feed(vad, VOICE, 10);
+    assert.equal(feed(vad, SILENCE, 10).endOfSpeech, 1);
+
+    const again = feed(vad, VOICE, 10);
+    assert.deepEqual(again.events, ['speech_start']);
+    assert.equal(feed(vad, SILENCE, 10).endOfSpeech, 1);
+  });
+
+  it('嘈杂环境下按背景噪声提高阈值', () => {
+    const vad = new VoiceActivityDetector({ threshold: 500, noiseRatio: 3 });
+    feed(vad, frame(400), 50);
+
+    // 1000 超过固定阈值，但不到背景噪声的 3 倍（这些帧同时抬高了噪声估计）
+    assert.deepEqual(feed(vad, frame(1000), 20).events, []);
+    assert.ok(vad.noiseFloor > 400);
+    assert.deepEqual(feed(vad, frame(4000), 5).events, ['speech_start']);
+  });
+
+  it('空帧按静音处理', () => {
+    const vad = new VoiceActivityDetector();
+    assert.deepEqual(vad.process(Buffer.alloc(0)), { frames: [], events: [], endOfSpeech: false });
+  });
+});
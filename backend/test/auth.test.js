@@ -0,0 +1,35 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const ConfigService = require('../src/services/ConfigService');
+const AuthMiddleware = require('../src/middleware/auth');
+
+const request = (headers = {}, url = '/staff') => ({ url, headers });
+
+describe('AuthMiddleware.authenticateStaffWebSocket', () => {
+  beforeEach((t) => {
+    t.mock.method(ConfigService, 'getAdminConfig', () => ({
+      tokens: new Map([['ops-token', 'ops']]),
+      enabled: true
+    }));
+  });
+
+  it('从 Authorization 请求头读取令牌', () => {
+    assert.equal(AuthMiddleware.authenticateStaffWebSocket(request({ authorization: 'Bearer ops-token' })), 'ops');
+    assert.equal(AuthMiddleware.authenticateStaffWebSocket(request({ authorization: 'Bearer wrong' })), null);
+  });
+
+  it('浏览器控制台从子协议 bearer 之后读取令牌', () => {
+    assert.equal(AuthMiddleware.authenticateStaffWebSocket(request({ 'sec-websocket-protocol': 'bearer, ops-token' })), 'ops');
+    assert.equal(AuthMiddleware.authenticateStaffWebSocket(request({ 'sec-websocket-protocol': 'ops-token' })), null);
+    assert.equal(AuthMiddleware.authenticateStaffWebSocket(request({ 'sec-websocket-protocol': 'bearer' })), null);
+  });
+
+  it('不接受 URL 中的令牌', () => {
+    assert.equal(AuthMiddleware.authenticateStaffWebSocket(request({}, '/staff?token=ops-token')), null);
+  });
+
+  it('未配置管理员令牌时拒绝连接', () => {
+    ConfigService.getAdminConfig.mock.mockImplementation(() => ({ tokens: new Map(), enabled: false }));
+    assert.equal(AuthMiddleware.authenticateStaffWebSocket(request({ authorization: 'Bearer ops-token' })), null);
+  });
+});
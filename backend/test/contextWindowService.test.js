@@ -0,0 +1,114 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const contextWindowService = require('../src/services/contextWindowService');
+
+const IMAGE = { type: 'image_url', image_url: { url: `data:image/jpeg;base64,${'A'.repeat(50000)}` } };
+
+const text = (role, content) => ({ role, content });
+const withImage = (role, content) => ({ role, content: [{ type: 'text', text: content }, IMAGE] });
+
+// 所需的输入预算 = 回复起始开销 + 各消息 token
+const inputTokens = messages => contextWindowService.countTokens(messages, 'gpt-4o');
+
+describe('contextWindowService', () => {
+  describe('getEncodingName', () => {
+    it('GPT-4o / 4.1 / 5 和 o 系列使用 o200k_base，其他模型使用 cl100k_base', () => {
+      for (const model of ['gpt-4o', 'GPT-4o-mini', 'gpt-4.1', 'gpt-5', 'o1', 'o3-mini', 'azure-o4-mini']) {
+        assert.equal(contextWindowService.getEncodingName(model), 'o200k_base', model);
+      }
+      for (const model of ['gpt-4', 'gpt-35-turbo', 'doubao-1.5-pro-32k', 'qwen-max', 'pro1', '']) {
+        assert.equal(contextWindowService.getEncodingName(model), 'cl100k_base', model);
+      }
+    });
+  });
+
+  describe('countMessageTokens', () => {
+    it('图片按固定开销计算，不按 base64 长度计算', () => {
+      const textOnly = contextWindowService.countMessageTokens(text('user', '帮我看看'), 'gpt-4o');
+      const image = contextWindowService.countMessageTokens(withImage('user', '帮我看看'), 'gpt-4o');
+      assert.equal(image - textOnly, 765);
+    });
+
+    it('计入 tool_calls', () => {
+      const plain = { role: 'assistant', content: '' };
+      const withCalls = {
+        ...plain,
+        tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'search_memory', arguments: '{"query":"鼻综合"}' } }]
+      };
+      assert.ok(contextWindowService.countMessageTokens(withCalls, 'gpt-4o') > contextWindowService.countMessageTokens(plain, 'gpt-4o'));
+    });
+  });
+
+  describe('buildMessages', () => {
+    it('预算充足时保留全部消息，只替换旧消息中的图片', () => {
+      const messages = [
+        text('system', '你是顾问'),
+        withImage('user', '这张照片'),
+        text('assistant', '看起来是单眼皮'),
+        withImage('user', '那这张呢')
+      ];
+
+      const { messages: result, stats } = contextWindowService.buildMessages(messages, {
+        model: 'gpt-4o', budget: 100000, maxCompletionTokens: 1000
+      });
+
+      assert.equal(result.length, 4);
+      assert.equal(result[1].content, '这张照片\n[用户此前上传的图片，分析结论见后续回复]');
+      assert.equal(result[3], messages[3]);
+      assert.deepEqual(stats, { inputTokens: inputTokens(result), inputBudget: 99000, droppedMessages: 0, strippedImages: 1 });
+    });
+
+    it('模型不支持图片时最新消息的图片也替换为文字占位', () => {
+      const { messages: result } = contextWindowService.buildMessages([withImage('user', '这张照片')], {
+        budget: 100000, maxCompletionTokens: 1000, vision: false
+      });
+
+      assert.match(result[0].content, /^这张照片\n\[用户上传了图片，但当前无法查看图片/);
+    });
+
+    it('超出预算时按轮次丢弃最早的对话，保留的历史不以助手消息开头', () => {
+      const long = '玻尿酸填充'.repeat(40);
+      const messages = [
+        text('system', '你是顾问'),
+        text('user', long),
+        text('assistant', long),
+        text('user', long),
+        text('assistant', long),
+        text('user', '最新的问题')
+      ];
+      // 只差第一条用户消息的预算：仍要把紧跟着的助手回复一起丢弃
+      const budget = inputTokens(messages) - contextWindowService.countMessageTokens(messages[1], 'gpt-4o') + 1000;
+
+      const { messages: result, stats } = contextWindowService.buildMessages(messages, {
+        model: 'gpt-4o', budget, maxCompletionTokens: 1000
+      });
+
+      assert.deepEqual(result, [messages[0], ...messages.slice(3)]);
+      assert.equal(stats.droppedMessages, 2);
+      assert.equal(stats.inputTokens, inputTokens(result));
+    });
+
+    it('预算不足以容纳最新消息时仍保留 system 和最新一条用户消息', (t) => {
+      t.mock.method(console, 'warn', () => {});
+      const messages = [
+        text('system', '你是顾问'),
+        text('user', '之前的问题'),
+        text('assistant', '之前的回答'),
+        text('user', '最新的问题')
+      ];
+
+      const { messages: result, stats } = contextWindowService.buildMessages(messages, {
+        model: 'gpt-4o', budget: 10, maxCompletionTokens: 10
+      });
+
+      assert.deepEqual(result, [messages[0], messages[3]]);
+      assert.equal(stats.inputBudget, 0);
+    });
+
+    it('空消息列表直接返回', () => {
+      const { messages, stats } = contextWindowService.buildMessages([], { budget: 100, maxCompletionTokens: 10 });
+      assert.deepEqual(messages, []);
+      assert.equal(stats.inputBudget, 90);
+    });
+  });
+});
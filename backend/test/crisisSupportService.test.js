@@ -0,0 +1,42 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crisisSupportService = require('../src/services/crisisSupportService');
+
+describe('crisisSupportService.detect', () => {
+  beforeEach((t) => {
+    t.mock.method(console, 'log', () => {});
+  });
+
+  it('命中时返回匹配的文字和热线', () => {
+    const result = crisisSupportService.detect('我真的想死，整容失败了');
+    assert.equal(result.matched, '我真的想死');
+    assert.ok(result.hotlines.length > 0);
+    assert.ok(!result.response.includes('{hotlines}'));
+  });
+
+  it('识别明确的自伤表达', () => {
+    for (const text of ['我想死', '我好想去死', '我都想死了', '不想活了', '活着真没意思', '想跳楼', '我想自杀']) {
+      assert.ok(crisisSupportService.detect(text), text);
+    }
+  });
+
+  it('不把价格用语和日常夸张说法当作危机', () => {
+    for (const text of [
+      '双眼皮有没有跳楼价活动？',
+      '这个价格简直是跳楼价',
+      '年底跳楼大甩卖吗',
+      '累得想死',
+      '今天热得想死',
+      '我好想死你了',
+      '我想死您了',
+      '双眼皮多少钱'
+    ]) {
+      assert.equal(crisisSupportService.detect(text), null, text);
+    }
+  });
+
+  it('空消息返回 null', () => {
+    assert.equal(crisisSupportService.detect(''), null);
+    assert.equal(crisisSupportService.detect(null), null);
+  });
+});
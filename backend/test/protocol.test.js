@@ -0,0 +1,104 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const protocol = require('../src/protocol');
+
+const { ClientMessage, ServerFrame, ErrorCode, PROTOCOL_VERSION, MIN_PROTOCOL_VERSION } = protocol;
+
+describe('protocol', () => {
+  describe('validateClientMessage', () => {
+    it('接受合法的消息', () => {
+      const result = protocol.validateClientMessage({ type: ClientMessage.CHAT, prompt: '双眼皮多少钱', images: [] });
+      assert.equal(result.valid, true);
+      assert.equal(result.message.prompt, '双眼皮多少钱');
+    });
+
+    it('不带 type 的旧版聊天消息补全为 chat', () => {
+      const message = { prompt: '你好' };
+      const result = protocol.validateClientMessage(message);
+      assert.equal(result.valid, true);
+      assert.equal(result.message.type, ClientMessage.CHAT);
+      assert.equal(message.type, undefined);
+    });
+
+    it('拒绝不是对象的消息', () => {
+      for (const message of [null, [], 'chat', 1]) {
+        assert.equal(protocol.validateClientMessage(message).code, ErrorCode.INVALID_MESSAGE);
+      }
+    });
+
+    it('拒绝未知类型，包括原型上的属性名', () => {
+      for (const type of ['unknown', 'constructor', 'toString', '__proto__', undefined]) {
+        assert.equal(protocol.validateClientMessage({ type }).code, ErrorCode.UNSUPPORTED_TYPE, String(type));
+      }
+    });
+
+    it('校验必填字段、类型、长度和数组元素', () => {
+      const invalid = [
+        { type: ClientMessage.CANCEL },
+        { type: ClientMessage.CANCEL, requestId: 1 },
+        { type: ClientMessage.CHAT, prompt: 'hi', images: ['a', 'b', 'c', 'd'] },
+        { type: ClientMessage.CHAT, prompt: 'hi', images: [1] },
+        { type: ClientMessage.CHAT, prompt: 'hi', images: 'a' },
+        { type: ClientMessage.HANDOFF_REQUEST, reason: 'x'.repeat(201) },
+        { type: ClientMessage.SETTINGS, tts: 'true' }
+      ];
+      for (const message of invalid) {
+        const result = protocol.validateClientMessage(message);
+        assert.equal(result.valid, false, JSON.stringify(message));
+        assert.equal(result.code, ErrorCode.INVALID_MESSAGE);
+      }
+    });
+
+    it('null 视为未提供，可选字段可以省略', () => {
+      assert.equal(protocol.validateClientMessage({ type: ClientMessage.RESUME, requestId: 'req_1', lastTokenIndex: null }).valid, true);
+      assert.equal(protocol.validateClientMessage({ type: ClientMessage.CANCEL, requestId: null }).valid, false);
+    });
+
+    it('拒绝不是数字的协议版本', () => {
+      assert.equal(protocol.validateClientMessage({ type: ClientMessage.PING, v: '2' }).code, ErrorCode.INVALID_MESSAGE);
+    });
+
+    it('拒绝既没有文字也没有图片的聊天消息', () => {
+      assert.equal(protocol.validateClientMessage({ type: ClientMessage.CHAT, prompt: '' }).valid, false);
+      assert.equal(protocol.validateClientMessage({ type: ClientMessage.CHAT, images: [] }).valid, false);
+      assert.equal(protocol.validateClientMessage({ type: ClientMessage.CHAT, images: ['data:image/png;base64,AA'] }).valid, true);
+    });
+  });
+
+  describe('negotiateVersion', () => {
+    it('取双方都支持的最高版本，未提供时按最低版本', () => {
+      assert.equal(protocol.negotiateVersion(PROTOCOL_VERSION + 1), PROTOCOL_VERSION);
+      assert.equal(protocol.negotiateVersion(MIN_PROTOCOL_VERSION), MIN_PROTOCOL_VERSION);
+      assert.equal(protocol.negotiateVersion(undefined), MIN_PROTOCOL_VERSION);
+    });
+
+    it('客户端要求的最低版本高于服务端时返回 null', () => {
+      assert.equal(protocol.negotiateVersion(PROTOCOL_VERSION + 1, PROTOCOL_VERSION + 1), null);
+      assert.equal(protocol.negotiateVersion(0), MIN_PROTOCOL_VERSION);
+    });
+  });
+
+  describe('frames', () => {
+    it('createFrame 附带类型、版本和请求ID', () => {
+      assert.deepEqual(protocol.createFrame(ServerFrame.CHUNK, { data: '好' }, 'req_1'), {
+        type: ServerFrame.CHUNK, v: PROTOCOL_VERSION, requestId: 'req_1', data: '好'
+      });
+      assert.equal(protocol.createFrame(ServerFrame.PING, {}).requestId, null);
+    });
+
+    it('normalizeServerFrame 识别不带 type 的旧版帧', () => {
+      assert.equal(protocol.normalizeServerFrame({ error: 'x' }).type, ServerFrame.ERROR);
+      assert.equal(protocol.normalizeServerFrame({ done: true }).type, ServerFrame.DONE);
+      assert.equal(protocol.normalizeServerFrame({ data: '' }).type, ServerFrame.CHUNK);
+      assert.equal(protocol.normalizeServerFrame({ suggestions: [] }).type, ServerFrame.SUGGESTIONS);
+
+      const greeting = protocol.normalizeServerFrame({ greeting: '你好' });
+      assert.equal(greeting.type, ServerFrame.GREETING);
+      assert.equal(greeting.data, '你好');
+      assert.equal(greeting.v, MIN_PROTOCOL_VERSION);
+
+      const frame = { type: ServerFrame.PONG };
+      assert.equal(protocol.normalizeServerFrame(frame), frame);
+    });
+  });
+});
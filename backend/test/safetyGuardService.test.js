@@ -0,0 +1,230 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const safetyGuardService = require('../src/services/safetyGuardService');
+
+const { SafetyGuardSession } = safetyGuardService;
+
+const ruleset = {
+  disclaimer: '以上内容仅供参考，以面诊为准。',
+  blockMessage: '\n\n请到医院面诊。',
+  rules: [
+    { ruleId: 'dosage', category: 'prescription', action: 'block', regex: /每次\d+片/i },
+    { ruleId: 'diagnosis', category: 'diagnosis', action: 'rewrite', regex: /确诊为/gi, replacement: '初步判断为', disclaimer: true },
+    { ruleId: 'risk', category: 'guarantee', action: 'disclaimer', regex: /没有风险/i }
+  ]
+};
+
+const createSession = ({ classify = async () => null, classifierEnabled = false, rules = ruleset } = {}) => {
+  const outputs = [];
+  const service = {
+    classify,
+    recordIntervention: (event) => event
+  };
+  const session = new SafetyGuardSession({
+    service,
+    requestId: 'req_test',
+    userId: 'user_test',
+    onOutput: (text) => outputs.push(text),
+    ruleset: rules,
+    classifierEnabled
+  });
+  return { session, outputs };
+};
+
+describe('SafetyGuardSession', () => {
+  beforeEach((t) => {
+    t.mock.method(console, 'warn', () => {});
+  });
+
+  describe('按句缓冲', () => {
+    it('整句到齐后才输出', () => {
+      const { session, outputs } = createSession();
+      session.push('玻尿酸');
+      session.push('一般维持');
+      assert.deepEqual(outputs, []);
+
+      session.push('半年到一年。之后');
+      assert.deepEqual(outputs, ['玻尿酸一般维持半年到一年。']);
+      assert.equal(session.pending, '之后');
+    });
+
+    it('一个片段包含多句时在最后一个句末标点处切分', () => {
+      const { session, outputs } = createSession();
+      session.push('第一句。第二句！第三');
+      assert.deepEqual(outputs, ['第一句。第二句！']);
+    });
+
+    it('长时间没有句末标点时先输出前面的部分，保留尾部', () => {
+      const { session, outputs } = createSession();
+      session.push('字'.repeat(80));
+      assert.deepEqual(outputs, []);
+
+      session.push('字');
+      assert.deepEqual(outputs, ['字'.repeat(61)]);
+      assert.equal(session.pending.length, 20);
+    });
+
+    it('结束时输出剩余文本并返回完整输出', async () => {
+      const { session, outputs } = createSession();
+      session.push('第一句。没有句号');
+
+      assert.equal(await session.finish(), '第一句。没有句号');
+      assert.deepEqual(outputs, ['第一句。', '没有句号']);
+      assert.equal(await session.finish(), '第一句。没有句号');
+    });
+
+    it('清空后丢弃未输出的文本，不再接收新文本', async () => {
+      const { session, outputs } = createSession();
+      session.push('第一句。还没说完');
+      session.clear();
+      session.push('后面的内容。');
+
+      assert.equal(await session.finish(), '第一句。');
+      assert.deepEqual(outputs, ['第一句。']);
+    });
+
+    it('跨片段的违规表述按整句审核', () => {
+      const { session, outputs } = createSession();
+      session.push('可以确');
+      session.push('诊为过敏。');
+      assert.deepEqual(outputs, ['可以初步判断为过敏。']);
+      assert.equal(session.interventions[0].ruleId, 'diagnosis');
+    });
+  });
+
+  describe('规则处理', () => {
+    it('命中 block 规则时丢弃当前句和缓冲，只输出拦截提示', async () => {
+      const { session, outputs } = createSession();
+      session.push('术后可以冷敷。建议每次2片，');
+      session.push('一天三次。');
+
+      assert.equal(session.isBlocked(), true);
+      assert.deepEqual(outputs, ['术后可以冷敷。', '\n\n请到医院面诊。']);
+      assert.equal(await session.finish(), '术后可以冷敷。\n\n请到医院面诊。');
+    });
+
+    it('第一句就被拦截时去掉拦截提示开头的空行', () => {
+      const { session, outputs } = createSession();
+      session.push('每次2片。');
+      assert.deepEqual(outputs, ['请到医院面诊。']);
+    });
+
+    it('命中 disclaimer 或带免责声明的改写规则时在结尾追加一次免责声明', async () => {
+      const { session } = createSession();
+      session.push('这个项目没有风险。');
+      session.push('确诊为过敏。');
+
+      assert.equal(await session.finish(), '这个项目没有风险。初步判断为过敏。\n\n以上内容仅供参考，以面诊为准。');
+      assert.deepEqual(session.interventions.map(item => item.action), ['disclaimer', 'rewrite']);
+    });
+
+    it('回复中已经包含免责声明时不重复追加', async () => {
+      const { session } = createSession();
+      session.push('这个项目没有风险。以上内容仅供参考，以面诊为准。');
+      assert.equal(await session.finish(), '这个项目没有风险。以上内容仅供参考，以面诊为准。');
+    });
+  });
+
+  describe('分类模型', () => {
+    it('按顺序输出分类模型审核后的文本，审核期间送入的句子排在后面', async () => {
+      const reviewed = [];
+      let release;
+      const classify = async (text) => {
+        reviewed.push(text);
+        if (reviewed.length === 1) await new Promise(resolve => { release = resolve; });
+        return text.includes('保证') ? { action: 'rewrite', category: 'guarantee', rewrite: '效果因人而异。' } : null;
+      };
+      const { session, outputs } = createSession({ classify, classifierEnabled: true });
+
+      session.push('第一句。');
+      session.push('保证有效。');
+      session.push('第三句。');
+      assert.deepEqual(outputs, []);
+
+      release();
+      const output = await session.finish();
+
+      assert.deepEqual(reviewed, ['第一句。', '保证有效。第三句。']);
+      assert.deepEqual(outputs, ['第一句。', '效果因人而异。', '\n\n以上内容仅供参考，以面诊为准。']);
+      assert.equal(output, '第一句。效果因人而异。\n\n以上内容仅供参考，以面诊为准。');
+    });
+
+    it('分类模型判定 block 时停止输出，丢弃排队的片段', async () => {
+      const classify = async (text) => (text.includes('药') ? { action: 'block', category: 'prescription' } : null);
+      const { session, outputs } = createSession({ classify, classifierEnabled: true });
+
+      session.push('第一句。');
+      await session.drain();
+      session.push('回家吃点药。');
+      session.push('第三句。');
+
+      assert.equal(await session.finish(), '第一句。\n\n请到医院面诊。');
+      assert.deepEqual(outputs, ['第一句。', '\n\n请到医院面诊。']);
+      assert.equal(session.isBlocked(), true);
+    });
+
+    it('规则拦截的提示排在已通过规则、等待分类模型的片段之后', async () => {
+      const { session, outputs } = createSession({ classifierEnabled: true });
+      session.push('第一句。');
+      session.push('每次2片。');
+      assert.deepEqual(outputs, []);
+
+      assert.equal(await session.finish(), '第一句。\n\n请到医院面诊。');
+      assert.deepEqual(outputs, ['第一句。', '\n\n请到医院面诊。']);
+    });
+
+    it('清空后不再输出分类模型返回的结果', async () => {
+      let release;
+      const classify = () => new Promise(resolve => { release = () => resolve(null); });
+      const { session, outputs } = createSession({ classify, classifierEnabled: true });
+
+      session.push('第一句。');
+      session.clear();
+      release();
+
+      assert.equal(await session.finish(), '');
+      assert.deepEqual(outputs, []);
+    });
+  });
+
+  describe('config/safetyRules.json', () => {
+    const review = async (text) => {
+      const { session } = createSession({ rules: safetyGuardService.getRuleset() });
+      session.push(text);
+      const output = await session.finish();
+      return { output, ruleIds: session.interventions.map(item => item.ruleId) };
+    };
+
+    beforeEach((t) => {
+      t.mock.method(console, 'log', () => {});
+    });
+
+    it('否定说法不改写、不追加免责声明', async () => {
+      for (const text of [
+        '任何手术都不能保证没有风险。',
+        '医生也无法百分之百保证成功。',
+        '世界上没有零风险的手术。',
+        '不存在零风险的项目。',
+        '不能保证百分之百有效。',
+        '不能说完全没有风险。',
+        '我们不敢向您保证满意。',
+        '线上无法确诊为过敏，需要面诊。'
+      ]) {
+        assert.deepEqual(await review(text), { output: text, ruleIds: [] }, text);
+      }
+    });
+
+    it('肯定的承诺和确诊仍然改写并追加免责声明', async () => {
+      const { disclaimer } = safetyGuardService.getRuleset();
+      assert.deepEqual(await review('这个项目保证没有风险。'), {
+        output: `这个项目风险较低但不能完全排除风险。\n\n${disclaimer}`,
+        ruleIds: ['guarantee-safety']
+      });
+      assert.deepEqual((await review('效果不错，绝对没有副作用。')).ruleIds, ['guarantee-safety']);
+      assert.deepEqual((await review('零风险。')).ruleIds, ['guarantee-safety']);
+      assert.deepEqual((await review('包你满意。')).ruleIds, ['guarantee-result']);
+      assert.deepEqual((await review('百分之百成功。')).ruleIds, ['guarantee-result']);
+      assert.deepEqual((await review('看照片可以确诊为过敏。')).ruleIds, ['diagnosis-definite']);
+    });
+  });
+});
@@ -0,0 +1,22 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { StaffMessage, StaffErrorCode, validateStaffMessage } = require('../src/protocol/staff');
+
+describe('validateStaffMessage', () => {
+  it('接受合法的消息', () => {
+    const result = validateStaffMessage({ type: StaffMessage.REPLY, userId: 'user_1', text: '您好' });
+    assert.equal(result.valid, true);
+  });
+
+  it('缺少字段或回复为空时拒绝', () => {
+    assert.equal(validateStaffMessage({ type: StaffMessage.ACCEPT }).code, StaffErrorCode.INVALID_MESSAGE);
+    assert.equal(validateStaffMessage({ type: StaffMessage.REPLY, userId: 'user_1', text: '  ' }).code, StaffErrorCode.INVALID_MESSAGE);
+    assert.equal(validateStaffMessage(['list']).code, StaffErrorCode.INVALID_MESSAGE);
+  });
+
+  it('未知类型和原型属性名按不支持处理', () => {
+    for (const type of ['unknown', 'constructor', '__proto__', 'toString']) {
+      assert.equal(validateStaffMessage({ type }).code, StaffErrorCode.UNSUPPORTED_TYPE, type);
+    }
+  });
+});
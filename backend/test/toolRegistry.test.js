@@ -0,0 +1,101 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const toolRegistry = require('../src/services/toolRegistry');
+
+const registered = [];
+
+const registerTool = (tool) => {
+  toolRegistry.register(tool);
+  registered.push(tool.name);
+};
+
+describe('toolRegistry', () => {
+  afterEach(() => {
+    while (registered.length) toolRegistry.unregister(registered.pop());
+  });
+
+  describe('register', () => {
+    it('拒绝无效的函数名、缺少 handler 和重复注册', () => {
+      assert.throws(() => toolRegistry.register({ name: 'bad name', handler: () => 'ok' }), /Invalid tool name/);
+      assert.throws(() => toolRegistry.register({ name: 'x'.repeat(65), handler: () => 'ok' }), /Invalid tool name/);
+      assert.throws(() => toolRegistry.register({ name: 'test_no_handler' }), /handler/);
+
+      registerTool({ name: 'test_dup', handler: () => 'ok' });
+      assert.throws(() => toolRegistry.register({ name: 'test_dup', handler: () => 'ok' }), /already registered/);
+    });
+
+    it('补齐默认的参数 schema、超时和调用预算', () => {
+      registerTool({ name: 'test_defaults', handler: () => 'ok' });
+
+      const tool = toolRegistry.get('test_defaults');
+      assert.deepEqual(tool.parameters, { type: 'object', properties: {} });
+      assert.equal(tool.timeout, 8000);
+      assert.equal(tool.maxCallsPerRequest, 3);
+    });
+  });
+
+  describe('ToolSession', () => {
+    it('返回字符串或序列化后的结果，并把上下文传给 handler', async () => {
+      registerTool({ name: 'test_echo', handler: (args, context) => ({ args, userId: context.userId }) });
+      registerTool({ name: 'test_text', handler: () => 'plain' });
+
+      const session = toolRegistry.createSession({ userId: 'u1' });
+      const result = await session.execute('test_echo', { q: 1 });
+      assert.deepEqual(JSON.parse(result.content), { args: { q: 1 }, userId: 'u1' });
+      assert.equal(result.error, null);
+
+      assert.equal((await session.execute('test_text')).content, 'plain');
+    });
+
+    it('请求级状态在同一会话的工具之间共享', async () => {
+      registerTool({ name: 'test_state', handler: (args, context) => {
+        context.state.set('count', (context.state.get('count') || 0) + 1);
+        return String(context.state.get('count'));
+      } });
+
+      const session = toolRegistry.createSession();
+      await session.execute('test_state');
+      assert.equal((await session.execute('test_state')).content, '2');
+      assert.equal((await toolRegistry.createSession().execute('test_state')).content, '1');
+    });
+
+    it('用完调用预算后拒绝执行并不再暴露该工具', async () => {
+      let calls = 0;
+      registerTool({ name: 'test_budget', maxCallsPerRequest: 1, handler: () => String(++calls) });
+
+      const session = toolRegistry.createSession();
+      const names = () => session.getDefinitions().map(definition => definition.function.name);
+      assert.ok(names().includes('test_budget'));
+
+      await session.execute('test_budget');
+      const second = await session.execute('test_budget');
+      assert.match(second.error, /上限/);
+      assert.equal(calls, 1);
+      assert.ok(!names().includes('test_budget'));
+    });
+
+    it('isAvailable 返回 false 或抛错时不暴露该工具', () => {
+      registerTool({ name: 'test_guest', handler: () => 'ok', isAvailable: context => !!context.userId });
+      registerTool({ name: 'test_broken', handler: () => 'ok', isAvailable: () => { throw new Error('boom'); } });
+
+      const names = context => toolRegistry.createSession(context).getDefinitions().map(definition => definition.function.name);
+      assert.ok(!names({}).includes('test_guest'));
+      assert.ok(names({ userId: 'u1' }).includes('test_guest'));
+      assert.ok(!names({ userId: 'u1' }).includes('test_broken'));
+    });
+
+    it('未知工具、handler 抛错和超时都返回错误结果', async () => {
+      registerTool({ name: 'test_throw', handler: () => { throw new Error('boom'); } });
+      registerTool({ name: 'test_slow', timeout: 20, handler: () => new Promise(() => {}) });
+
+      const session = toolRegistry.createSession();
+      assert.match((await session.execute('test_missing')).error, /未知工具/);
+      assert.match((await session.execute('test_throw')).error, /boom/);
+
+      const slow = await session.execute('test_slow');
+      assert.match(slow.error, /超时/);
+      assert.deepEqual(JSON.parse(slow.content), { error: slow.error });
+      assert.deepEqual(session.calls.map(call => call.name), ['test_throw', 'test_slow']);
+    });
+  });
+});
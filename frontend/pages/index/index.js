@@ -6,6 +6,8 @@ const MessageManager = require('./modules/message-manager.js');
 const ScrollController = require('./modules/scroll-controller.js');
 const UIStateManager = require('./modules/ui-state-manager.js');
 const ImageManager = require('./modules/image-manager.js');
+const AudioPlayer = require('./modules/audio-player.js');
+const VoiceConversationManager = require('./modules/voice-conversation.js');
 
 Page({
   // 核心数据状态 - 只保留UI渲染必需的数据
@@ -20,6 +22,8 @@ Page({
     scrollIntoView: '',
     messageCount: 0,
     isGenerating: false,
+    isStreaming: false,  // AI 回复进行中，显示停止按钮
+    editingLast: false,  // 正在编辑最后一条用户消息
     
     // 语音相关状态
     recordingDuration: 0,
@@ -34,12 +38,27 @@ Page({
     
     // 流式语音识别状态
     isStreamingSpeech: false,
+    speechDetected: null,  // 服务端语音活动检测结果，未开启检测时为 null
+
+    // 免提对话状态
+    isVoiceConversation: false,
+    conversationPhase: '',   // listening / thinking / speaking
+    conversationText: '',    // 当前识别或刚发送的一句
 
     // 图片上传状态
     selectedImages: [],  // 存储选中的图片路径
     uploadingImages: [],  // 存储正在上传中的图片（显示loading）
     showImageSourceModal: false,  // 控制相机/相册选择弹窗
 
+    // 语音播报状态
+    ttsAvailable: false,  // 服务端是否支持（init_ack）
+    ttsEnabled: false,    // 用户开关，保存在本地
+
+    // 人工接管状态
+    handoffAvailable: false,  // 服务端是否开启（init_ack）
+    handoffStatus: '',        // waiting / active，AI 回复时为空
+    handoffStaffName: '',
+
   },
 
   onLoad: function() {
@@ -55,6 +74,8 @@ Page({
     this.scrollController = new ScrollController(this);
     this.uiStateManager = new UIStateManager(this);
     this.imageManager = new ImageManager(this);
+    this.audioPlayer = new AudioPlayer(this);
+    this.voiceConversationManager = new VoiceConversationManager(this);
     
     // 初始化页面
     this.uiStateManager.initialize();
@@ -81,6 +102,26 @@ Page({
     this.messageManager.sendMessage();
   },
 
+  stopGeneration: function() {
+    this.messageManager.stopGeneration();
+  },
+
+  regenerateMessage: function() {
+    this.messageManager.regenerate();
+  },
+
+  editLastMessage: function() {
+    this.messageManager.startEditLast();
+  },
+
+  cancelEditLast: function() {
+    this.messageManager.cancelEditLast();
+  },
+
+  toggleTTS: function() {
+    this.audioPlayer.toggle();
+  },
+
   sendVoiceMessage: function(text) {
     this.messageManager.sendVoiceMessage(text);
   },
@@ -93,6 +134,22 @@ Page({
     this.messageManager.onSuggestionTap(e);
   },
 
+  onCitationTap: function(e) {
+    this.messageManager.onCitationTap(e);
+  },
+
+  callHotline: function(e) {
+    this.messageManager.callHotline(e);
+  },
+
+  requestHandoff: function() {
+    this.messageManager.requestHandoff();
+  },
+
+  endHandoff: function() {
+    this.messageManager.endHandoff();
+  },
+
   // ==================== 滚动控制方法 ====================
   
   scrollToBottom: function(force = false) {
@@ -175,6 +232,16 @@ Page({
     this.uiStateManager.switchToText();
   },
 
+  // ==================== 免提对话 ====================
+
+  startVoiceConversation: function() {
+    this.voiceConversationManager.start();
+  },
+
+  endVoiceConversation: function() {
+    this.voiceConversationManager.stop();
+  },
+
   // ==================== 语音录制方法 ====================
   
   onVoiceTouchStart: function(e) {
@@ -0,0 +1,240 @@
+/**
+ * Audio Player Module
+ * 处理语音播报：接收服务端逐句合成的音频分片，按句写入临时文件后依次播放
+ */
+const { ServerFrame, ClientMessage } = require('../../../utils/protocol.js');
+
+class AudioPlayer {
+  constructor(pageInstance) {
+    this.page = pageInstance;
+    this.fs = wx.getFileSystemManager();
+    this.audioContext = null;
+    this.resetPlayback();
+  }
+
+  /**
+   * 重置播放状态（不影响开关）
+   */
+  resetPlayback() {
+    this.requestId = null;
+    this.format = 'mp3';
+    this.segments = {};     // segment -> { chunks: ArrayBuffer[], done }
+    this.nextSegment = 0;   // 下一句要播放的序号
+    this.playing = false;
+    this.currentFile = null;
+  }
+
+  /**
+   * 读取本地保存的播报开关
+   */
+  loadSettings() {
+    this.page.setData({ ttsEnabled: wx.getStorageSync('ttsEnabled') === true });
+  }
+
+  /**
+   * 服务端是否支持语音播报（init_ack 中的 features）
+   * 支持时同步当前开关到服务端，重连后同样需要重新同步
+   */
+  setAvailable(available) {
+    this.page.setData({ ttsAvailable: available });
+    if (available) {
+      this.syncSettings();
+    }
+  }
+
+  /**
+   * 切换播报开关
+   */
+  toggle() {
+    const enabled = !this.page.data.ttsEnabled;
+    this.page.setData({ ttsEnabled: enabled });
+    wx.setStorageSync('ttsEnabled', enabled);
+    this.syncSettings();
+
+    if (!enabled) {
+      this.stop();
+    }
+    wx.showToast({ title: enabled ? '已开启语音播报' : '已关闭语音播报', icon: 'none' });
+  }
+
+  /**
+   * 把开关同步到服务端
+   */
+  syncSettings() {
+    this.page.webSocketManager.send({
+      type: ClientMessage.SETTINGS,
+      tts: this.page.data.ttsEnabled
+    });
+  }
+
+  /**
+   * 是否正在播放（含已合成待播放的句子）
+   */
+  isPlaying() {
+    return this.playing;
+  }
+
+  /**
+   * 是否应播放：开启了播报开关，或处于免提对话中
+   * @private
+   */
+  shouldPlay() {
+    return this.page.data.ttsEnabled || this.page.voiceConversationManager.isActive();
+  }
+
+  /**
+   * 处理 tts_* 帧
+   */
+  handleTTSMessage(data) {
+    // 新回复开始播报：停止上一条回复的音频
+    if (data.type === ServerFrame.TTS_START) {
+      if (data.requestId !== this.requestId) {
+        this.stop();
+        this.requestId = data.requestId;
+      }
+      this.format = data.format || 'mp3';
+      return;
+    }
+
+    // 已被停止或属于旧回复的帧直接丢弃
+    if (!this.requestId || data.requestId !== this.requestId) return;
+
+    if (data.type === ServerFrame.TTS_CHUNK) {
+      this.getSegment(data.segment).chunks.push(wx.base64ToArrayBuffer(data.audio));
+      return;
+    }
+
+    if (data.type === ServerFrame.TTS_SEGMENT_END) {
+      this.getSegment(data.segment).done = true;
+      this.playNext();
+      return;
+    }
+
+    if (data.type === ServerFrame.TTS_ERROR) {
+      console.warn('🔇 语音合成失败:', data.error);
+      return;
+    }
+
+    if (data.type === ServerFrame.TTS_END && data.cancelled) {
+      this.stop();
+    }
+  }
+
+  /**
+   * @private
+   */
+  getSegment(index) {
+    if (!this.segments[index]) {
+      this.segments[index] = { chunks: [], done: false };
+    }
+    return this.segments[index];
+  }
+
+  /**
+   * 播放下一句（已合成完成时）
+   */
+  playNext() {
+    if (this.playing || !this.shouldPlay()) return;
+
+    const segment = this.segments[this.nextSegment];
+    if (!segment || !segment.done) return;
+    delete this.segments[this.nextSegment];
+
+    const filePath = `${wx.env.USER_DATA_PATH}/tts_${Date.now()}_${this.nextSegment}.${this.format}`;
+    try {
+      this.fs.writeFileSync(filePath, this.concatChunks(segment.chunks));
+    } catch (error) {
+      console.error('写入播报音频失败:', error);
+      this.nextSegment++;
+      this.playNext();
+      return;
+    }
+
+    this.playing = true;
+    this.page.voiceConversationManager.handlePlaybackState(true);
+    this.currentFile = filePath;
+    const audioContext = this.getAudioContext();
+    audioContext.src = filePath;
+    audioContext.play();
+  }
+
+  /**
+   * 当前句播放结束（或失败）后继续下一句
+   * @private
+   */
+  handlePlaybackEnded() {
+    this.removeCurrentFile();
+    this.playing = false;
+    this.nextSegment++;
+    this.playNext();
+
+    if (!this.playing) {
+      this.page.voiceConversationManager.handlePlaybackState(false);
+    }
+  }
+
+  /**
+   * @private
+   */
+  getAudioContext() {
+    if (!this.audioContext) {
+      this.audioContext = wx.createInnerAudioContext();
+      this.audioContext.onEnded(() => this.handlePlaybackEnded());
+      this.audioContext.onError((error) => {
+        console.error('播报音频播放失败:', error);
+        this.handlePlaybackEnded();
+      });
+    }
+    return this.audioContext;
+  }
+
+  /**
+   * 合并一句的音频分片
+   * @private
+   */
+  concatChunks(chunks) {
+    const total = chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0);
+    const merged = new Uint8Array(total);
+    let offset = 0;
+    chunks.forEach((chunk) => {
+      merged.set(new Uint8Array(chunk), offset);
+      offset += chunk.byteLength;
+    });
+    return merged.buffer;
+  }
+
+  /**
+   * @private
+   */
+  removeCurrentFile() {
+    if (!this.currentFile) return;
+    const filePath = this.currentFile;
+    this.currentFile = null;
+    this.fs.unlink({ filePath, fail: () => {} });
+  }
+
+  /**
+   * 停止播报并丢弃未播放的音频
+   */
+  stop() {
+    if (this.audioContext && this.playing) {
+      this.audioContext.stop();
+      this.page.voiceConversationManager.handlePlaybackState(false);
+    }
+    this.removeCurrentFile();
+    this.resetPlayback();
+  }
+
+  /**
+   * 清理资源
+   */
+  cleanup() {
+    this.stop();
+    if (this.audioContext) {
+      this.audioContext.destroy();
+      this.audioContext = null;
+    }
+  }
+}
+
+module.exports = AudioPlayer;
@@ -14,6 +14,7 @@ const LOADING_TEXTS = [
 ];
 
 const markdown = require('../../../utils/markdown.js');
+const { ClientMessage, HandoffStatus } = require('../../../utils/protocol.js');
 
 class MessageManager {
   constructor(pageInstance) {
@@ -27,6 +28,12 @@ class MessageManager {
       targetIndex: null
     };
 
+    // 当前回复的请求ID（来自服务端 init 消息，用于停止生成）
+    this.currentRequestId = null;
+    this.pendingCancel = false; // init 到达前用户已点击停止
+    this.lastTokenIndex = 0;    // 已收到的最后一个分片序号（断线重连后续传）
+    this.pendingResume = false; // 连接断开时回复尚未完成，重连后需要续传
+
     // 文案轮播控制器
     this._loadingTextRotation = {
       timer: null,           // 轮播计时器
@@ -59,27 +66,38 @@ class MessageManager {
     const userMessageContent = this.page.data.userInput || '';
     const selectedImages = [...this.page.data.selectedImages];
 
+    // 编辑上一条消息：替换最后一轮对话而不是追加
+    const isEditingLast = this.page.data.editingLast && !!hasText;
+    const baseMessages = isEditingLast
+      ? this.page.data.messages.slice(0, this.findLastUserMessageIndex())
+      : this.page.data.messages;
+
     // 创建用户消息，传入图片路径
     const newUserMessage = this.createUserMessage(userMessageContent, selectedImages);
     const loadingMessage = this.createLoadingMessage();
 
     this.page.setData({
-      messages: this.page.data.messages.concat([newUserMessage, loadingMessage]),
+      messages: baseMessages.concat([newUserMessage, loadingMessage]),
       userInput: "",
       selectedImages: [],  // 清空已选图片
       uploadingImages: [],  // 清空上传中图片
+      editingLast: false,
       isConnecting: true,
-      isGenerating: true
+      isGenerating: true,
+      isStreaming: true
     }, () => {
       this.page.scrollController.scrollToBottom(true);
     });
+    this.resetRequestState();
 
     // 启动加载文案轮播（加载消息是最后一个消息）
     const loadingMessageIndex = this.page.data.messages.length - 1;
     this.startLoadingTextRotation(loadingMessageIndex);
 
     // 如果有图片，转换为 base64 后发送
-    if (selectedImages.length > 0) {
+    if (isEditingLast) {
+      this.sendCommand({ type: ClientMessage.EDIT_LAST, prompt: userMessageContent });
+    } else if (selectedImages.length > 0) {
       await this.sendMessageWithImages(userMessageContent, selectedImages);
     } else {
       this.sendToWebSocket(userMessageContent);
@@ -88,6 +106,77 @@ class MessageManager {
     this.setResponseTimeout();
   }
 
+  /**
+   * 重新生成最后一条回复
+   */
+  regenerate() {
+    if (this.page.data.isConnecting || this.page.data.isStreaming) return;
+
+    const messages = this.page.data.messages;
+    const lastMessage = messages[messages.length - 1];
+    if (!lastMessage || lastMessage.role !== 'assistant' || lastMessage.isLoading) return;
+
+    this.page.scrollController.resetSmartPause();
+
+    // 用加载消息替换旧回复，新回复按正常流式流程渲染
+    const loadingMessage = this.createLoadingMessage();
+    this.page.setData({
+      messages: messages.slice(0, -1).concat(loadingMessage),
+      userHasScrolledUp: false,
+      showScrollToBottom: false,
+      isConnecting: true,
+      isGenerating: true,
+      isStreaming: true
+    }, () => {
+      this.page.scrollController.scrollToBottom(true);
+    });
+    this.resetRequestState();
+    this.startLoadingTextRotation(this.page.data.messages.length - 1);
+
+    this.sendCommand({ type: ClientMessage.REGENERATE });
+    this.setResponseTimeout();
+  }
+
+  /**
+   * 开始编辑最后一条用户消息：把原文放回输入框，发送时替换最后一轮对话
+   */
+  startEditLast() {
+    if (this.page.data.isConnecting || this.page.data.isStreaming) return;
+
+    const lastUserIndex = this.findLastUserMessageIndex();
+    if (lastUserIndex === -1) return;
+
+    const lastUserMessage = this.page.data.messages[lastUserIndex];
+    if (lastUserMessage.images && lastUserMessage.images.length > 0) {
+      wx.showToast({ title: '带图片的消息暂不支持编辑', icon: 'none' });
+      return;
+    }
+
+    this.page.setData({
+      userInput: lastUserMessage.content || '',
+      editingLast: true,
+      isVoiceMode: false
+    });
+  }
+
+  /**
+   * 取消编辑
+   */
+  cancelEditLast() {
+    this.page.setData({ userInput: '', editingLast: false });
+  }
+
+  /**
+   * 最后一条用户消息的索引
+   */
+  findLastUserMessageIndex() {
+    const messages = this.page.data.messages;
+    for (let i = messages.length - 1; i >= 0; i--) {
+      if (messages[i].role === 'user') return i;
+    }
+    return -1;
+  }
+
   /**
    * 发送语音消息
    */
@@ -102,10 +191,12 @@ class MessageManager {
     const newUserMessage = this.createUserMessage(text);
 
     this.page.setData({
-      messages: this.page.data.messages.concat(newUserMessage)
+      messages: this.page.data.messages.concat(newUserMessage),
+      isStreaming: true
     }, () => {
       this.page.scrollController.scheduleAutoScroll();
     });
+    this.resetRequestState();
 
     this.sendToWebSocket(text);
   }
@@ -117,6 +208,13 @@ class MessageManager {
     // 清除响应超时计时器
     this.page.webSocketManager.clearResponseTimeout();
 
+    // 续传时跳过已经收到的分片
+    const tokenIndex = data.timing && data.timing.tokenIndex;
+    if (tokenIndex) {
+      if (tokenIndex <= this.lastTokenIndex) return;
+      this.lastTokenIndex = tokenIndex;
+    }
+
     // 如果是第一个分片，创建AI消息
     if (this._stream.targetIndex == null) {
       // 停止文案轮播
@@ -142,6 +240,81 @@ class MessageManager {
     }
   }
 
+  /**
+   * 记录服务端返回的请求ID（init 消息）
+   */
+  handleRequestStarted(requestId) {
+    this.currentRequestId = requestId;
+
+    // 用户在 init 到达前就点击了停止
+    if (this.pendingCancel) {
+      this.pendingCancel = false;
+      this.page.webSocketManager.sendCancel(requestId);
+    }
+  }
+
+  /**
+   * 停止生成
+   */
+  stopGeneration() {
+    if (!this.page.data.isStreaming) return;
+
+    console.log('⏹️ 用户停止生成:', this.currentRequestId);
+    this.page.audioPlayer.stop();
+    if (this.currentRequestId) {
+      this.page.webSocketManager.sendCancel(this.currentRequestId);
+    } else {
+      this.pendingCancel = true;
+    }
+
+    // 隐藏停止按钮，等待服务端返回 { done, cancelled } 后收尾
+    this.page.setData({ isStreaming: false });
+  }
+
+  /**
+   * 重置请求状态
+   */
+  resetRequestState() {
+    this.currentRequestId = null;
+    this.pendingCancel = false;
+    this.lastTokenIndex = 0;
+    this.pendingResume = false;
+  }
+
+  /**
+   * 连接断开：保留进行中回复的请求ID和进度，重连后续传
+   * @returns {boolean} 是否有待续传的回复
+   */
+  handleConnectionLost() {
+    if (!this.currentRequestId) return false;
+
+    if (this._stream.timer) clearTimeout(this._stream.timer);
+    this.flushStream();
+    this.pendingResume = true;
+    console.log('🔌 连接断开，等待续传回复:', this.currentRequestId, '已收到分片:', this.lastTokenIndex);
+    return true;
+  }
+
+  /**
+   * 重连成功后续传未完成的回复
+   */
+  resumeIfNeeded() {
+    if (!this.pendingResume || !this.currentRequestId) return;
+
+    this.pendingResume = false;
+    this.page.webSocketManager.sendResume(this.currentRequestId, this.lastTokenIndex);
+  }
+
+  /**
+   * 无法续传（缓冲已过期或重连失败）：保留已收到的内容并结束本次回复
+   */
+  abandonResume(requestId = this.currentRequestId) {
+    if (!requestId || requestId !== this.currentRequestId) return;
+
+    console.warn('⚠️ 回复续传失败，保留已收到的内容:', requestId);
+    this.handleStreamingComplete({ done: true, cancelled: true });
+  }
+
   /**
    * 处理流式完成
    */
@@ -150,20 +323,60 @@ class MessageManager {
     if (this._stream.timer) clearTimeout(this._stream.timer);
     this.flushStream();
 
+    // 首个分片到达前就被停止：把加载消息转为AI消息
+    if (data.cancelled && this._stream.targetIndex == null) {
+      this.createAIMessage();
+    }
+
     const lastIndex = this._stream.targetIndex;
+    this.resetRequestState();
+
+    // 人工服务中消息已转给工作人员，没有回复内容：移除加载消息
+    if (data.relayed && lastIndex == null) {
+      this.stopLoadingTextRotation();
+      this.page.setData({
+        messages: this.page.data.messages.filter(msg => !msg.isLoading),
+        isConnecting: false,
+        isGenerating: false,
+        isStreaming: false
+      });
+      wx.setStorageSync('messages', this.trimMessages(this.page.data.messages));
+      this.page.webSocketManager.clearResponseTimeout();
+      return;
+    }
 
     // 更新最终状态
     if (lastIndex != null) {
       const updateData = {
         isConnecting: false,
-        isGenerating: false
+        isGenerating: false,
+        isStreaming: false
       };
+      if (data.cancelled) {
+        updateData[`messages[${lastIndex}].interrupted`] = true;
+      }
       if (data.suggestions && data.suggestions.length > 0) {
         console.log('🎯 收到建议问题:', data.suggestions);
         updateData[`messages[${lastIndex}].suggestions`] = data.suggestions;
       } else {
         console.log('❌ 没有收到建议问题或建议问题为空');
       }
+      // 回复引用的资料，对应正文中的 [n] 脚注
+      if (data.citations && data.citations.length > 0) {
+        updateData[`messages[${lastIndex}].citations`] = data.citations.map(citation => ({
+          ...citation,
+          dateText: this.formatCitationDate(citation.date),
+          expanded: false
+        }));
+      }
+      // 人工顾问的回复
+      if (data.staff) {
+        updateData[`messages[${lastIndex}].staffName`] = data.staff.name;
+      }
+      // 危机支持回复附带的求助热线，点击可直接拨打
+      if (data.crisisSupport && data.crisisSupport.hotlines && data.crisisSupport.hotlines.length > 0) {
+        updateData[`messages[${lastIndex}].hotlines`] = data.crisisSupport.hotlines;
+      }
       this.page.setData(updateData);
     }
 
@@ -175,8 +388,8 @@ class MessageManager {
 
     console.log('消息接收完成');
 
-    // 触发AI回复完成的TTS处理
-    if (lastIndex != null) {
+    // 触发AI回复完成的TTS处理（停止生成的回复不再播报）
+    if (lastIndex != null && !data.cancelled) {
       const completedMessage = this.page.data.messages[lastIndex];
       if (completedMessage && completedMessage.type === 'ai') {
         this.page.onAIResponseComplete(completedMessage);
@@ -374,6 +587,7 @@ class MessageManager {
 
       // 发送包含图片的消息
       const success = this.page.webSocketManager.send({
+        type: ClientMessage.CHAT,
         prompt: content,
         images: base64Images
       });
@@ -395,6 +609,7 @@ class MessageManager {
    */
   sendToWebSocket(content) {
     const success = this.page.webSocketManager.send({
+      type: ClientMessage.CHAT,
       prompt: content
     });
 
@@ -404,6 +619,18 @@ class MessageManager {
     }
   }
 
+  /**
+   * 发送控制指令（重新生成 / 编辑）
+   */
+  sendCommand(command) {
+    const success = this.page.webSocketManager.send(command);
+
+    if (!success) {
+      wx.showToast({ title: "发送失败", icon: "none" });
+      this.page.setData({ isConnecting: false, isGenerating: false, isStreaming: false });
+    }
+  }
+
   /**
    * 设置响应超时
    */
@@ -581,6 +808,91 @@ class MessageManager {
     }, 0);
   }
 
+  /**
+   * 点击引用脚注或引用条目：展开/收起摘录
+   */
+  onCitationTap(e) {
+    const { msgIndex } = e.currentTarget.dataset;
+    // 条目上的 data-cite 在 currentTarget，正文脚注冒泡到气泡时在 target
+    const cite = Number(e.currentTarget.dataset.cite || e.target.dataset.cite);
+    if (msgIndex == null || !cite) return;
+
+    const message = this.page.data.messages[msgIndex];
+    const position = (message && message.citations || []).findIndex(item => item.index === cite);
+    if (position < 0) return;
+
+    this.page.setData({
+      [`messages[${msgIndex}].citations[${position}].expanded`]: !message.citations[position].expanded
+    });
+  }
+
+  /**
+   * 人工接管状态变化（waiting / active / ended）
+   */
+  handleHandoff(data) {
+    if (data.status === HandoffStatus.ENDED) {
+      this.page.setData({ handoffStatus: '', handoffStaffName: '' });
+      if (data.reason === 'timeout') {
+        wx.showToast({ title: '暂时没有人工顾问，已转回AI助手', icon: 'none', duration: 3000 });
+      } else if (data.reason === 'staff') {
+        wx.showToast({ title: '人工服务已结束', icon: 'none' });
+      }
+      return;
+    }
+
+    this.page.setData({
+      handoffStatus: data.status,
+      handoffStaffName: data.staffName || ''
+    });
+  }
+
+  /**
+   * 转人工
+   */
+  requestHandoff() {
+    if (this.page.data.handoffStatus) return;
+    this.sendCommand({ type: ClientMessage.HANDOFF_REQUEST });
+  }
+
+  /**
+   * 取消等待或结束人工服务
+   */
+  endHandoff() {
+    const waiting = this.page.data.handoffStatus === HandoffStatus.WAITING;
+    wx.showModal({
+      title: waiting ? '取消转人工' : '结束人工服务',
+      content: '之后的消息将由AI助手回复',
+      success: (res) => {
+        if (res.confirm) {
+          this.sendCommand({ type: ClientMessage.HANDOFF_END });
+        }
+      }
+    });
+  }
+
+  /**
+   * 点击求助热线：拨打电话
+   */
+  callHotline(e) {
+    const { phone } = e.currentTarget.dataset;
+    if (!phone) return;
+
+    wx.makePhoneCall({
+      phoneNumber: String(phone).replace(/[^\d+]/g, ''),
+      fail: (err) => console.warn('拨打热线失败:', err.errMsg)
+    });
+  }
+
+  /**
+   * 引用资料的日期，如 2025年3月8日
+   */
+  formatCitationDate(date) {
+    if (!date) return '';
+    const value = new Date(date);
+    if (isNaN(value.getTime())) return '';
+    return `${value.getFullYear()}年${value.getMonth() + 1}月${value.getDate()}日`;
+  }
+
   /**
    * 加载历史消息
    */
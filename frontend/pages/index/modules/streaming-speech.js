@@ -2,6 +2,8 @@
  * Streaming Speech Module
  * 处理实时语音识别功能
  */
+const { ClientMessage, SpeechMode } = require('../../../utils/protocol.js');
+
 class StreamingSpeechManager {
   constructor(pageInstance) {
     this.page = pageInstance;
@@ -17,8 +19,9 @@ class StreamingSpeechManager {
 
   /**
    * 开始流式语音识别会话
+   * @param {string} mode - SpeechMode，默认按住说话
    */
-  startSession() {
+  startSession(mode = SpeechMode.PUSH_TO_TALK) {
     if (!this.page.webSocketManager.socketTask) {
       console.error('WebSocket未连接，无法开始流式识别');
       return;
@@ -29,6 +32,7 @@ class StreamingSpeechManager {
     this.streamingSpeech = {
       isActive: true,
       sessionId: sessionId,
+      mode: mode,
       buffer: new ArrayBuffer(0),
       partialResult: '',
       finalResult: '',
@@ -37,18 +41,20 @@ class StreamingSpeechManager {
     
     // 发送开始识别信号
     this.page.webSocketManager.send({
-      type: 'speech_start',
+      type: ClientMessage.SPEECH_START,
       sessionId: sessionId,
       config: {
         language: 'zh-CN',
         sampleRate: 16000,
         channels: 1,
-        format: 'pcm'
+        format: 'pcm',
+        mode: mode
       }
     });
     
     this.page.setData({
-      isStreamingSpeech: true
+      isStreamingSpeech: true,
+      speechDetected: null
     });
     
     console.log('🎤 开始流式语音识别会话:', sessionId);
@@ -66,7 +72,7 @@ class StreamingSpeechManager {
       const base64Data = wx.arrayBufferToBase64(frameBuffer);
       
       this.page.webSocketManager.send({
-        type: 'speech_frame',
+        type: ClientMessage.SPEECH_FRAME,
         sessionId: this.streamingSpeech.sessionId,
         audio: base64Data,
         size: frameBuffer.byteLength
@@ -89,7 +95,7 @@ class StreamingSpeechManager {
     // 发送结束识别信号（如果不是取消的情况）
     if (this.page.webSocketManager.socketTask && !this.streamingSpeech.isCanceled) {
       this.page.webSocketManager.send({
-        type: 'speech_end',
+        type: ClientMessage.SPEECH_END,
         sessionId: this.streamingSpeech.sessionId
       });
     }
@@ -132,6 +138,12 @@ class StreamingSpeechManager {
       console.warn('收到不匹配的语音识别结果:', data.sessionId, '当前:', this.streamingSpeech.sessionId);
       return;
     }
+
+    // 免提对话的结果不关闭界面，交给免提对话模块处理
+    if (this.streamingSpeech.mode === SpeechMode.CONVERSATION) {
+      this.page.voiceConversationManager.handleResult(data);
+      return;
+    }
     
     // 处理延迟到达的最终结果
     if (data.resultType === 'final' && !this.streamingSpeech.sessionId) {
@@ -195,6 +207,25 @@ class StreamingSpeechManager {
     }
   }
 
+  /**
+   * 处理服务端语音活动检测事件
+   * 按住说话时服务端检测到说完会自动结束识别，这里同步停止录音
+   */
+  handleActivity(data) {
+    if (data.sessionId !== this.streamingSpeech.sessionId) return;
+
+    this.page.setData({ speechDetected: data.speaking });
+
+    if (data.autoEnd && this.streamingSpeech.mode === SpeechMode.PUSH_TO_TALK) {
+      console.log('🔇 服务端检测到说话结束，停止录音');
+      if (this.page.data.isInputRecording) {
+        this.page.voiceRecorder.stopInputRecording();
+      } else if (this.page.data.isRecording) {
+        this.page.voiceRecorder.stopVoiceRecording();
+      }
+    }
+  }
+
   /**
    * 取消流式语音识别会话
    */
@@ -209,7 +240,7 @@ class StreamingSpeechManager {
     // 发送取消信号到后端
     if (this.page.webSocketManager.socketTask) {
       this.page.webSocketManager.send({
-        type: 'speech_cancel',
+        type: ClientMessage.SPEECH_CANCEL,
         sessionId: this.streamingSpeech.sessionId
       });
     }
@@ -15,6 +15,9 @@ class UIStateManager {
   initialize() {
     // 初始化用户ID
     this.initializeUserId();
+
+    // 读取语音播报开关
+    this.page.audioPlayer.loadSettings();
     
     // 加载历史消息
     const savedMessages = this.page.messageManager.loadHistoryMessages();
@@ -133,6 +136,8 @@ class UIStateManager {
    */
   onHide() {
     this.isPageHidden = true;
+    this.page.voiceConversationManager.stop();
+    this.page.audioPlayer.stop();
   }
 
   /**
@@ -170,6 +175,7 @@ class UIStateManager {
     this.page.scrollController.cleanup();
     this.page.messageManager.cleanup();
     this.page.voiceRecorder.cleanup();
+    this.page.audioPlayer.cleanup();
     
     // 注销键盘监听
     wx.offKeyboardHeightChange(this.page.scrollController.handleKeyboardHeightChange);
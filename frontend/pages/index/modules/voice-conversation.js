@@ -0,0 +1,142 @@
+/**
+ * Voice Conversation Module
+ * 免提对话：持续录音，服务端判定一句话结束后自动发送，回复以语音播报；
+ * 播报过程中直接说话即可打断
+ */
+const { SpeechMode } = require('../../../utils/protocol.js');
+
+class VoiceConversationManager {
+  constructor(pageInstance) {
+    this.page = pageInstance;
+    this.active = false;
+  }
+
+  /**
+   * 是否处于免提对话中
+   */
+  isActive() {
+    return this.active;
+  }
+
+  /**
+   * 开始免提对话
+   */
+  start() {
+    if (this.active) return;
+
+    if (!this.page.webSocketManager.socketTask) {
+      wx.showToast({ title: '连接未就绪，请稍后再试', icon: 'none' });
+      return;
+    }
+
+    this.page.voiceRecorder.checkRecordingPermission(() => {
+      this.active = true;
+      this.page.setData({
+        isVoiceConversation: true,
+        conversationPhase: 'listening',
+        conversationText: ''
+      });
+      wx.setKeepScreenOn({ keepScreenOn: true });
+      this.startRecorder();
+    });
+  }
+
+  /**
+   * 结束免提对话
+   * 已说完但尚未发送的一句由服务端照常提交，进行中的回复继续以文字显示
+   */
+  stop() {
+    if (!this.active) return;
+    this.active = false;
+
+    // 录音停止后 voice-recorder 的 onStop 会结束识别会话
+    this.page.voiceRecorder.recorderManager.stop();
+    this.page.audioPlayer.stop();
+    wx.setKeepScreenOn({ keepScreenOn: false });
+
+    this.page.setData({
+      isVoiceConversation: false,
+      conversationPhase: '',
+      conversationText: ''
+    });
+  }
+
+  /**
+   * @private
+   */
+  startRecorder() {
+    this.page.voiceRecorder.recorderManager.start({
+      duration: 600000,  // 小程序录音时长上限 10 分钟，到时自动续上
+      sampleRate: 16000,
+      numberOfChannels: 1,
+      encodeBitRate: 48000,
+      format: 'pcm',
+      frameSize: 5,
+      // 通话音源带回声消除，减少播报的声音被识别成用户插话
+      audioSource: 'voice_communication'
+    });
+  }
+
+  /**
+   * 录音开始：以免提模式开启识别会话
+   */
+  handleRecorderStart() {
+    this.page.streamingSpeechManager.startSession(SpeechMode.CONVERSATION);
+  }
+
+  /**
+   * 录音在对话中途停止（达到时长上限或被系统中断）：重新开始录音
+   */
+  handleRecorderStop() {
+    this.page.streamingSpeechManager.endSession();
+    if (this.active) {
+      this.startRecorder();
+    }
+  }
+
+  /**
+   * 处理免提会话的识别结果
+   */
+  handleResult(data) {
+    if (!this.active) return;
+
+    if (data.resultType === 'partial') {
+      this.page.setData({ conversationPhase: 'listening', conversationText: data.text });
+    } else if (data.resultType === 'final') {
+      // 这一句已发送给 AI
+      this.page.setData({ conversationPhase: 'thinking', conversationText: data.text });
+    } else if (data.resultType === 'error') {
+      console.error('❌ 免提对话识别错误:', data.error);
+      wx.showToast({ title: '语音识别出错，已退出免提对话', icon: 'none' });
+      this.stop();
+    }
+  }
+
+  /**
+   * 用户插话：停止播报，继续聆听
+   */
+  handleInterrupt() {
+    if (!this.active) return;
+    this.page.audioPlayer.stop();
+    this.page.setData({ conversationPhase: 'listening' });
+  }
+
+  /**
+   * 播报状态变化
+   * @param {boolean} playing - 是否正在播放
+   */
+  handlePlaybackState(playing) {
+    if (!this.active) return;
+    this.page.setData({ conversationPhase: playing ? 'speaking' : 'listening' });
+  }
+
+  /**
+   * 回复完成：没有播报时回到聆听状态
+   */
+  handleReplyDone() {
+    if (!this.active || this.page.audioPlayer.isPlaying()) return;
+    this.page.setData({ conversationPhase: 'listening' });
+  }
+}
+
+module.exports = VoiceConversationManager;
@@ -31,6 +31,10 @@ class VoiceRecorder {
   setupRecorderEvents() {
     this.recorderManager.onStart(() => {
       console.log('📱 录音开始');
+      if (this.page.voiceConversationManager.isActive()) {
+        this.page.voiceConversationManager.handleRecorderStart();
+        return;
+      }
       this.page.setData({ isRecording: true });
       this.page.streamingSpeechManager.startSession();
     });
@@ -41,7 +45,7 @@ class VoiceRecorder {
       }
       
       // 分析音频帧数据获取音量
-      if ((this.page.data.isRecording || this.page.data.isInputRecording) && res.frameBuffer) {
+      if ((this.page.data.isRecording || this.page.data.isInputRecording || this.page.data.isVoiceConversation) && res.frameBuffer) {
         const volume = this.analyzeAudioVolume(res.frameBuffer);
         
         // 更新音量历史
@@ -60,6 +64,10 @@ class VoiceRecorder {
     
     this.recorderManager.onStop((res) => {
       console.log('📱 录音结束');
+      if (this.page.voiceConversationManager.isActive()) {
+        this.page.voiceConversationManager.handleRecorderStop();
+        return;
+      }
       this.page.setData({ isRecording: false });
       
       if (this.page.data.isRecordingCanceling || this.isCancelingRecording) {
@@ -2,6 +2,9 @@
  * WebSocket Manager Module
  * 处理 WebSocket 连接、消息收发、重连逻辑
  */
+const protocol = require('../../../utils/protocol.js');
+const { ServerFrame, ClientMessage } = protocol;
+
 class WebSocketManager {
   constructor(pageInstance) {
     this.page = pageInstance;
@@ -10,6 +13,7 @@ class WebSocketManager {
     this.reconnectCount = 0;
     this.maxReconnects = 5;
     this.responseTimeoutId = null;
+    this.protocolVersion = null; // 与服务端协商出的协议版本（init_ack）
   }
 
   /**
@@ -64,38 +68,36 @@ class WebSocketManager {
       }
       
       try {
+        // 带上协议版本，服务端通过 init_ack 返回协商结果
         socketTask.send({
           data: JSON.stringify({
-            type: 'init'
+            type: ClientMessage.INIT,
+            v: protocol.PROTOCOL_VERSION,
+            minVersion: protocol.MIN_PROTOCOL_VERSION
           })
         });
         console.log("初始化消息发送成功");
       } catch (error) {
         console.error("发送初始化消息失败:", error);
       }
+
+      // 断线前有未完成的回复，续传缺失的部分
+      this.page.messageManager.resumeIfNeeded();
     });
 
     socketTask.onMessage((res) => {
-      this.handleMessage(JSON.parse(res.data));
+      // 旧版服务端的帧不带 type，按字段识别
+      this.handleMessage(protocol.normalizeServerFrame(JSON.parse(res.data)));
     });
 
     socketTask.onClose((res) => {
       console.log("WebSocket 连接关闭 - 关闭码:", res.code, "关闭原因:", res.reason);
       
       // 清理所有语音相关状态，防止界面卡住
-      this.page.setData({ 
-        socketTask: null,
-        isConnecting: false,
-        // 强制关闭所有录音相关状态
-        showVoiceModal: false,
-        isInputRecording: false,
-        isRecording: false,
-        isRecordingCanceling: false,
-        isStreamingSpeech: false,
-        isGenerating: false
-      });
+      this.page.setData(this.getConnectionLostState(res.code !== 1000));
       
-      // 取消流式语音识别会话
+      // 结束免提对话，取消流式语音识别会话
+      this.page.voiceConversationManager.stop();
       if (this.page.streamingSpeechManager) {
         this.page.streamingSpeechManager.cancelSession();
       }
@@ -116,19 +118,10 @@ class WebSocketManager {
       console.error("WebSocket 错误详情:", error);
       
       // 清理所有语音相关状态，防止界面卡住
-      this.page.setData({ 
-        socketTask: null,
-        isConnecting: false,
-        // 强制关闭所有录音相关状态
-        showVoiceModal: false,
-        isInputRecording: false,
-        isRecording: false,
-        isRecordingCanceling: false,
-        isStreamingSpeech: false,
-        isGenerating: false
-      });
+      this.page.setData(this.getConnectionLostState(true));
       
-      // 取消流式语音识别会话
+      // 结束免提对话，取消流式语音识别会话
+      this.page.voiceConversationManager.stop();
       if (this.page.streamingSpeechManager) {
         this.page.streamingSpeechManager.cancelSession();
       }
@@ -143,6 +136,31 @@ class WebSocketManager {
     });
   }
 
+  /**
+   * 连接断开后需要重置的界面状态
+   * 将要重连且有进行中的回复时保留生成状态，等待续传
+   * @param {boolean} willReconnect - 是否会自动重连
+   */
+  getConnectionLostState(willReconnect) {
+    const state = {
+      socketTask: null,
+      isConnecting: false,
+      // 强制关闭所有录音相关状态
+      showVoiceModal: false,
+      isInputRecording: false,
+      isRecording: false,
+      isRecordingCanceling: false,
+      isStreamingSpeech: false
+    };
+
+    const resumable = willReconnect && this.page.messageManager.handleConnectionLost();
+    if (!resumable) {
+      state.isGenerating = false;
+      state.isStreaming = false;
+    }
+    return state;
+  }
+
   /**
    * 处理接收到的消息
    */
@@ -150,8 +168,28 @@ class WebSocketManager {
     console.log('📨 收到WebSocket消息:', data.type, data);
     let newMessages = [...this.page.data.messages];
     
+    // 版本协商结果
+    if (data.type === ServerFrame.INIT_ACK) {
+      this.protocolVersion = data.version;
+      console.log('协议版本协商完成:', data.version, '服务端版本:', data.serverVersion);
+      this.page.audioPlayer.setAvailable(!!(data.features && data.features.tts));
+      // 人工服务状态以服务端为准，仍在人工服务中时服务端会随后补发 handoff
+      this.page.setData({
+        handoffAvailable: !!(data.features && data.features.handoff),
+        handoffStatus: '',
+        handoffStaffName: ''
+      });
+      return;
+    }
+
+    // 人工接管状态变化
+    if (data.type === ServerFrame.HANDOFF) {
+      this.page.messageManager.handleHandoff(data);
+      return;
+    }
+
     // 处理问候消息
-    if (data.type === 'greeting') {
+    if (data.type === ServerFrame.GREETING) {
       console.log('处理问候消息:', data.data);
       
       const recentGreetings = newMessages.filter(msg => msg.isGreeting);
@@ -180,35 +218,42 @@ class WebSocketManager {
       return;
     }
     
-    // 处理初始化消息
-    if (data.type === 'init') {
-      console.log('收到init消息，忽略');
+    // 处理初始化消息（记录 requestId，用于停止生成）
+    if (data.type === ServerFrame.INIT) {
+      console.log('收到init消息，requestId:', data.requestId);
+      this.page.messageManager.handleRequestStarted(data.requestId);
+      return;
+    }
+    
+    // 续传失败（缓冲已过期），保留已收到的内容
+    if (data.type === ServerFrame.RESUME_FAILED) {
+      this.page.messageManager.abandonResume(data.requestId);
       return;
     }
     
     // 处理心跳消息
-    if (data.type === 'ping') {
+    if (data.type === ServerFrame.PING) {
       console.log('收到服务器ping，发送pong响应');
       this.send({
-        type: 'pong',
+        type: ClientMessage.PONG,
         timestamp: Date.now()
       });
       return;
     }
     
-    if (data.type === 'pong') {
+    if (data.type === ServerFrame.PONG) {
       console.log('收到服务器pong响应');
       return;
     }
     
     // 处理流式语音识别消息
-    if (data.type === 'speech_result') {
+    if (data.type === ServerFrame.SPEECH_RESULT) {
       this.page.streamingSpeechManager.handleResult(data);
       return;
     }
 
     // 处理语音消息显示
-    if (data.type === 'voice_message_display') {
+    if (data.type === ServerFrame.VOICE_MESSAGE_DISPLAY) {
       console.log('🎤 收到语音消息显示请求:', data.text);
       console.log('🎤 完整的voice_message_display数据:', JSON.stringify(data));
 
@@ -222,6 +267,7 @@ class WebSocketManager {
         messages: this.page.data.messages.concat([userMessage, loadingMessage]),
         isConnecting: true,
         isGenerating: true,
+        isStreaming: true,
         // 关闭语音UI
         showVoiceModal: false,
         isInputRecording: false,
@@ -230,29 +276,40 @@ class WebSocketManager {
       }, () => {
         this.page.scrollController.scrollToBottom(true);
       });
+      this.page.messageManager.resetRequestState();
 
       return;
     }
     
+    // 语音活动检测（说话 / 静音）
+    if (data.type === ServerFrame.SPEECH_ACTIVITY) {
+      this.page.streamingSpeechManager.handleActivity(data);
+      return;
+    }
+
+    // 免提对话中用户插话
+    if (data.type === ServerFrame.VOICE_INTERRUPT) {
+      this.page.voiceConversationManager.handleInterrupt();
+      return;
+    }
+
     // 处理建议问题消息
-    if (data.type === 'suggestions') {
+    if (data.type === ServerFrame.SUGGESTIONS) {
       console.log('🎯 收到建议问题消息:', data.suggestions);
       this.page.messageManager.handleSuggestions(data.suggestions);
       return;
     }
     
     // 处理TTS流式音频消息
-    if (data.type === 'tts_start' || data.type === 'tts_chunk' || data.type === 'tts_end' || data.type === 'tts_error') {
-      console.log('🔊 收到TTS消息:', data.type, data.messageId);
-      // 通知AudioPlayer处理TTS消息
-      if (this.page.audioPlayer && this.page.audioPlayer.handleTTSMessage) {
-        this.page.audioPlayer.handleTTSMessage(data);
-      }
+    if (data.type === ServerFrame.TTS_START || data.type === ServerFrame.TTS_CHUNK ||
+        data.type === ServerFrame.TTS_SEGMENT_END || data.type === ServerFrame.TTS_END ||
+        data.type === ServerFrame.TTS_ERROR) {
+      this.page.audioPlayer.handleTTSMessage(data);
       return;
     }
     
     // 处理预热完成消息
-    if (data.type === 'warmup_complete') {
+    if (data.type === ServerFrame.WARMUP_COMPLETE) {
       console.log('🔥 收到预热完成消息:', {
         userId: data.userId,
         hasGreeting: data.hasGreeting,
@@ -276,23 +333,25 @@ class WebSocketManager {
     }
     
     // 处理错误消息
-    if (data.error) {
+    if (data.type === ServerFrame.ERROR) {
       this.handleError(data);
       return;
     }
     
     // 处理流式数据
-    if (data.data) {
+    if (data.type === ServerFrame.CHUNK) {
       this.page.messageManager.handleStreamingData(data);
+      return;
     }
 
-    if (data.done) {
+    if (data.type === ServerFrame.DONE) {
       console.log('🎯 收到完成信号:', {
         suggestions: data.suggestions,
         hasData: !!data,
         suggestionsLength: data.suggestions ? data.suggestions.length : 0
       });
       this.page.messageManager.handleStreamingComplete(data);
+      this.page.voiceConversationManager.handleReplyDone();
     }
   }
 
@@ -303,11 +362,24 @@ class WebSocketManager {
     const errorMsg = data.error || 'Server Error';
     const details = data.details || data.message || '未知错误';
     console.error('收到服务器错误:', errorMsg, details);
+
+    // 协议版本不兼容：提示更新，不再重连
+    if (data.code === protocol.ErrorCode.UNSUPPORTED_VERSION) {
+      this.reconnectCount = this.maxReconnects;
+      wx.showModal({
+        title: '版本过旧',
+        content: '当前小程序版本过旧，请更新后重试',
+        showCancel: false
+      });
+      return;
+    }
     
     this.page.setData({ 
       isConnecting: false,
-      isGenerating: false
+      isGenerating: false,
+      isStreaming: false
     });
+    this.page.messageManager.resetRequestState();
     
     let messages = [...this.page.data.messages];
     const beforeCount = messages.length;
@@ -318,6 +390,16 @@ class WebSocketManager {
       this.page.setData({ messages });
     }
     
+    // 今日用量已达上限：说明原因，不作为服务器错误提示
+    if (data.code === protocol.ErrorCode.QUOTA_EXCEEDED) {
+      wx.showModal({
+        title: '温馨提示',
+        content: details,
+        showCancel: false
+      });
+      return;
+    }
+
     wx.showToast({ 
       title: "服务器错误: " + data.details, 
       icon: "none",
@@ -385,6 +467,29 @@ class WebSocketManager {
     }
   }
 
+  /**
+   * 发送停止生成请求
+   */
+  sendCancel(requestId) {
+    console.log('⏹️ 发送停止生成请求:', requestId);
+    return this.send({
+      type: ClientMessage.CANCEL,
+      requestId: requestId
+    });
+  }
+
+  /**
+   * 发送续传请求
+   */
+  sendResume(requestId, lastTokenIndex) {
+    console.log('🔁 发送续传请求:', requestId, 'lastTokenIndex:', lastTokenIndex);
+    return this.send({
+      type: ClientMessage.RESUME,
+      requestId: requestId,
+      lastTokenIndex: lastTokenIndex
+    });
+  }
+
   /**
    * 重连逻辑
    */
@@ -414,6 +519,7 @@ class WebSocketManager {
       }, delay);
     } else {
       wx.showToast({ title: "连接失败，请稍后再试", icon: "none" });
+      this.page.messageManager.abandonResume();
     }
   }
 
@@ -452,10 +558,12 @@ class WebSocketManager {
       isRecording: false,
       isRecordingCanceling: false,
       isStreamingSpeech: false,
-      isGenerating: false
+      isGenerating: false,
+      isStreaming: false
     });
     
-    // 取消流式语音识别会话
+    // 结束免提对话，取消流式语音识别会话
+    this.page.voiceConversationManager.stop();
     if (this.page.streamingSpeechManager) {
       this.page.streamingSpeechManager.cancelSession();
     }
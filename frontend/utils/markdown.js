@@ -5,6 +5,7 @@
  * - List (- item, 1. item)
  * - Table (standard markdown table)
  * - Headers (#, ##, ###)
+ * - Citation markers ([1], rendered as tappable footnotes)
  */
 
 function parseMarkdown(text) {
@@ -131,8 +132,9 @@ function parseInline(text) {
   let currentIndex = 0;
 
   // Bold parser: **text** OR 【text】(User preference)
-  // Matching (**...**) OR (【...】)
-  const regex = /(\*\*(.+?)\*\*)|(【(.+?)】)/g;
+  // Citation parser: [n]
+  // Matching (**...**) OR (【...】) OR ([n])
+  const regex = /(\*\*(.+?)\*\*)|(【(.+?)】)|(\[(\d{1,2})\])/g;
   let match;
 
   while ((match = regex.exec(text)) !== null) {
@@ -144,13 +146,22 @@ function parseInline(text) {
       });
     }
 
-    // Add the bold text
-    // match[2] is for **, match[4] is for 【】
-    const boldText = match[2] || match[4];
-    segments.push({
-      type: 'bold',
-      text: boldText
-    });
+    if (match[6]) {
+      // Citation marker, index refers to message.citations
+      segments.push({
+        type: 'cite',
+        text: match[5],
+        index: parseInt(match[6], 10)
+      });
+    } else {
+      // Add the bold text
+      // match[2] is for **, match[4] is for 【】
+      const boldText = match[2] || match[4];
+      segments.push({
+        type: 'bold',
+        text: boldText
+      });
+    }
 
     currentIndex = regex.lastIndex;
   }
@@ -0,0 +1,287 @@
+// 由 backend/scripts/syncProtocol.js 从 backend/src/protocol/index.js 生成，请勿直接修改
+/**
+ * WebSocket 协议定义（后端与小程序共用）
+ *
+ * 服务端发送的每一帧都带有 { type, v, requestId }：
+ * - type: 帧类型（见 ServerFrame）
+ * - v: 协议版本
+ * - requestId: 所属回复的请求ID，与某次回复无关的帧为 null
+ *
+ * 客户端消息使用 { type, ...字段 }，服务端按 CLIENT_SCHEMAS 校验。
+ * 连接建立后客户端发送 { type: 'init', v, minVersion } 协商版本，服务端返回 init_ack。
+ * 未带 type / v 的旧版消息和帧仍可识别（视为版本 1）。
+ *
+ * 本文件不依赖任何 Node 或小程序 API，frontend/utils/protocol.js 由
+ * backend/scripts/syncProtocol.js 从这里生成，修改后请重新同步。
+ */
+
+// 当前协议版本
+const PROTOCOL_VERSION = 2;
+// 仍兼容的最低版本（1 = 不带 type / v 的旧版格式）
+const MIN_PROTOCOL_VERSION = 1;
+
+// 服务端 -> 客户端
+const ServerFrame = Object.freeze({
+  INIT_ACK: 'init_ack',                       // 版本协商结果
+  INIT: 'init',                               // 开始生成回复
+  CHUNK: 'chunk',                             // 回复分片 { data, timing: { tokenIndex } }
+  DONE: 'done',                               // 回复完成 { done: true, cancelled?, suggestions, citations?, crisisSupport?, staff?, relayed? }（citations: 回复中 [n] 标注对应的资料；crisisSupport: 危机支持回复附带的求助热线；staff: 人工顾问的回复 { name }；relayed: 人工接管中，消息已转给工作人员，没有回复内容）
+  ERROR: 'error',                             // 错误 { error, details, code? }
+  RESUME_FAILED: 'resume_failed',             // 无法续传 { reason }
+  GREETING: 'greeting',                       // 问候语 { data }
+  SUGGESTIONS: 'suggestions',                 // 建议问题 { suggestions }
+  WARMUP_COMPLETE: 'warmup_complete',         // 预热完成
+  SPEECH_RESULT: 'speech_result',             // 语音识别结果 { sessionId, resultType, text }
+  VOICE_MESSAGE_DISPLAY: 'voice_message_display', // 语音识别完成，显示用户消息 { sessionId, text }
+  VOICE_INTERRUPT: 'voice_interrupt',         // 免提对话中用户插话，停止播报 { sessionId }
+  SPEECH_ACTIVITY: 'speech_activity',         // 语音活动检测 { sessionId, speaking, autoEnd? }
+  TTS_START: 'tts_start',                     // 开始播报 { format, sampleRate }
+  TTS_CHUNK: 'tts_chunk',                     // 音频分片 { segment, seq, audio(base64) }
+  TTS_SEGMENT_END: 'tts_segment_end',         // 一句合成完成 { segment, text }
+  TTS_END: 'tts_end',                         // 播报结束 { segments, cancelled?, failed? }
+  TTS_ERROR: 'tts_error',                     // 合成失败 { segment, error }
+  HANDOFF: 'handoff',                         // 人工接管状态 { status, staffName?, reason? }（status 见 HandoffStatus）
+  PING: 'ping',
+  PONG: 'pong'
+});
+
+// 客户端 -> 服务端
+const ClientMessage = Object.freeze({
+  INIT: 'init',
+  CHAT: 'chat',
+  CANCEL: 'cancel',
+  RESUME: 'resume',
+  REGENERATE: 'regenerate',
+  EDIT_LAST: 'edit_last',
+  SETTINGS: 'settings',
+  SPEECH_START: 'speech_start',
+  SPEECH_FRAME: 'speech_frame',
+  SPEECH_END: 'speech_end',
+  SPEECH_CANCEL: 'speech_cancel',
+  HANDOFF_REQUEST: 'handoff_request',         // 转人工
+  HANDOFF_END: 'handoff_end',                 // 结束人工服务（等待中或已接入）
+  PING: 'ping',
+  PONG: 'pong'
+});
+
+// speech_start 的 config.mode
+const SpeechMode = Object.freeze({
+  PUSH_TO_TALK: 'push_to_talk',               // 按住说话，松手后提交
+  CONVERSATION: 'conversation'                // 免提对话，每说完一句自动提交
+});
+
+// 人工接管状态
+const HandoffStatus = Object.freeze({
+  WAITING: 'waiting',                         // 等待工作人员接入，期间的消息转给工作人员
+  ACTIVE: 'active',                           // 工作人员已接入
+  ENDED: 'ended'                              // 已交回 AI
+});
+
+const ErrorCode = Object.freeze({
+  INVALID_MESSAGE: 'invalid_message',
+  UNSUPPORTED_TYPE: 'unsupported_type',
+  UNSUPPORTED_VERSION: 'unsupported_version',
+  QUOTA_EXCEEDED: 'quota_exceeded'              // 今日用量已达上限（USAGE_DAILY_*_LIMIT）
+});
+
+// 客户端消息字段定义：{ type, required?, maxLength?, maxItems?, items? }，未列出的字段不校验
+const CLIENT_SCHEMAS = {
+  [ClientMessage.INIT]: {
+    v: { type: 'number' },
+    minVersion: { type: 'number' }
+  },
+  [ClientMessage.CHAT]: {
+    prompt: { type: 'string' },
+    images: { type: 'array', items: 'string', maxItems: 3 }
+  },
+  [ClientMessage.CANCEL]: {
+    requestId: { type: 'string', required: true }
+  },
+  [ClientMessage.RESUME]: {
+    requestId: { type: 'string', required: true },
+    lastTokenIndex: { type: 'number' }
+  },
+  [ClientMessage.REGENERATE]: {},
+  [ClientMessage.EDIT_LAST]: {
+    prompt: { type: 'string', required: true }
+  },
+  [ClientMessage.SETTINGS]: {
+    tts: { type: 'boolean' }
+  },
+  [ClientMessage.SPEECH_START]: {
+    sessionId: { type: 'string', required: true },
+    config: { type: 'object' }
+  },
+  [ClientMessage.SPEECH_FRAME]: {
+    sessionId: { type: 'string', required: true },
+    audio: { type: 'string', required: true },
+    size: { type: 'number' }
+  },
+  [ClientMessage.SPEECH_END]: {
+    sessionId: { type: 'string', required: true }
+  },
+  [ClientMessage.SPEECH_CANCEL]: {
+    sessionId: { type: 'string', required: true }
+  },
+  [ClientMessage.HANDOFF_REQUEST]: {
+    reason: { type: 'string', maxLength: 200 }
+  },
+  [ClientMessage.HANDOFF_END]: {},
+  [ClientMessage.PING]: {
+    timestamp: { type: 'number' }
+  },
+  [ClientMessage.PONG]: {
+    timestamp: { type: 'number' }
+  }
+};
+
+function getValueType(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function validateField(name, value, spec) {
+  if (value === undefined || value === null) {
+    return spec.required ? `缺少字段 ${name}` : null;
+  }
+  if (getValueType(value) !== spec.type) {
+    return `字段 ${name} 应为 ${spec.type}`;
+  }
+  if (spec.maxLength && value.length > spec.maxLength) {
+    return `字段 ${name} 超出长度限制 ${spec.maxLength}`;
+  }
+  if (spec.type === 'array') {
+    if (spec.maxItems && value.length > spec.maxItems) {
+      return `字段 ${name} 最多 ${spec.maxItems} 项`;
+    }
+    if (spec.items && value.some(item => getValueType(item) !== spec.items)) {
+      return `字段 ${name} 的元素应为 ${spec.items}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * 按字段定义校验消息（格式同 CLIENT_SCHEMAS 中的一项）
+ * @param {Object} message - 消息
+ * @param {Object} schema - 字段定义
+ * @returns {string|null} 错误说明，通过时返回 null
+ */
+function validateFields(message, schema) {
+  for (const name of Object.keys(schema)) {
+    const error = validateField(name, message[name], schema[name]);
+    if (error) return error;
+  }
+  return null;
+}
+
+/**
+ * 校验客户端消息
+ * 不带 type 的旧版聊天消息 { prompt, images } 会补全为 chat
+ * @param {Object} message - 解析后的消息
+ * @returns {{valid: boolean, message?: Object, error?: string, code?: string}}
+ */
+function validateClientMessage(message) {
+  if (getValueType(message) !== 'object') {
+    return { valid: false, code: ErrorCode.INVALID_MESSAGE, error: '消息必须是 JSON 对象' };
+  }
+
+  let normalized = message;
+  if (message.type === undefined && (message.prompt !== undefined || message.images !== undefined)) {
+    normalized = Object.assign({}, message, { type: ClientMessage.CHAT });
+  }
+
+  // 只认 CLIENT_SCHEMAS 自身的键，type 为 constructor 等原型属性时按不支持处理
+  const schema = Object.prototype.hasOwnProperty.call(CLIENT_SCHEMAS, normalized.type) ? CLIENT_SCHEMAS[normalized.type] : null;
+  if (!schema) {
+    return { valid: false, code: ErrorCode.UNSUPPORTED_TYPE, error: `不支持的消息类型 ${normalized.type}` };
+  }
+  if (normalized.v !== undefined && getValueType(normalized.v) !== 'number') {
+    return { valid: false, code: ErrorCode.INVALID_MESSAGE, error: '字段 v 应为 number' };
+  }
+
+  const error = validateFields(normalized, schema);
+  if (error) {
+    return { valid: false, code: ErrorCode.INVALID_MESSAGE, error };
+  }
+
+  if (normalized.type === ClientMessage.CHAT && !normalized.prompt && !(normalized.images && normalized.images.length)) {
+    return { valid: false, code: ErrorCode.INVALID_MESSAGE, error: '消息内容不能为空' };
+  }
+
+  return { valid: true, message: normalized };
+}
+
+/**
+ * 版本协商：取双方都支持的最高版本
+ * @param {number} clientVersion - 客户端支持的最高版本（未提供视为 1）
+ * @param {number} clientMinVersion - 客户端要求的最低版本
+ * @returns {number|null} 协商出的版本，不兼容时返回 null
+ */
+function negotiateVersion(clientVersion, clientMinVersion) {
+  const version = Math.min(clientVersion || MIN_PROTOCOL_VERSION, PROTOCOL_VERSION);
+  if (version < MIN_PROTOCOL_VERSION) return null;
+  if (clientMinVersion && clientMinVersion > version) return null;
+  return version;
+}
+
+/**
+ * 创建服务端帧
+ * @param {string} type - ServerFrame 中的类型
+ * @param {Object} payload - 帧内容
+ * @param {string|null} requestId - 所属回复的请求ID
+ */
+function createFrame(type, payload, requestId) {
+  return Object.assign({ type: type, v: PROTOCOL_VERSION, requestId: requestId || null }, payload);
+}
+
+/**
+ * 创建并序列化服务端帧
+ */
+function encodeFrame(type, payload, requestId) {
+  return JSON.stringify(createFrame(type, payload, requestId));
+}
+
+/**
+ * 识别服务端帧类型，兼容不带 type 的旧版帧
+ * @param {Object} frame - 解析后的帧
+ * @returns {Object} 带 type 的帧
+ */
+function normalizeServerFrame(frame) {
+  if (!frame || frame.type) return frame;
+
+  let type = null;
+  let extra = null;
+  if (frame.error) {
+    type = ServerFrame.ERROR;
+  } else if (frame.done) {
+    type = ServerFrame.DONE;
+  } else if (frame.data !== undefined) {
+    type = ServerFrame.CHUNK;
+  } else if (frame.greeting) {
+    type = ServerFrame.GREETING;
+    extra = { data: frame.greeting };
+  } else if (frame.suggestions) {
+    type = ServerFrame.SUGGESTIONS;
+  }
+
+  return Object.assign({}, frame, extra, { type: type, v: MIN_PROTOCOL_VERSION, requestId: frame.requestId || null });
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  ServerFrame,
+  ClientMessage,
+  SpeechMode,
+  HandoffStatus,
+  ErrorCode,
+  CLIENT_SCHEMAS,
+  validateFields,
+  validateClientMessage,
+  negotiateVersion,
+  createFrame,
+  encodeFrame,
+  normalizeServerFrame
+};